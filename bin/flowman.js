@@ -7,6 +7,14 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import CommandLoader from '../src/utils/command-loader.js';
 import Logger from '../src/utils/logger.js';
+import CredentialStorage from '../src/lib/credential-storage.js';
+import ProfileManager from '../src/lib/profile-manager.js';
+import AuthManager from '../src/lib/auth-manager.js';
+import Interaction from '../src/utils/interaction.js';
+import Output from '../src/utils/output.js';
+import ResponseCache from '../src/lib/response-cache.js';
+import CliError from '../src/utils/cli-error.js';
+import ExitCodes from '../src/utils/exit-codes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,14 +31,64 @@ const packageJson = require('../package.json');
   const commandsDir = path.join(__dirname, '../src/commands');
   await CommandLoader.loadCommands(program, commandsDir);
 
+  CommandLoader.registerGlobalOption(program, '--profile <name>', 'Use a named profile (defaults to FLOWMAN_PROFILE or the current profile)');
+  CommandLoader.registerGlobalOption(program, '-y, --yes', 'Answer yes to confirmations and never prompt');
+  CommandLoader.registerGlobalOption(program, '--non-interactive', 'Never prompt, fail when an input is missing (automatic without a terminal)');
+  CommandLoader.registerGlobalOption(program, '--output <format>', `Output format: ${Output.FORMATS.join(', ')} (default: table)`);
+  CommandLoader.registerGlobalOption(program, '--json', 'Print the result as JSON, same as --output json');
+  CommandLoader.registerGlobalOption(program, '--no-cache', 'Neither use nor store cached Postman API responses');
+
+  program.hook('preAction', async (thisCommand, actionCommand) => {
+    const group = actionCommand.parent?.name();
+    const globalOptions = actionCommand.optsWithGlobals();
+    Output.configure(globalOptions);
+    Interaction.configure(globalOptions);
+    // A negatable option defaults to true on every command, so any false in the chain counts
+    for (let command = actionCommand; command; command = command.parent) {
+      if (command.opts().cache === false) {
+        ResponseCache.configure({ cache: false });
+      }
+    }
+    ProfileManager.setOverride(globalOptions.profile);
+
+    // Logging in creates the profile, profile commands check names themselves
+    const profile = ProfileManager.getActiveName();
+    if (!ProfileManager.exists(profile) && group !== 'profile') {
+      const invalidName = ProfileManager.validateName(profile);
+      if (actionCommand.name() !== 'login' || invalidName) {
+        Logger.error(invalidName
+          ? `Invalid profile name "${profile}": ${invalidName}`
+          : `Profile "${profile}" does not exist. Create it with "flowman-cli profile add ${profile}"`);
+        process.exit(ExitCodes.USAGE);
+      }
+    }
+
+    // Unlock the credential backend once, so commands can read credentials synchronously, and
+    // refresh an expiring OAuth token. Config commands unlock on their own when they need to.
+    if (group !== 'config') {
+      await CredentialStorage.unlock();
+      if (actionCommand.name() !== 'login') {
+        await AuthManager.refreshOAuthToken();
+      }
+    }
+  });
+
   // Handle unknown commands
   program.on('command:*', () => {
     Logger.error(`Unknown command: ${program.args.join(' ')}`);
     Logger.info('Run `flowman-cli --help` to see available commands');
-    process.exit(1);
+    process.exit(ExitCodes.USAGE);
   });
 
-  program.parse();
+  try {
+    await program.parseAsync();
+  } catch (error) {
+    if (!(error instanceof CliError)) {
+      throw error;
+    }
+    Logger.error(error.message);
+    process.exitCode = error.exitCode;
+  }
 
   // Show help if no command is provided
   if (!process.argv.slice(2).length) {
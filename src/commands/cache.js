@@ -0,0 +1,19 @@
+import Logger from '../utils/logger.js';
+import ResponseCache from '../lib/response-cache.js';
+
+export const run = [
+  {
+    name: 'clear',
+    run: async () => {
+      const removed = ResponseCache.clear();
+      if (removed === 0) {
+        Logger.info('The response cache is empty');
+        return;
+      }
+      Logger.success(`Removed ${removed} cached ${removed === 1 ? 'response' : 'responses'}`);
+    },
+    help: 'Remove the cached Postman API responses'
+  },
+];
+
+export const help = 'Manage the cache of Postman API responses';
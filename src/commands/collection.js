@@ -1,24 +1,558 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
 import AuthManager from '../lib/auth-manager.js';
-import { spinner, note } from '@clack/prompts';
+import { select, text, spinner, note, isCancel } from '@clack/prompts';
 import PostmanClient from '../lib/postman-client.js';
 import CredentialStorage from '../lib/credential-storage.js';
+import CollectionLoader from '../lib/collection-loader.js';
+import CollectionSerializer from '../lib/collection-serializer.js';
+import SyncManager from '../lib/sync-manager.js';
+import EnvironmentManager from '../lib/environment-manager.js';
+import SnippetGenerator from '../lib/snippet-generator.js';
+import CollectionRunner from '../lib/collection-runner.js';
+import HarReader from '../lib/har-reader.js';
+import CurlParser from '../lib/curl-parser.js';
+import CaptureConverter from '../lib/capture-converter.js';
+import Logger from '../utils/logger.js';
+import FileNaming from '../utils/file-naming.js';
+import FuzzyMatch from '../utils/fuzzy-match.js';
+import Interaction from '../utils/interaction.js';
+import StdinReader from '../utils/stdin-reader.js';
+import Output from '../utils/output.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+const MERGE_STRATEGIES = {
+  keep: 'updateSourceWithDestination',
+  delete: 'deleteSource'
+};
+
+/**
+ * Get the collections of the current workspace
+ * @param {string} apiKey - Postman API key
+ * @param {Object} options - Options passed to PostmanClient.getCollections
+ * @returns {Promise<Array<Object>>} Collection summaries
+ */
+async function listCollections(apiKey, options = {}) {
+    const s = spinner();
+    s.start('Getting collections...');
+    try {
+        const collections = await PostmanClient.getCollections(apiKey, CredentialStorage.getCurrentWorkspaceId(), options);
+        s.stop('Fetched collections');
+        return collections;
+    } catch (error) {
+        s.stop('Failed to get collections');
+        throw error;
+    }
+}
+
+/**
+ * Find a collection of the current workspace by ID, UID or a loosely typed name. Several
+ * matches, or no reference at all, open a picker.
+ * @param {string} apiKey - Postman API key
+ * @param {string} reference - Collection ID, UID or name (optional)
+ * @param {string} message - Picker message
+ * @returns {Promise<Object|null>} Collection summary, null if the picker was cancelled
+ * @throws {CliError} If nothing matches, or a choice is needed without a terminal
+ */
+async function resolveCollection(apiKey, reference, message = 'Select a collection:') {
+    if (!reference && !Interaction.isInteractive()) {
+        Interaction.requireInput('No collection given. Pass a collection ID or name');
+    }
+
+    let collections = await listCollections(apiKey);
+    let candidates = collections;
+    if (reference) {
+        const findById = () => collections.find(collection => collection.id === reference || collection.uid === reference);
+        let byId = findById();
+        if (!byId && FuzzyMatch.best(reference, collections, collection => collection.name).length === 0) {
+            // The cached list may predate a collection created since
+            collections = await listCollections(apiKey, { revalidate: true });
+            byId = findById();
+        }
+        if (byId) {
+            return byId;
+        }
+
+        candidates = FuzzyMatch.best(reference, collections, collection => collection.name);
+        if (candidates.length === 0) {
+            throw new CliError(`No collection matches "${reference}". Run "flowman-cli collection ls" to list collections`, ExitCodes.NOT_FOUND);
+        }
+        if (candidates.length === 1) {
+            if (candidates[0].name !== reference) {
+                Logger.info(`Using collection ${candidates[0].name}`);
+            }
+            return candidates[0];
+        }
+        if (!Interaction.isInteractive()) {
+            throw new CliError(
+                `"${reference}" matches several collections, use an ID instead:\n` +
+                candidates.map(collection => `  ${collection.name} (${collection.id})`).join('\n'),
+                ExitCodes.USAGE
+            );
+        }
+    }
+
+    if (candidates.length === 0) {
+        throw new CliError('There are no collections in this workspace', ExitCodes.NOT_FOUND);
+    }
+    const selectedId = await select({
+        message,
+        options: candidates.map(collection => ({ value: collection.id, label: collection.name, hint: collection.id }))
+    });
+    if (isCancel(selectedId)) {
+        return null;
+    }
+    return candidates.find(collection => collection.id === selectedId);
+}
+
+/**
+ * Read a collection file or directory to import
+ * @param {string} file - Postman v2.1 JSON file or exploded collection directory
+ * @returns {Promise<Object>} Collection
+ * @throws {CliError} If the file is missing or not a v2.1 collection
+ */
+async function readCollectionFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new CliError(`File not found: ${file}`, ExitCodes.USAGE);
+    }
+
+    const collection = await CollectionLoader.loadCollection(file);
+    if (!collection?.info || !Array.isArray(collection.item)) {
+        throw new CliError(`${file} is not a Postman collection`, ExitCodes.USAGE);
+    }
+    if (collection.info.schema && !collection.info.schema.includes('v2.1')) {
+        throw new CliError(`${file} is not a Postman v2.1 collection. Export it again in the v2.1 format`, ExitCodes.USAGE);
+    }
+    return collection;
+}
+
+/**
+ * Read the requests of a HAR file or curl commands
+ * @param {Object} options - Command options with har or curl
+ * @returns {Promise<Object>} { requests, name } with captured requests and a collection name
+ * @throws {CliError} If the input can't be parsed or holds no request
+ */
+async function readCapture(options) {
+    let requests;
+    let name;
+    try {
+        if (options.har) {
+            requests = HarReader.listRequests(HarReader.load(options.har), { all: options.includeAssets });
+            name = path.basename(options.har).replace(/\.har$/i, '');
+        } else if (options.curl === '-') {
+            requests = CurlParser.parseAll(await StdinReader.read());
+            name = 'curl import';
+        } else if (fs.existsSync(options.curl)) {
+            requests = CurlParser.parseAll(fs.readFileSync(options.curl, 'utf8'));
+            name = path.basename(options.curl).replace(/\.[^.]+$/, '');
+        } else {
+            requests = CurlParser.parseAll(options.curl);
+            name = 'curl import';
+        }
+    } catch (error) {
+        throw new CliError(error.message, ExitCodes.USAGE);
+    }
+
+    if (requests.length === 0) {
+        throw new CliError(options.har ? `${options.har} has no API requests` : 'No curl command found', ExitCodes.USAGE);
+    }
+    return { requests, name };
+}
+
+/**
+ * Get the URL of a request item for display
+ * @param {Object} request - Request of an item
+ * @returns {string} Raw URL
+ */
+function requestUrl(request) {
+    const url = request?.url;
+    return typeof url === 'string' ? url : (url?.raw || '');
+}
+
+/**
+ * Build the folder and request tree of a collection
+ * @param {Array<Object>} items - Collection or folder items
+ * @returns {Array<Object>} Nodes: { type: 'folder', name, items } or { type: 'request', name, method, url }
+ */
+function buildTree(items = []) {
+    return items.map(item => CollectionSerializer.isFolder(item)
+        ? { type: 'folder', name: item.name, items: buildTree(item.item) }
+        : { type: 'request', name: item.name, method: item.request?.method || 'GET', url: requestUrl(item.request) });
+}
+
+/**
+ * Render a tree for a terminal
+ * @param {Array<Object>} nodes - Nodes from buildTree()
+ * @param {string} indent - Prefix of the nested lines
+ * @returns {Array<string>} Lines
+ */
+function formatTree(nodes, indent = '') {
+    return nodes.flatMap((node, index) => {
+        const last = index === nodes.length - 1;
+        const branch = chalk.gray(`${indent}${last ? '└─' : '├─'} `);
+        if (node.type === 'folder') {
+            return [
+                `${branch}${chalk.bold(node.name)}/`,
+                ...formatTree(node.items, `${indent}${last ? '   ' : '│  '}`)
+            ];
+        }
+        return [`${branch}${chalk.cyan(node.method.padEnd(6))} ${node.name} ${chalk.gray(node.url)}`];
+    });
+}
+
+/**
+ * List the requests of a tree with their folder path, for the plain format
+ * @param {Array<Object>} nodes - Nodes from buildTree()
+ * @param {Array<string>} parents - Names of the enclosing folders
+ * @returns {Array<Object>} Rows with method, path and url
+ */
+function flattenTree(nodes, parents = []) {
+    return nodes.flatMap(node => node.type === 'folder'
+        ? flattenTree(node.items, [...parents, node.name])
+        : [{ method: node.method, path: [...parents, node.name].join('/'), url: node.url }]);
+}
+
+/**
+ * Remove the IDs of a collection and its items, so Postman assigns new ones on import
+ * @param {Object} collection - Postman v2.1 collection
+ * @returns {Object} Collection without IDs
+ */
+function withoutIds(collection) {
+    const stripItems = (items = []) => items.map(({ id, uid, ...item }) => (
+        Array.isArray(item.item) ? { ...item, item: stripItems(item.item) } : item
+    ));
+    const { _postman_id: postmanId, uid, id, ...info } = collection.info;
+    return { ...collection, info, item: stripItems(collection.item) };
+}
 
 export const run = [
   {
     name: 'ls',
     run: async () => {
-        const s = spinner();
-        s.start('Getting collections...');
-        const apiKey = AuthManager.getApiKey();
-        if (!apiKey) {
-            s.stop('No API key found');
-        }
-        const collections = await PostmanClient.getCollections(apiKey, CredentialStorage.getCurrentWorkspaceId());
-        note(collections.map(collection => `- ${collection.name} (ID: ${collection.id})`).join('\n'), 'Available Collections');
-        s.stop('Fetched collections');
+        const apiKey = AuthManager.requireApiKey();
+        const collections = await listCollections(apiKey);
+        Output.print(collections, {
+            columns: ['id', 'name', 'updatedAt'],
+            table: () => note(collections.map(collection => `- ${collection.name} (ID: ${collection.id})`).join('\n'), 'Available Collections')
+        });
+    },
+    help: 'List the collections of the current workspace'
+  },
+  {
+    name: 'show',
+    arguments: '[collection]',
+    run: async (reference) => {
+        const apiKey = AuthManager.requireApiKey();
+        const summary = await resolveCollection(apiKey, reference);
+        if (!summary) {
+            return;
+        }
+
+        const collection = await PostmanClient.getCollection(apiKey, summary.uid || summary.id);
+        const tree = buildTree(collection.item);
+        Output.print({ id: summary.id, name: summary.name, items: tree }, {
+            plain: () => flattenTree(tree),
+            columns: ['method', 'path', 'url'],
+            table: () => note(tree.length ? formatTree(tree).join('\n') : chalk.gray('No requests'), summary.name)
+        });
+    },
+    help: 'Show the folders and requests of a collection, by ID or name'
+  },
+  {
+    name: 'export',
+    arguments: '[collection]',
+    options: [
+      { flags: '-o, --out <file>', description: 'File to write (default: <name>.postman_collection.json)' }
+    ],
+    run: async (reference, options) => {
+        const apiKey = AuthManager.requireApiKey();
+        const summary = await resolveCollection(apiKey, reference);
+        if (!summary) {
+            return;
+        }
+
+        const collection = SyncManager.cleanCollection(await PostmanClient.getCollection(apiKey, summary.uid || summary.id));
+        const file = options.out || `${FileNaming.slugify(summary.name)}.postman_collection.json`;
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(collection, null, 2)}\n`, 'utf8');
+
+        Output.print({ id: summary.id, name: summary.name, file }, {
+            table: () => Logger.success(`Exported ${summary.name} to ${file}`)
+        });
+    },
+    help: 'Export a collection as a Postman v2.1 JSON file'
+  },
+  {
+    name: 'import',
+    arguments: '[file]',
+    options: [
+      { flags: '--har <file>', description: 'Import the API calls of a HAR file saved from browser devtools' },
+      { flags: '--include-assets', description: 'With --har, also import pages, scripts, images and other static files' },
+      { flags: '--curl <command>', description: 'Import a curl command, or a file with one curl command per line (- reads stdin)' },
+      { flags: '--name <name>', description: 'Collection name (default: name of the file)' },
+      { flags: '--out [dir]', description: 'Write the collection in the synced format instead of creating it in Postman (default: the synced repository)' },
+      { flags: '--into <collection>', description: 'Add the requests to an existing collection, in a folder' },
+      { flags: '--replace <collection>', description: 'Replace the content of an existing collection instead of creating one' }
+    ],
+    run: async (file, options) => {
+        const sources = [file, options.har, options.curl].filter(Boolean);
+        if (sources.length !== 1) {
+            throw new CliError('Pass one collection file, --har <file> or --curl <command>', ExitCodes.USAGE);
+        }
+        if ([options.out, options.into, options.replace].filter(Boolean).length > 1) {
+            throw new CliError('--out, --into and --replace can\'t be combined', ExitCodes.USAGE);
+        }
+
+        const capture = file ? null : await readCapture(options);
+        const collection = file
+            ? await readCollectionFile(file)
+            : CaptureConverter.toCollection(capture.requests, { name: capture.name });
+        if (options.name) {
+            collection.info.name = options.name;
+        }
+        const source = file || options.har || 'curl command';
+        const requests = [...CollectionRunner.walk(collection.item)].length;
+        let credentials = CaptureConverter.listCredentials(collection);
+
+        let result;
+        if (options.out) {
+            const repoPath = CredentialStorage.getGitRepoPath();
+            const slug = FileNaming.slugify(collection.info.name);
+            const dir = options.out === true
+                ? (repoPath ? path.join(repoPath, SyncManager.COLLECTIONS_DIR, slug) : slug)
+                : options.out;
+            // Writing replaces the whole directory, which must hold nothing but a collection
+            if (fs.existsSync(dir) && !CollectionSerializer.isCollectionDir(dir) &&
+                (!fs.statSync(dir).isDirectory() || fs.readdirSync(dir).length > 0)) {
+                throw new CliError(`${dir} is not empty and holds no collection. Pass a new or empty directory`, ExitCodes.USAGE);
+            }
+            if (CollectionSerializer.isCollectionDir(dir)) {
+                const shouldReplace = await Interaction.confirm({ message: `Replace the collection in ${dir}?` });
+                if (!shouldReplace) {
+                    Logger.info('Import cancelled');
+                    return;
+                }
+            }
+            CollectionSerializer.write(path.resolve(dir), collection);
+            result = { name: collection.info.name, requests, dir, action: 'written', credentials };
+        } else if (options.into) {
+            const apiKey = AuthManager.requireApiKey();
+            const target = await resolveCollection(apiKey, options.into);
+            if (!target) {
+                return;
+            }
+            const existing = await PostmanClient.getCollection(apiKey, target.uid || target.id);
+            const { _postman_id: postmanId, ...info } = existing.info;
+            const keys = new Set((existing.variable || []).map(variable => variable.key));
+
+            // Captured values that clash with variables of the target get their own names
+            const added = capture
+                ? CaptureConverter.toCollection(capture.requests, { name: collection.info.name, variables: existing.variable })
+                : collection;
+            credentials = CaptureConverter.listCredentials(added);
+            await PostmanClient.updateCollection(apiKey, target.uid || target.id, {
+                ...existing,
+                info,
+                item: [...existing.item, { name: added.info.name, item: added.item, auth: added.auth }],
+                variable: [...(existing.variable || []), ...(added.variable || []).filter(variable => !keys.has(variable.key))]
+            });
+            result = { id: target.id, name: target.name, requests, folder: added.info.name, action: 'added', credentials };
+        } else if (options.replace) {
+            const apiKey = AuthManager.requireApiKey();
+            const target = await resolveCollection(apiKey, options.replace);
+            if (!target) {
+                return;
+            }
+            const shouldReplace = await Interaction.confirm({
+                message: `Replace the content of ${target.name} with ${source}?`
+            });
+            if (!shouldReplace) {
+                Logger.info('Import cancelled');
+                return;
+            }
+            const { _postman_id: postmanId, ...info } = collection.info;
+            await PostmanClient.updateCollection(apiKey, target.uid || target.id, { ...collection, info });
+            result = { id: target.id, name: collection.info.name, requests, action: 'replaced', credentials };
+        } else {
+            const apiKey = AuthManager.requireApiKey();
+            const created = await PostmanClient.createCollection(apiKey, withoutIds(collection), CredentialStorage.getCurrentWorkspaceId());
+            result = { id: created.id, name: collection.info.name, requests, action: 'created', credentials };
+        }
+
+        Output.print(result, {
+            table: () => {
+                if (result.action === 'written') {
+                    Logger.success(`Wrote ${result.name} (${requests} requests) to ${result.dir}`);
+                } else if (result.action === 'added') {
+                    Logger.success(`Added ${requests} requests to ${result.name} in folder ${result.folder}`);
+                } else {
+                    Logger.success(`Imported ${result.name} (ID: ${result.id})`);
+                }
+                if (credentials.length) {
+                    Logger.warn(`Captured credentials were replaced by variables, set ${credentials.join(', ')} in an environment`);
+                }
+            }
+        });
+    },
+    help: 'Import a Postman v2.1 JSON file, exploded collection directory, HAR file or curl commands'
+  },
+  {
+    name: 'fork',
+    arguments: '[collection]',
+    options: [
+      { flags: '--label <label>', description: 'Fork label' },
+      { flags: '--workspace <id>', description: 'Workspace that receives the fork (default: current workspace)' }
+    ],
+    run: async (reference, options) => {
+        const apiKey = AuthManager.requireApiKey();
+        const workspaceId = options.workspace || CredentialStorage.getCurrentWorkspaceId();
+        if (!workspaceId) {
+            throw new CliError('No workspace selected. Run "flowman-cli workspace switch" or pass --workspace', ExitCodes.USAGE);
+        }
+
+        const summary = await resolveCollection(apiKey, reference, 'Select the collection to fork:');
+        if (!summary) {
+            return;
+        }
+
+        let label = options.label;
+        if (!label) {
+            if (!Interaction.isInteractive()) {
+                Interaction.requireInput('No fork label given. Pass --label <label>');
+            }
+            label = await text({
+                message: 'Fork label:',
+                validate: (value) => value ? undefined : 'Label is required'
+            });
+            if (isCancel(label)) {
+                return;
+            }
+        }
+
+        const fork = await PostmanClient.forkCollection(apiKey, summary.uid || summary.id, workspaceId, label);
+        Output.print({ id: fork.id, uid: fork.uid, name: fork.name, label, from: summary.uid || summary.id }, {
+            table: () => note(`${fork.name} (ID: ${fork.id})\nMerge it back with: flowman-cli collection merge ${fork.id}`, `Forked ${summary.name} as ${label}`)
+        });
+    },
+    help: 'Fork a collection, by ID or name'
+  },
+  {
+    name: 'merge',
+    arguments: '[fork] [destination]',
+    options: [
+      { flags: '--delete-fork', description: 'Delete the fork after merging it' }
+    ],
+    run: async (forkReference, destinationReference, options) => {
+        const apiKey = AuthManager.requireApiKey();
+        const fork = await resolveCollection(apiKey, forkReference, 'Select the fork to merge:');
+        if (!fork) {
+            return;
+        }
+
+        let destination = null;
+        if (fork.fork?.from) {
+            // The parent may live in another workspace, where it can only be shown by UID
+            const collections = await PostmanClient.getCollections(apiKey, CredentialStorage.getCurrentWorkspaceId());
+            destination = collections.find(collection => collection.uid === fork.fork.from) || { uid: fork.fork.from, name: fork.fork.from };
+        }
+        if (destinationReference) {
+            destination = await resolveCollection(apiKey, destinationReference, 'Select the collection to merge into:');
+        } else if (!destination) {
+            throw new CliError(`${fork.name} is not a fork. Pass the collection to merge it into`, ExitCodes.USAGE);
+        }
+        if (!destination) {
+            return;
+        }
+
+        const shouldMerge = await Interaction.confirm({
+            message: `Merge ${fork.name} into ${destination.name}${options.deleteFork ? ' and delete the fork' : ''}?`
+        });
+        if (!shouldMerge) {
+            Logger.info('Merge cancelled');
+            return;
+        }
+
+        const strategy = options.deleteFork ? MERGE_STRATEGIES.delete : MERGE_STRATEGIES.keep;
+        const merged = await PostmanClient.mergeCollection(apiKey, fork.uid || fork.id, destination.uid || destination.id, strategy);
+        Output.print({ id: merged?.id || null, source: fork.uid || fork.id, destination: destination.uid || destination.id, strategy }, {
+            table: () => Logger.success(`Merged ${fork.name} into ${destination.name}`)
+        });
+    },
+    help: 'Merge a fork into its parent collection, or into the given collection'
+  },
+  {
+    name: 'codegen',
+    arguments: '[collection]',
+    options: [
+      { flags: '--item <path>', description: 'Request or folder to generate, e.g. "Users/Get user" (default: all requests)' },
+      { flags: '--lang <language>', description: `Language: ${[...SnippetGenerator.languages.keys()].join(', ')}`, defaultValue: 'curl' },
+      { flags: '-e, --environment <environment>', description: 'Environment to resolve variables with (default: active environment)' },
+      { flags: '--reveal', description: 'Print the values of secret variables instead of placeholders' },
+      { flags: '--out <dir>', description: 'Write one file per request to a directory' }
+    ],
+    run: async (reference, options) => {
+        let snippet;
+        try {
+            snippet = SnippetGenerator.get(options.lang);
+        } catch (error) {
+            throw new CliError(error.message, ExitCodes.USAGE);
+        }
+
+        const apiKey = AuthManager.requireApiKey();
+        const workspaceId = CredentialStorage.getCurrentWorkspaceId();
+        const summary = await resolveCollection(apiKey, reference);
+        if (!summary) {
+            return;
+        }
+
+        const collection = await PostmanClient.getCollection(apiKey, summary.uid || summary.id);
+        const environmentRef = options.environment || EnvironmentManager.getActive(workspaceId)?.id;
+        const environment = environmentRef
+            ? await CollectionLoader.loadEnvironment(environmentRef, { apiKey, workspaceId })
+            : null;
+        const globals = await CollectionLoader.loadGlobals({ apiKey, workspaceId });
+
+        let requests;
+        try {
+            requests = SnippetGenerator.buildRequests(collection, { environment, globals, item: options.item, reveal: options.reveal });
+        } catch (error) {
+            throw new CliError(error.message, ExitCodes.NOT_FOUND);
+        }
+        const snippets = requests.map(({ path: itemPath, request }) => ({
+            path: itemPath,
+            language: options.lang,
+            snippet: snippet.render(request)
+        }));
+
+        if (options.out) {
+            fs.mkdirSync(options.out, { recursive: true });
+            for (const entry of snippets) {
+                entry.file = path.join(options.out, `${FileNaming.slugify(entry.path.replace(/\//g, ' '))}.${snippet.EXTENSION}`);
+                fs.writeFileSync(entry.file, entry.snippet, 'utf8');
+            }
+            Output.print(snippets.map(({ path: itemPath, file }) => ({ path: itemPath, file })), {
+                columns: ['path', 'file'],
+                table: () => Logger.success(`Wrote ${snippets.length} ${options.lang} snippet(s) to ${options.out}`)
+            });
+            return;
+        }
+
+        Output.print(snippets, {
+            plain: () => snippets.map(entry => entry.snippet).join('\n'),
+            table: () => {
+                if (environment) {
+                    Logger.info(`Using environment ${environment.name}`);
+                }
+                for (const entry of snippets) {
+                    Logger.log(`${chalk.gray(`# ${entry.path}`)}\n${entry.snippet}`);
+                }
+            }
+        });
     },
-    help: 'List all available workspaces'
+    help: 'Print code snippets (curl, httpie, js-fetch, python-requests) for the requests of a collection; scripts are not run'
   },
 ];
 
-export const help = 'Manage Postman workspaces';
\ No newline at end of file
+export const help = 'Manage Postman collections';
@@ -0,0 +1,207 @@
+import { intro, outro, note } from '@clack/prompts';
+import chalk from 'chalk';
+import CredentialStorage from '../lib/credential-storage.js';
+import CredentialAgent from '../lib/credential-agent.js';
+import AuthManager from '../lib/auth-manager.js';
+import ApiSettings from '../lib/api-settings.js';
+import ProfileManager from '../lib/profile-manager.js';
+import ConfigStore from '../utils/config-store.js';
+import Logger from '../utils/logger.js';
+import Output from '../utils/output.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Switch the credential backend
+ * @param {string} name - Backend name
+ */
+async function setCredentialBackend(name) {
+  const switched = await CredentialStorage.switchBackend(name);
+  if (!switched) {
+    outro(chalk.gray(`Already using the ${name} credential backend`));
+    return;
+  }
+
+  note(
+    `${CredentialStorage.backends.get(name).DESCRIPTION}\n` +
+    chalk.gray('Environment variables such as POSTMAN_API_KEY still take precedence, e.g. in CI'),
+    `Credential backend: ${name}`
+  );
+  outro(chalk.green('✅ Stored credentials moved'));
+}
+
+/**
+ * Store a Postman API network setting in the active profile
+ * @param {string} name - Setting name from ApiSettings.SETTINGS
+ * @param {string} value - Value
+ */
+async function setApiSetting(name, value) {
+  const { key, env } = ApiSettings.SETTINGS[name];
+  const stored = ApiSettings.validate(name, value);
+  const profile = ProfileManager.getActiveName();
+  if (!ProfileManager.setSetting(profile, key, stored)) {
+    throw new Error(`Unable to write ${ConfigStore.getConfigPath()}`);
+  }
+
+  const override = env.find(variable => process.env[variable]);
+  if (override) {
+    Logger.warn(`${override} is set and takes precedence in this shell`);
+  }
+  outro(chalk.green(`✅ ${name} set to ${stored} for profile ${profile}`));
+}
+
+// Settings that can be changed with `config set`
+const SETTINGS = {
+  'credential-backend': setCredentialBackend,
+  ...Object.fromEntries(Object.keys(ApiSettings.SETTINGS).map(name => [name, (value) => setApiSetting(name, value)]))
+};
+
+/**
+ * List setting names for help texts, with the per-endpoint cache times as one entry
+ * @param {Array<string>} names - Setting names
+ * @returns {string} Comma separated names
+ */
+function summarizeSettings(names) {
+  const settings = names.filter(name => !name.startsWith(ApiSettings.CACHE_TTL_PREFIX));
+  return [...settings, `${ApiSettings.CACHE_TTL_PREFIX}<endpoint>`].join(', ');
+}
+
+export const run = [
+  {
+    name: 'show',
+    isDefault: true,
+    run: async () => {
+      intro(chalk.blue('⚙️  Configuration'));
+
+      await CredentialStorage.unlock();
+      const profile = CredentialStorage.getProfile();
+      const { apiKey, workspaceId, gitRepoPath } = CredentialStorage.getProfileCredentials(profile);
+      const api = ApiSettings.resolve(profile);
+      const config = {
+        configPath: ConfigStore.getConfigPath(),
+        credentialBackend: CredentialStorage.getBackendName(),
+        profile,
+        apiKey: apiKey ? AuthManager.maskApiKey(apiKey) : null,
+        workspaceId: workspaceId || null,
+        gitRepoPath: gitRepoPath || null,
+        api: {
+          url: api.apiUrl,
+          proxy: ApiSettings.getProxy(api.apiUrl, api),
+          noProxy: api.noProxy || null,
+          caFile: api.caFile,
+          timeout: api.timeout,
+          cacheTtls: Object.fromEntries(Object.entries(api.cacheTtls).map(([endpoint, ttl]) => [endpoint, ttl / 1000]))
+        }
+      };
+
+      Output.print(config, {
+        table: () => {
+          const lines = [
+            `${chalk.cyan('credential-backend')}: ${config.credentialBackend}`,
+            `${chalk.cyan('profile')}: ${config.profile}`,
+            `${chalk.cyan('apiKey')}: ${config.apiKey || chalk.gray('not set')}`,
+            `${chalk.cyan('workspaceId')}: ${config.workspaceId || chalk.gray('not set')}`,
+            `${chalk.cyan('gitRepoPath')}: ${config.gitRepoPath || chalk.gray('not set')}`,
+            `${chalk.cyan('api-url')}: ${config.api.url}`,
+            `${chalk.cyan('proxy')}: ${config.api.proxy || chalk.gray('none')}`,
+            `${chalk.cyan('no-proxy')}: ${config.api.noProxy || chalk.gray('not set')}`,
+            `${chalk.cyan('ca-file')}: ${config.api.caFile || chalk.gray('not set')}`,
+            `${chalk.cyan('timeout')}: ${config.api.timeout}ms`,
+            `${chalk.cyan('cache-ttl')}: ${Object.entries(config.api.cacheTtls).map(([endpoint, ttl]) => `${endpoint} ${ttl}s`).join(', ')}`
+          ];
+
+          note(lines.join('\n'), config.configPath);
+          outro(chalk.gray('Environment variables override stored values'));
+        }
+      });
+    },
+    help: 'Show the stored configuration'
+  },
+  {
+    name: 'set',
+    arguments: '<key> <value>',
+    run: async (key, value) => {
+      intro(chalk.blue('⚙️  Configuration'));
+
+      const setting = SETTINGS[key];
+      if (!setting) {
+        Logger.error(`Unknown setting "${key}". Available settings: ${Object.keys(SETTINGS).join(', ')}`);
+        outro(chalk.red('❌ Nothing changed'));
+        process.exitCode = ExitCodes.USAGE;
+        return;
+      }
+
+      try {
+        await setting(value);
+      } catch (error) {
+        Logger.error(error.message);
+        outro(chalk.red('❌ Nothing changed'));
+        process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+      }
+    },
+    help: `Change a setting (${summarizeSettings(Object.keys(SETTINGS))})`
+  },
+  {
+    name: 'unset',
+    arguments: '<key>',
+    run: async (name) => {
+      const setting = ApiSettings.SETTINGS[name];
+      if (!setting) {
+        Logger.error(`Unknown setting "${name}". Settings that can be unset: ${Object.keys(ApiSettings.SETTINGS).join(', ')}`);
+        process.exitCode = ExitCodes.USAGE;
+        return;
+      }
+
+      const profile = ProfileManager.getActiveName();
+      if (ProfileManager.unsetSetting(profile, setting.key)) {
+        Logger.success(`${name} removed from profile ${profile}`);
+      } else {
+        Logger.info(`${name} is not set for profile ${profile}`);
+      }
+    },
+    help: `Restore the default of a setting (${summarizeSettings(Object.keys(ApiSettings.SETTINGS))})`
+  },
+  {
+    name: 'lock',
+    run: async () => {
+      const stopped = await CredentialAgent.stop();
+      if (stopped) {
+        Logger.success('Credential vault locked');
+      } else {
+        Logger.info('The credential vault is not unlocked');
+      }
+    },
+    help: 'Forget the unlocked credential vault key until the passphrase is entered again'
+  },
+  {
+    name: 'migrate',
+    run: async () => {
+      intro(chalk.blue('📦 Migrate Credentials'));
+
+      try {
+        await CredentialStorage.unlock();
+        const { migrated, files } = CredentialStorage.migrateFromShellConfig();
+
+        if (migrated.length === 0) {
+          note('No flowman-cli exports found in your shell config files.', 'Nothing to migrate');
+          outro(chalk.gray('Nothing to do'));
+          return;
+        }
+
+        note(
+          `Moved ${migrated.join(', ')} to ${ConfigStore.getConfigPath()}\n` +
+          `Removed the export lines from:\n${files.map(file => `  ${file} ${chalk.gray(`(backup: ${file}.flowman.bak)`)}`).join('\n')}\n\n` +
+          chalk.yellow(`Open a new shell or run "unset ${migrated.join(' ')}" so running shells stop exporting them.`),
+          'Migrated'
+        );
+        outro(chalk.green('✅ Credentials migrated'));
+      } catch (error) {
+        Logger.error('Migration failed:', error.message);
+        outro(chalk.red('❌ Migration failed'));
+        process.exitCode = ExitCodes.FAILURE;
+      }
+    },
+    help: 'Move credentials saved by older versions from shell config files to the config store'
+  }
+];
+
+export const help = 'Manage flowman-cli configuration';
@@ -0,0 +1,263 @@
+import { select, text, password, spinner, note, isCancel } from '@clack/prompts';
+import chalk from 'chalk';
+import AuthManager from '../lib/auth-manager.js';
+import PostmanClient from '../lib/postman-client.js';
+import CredentialStorage from '../lib/credential-storage.js';
+import EnvironmentManager from '../lib/environment-manager.js';
+import Logger from '../utils/logger.js';
+import Interaction from '../utils/interaction.js';
+import Output from '../utils/output.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+const DIFF_MARKERS = {
+  added: chalk.green('+'),
+  removed: chalk.red('-'),
+  changed: chalk.yellow('~'),
+  same: ' '
+};
+
+/**
+ * Get the environments of the current workspace
+ * @param {string} apiKey - Postman API key
+ * @returns {Promise<Array<Object>>} Environment summaries
+ */
+async function listEnvironments(apiKey) {
+  const s = spinner();
+  s.start('Getting environments...');
+  try {
+    const environments = await PostmanClient.getEnvironments(apiKey, CredentialStorage.getCurrentWorkspaceId());
+    s.stop('Fetched environments');
+    return environments;
+  } catch (error) {
+    s.stop('Failed to get environments');
+    throw error;
+  }
+}
+
+/**
+ * Find an environment of the current workspace, fetching the list again when the cached one has no match
+ * @param {string} apiKey - Postman API key
+ * @param {Array<Object>} environments - Environment summaries, possibly from the cache
+ * @param {string} reference - Environment ID, UID or name
+ * @returns {Promise<Object>} Environment summary
+ * @throws {CliError} If no environment or several match
+ */
+async function findEnvironment(apiKey, environments, reference) {
+  try {
+    return EnvironmentManager.find(environments, reference);
+  } catch (error) {
+    if (!(error instanceof CliError) || error.exitCode !== ExitCodes.NOT_FOUND) {
+      throw error;
+    }
+    const current = await PostmanClient.getEnvironments(apiKey, CredentialStorage.getCurrentWorkspaceId(), { revalidate: true });
+    return EnvironmentManager.find(current, reference);
+  }
+}
+
+/**
+ * Get an environment with its values, by ID or name, or the active one when no reference is given
+ * @param {string} apiKey - Postman API key
+ * @param {string} reference - Environment ID or name (optional)
+ * @returns {Promise<Object>} { summary, environment }
+ * @throws {CliError} If no reference is given and no environment is active
+ */
+async function loadEnvironment(apiKey, reference) {
+  const workspaceId = CredentialStorage.getCurrentWorkspaceId();
+  const ref = reference || EnvironmentManager.getActive(workspaceId)?.id;
+  if (!ref) {
+    throw new CliError('No environment given and none selected. Use flowman-cli env use <id|name> or pass an environment', ExitCodes.USAGE);
+  }
+
+  const summary = await findEnvironment(apiKey, await PostmanClient.getEnvironments(apiKey, workspaceId), ref);
+  const environment = await PostmanClient.getEnvironment(apiKey, summary.uid || summary.id);
+  return { summary, environment };
+}
+
+/**
+ * Render environment variables for a terminal
+ * @param {Array<Object>} rows - Rows from EnvironmentManager.toRows()
+ * @returns {string} One line per variable
+ */
+function formatVariables(rows) {
+  if (rows.length === 0) {
+    return chalk.gray('No variables');
+  }
+
+  const width = Math.max(...rows.map(row => row.key.length));
+  return rows.map(row => {
+    const line = `${row.key.padEnd(width)}  ${row.value}${row.type === 'secret' ? chalk.gray(' (secret)') : ''}`;
+    return row.enabled ? line : chalk.gray(`${line} (disabled)`);
+  }).join('\n');
+}
+
+export const run = [
+  {
+    name: 'ls',
+    run: async () => {
+      const apiKey = AuthManager.requireApiKey();
+      const environments = await listEnvironments(apiKey);
+      const active = EnvironmentManager.getActive(CredentialStorage.getCurrentWorkspaceId());
+      const rows = environments.map(env => ({ id: env.id, name: env.name, active: env.id === active?.id, updatedAt: env.updatedAt || null }));
+
+      Output.print(rows, {
+        columns: ['id', 'name', 'active'],
+        table: () => note(
+          rows.length
+            ? rows.map(env => `${env.active ? chalk.green('●') : ' '} ${env.name} ${chalk.gray(`(ID: ${env.id})`)}`).join('\n')
+            : chalk.gray('No environments in this workspace'),
+          'Available Environments'
+        )
+      });
+    },
+    help: 'List the environments of the current workspace'
+  },
+  {
+    name: 'show',
+    arguments: '[environment]',
+    options: [
+      { flags: '--show-secrets', description: 'Show the values of secret variables' }
+    ],
+    run: async (reference, options) => {
+      const apiKey = AuthManager.requireApiKey();
+      const { summary, environment } = await loadEnvironment(apiKey, reference);
+      const rows = EnvironmentManager.toRows(environment, options.showSecrets);
+
+      Output.print({ id: summary.id, name: environment.name, values: rows }, {
+        plain: () => rows,
+        columns: ['key', 'value', 'type', 'enabled'],
+        table: () => note(formatVariables(rows), environment.name)
+      });
+    },
+    help: 'Show the variables of an environment (default: the selected one), with secrets masked'
+  },
+  {
+    name: 'use',
+    arguments: '[environment]',
+    options: [
+      { flags: '--clear', description: 'Run without an environment unless one is passed' }
+    ],
+    run: async (reference, options) => {
+      if (options.clear) {
+        if (EnvironmentManager.clearActive()) {
+          Logger.success('Cleared the selected environment');
+        } else {
+          Logger.info('No environment is selected');
+        }
+        return;
+      }
+
+      const apiKey = AuthManager.requireApiKey();
+      if (!reference && !Interaction.isInteractive()) {
+        Interaction.requireInput('No environment given. Use flowman-cli env use <id|name>');
+      }
+
+      const workspaceId = CredentialStorage.getCurrentWorkspaceId();
+      const environments = await listEnvironments(apiKey);
+      let environment;
+      if (reference) {
+        environment = await findEnvironment(apiKey, environments, reference);
+      } else {
+        if (environments.length === 0) {
+          throw new CliError('There are no environments in this workspace', ExitCodes.NOT_FOUND);
+        }
+        const selectedId = await select({
+          message: 'Select the environment for runs:',
+          options: environments.map(env => ({ value: env.id, label: env.name })),
+          initialValue: EnvironmentManager.getActive(workspaceId)?.id
+        });
+        if (isCancel(selectedId)) {
+          return;
+        }
+        environment = environments.find(env => env.id === selectedId);
+      }
+
+      if (!EnvironmentManager.setActive(environment, workspaceId)) {
+        process.exitCode = ExitCodes.FAILURE;
+        return;
+      }
+      Output.print({ id: environment.id, name: environment.name }, {
+        table: () => note(`Runs use ${environment.name} unless --environment is given`, 'Environment Selected')
+      });
+    },
+    help: 'Select the environment used by run and workflow run, by ID or name'
+  },
+  {
+    name: 'diff',
+    arguments: '<first> <second>',
+    options: [
+      { flags: '--show-secrets', description: 'Show the values of secret variables' },
+      { flags: '--all', description: 'Also list the variables that are the same' }
+    ],
+    run: async (first, second, options) => {
+      const apiKey = AuthManager.requireApiKey();
+      const left = await loadEnvironment(apiKey, first);
+      const right = await loadEnvironment(apiKey, second);
+      const rows = EnvironmentManager.diff(left.environment, right.environment, options.showSecrets)
+        .filter(row => options.all || row.status !== 'same');
+
+      Output.print(rows, {
+        columns: ['status', 'key', 'left', 'right'],
+        table: () => {
+          if (rows.length === 0) {
+            note(chalk.gray('No differences'), `${left.environment.name} → ${right.environment.name}`);
+            return;
+          }
+          const width = Math.max(...rows.map(row => row.key.length));
+          const lines = rows.map(row => {
+            const values = {
+              added: chalk.green(row.right),
+              removed: chalk.red(row.left),
+              changed: `${chalk.red(row.left)} → ${chalk.green(row.right)}`,
+              same: chalk.gray(row.left)
+            };
+            return `${DIFF_MARKERS[row.status]} ${row.key.padEnd(width)}  ${values[row.status]}`;
+          });
+          note(lines.join('\n'), `${left.environment.name} → ${right.environment.name}`);
+        }
+      });
+    },
+    help: 'Compare the variables of two environments key by key'
+  },
+  {
+    name: 'set',
+    arguments: '<environment> <key> [value]',
+    options: [
+      { flags: '--secret', description: 'Store the variable as a secret' },
+      { flags: '--no-secret', description: 'Store the variable as a default (visible) variable' }
+    ],
+    run: async (reference, key, value, options) => {
+      const apiKey = AuthManager.requireApiKey();
+      if (value === undefined) {
+        if (!Interaction.isInteractive()) {
+          Interaction.requireInput('No value given. Use flowman-cli env set <environment> <key> <value>');
+        }
+        const prompt = options.secret ? password : text;
+        value = await prompt({ message: `Value of ${key}:` });
+        if (isCancel(value)) {
+          return;
+        }
+      }
+
+      const { summary, environment } = await loadEnvironment(apiKey, reference);
+      const updated = EnvironmentManager.setVariable(environment, key, value, options.secret);
+      await PostmanClient.updateEnvironment(apiKey, summary.uid || summary.id, updated);
+      Logger.success(`Set ${key} in ${environment.name}`);
+    },
+    help: 'Set a variable of an environment in Postman, prompting for the value when it is left out'
+  },
+  {
+    name: 'unset',
+    arguments: '<environment> <key>',
+    run: async (reference, key) => {
+      const apiKey = AuthManager.requireApiKey();
+      const { summary, environment } = await loadEnvironment(apiKey, reference);
+      const updated = EnvironmentManager.unsetVariable(environment, key);
+      await PostmanClient.updateEnvironment(apiKey, summary.uid || summary.id, updated);
+      Logger.success(`Removed ${key} from ${environment.name}`);
+    },
+    help: 'Remove a variable from an environment in Postman'
+  }
+];
+
+export const help = 'Manage Postman environments';
@@ -1,15 +1,20 @@
-import { intro, text, spinner, note } from '@clack/prompts';
+import { intro, outro, text, note, isCancel } from '@clack/prompts';
 import chalk from 'chalk';
 import CredentialStorage from '../lib/credential-storage.js';
+import Interaction from '../utils/interaction.js';
+import ExitCodes from '../utils/exit-codes.js';
 
 export const run = [
   {
     name: 'add',
     run: async (args) => {
 
-      let repoPath = null;
+      let repoPath = args;
 
-      if (!args) {
+      if (!repoPath) {
+        if (!Interaction.isInteractive()) {
+          Interaction.requireInput('No repository path given. Use flowman-cli git add <path>');
+        }
 
         intro(chalk.blue('➕ Add Git Repository'));
         repoPath = await text({
@@ -20,29 +25,23 @@ export const run = [
             return undefined;
           }
         });
-
-        const success = await CredentialStorage.storeGitRepoPath(repoPath);
-        if (success) {
-          note(`Git repository set to: ${repoPath}`, 'Git Repository Added');
-        } else {
-          outro(chalk.red('Failed to add git repository'));
+        if (isCancel(repoPath)) {
+          outro(chalk.yellow('Cancelled'));
+          return;
         }
-        return;
       }
 
-      repoPath = args;
       const success = await CredentialStorage.storeGitRepoPath(repoPath);
       if (success) {
         note(`Git repository set to: ${repoPath}`, 'Git Repository Added');
       } else {
         outro(chalk.red('Failed to add git repository'));
+        process.exitCode = ExitCodes.FAILURE;
       }
-
-
     },
     help: 'Add git repository to sync workspace collections',
     arguments: '[path]'
   },
 ];
 
-export const help = 'Manage git repository to sync workspace collections';
\ No newline at end of file
+export const help = 'Manage git repository to sync workspace collections';
@@ -1,23 +1,62 @@
-import { intro, outro, text, confirm, spinner, note } from '@clack/prompts';
+import { intro, outro, text, spinner, note, isCancel } from '@clack/prompts';
 import AuthManager from '../lib/auth-manager.js';
 import PostmanClient from '../lib/postman-client.js';
+import OAuthClient from '../lib/oauth-client.js';
 import Logger from '../utils/logger.js';
+import Interaction from '../utils/interaction.js';
+import StdinReader from '../utils/stdin-reader.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
 import chalk from 'chalk';
+import open from 'open';
+
+/**
+ * Check the format of an API key
+ * @param {string} value - API key
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateApiKeyFormat(value) {
+  if (!value) return 'API key is required';
+  if (!value.startsWith('PMAK-')) return 'API key should start with "PMAK-"';
+  if (value.length < 20) return 'API key appears to be too short';
+  return undefined;
+}
+
+/**
+ * Read an API key piped to stdin
+ * @returns {Promise<string>} API key
+ * @throws {CliError} If nothing was piped or the key is malformed
+ */
+async function readApiKeyFromStdin() {
+  let apiKey;
+  try {
+    apiKey = (await StdinReader.read()).trim();
+  } catch {
+    throw new CliError('--api-key-stdin expects the API key on stdin, e.g. echo "$KEY" | flowman-cli login --api-key-stdin', ExitCodes.INPUT_REQUIRED);
+  }
+
+  const error = validateApiKeyFormat(apiKey);
+  if (error) {
+    throw new CliError(`Invalid API key on stdin: ${error}`, ExitCodes.USAGE);
+  }
+  return apiKey;
+}
 
 /**
  * Handle API key login
+ * @param {string|null} apiKey - API key given on stdin, prompted for when null
  */
-async function handleApiKeyLogin() {
-  const apiKey = await text({
-    message: 'Enter your Postman API Key:',
-    placeholder: 'PMAK-...',
-    validate: (value) => {
-      if (!value) return 'API key is required';
-      if (!value.startsWith('PMAK-')) return 'API key should start with "PMAK-"';
-      if (value.length < 20) return 'API key appears to be too short';
-      return undefined;
+async function handleApiKeyLogin(apiKey = null) {
+  if (!apiKey) {
+    apiKey = await text({
+      message: 'Enter your Postman API Key:',
+      placeholder: 'PMAK-...',
+      validate: validateApiKeyFormat
+    });
+    if (isCancel(apiKey)) {
+      throw new Error('cancelled');
     }
-  });
+  }
 
   const s = spinner();
   s.start('Validating API key...');
@@ -28,6 +67,7 @@ async function handleApiKeyLogin() {
     if (!isValid) {
       s.stop('Invalid API key');
       outro(chalk.red('Authentication failed - Invalid API key'));
+      process.exitCode = ExitCodes.FAILURE;
       return;
     }
 
@@ -39,6 +79,7 @@ async function handleApiKeyLogin() {
     const success = await AuthManager.authenticateWithApiKey(apiKey);
     if (!success) {
       outro(chalk.red('Failed to store credentials'));
+      process.exitCode = ExitCodes.FAILURE;
       return;
     }
 
@@ -46,7 +87,8 @@ async function handleApiKeyLogin() {
     note(
       `Logged in as: ${chalk.green(userInfo?.fullName || 'Unknown User')}\n` +
       `Email: ${chalk.cyan(userInfo?.email || 'Unknown')}\n` +
-      `API Key: ${chalk.gray(AuthManager.getMaskedApiKey())}`,
+      `API Key: ${chalk.gray(AuthManager.getMaskedApiKey())}\n` +
+      `Profile: ${chalk.cyan(AuthManager.getAuthStatus().profile)}`,
       'Authentication Successful'
     );
 
@@ -56,6 +98,54 @@ async function handleApiKeyLogin() {
     s.stop('Validation failed');
     Logger.error('API key validation failed:', error.message);
     outro(chalk.red('Authentication failed'));
+    process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+  }
+}
+
+/**
+ * Handle OAuth login in the browser
+ */
+async function handleBrowserLogin() {
+  const s = spinner();
+
+  try {
+    const token = await OAuthClient.authorize({
+      onAuthorizeUrl: async (url) => {
+        note(`If the browser doesn't open, visit:\n${chalk.cyan(url)}`, 'Authorize flowman-cli');
+        try {
+          await open(url);
+        } catch (error) {
+          Logger.debug('Unable to open the browser:', error.message);
+        }
+        s.start('Waiting for authorization in the browser...');
+      }
+    });
+    s.stop('Authorization received');
+
+    const success = await AuthManager.authenticateWithOAuth(token);
+    if (!success) {
+      outro(chalk.red('Authentication failed'));
+      process.exitCode = ExitCodes.FAILURE;
+      return;
+    }
+
+    // Logged in already, the user details are only shown
+    const userInfo = await PostmanClient.getUserInfo(AuthManager.getApiKey()).catch(() => null);
+    note(
+      `Logged in as: ${chalk.green(userInfo?.fullName || 'Unknown User')}\n` +
+      `Email: ${chalk.cyan(userInfo?.email || 'Unknown')}\n` +
+      `Token expires: ${chalk.gray(token.expiresAt ? new Date(token.expiresAt).toLocaleString() : 'never')}` +
+      `${token.refreshToken ? chalk.gray(' (refreshed automatically)') : ''}\n` +
+      `Profile: ${chalk.cyan(AuthManager.getAuthStatus().profile)}`,
+      'Authentication Successful'
+    );
+
+    outro(chalk.green('✅ Successfully authenticated with Postman!'));
+  } catch (error) {
+    s.stop('Authorization failed');
+    Logger.error('Browser login failed:', error.message);
+    outro(chalk.red('Authentication failed'));
+    process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
   }
 }
 
@@ -66,9 +156,24 @@ export async function run(options) {
   intro(chalk.blue('🔐 Postman Authentication'));
 
   try {
-    // Check if already authenticated
-    if (AuthManager.isAuthenticated()) {
-      const shouldReauth = await confirm({
+    if (options.browser && options.apiKeyStdin) {
+      throw new CliError('Use either --browser or --api-key-stdin', ExitCodes.USAGE);
+    }
+    if (options.browser) {
+      // Fails before any prompt when no identity provider is configured
+      OAuthClient.getConfig();
+    }
+
+    const apiKey = options.apiKeyStdin ? await readApiKeyFromStdin() : null;
+    if (!apiKey && !Interaction.isInteractive()) {
+      Interaction.requireInput(options.browser
+        ? 'Browser login needs an interactive terminal. Use --api-key-stdin instead'
+        : 'No API key given. Pipe it with --api-key-stdin, e.g. echo "$KEY" | flowman-cli login --api-key-stdin');
+    }
+
+    // Check if already authenticated, a key given on stdin replaces the stored one right away
+    if (!apiKey && AuthManager.isAuthenticated()) {
+      const shouldReauth = await Interaction.confirm({
         message: 'You are already logged in. Do you want to re-authenticate?',
         initialValue: false
       });
@@ -79,17 +184,37 @@ export async function run(options) {
       }
     }
 
+    if (options.browser) {
+      await handleBrowserLogin();
+      return;
+    }
+
     // Proceed with API key login
-    await handleApiKeyLogin();
+    await handleApiKeyLogin(apiKey);
 
   } catch (error) {
+    if (error instanceof CliError) {
+      throw error;
+    }
     if (error.message === 'cancelled') {
       outro(chalk.yellow('Authentication cancelled'));
       return;
     }
     Logger.error('Login failed:', error.message);
     outro(chalk.red('Authentication failed'));
+    process.exitCode = ExitCodes.FAILURE;
   }
 }
 
 export const help = 'Login to your Postman account';
+
+export const options = [
+  {
+    flags: '--browser',
+    description: 'Login with OAuth in the browser instead of an API key (needs FLOWMAN_OAUTH_* settings)'
+  },
+  {
+    flags: '--api-key-stdin',
+    description: 'Read the API key from stdin instead of prompting for it'
+  }
+];
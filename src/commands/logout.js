@@ -1,6 +1,9 @@
-import { intro, outro, confirm, note } from '@clack/prompts';
+import { intro, outro, note } from '@clack/prompts';
 import AuthManager from '../lib/auth-manager.js';
 import Logger from '../utils/logger.js';
+import Interaction from '../utils/interaction.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
 import chalk from 'chalk';
 
 /**
@@ -10,21 +13,21 @@ export async function run(options) {
   intro(chalk.blue('🚪 Logout'));
 
   try {
-    if (!AuthManager.isAuthenticated()) {
-      note('You are not currently logged in.', 'Not Authenticated');
+    const authStatus = AuthManager.getAuthStatus();
+    if (!authStatus.authenticated) {
+      note(`You are not currently logged in with profile ${chalk.cyan(authStatus.profile)}.`, 'Not Authenticated');
       outro(chalk.gray('Nothing to do'));
       return;
     }
 
-    const authStatus = AuthManager.getAuthStatus();
     note(
       `Current user: ${chalk.gray(authStatus.apiKey)}\n` +
       `Workspace: ${chalk.gray(authStatus.workspaceId || 'Not set')}`,
       'Current Session'
     );
 
-    const shouldLogout = await confirm({
-      message: 'Are you sure you want to logout?',
+    const shouldLogout = await Interaction.confirm({
+      message: `Are you sure you want to logout of profile ${authStatus.profile}?`,
       initialValue: false
     });
 
@@ -38,15 +41,20 @@ export async function run(options) {
       outro(chalk.green('✅ Successfully logged out'));
     } else {
       outro(chalk.red('Failed to logout'));
+      process.exitCode = ExitCodes.FAILURE;
     }
 
   } catch (error) {
+    if (error instanceof CliError) {
+      throw error;
+    }
     if (error.message === 'cancelled') {
       outro(chalk.yellow('Logout cancelled'));
       return;
     }
     Logger.error('Logout failed:', error.message);
     outro(chalk.red('Logout failed'));
+    process.exitCode = ExitCodes.FAILURE;
   }
 }
 
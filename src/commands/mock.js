@@ -0,0 +1,145 @@
+import { note } from '@clack/prompts';
+import chalk from 'chalk';
+import AuthManager from '../lib/auth-manager.js';
+import CredentialStorage from '../lib/credential-storage.js';
+import CollectionLoader from '../lib/collection-loader.js';
+import EnvironmentManager from '../lib/environment-manager.js';
+import MockServer from '../lib/mock-server.js';
+import Logger from '../utils/logger.js';
+import Output from '../utils/output.js';
+import OptionParsers from '../utils/option-parsers.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Color a status code by its class
+ * @param {number} status - HTTP status code
+ * @returns {string} Colored status
+ */
+function formatStatus(status) {
+  if (status >= 500) {
+    return chalk.red(status);
+  }
+  if (status >= 400) {
+    return chalk.yellow(status);
+  }
+  return chalk.green(status);
+}
+
+/**
+ * Format the routes of a mock for a terminal
+ * @param {Array<Object>} routes - Routes from MockServer.listRoutes()
+ * @returns {string} One line per route
+ */
+function formatRoutes(routes) {
+  const width = Math.max(...routes.map(route => route.method.length));
+  return routes.map(route => {
+    const example = route.example === null
+      ? chalk.gray('no saved example')
+      : `${formatStatus(route.status)} ${route.example}`;
+    return `${chalk.cyan(route.method.padEnd(width))} ${route.path}  ${example}`;
+  }).join('\n');
+}
+
+/**
+ * Format a served request for the terminal
+ * @param {Object} entry - Log entry from MockServer
+ * @returns {string} Log line
+ */
+function formatEntry(entry) {
+  const time = chalk.gray(entry.time.slice(11, 19));
+  let answer = chalk.gray('CORS preflight');
+  if (entry.error) {
+    answer = chalk.gray(entry.error);
+  } else if (entry.request) {
+    answer = `${entry.request} ${chalk.gray(`→ ${entry.example}`)}`;
+  }
+  const timing = chalk.gray(`${entry.duration}ms${entry.delay ? `, ${entry.delay}ms latency` : ''}`);
+  return `${time} ${chalk.cyan(entry.method)} ${entry.url} ${formatStatus(entry.status)} ${answer} ${timing}`;
+}
+
+/**
+ * Main mock command
+ */
+export async function run(collectionRef, options) {
+  const context = {
+    apiKey: AuthManager.getApiKey(),
+    workspaceId: CredentialStorage.getCurrentWorkspaceId(),
+    repoPath: CredentialStorage.getGitRepoPath()
+  };
+
+  let collection;
+  try {
+    collection = await CollectionLoader.loadCollection(collectionRef, context);
+  } catch (error) {
+    if (error instanceof CliError) {
+      throw error;
+    }
+    throw new CliError(error.message, ExitCodes.NOT_FOUND);
+  }
+
+  const environmentRef = options.environment || EnvironmentManager.getActive(context.workspaceId)?.id;
+  const environment = environmentRef ? await CollectionLoader.loadEnvironment(environmentRef, context) : null;
+  const globals = await CollectionLoader.loadGlobals(context);
+  const name = collection.info?.name || collectionRef;
+
+  const server = new MockServer(collection, {
+    environment,
+    globals,
+    latency: options.latency,
+    logFile: options.log,
+    onRequest: (entry) => {
+      if (Output.isTable()) {
+        Logger.log(formatEntry(entry));
+      }
+    }
+  });
+  const routes = server.listRoutes();
+  if (routes.length === 0) {
+    throw new CliError(`${name} has no requests to mock`, ExitCodes.USAGE);
+  }
+
+  let url;
+  try {
+    url = await server.start(options.port, options.host);
+  } catch (error) {
+    throw new CliError(error.message, ExitCodes.USAGE);
+  }
+
+  Output.print({ url, collection: name, routes }, {
+    plain: () => routes,
+    columns: ['method', 'path', 'status', 'example', 'request'],
+    table: () => {
+      note(formatRoutes(routes), `Mocking ${name} on ${url}`);
+      if (environment) {
+        Logger.info(`Using environment ${environment.name}`);
+      }
+      if (!routes.some(route => route.example !== null)) {
+        Logger.warn(`${name} has no saved examples, every request will get a 404`);
+      }
+      Logger.info(`Pick an example with the ${MockServer.RESPONSE_NAME_HEADER} or ${MockServer.RESPONSE_CODE_HEADER} header. Press Ctrl+C to stop`);
+    }
+  });
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await server.stop();
+
+  if (Output.isTable()) {
+    Logger.info(`Mock server stopped after ${server.requestCount} ${server.requestCount === 1 ? 'request' : 'requests'}`);
+  }
+}
+
+export const args = '<collection>';
+
+export const options = [
+  { flags: '-p, --port <port>', description: 'Port to listen on', parser: OptionParsers.positiveInteger, defaultValue: 4000 },
+  { flags: '--host <host>', description: 'Interface to listen on, 0.0.0.0 to share the mock on the network', defaultValue: '127.0.0.1' },
+  { flags: '-e, --environment <environment>', description: 'Environment to resolve variables with (default: the one selected with env use)' },
+  { flags: '--latency <ms>', description: 'Delay every response by milliseconds (300) or a random delay in a range (100-800)', parser: OptionParsers.latency },
+  { flags: '--log <file>', description: 'Append a JSON line per request to a file' }
+];
+
+export const help = 'Serve the saved examples of a collection (file, exploded directory, synced collection, id or name) as a local mock API';
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { note } from '@clack/prompts';
+import chalk from 'chalk';
+import AuthManager from '../lib/auth-manager.js';
+import PostmanClient from '../lib/postman-client.js';
+import CredentialStorage from '../lib/credential-storage.js';
+import CollectionLoader from '../lib/collection-loader.js';
+import CollectionDiff from '../lib/collection-diff.js';
+import OpenApiSpec from '../lib/openapi-spec.js';
+import OpenApiConverter from '../lib/openapi-converter.js';
+import OpenApiDiff from '../lib/openapi-diff.js';
+import Logger from '../utils/logger.js';
+import Output from '../utils/output.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Read a spec, reporting problems as usage errors
+ * @param {string} file - Spec file
+ * @returns {Object} Parsed spec
+ * @throws {CliError} If the file is not an OpenAPI 3 document
+ */
+function loadSpec(file) {
+  try {
+    return OpenApiSpec.load(file);
+  } catch (error) {
+    throw new CliError(error.message, ExitCodes.USAGE);
+  }
+}
+
+/**
+ * Render a diff for a terminal
+ * @param {Object} result - Result of OpenApiDiff.diff()
+ * @param {string} title - Note title
+ */
+function printDiff(result, title) {
+  if (!OpenApiDiff.hasDrift(result)) {
+    note(chalk.green('The collection matches the spec'), title);
+    return;
+  }
+
+  const endpoint = (entry) => `${chalk.cyan(entry.method.padEnd(6))} ${entry.path}`;
+  const sections = [];
+  if (result.missing.length) {
+    sections.push([
+      chalk.bold(`Missing from the collection (${result.missing.length})`),
+      ...result.missing.map(entry => `${chalk.red('-')} ${endpoint(entry)}${entry.name ? chalk.gray(` ${entry.name}`) : ''}`)
+    ].join('\n'));
+  }
+  if (result.extra.length) {
+    sections.push([
+      chalk.bold(`Not in the spec (${result.extra.length})`),
+      ...result.extra.map(entry => `${chalk.green('+')} ${endpoint(entry)} ${chalk.gray(entry.name)}`)
+    ].join('\n'));
+  }
+  if (result.mismatches.length) {
+    sections.push([
+      chalk.bold(`Parameter mismatches (${result.mismatches.length})`),
+      ...result.mismatches.flatMap(entry => [
+        `${chalk.yellow('~')} ${endpoint(entry)} ${chalk.gray(entry.name)}`,
+        ...entry.issues.map(issue => `    ${issue}`)
+      ])
+    ].join('\n'));
+  }
+  note(sections.join('\n\n'), title);
+}
+
+export const run = [
+  {
+    name: 'import',
+    arguments: '<spec>',
+    options: [
+      { flags: '--name <name>', description: 'Collection name (default: title of the spec)' },
+      { flags: '--out <file>', description: 'Write the collection to a file instead of creating it in Postman' }
+    ],
+    run: async (file, options) => {
+      const spec = loadSpec(file);
+      const collection = OpenApiConverter.toCollection(spec, { name: options.name });
+      const requests = [...CollectionDiff.flattenItems(collection.item).values()].filter(entry => !entry.folder).length;
+
+      if (options.out) {
+        fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+        fs.writeFileSync(options.out, `${JSON.stringify(collection, null, 2)}\n`, 'utf8');
+        Output.print({ name: collection.info.name, requests, file: options.out }, {
+          table: () => Logger.success(`Wrote ${collection.info.name} (${requests} requests) to ${options.out}`)
+        });
+        return;
+      }
+
+      const apiKey = AuthManager.requireApiKey();
+      const created = await PostmanClient.createCollection(apiKey, collection, CredentialStorage.getCurrentWorkspaceId());
+      Output.print({ id: created.id, name: collection.info.name, requests }, {
+        table: () => Logger.success(`Created ${collection.info.name} with ${requests} requests (ID: ${created.id})`)
+      });
+    },
+    help: 'Generate a collection from an OpenAPI 3 spec, with a folder per tag'
+  },
+  {
+    name: 'diff',
+    arguments: '<spec> <collection>',
+    run: async (file, reference) => {
+      const spec = loadSpec(file);
+      let collection;
+      try {
+        collection = await CollectionLoader.loadCollection(reference, {
+          apiKey: AuthManager.getApiKey(),
+          workspaceId: CredentialStorage.getCurrentWorkspaceId(),
+          repoPath: CredentialStorage.getGitRepoPath()
+        });
+      } catch (error) {
+        if (error instanceof CliError) {
+          throw error;
+        }
+        throw new CliError(error.message, ExitCodes.NOT_FOUND);
+      }
+
+      const result = OpenApiDiff.diff(spec, collection);
+      Output.print(result, {
+        plain: () => [
+          ...result.missing.map(entry => ({ change: 'missing', method: entry.method, path: entry.path, detail: entry.name })),
+          ...result.extra.map(entry => ({ change: 'extra', method: entry.method, path: entry.path, detail: entry.name })),
+          ...result.mismatches.flatMap(entry => entry.issues.map(issue => ({ change: 'mismatch', method: entry.method, path: entry.path, detail: issue })))
+        ],
+        columns: ['change', 'method', 'path', 'detail'],
+        table: () => printDiff(result, `${spec.info?.title || file} → ${collection.info?.name || reference}`)
+      });
+
+      if (OpenApiDiff.hasDrift(result)) {
+        process.exitCode = ExitCodes.FAILURE;
+      }
+    },
+    help: 'Compare a collection (file, directory, synced collection, id or name) with an OpenAPI 3 spec; exits with 1 on drift'
+  }
+];
+
+export const help = 'Import OpenAPI 3 specs and check collections against them';
@@ -0,0 +1,116 @@
+import { intro, outro, note } from '@clack/prompts';
+import chalk from 'chalk';
+import CredentialStorage from '../lib/credential-storage.js';
+import ProfileManager from '../lib/profile-manager.js';
+import AuthManager from '../lib/auth-manager.js';
+import Logger from '../utils/logger.js';
+import Interaction from '../utils/interaction.js';
+import Output from '../utils/output.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+export const run = [
+  {
+    name: 'ls',
+    isDefault: true,
+    run: async () => {
+      intro(chalk.blue('👤 Profiles'));
+
+      const active = ProfileManager.getActiveName();
+      const profiles = ProfileManager.list().map(name => {
+        const { apiKey, workspaceId } = CredentialStorage.getProfileCredentials(name);
+        return {
+          name,
+          active: name === active,
+          apiKey: apiKey ? AuthManager.maskApiKey(apiKey) : null,
+          workspaceId: workspaceId || null
+        };
+      });
+
+      Output.print(profiles, {
+        table: () => {
+          const width = Math.max(...profiles.map(profile => profile.name.length));
+          const lines = profiles.map(profile => {
+            const marker = profile.active ? chalk.green('●') : ' ';
+            const key = profile.apiKey ? chalk.gray(profile.apiKey) : chalk.yellow('not logged in');
+            const workspace = profile.workspaceId ? chalk.gray(` · workspace ${profile.workspaceId}`) : '';
+            return `${marker} ${chalk.cyan(profile.name.padEnd(width))}  ${key}${workspace}`;
+          });
+
+          note(lines.join('\n'), 'Profiles');
+          outro(chalk.gray(`Active profile: ${active}`));
+        }
+      });
+    },
+    help: 'List profiles'
+  },
+  {
+    name: 'add',
+    arguments: '<name>',
+    run: async (name) => {
+      intro(chalk.blue('👤 Add Profile'));
+
+      try {
+        ProfileManager.add(name);
+        note(`Run "flowman-cli login --profile ${name}" to add its API key.`, `Profile ${name} created`);
+        outro(chalk.green('✅ Profile created'));
+      } catch (error) {
+        Logger.error(error.message);
+        outro(chalk.red('❌ Profile not created'));
+        process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+      }
+    },
+    help: 'Create a profile'
+  },
+  {
+    name: 'use',
+    arguments: '<name>',
+    run: async (name) => {
+      try {
+        ProfileManager.use(name);
+        Logger.success(`Now using profile ${name}`);
+        if (process.env.FLOWMAN_PROFILE && process.env.FLOWMAN_PROFILE !== name) {
+          Logger.warn(`FLOWMAN_PROFILE=${process.env.FLOWMAN_PROFILE} still takes precedence in this shell`);
+        }
+      } catch (error) {
+        Logger.error(error.message);
+        process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+      }
+    },
+    help: 'Make a profile the current one'
+  },
+  {
+    name: 'rm',
+    arguments: '<name>',
+    run: async (name) => {
+      intro(chalk.blue('👤 Remove Profile'));
+
+      if (!ProfileManager.exists(name)) {
+        Logger.error(`Profile "${name}" does not exist`);
+        outro(chalk.red('❌ Nothing removed'));
+        process.exitCode = ExitCodes.NOT_FOUND;
+        return;
+      }
+
+      const shouldRemove = await Interaction.confirm({
+        message: `Remove profile ${name} and its stored API key?`,
+        initialValue: false
+      });
+      if (!shouldRemove) {
+        outro(chalk.yellow('Removal cancelled'));
+        return;
+      }
+
+      try {
+        CredentialStorage.removeProfile(name);
+        outro(chalk.green(`✅ Profile ${name} removed`));
+      } catch (error) {
+        Logger.error(error.message);
+        outro(chalk.red('❌ Nothing removed'));
+        process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+      }
+    },
+    help: 'Remove a profile and its credentials'
+  }
+];
+
+export const help = 'Manage profiles for different Postman accounts';
@@ -0,0 +1,240 @@
+import { intro, outro, note, spinner } from '@clack/prompts';
+import AuthManager from '../lib/auth-manager.js';
+import CredentialStorage from '../lib/credential-storage.js';
+import CollectionLoader from '../lib/collection-loader.js';
+import CollectionRunner from '../lib/collection-runner.js';
+import RunDebugger from '../lib/run-debugger.js';
+import RunReporter from '../lib/run-reporter.js';
+import CloudRun from '../lib/cloud-run.js';
+import EnvironmentManager from '../lib/environment-manager.js';
+import Logger from '../utils/logger.js';
+import Output from '../utils/output.js';
+import ResultPrinter from '../utils/result-printer.js';
+import DataFileReader from '../utils/data-file-reader.js';
+import OptionParsers from '../utils/option-parsers.js';
+import Interaction from '../utils/interaction.js';
+import ExitCodes from '../utils/exit-codes.js';
+import chalk from 'chalk';
+
+/**
+ * Print the header of an iteration when the run has several
+ * @param {number} iteration - Zero-based iteration index
+ * @param {Object} runner - Collection runner
+ */
+function printIteration(iteration, runner) {
+  if (runner.iterationCount > 1) {
+    Logger.log(chalk.cyan(`\nIteration ${iteration + 1}/${runner.iterationCount}`));
+  }
+}
+
+/**
+ * Format the per-iteration outcome of a run
+ * @param {Array<Object>} iterations - Iteration stats from the run summary
+ * @returns {string} One line per iteration
+ */
+function formatIterations(iterations) {
+  return iterations.map(stats => {
+    const status = stats.passed ? chalk.green('✓') : chalk.red('✗');
+    const tests = stats.tests ? `, ${stats.tests - stats.failedTests}/${stats.tests} tests passed` : '';
+    return `${status} Iteration ${stats.iteration + 1}: ${stats.requests} requests, ${stats.failed} failed${tests}`;
+  }).join('\n');
+}
+
+/**
+ * Build the runner hooks, printing results and pausing at breakpoints when debugging
+ * @param {Object} options - Command options
+ * @returns {Object} Runner hooks
+ */
+function createHooks(options) {
+  const debugging = options.interactive || options.break || options.breakAfter;
+  if (!debugging) {
+    return {
+      beforeIteration: printIteration,
+      afterRequest: (result) => ResultPrinter.printResult(result)
+    };
+  }
+
+  if (!Interaction.isInteractive()) {
+    throw new Error('Breakpoints need an interactive terminal and can\'t be used with --non-interactive or --yes');
+  }
+
+  const debuggerHooks = new RunDebugger({
+    breakBefore: options.break,
+    breakAfter: options.breakAfter,
+    step: options.interactive
+  }).hooks();
+
+  return {
+    beforeIteration: printIteration,
+    beforeRequest: async (entry, runner) => {
+      const action = await debuggerHooks.beforeRequest(entry, runner);
+      if (action === 'skip') {
+        Logger.log(`${chalk.gray('↷')} ${chalk.bold(entry.path)} ${chalk.gray('skipped')}`);
+      }
+      return action;
+    },
+    afterRequest: (result, runner) => {
+      ResultPrinter.printResult(result);
+      return debuggerHooks.afterRequest(result, runner);
+    }
+  };
+}
+
+/**
+ * Run a collection on this machine
+ * @param {string} collectionRef - Collection reference
+ * @param {Object} options - Command options
+ * @param {Object} context - Lookup context for CollectionLoader
+ * @returns {Promise<Object>} Run summary
+ */
+async function runLocally(collectionRef, options, context) {
+  const collection = await CollectionLoader.loadCollection(collectionRef, context);
+  const environment = options.environment
+    ? await CollectionLoader.loadEnvironment(options.environment, context)
+    : null;
+  const globals = await CollectionLoader.loadGlobals(context);
+  const data = options.data ? DataFileReader.read(options.data) : [];
+  if (options.data && data.length === 0) {
+    throw new Error(`Data file ${options.data} has no rows`);
+  }
+
+  const runner = new CollectionRunner(collection, {
+    environment,
+    globals,
+    data,
+    iterations: options.iterations,
+    timeout: options.timeout,
+    hooks: createHooks(options)
+  });
+
+  return runner.run();
+}
+
+/**
+ * Run a collection in the Postman cloud and wait for the result
+ * @param {string} collectionRef - Collection id, uid or name
+ * @param {Object} options - Command options
+ * @param {Object} context - Postman API context
+ * @returns {Promise<Object>} Run summary
+ */
+async function runInCloud(collectionRef, options, context) {
+  if (!context.apiKey) {
+    throw new Error('Cloud runs need a Postman API key. Run "flowman-cli login" first.');
+  }
+  if (options.data || options.break || options.breakAfter || options.interactive) {
+    throw new Error('--data and breakpoints are only available for local runs');
+  }
+
+  const collection = await CollectionLoader.findRemoteCollection(collectionRef, context);
+  if (!collection) {
+    throw new Error(`Collection not found in Postman: ${collectionRef}`);
+  }
+  const environment = options.environment
+    ? await CollectionLoader.findRemoteEnvironment(options.environment, context)
+    : null;
+  if (options.environment && !environment) {
+    throw new Error(`Environment not found in Postman: ${options.environment}`);
+  }
+
+  const s = spinner();
+  s.start(`Running ${collection.name} in Postman...`);
+  try {
+    const finished = await CloudRun.execute(context.apiKey, collection.uid || collection.id, {
+      environment: environment && (environment.uid || environment.id),
+      iterationCount: options.iterations,
+      onProgress: (progress) => s.message(`Running ${collection.name} in Postman (${progress.status})...`)
+    });
+    s.stop(`Run ${finished.status}`);
+
+    const summary = CloudRun.toSummary(finished, collection.name);
+    summary.results.forEach(result => ResultPrinter.printResult(result));
+    return summary;
+  } catch (error) {
+    s.stop('Run failed');
+    throw error;
+  }
+}
+
+/**
+ * Main run command
+ */
+export async function run(collectionRef, options) {
+  intro(chalk.blue(`▶️  Run ${collectionRef}`));
+
+  try {
+    const context = {
+      apiKey: AuthManager.getApiKey(),
+      workspaceId: CredentialStorage.getCurrentWorkspaceId(),
+      repoPath: CredentialStorage.getGitRepoPath()
+    };
+
+    if (!options.environment) {
+      const active = EnvironmentManager.getActive(context.workspaceId);
+      if (active) {
+        Logger.info(`Using environment ${active.name} (flowman-cli env use --clear to run without it)`);
+        options = { ...options, environment: active.id };
+      }
+    }
+
+    const summary = options.cloud
+      ? await runInCloud(collectionRef, options, context)
+      : await runLocally(collectionRef, options, context);
+
+    if (summary.iterations && summary.stats.iterations > 1) {
+      note(formatIterations(summary.iterations), 'Iterations');
+    }
+
+    note(
+      `Requests: ${summary.stats.requests}\n` +
+      `Failed: ${summary.stats.failed ? chalk.red(summary.stats.failed) : chalk.green(0)}\n` +
+      (summary.stats.skipped ? `Skipped: ${chalk.yellow(summary.stats.skipped)}\n` : '') +
+      (summary.stats.tests
+        ? `Tests: ${summary.stats.tests - summary.stats.failedTests}/${summary.stats.tests} passed\n`
+        : '') +
+      `Duration: ${summary.duration}ms`,
+      summary.collection
+    );
+
+    const report = RunReporter.normalize(summary, options.cloud ? 'cloud' : 'local');
+    if (options.reporter) {
+      const files = RunReporter.write(options.reporter, report, options.reporterOut);
+      note(files.join('\n'), 'Reports');
+    }
+    Output.print(report, { plain: RunReporter.summarize });
+
+    if (summary.aborted) {
+      process.exitCode = ExitCodes.FAILURE;
+      outro(chalk.yellow('⏹  Run aborted'));
+      return;
+    }
+
+    if (summary.stats.failed > 0) {
+      process.exitCode = ExitCodes.FAILURE;
+      outro(chalk.red('❌ Run finished with errors'));
+      return;
+    }
+
+    outro(chalk.green('✅ Run completed'));
+
+  } catch (error) {
+    Logger.error('Run failed:', error.message);
+    outro(chalk.red('❌ Run failed'));
+    process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+  }
+}
+
+export const args = '<collection>';
+
+export const options = [
+  { flags: '-e, --environment <environment>', description: 'Environment file, id or name (default: the one selected with env use)' },
+  { flags: '-d, --data <file>', description: 'CSV or JSON file with one row of variables per iteration' },
+  { flags: '-n, --iterations <count>', description: 'Number of iterations (default: one per data row)', parser: OptionParsers.positiveInteger },
+  { flags: '--break <request>', description: 'Pause before a request ("Folder/Request name" or name), repeatable', parser: OptionParsers.collect },
+  { flags: '--break-after <request>', description: 'Pause after a request, repeatable', parser: OptionParsers.collect },
+  { flags: '-i, --interactive', description: 'Step through the run, pausing before every request' },
+  ...OptionParsers.reporterOptions(),
+  { flags: '--cloud', description: 'Run the collection in the Postman cloud and wait for the result' },
+  { flags: '--timeout <ms>', description: 'Request timeout in milliseconds', parser: OptionParsers.positiveInteger, defaultValue: CollectionRunner.DEFAULT_TIMEOUT }
+];
+
+export const help = 'Run a collection locally (file, exploded directory, synced collection, id or name)';
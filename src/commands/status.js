@@ -2,8 +2,44 @@ import { intro, outro, spinner, note } from '@clack/prompts';
 import AuthManager from '../lib/auth-manager.js';
 import PostmanClient from '../lib/postman-client.js';
 import Logger from '../utils/logger.js';
+import Output from '../utils/output.js';
+import ExitCodes from '../utils/exit-codes.js';
 import chalk from 'chalk';
 
+/**
+ * Render the status for a terminal
+ * @param {Object} status - Status document
+ */
+function printStatus(status) {
+  if (!status.authenticated) {
+    note(
+      `You are not currently authenticated with profile ${chalk.cyan(status.profile)}.\n` +
+      'Run "flowman-cli login" to authenticate.',
+      'Not Authenticated'
+    );
+    outro(chalk.yellow('Please login to continue'));
+    return;
+  }
+
+  const statusInfo = [
+    `Status: ${chalk.green('Authenticated')}`,
+    `Profile: ${chalk.cyan(status.profile)}`,
+    status.method === 'oauth'
+      ? `OAuth Token: ${chalk.gray(status.apiKey)}${status.tokenExpiresAt ? chalk.gray(` (expires ${new Date(status.tokenExpiresAt).toLocaleString()})`) : ''}`
+      : `API Key: ${chalk.gray(status.apiKey)}`,
+    `Workspace: ${chalk.gray(status.workspaceId || 'Not set')}`,
+    `Git Repo: ${chalk.gray(status.gitRepoPath || 'Not set')}`
+  ];
+
+  if (status.user) {
+    statusInfo.push(`User: ${chalk.cyan(status.user.fullName || 'Unknown')}`);
+    statusInfo.push(`Email: ${chalk.cyan(status.user.email || 'Unknown')}`);
+  }
+
+  note(statusInfo.join('\n'), 'Authentication Status');
+  outro(chalk.green('✅ Authentication is active'));
+}
+
 /**
  * Main status command
  */
@@ -12,52 +48,40 @@ export async function run(options) {
 
   try {
     const authStatus = AuthManager.getAuthStatus();
+    const status = {
+      authenticated: authStatus.authenticated,
+      profile: authStatus.profile,
+      method: authStatus.method,
+      apiKey: authStatus.apiKey,
+      tokenExpiresAt: authStatus.tokenExpiresAt,
+      workspaceId: authStatus.workspaceId || null,
+      gitRepoPath: authStatus.gitRepoPath || null,
+      user: null
+    };
 
-    if (!authStatus.authenticated) {
-      note(
-        'You are not currently authenticated.\n' +
-        'Run "flowman-cli login" to authenticate.',
-        'Not Authenticated'
-      );
-      outro(chalk.yellow('Please login to continue'));
-      return;
-    }
-
-    // Get additional user info if possible
-    let userInfo = null;
-    const s = spinner();
-    s.start('Fetching user information...');
+    if (status.authenticated) {
+      // Get additional user info if possible
+      const s = spinner();
+      s.start('Fetching user information...');
 
-    try {
-      const apiKey = AuthManager.getApiKey();
-      if (apiKey) {
-        userInfo = await PostmanClient.getUserInfo(apiKey);
+      try {
+        const userInfo = await PostmanClient.getUserInfo(AuthManager.getApiKey());
+        if (userInfo) {
+          status.user = { fullName: userInfo.fullName || null, email: userInfo.email || null };
+        }
+        s.stop('User information retrieved');
+      } catch (error) {
+        s.stop('Failed to fetch user info');
+        Logger.debug('Failed to fetch user info:', error.message);
       }
-      s.stop('User information retrieved');
-    } catch (error) {
-      s.stop('Failed to fetch user info');
-      Logger.debug('Failed to fetch user info:', error.message);
-    }
-
-    // Display status
-    const statusInfo = [
-      `Status: ${chalk.green('Authenticated')}`,
-      `API Key: ${chalk.gray(authStatus.apiKey)}`,
-      `Workspace: ${chalk.gray(authStatus.workspaceId || 'Not set')}`,
-      `Git Repo: ${chalk.gray(authStatus.gitRepoPath || 'Not set')}`
-    ];
-
-    if (userInfo) {
-      statusInfo.push(`User: ${chalk.cyan(userInfo.fullName || 'Unknown')}`);
-      statusInfo.push(`Email: ${chalk.cyan(userInfo.email || 'Unknown')}`);
     }
 
-    note(statusInfo.join('\n'), 'Authentication Status');
-    outro(chalk.green('✅ Authentication is active'));
+    Output.print(status, { table: printStatus });
 
   } catch (error) {
     Logger.error('Status check failed:', error.message);
     outro(chalk.red('Failed to check status'));
+    process.exitCode = ExitCodes.FAILURE;
   }
 }
 
@@ -1,44 +1,287 @@
-import {  outro, spinner, } from '@clack/prompts';
+import { outro, spinner, note, select, isCancel } from '@clack/prompts';
 import AuthManager from '../lib/auth-manager.js';
+import CredentialStorage from '../lib/credential-storage.js';
+import SyncManager from '../lib/sync-manager.js';
+import { ApiError } from '../lib/api-errors.js';
 import Logger from '../utils/logger.js';
+import Interaction from '../utils/interaction.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
 import chalk from 'chalk';
 
 /**
- * Main Sync command
+ * Check that everything needed to sync is configured
+ * @param {Object} s - Spinner used to report missing settings
+ * @returns {boolean} True if sync can proceed
  */
-export async function run(options) {
+function checkSyncSettings(s) {
+  const { hasApiKey, hasWorkspace, hasGitRepoPath } = AuthManager.getAuthStatus();
 
+  if (!hasApiKey) {
+    s.stop('No API key found. Please login first. using flowman-cli login');
+    process.exitCode = ExitCodes.NOT_AUTHENTICATED;
+    return false;
+  }
+  if (!hasWorkspace) {
+    s.stop('No workspace selected. Please select a workspace first using flowman-cli workspace switch.');
+    process.exitCode = ExitCodes.USAGE;
+    return false;
+  }
+  if (!hasGitRepoPath) {
+    s.stop('No git repository found. Please add a git repo first using flowman-cli git add [path]');
+    process.exitCode = ExitCodes.USAGE;
+    return false;
+  }
 
-  const s = spinner();
+  return true;
+}
 
-  s.start(chalk.blue('🔄 Sync Collections with GIT'));
-  try {
-    
-    const { hasApiKey, hasWorkspace, hasGitRepoPath } = AuthManager.getAuthStatus();
+/**
+ * Shorten a conflicting entry for display
+ * @param {*} value - Local or remote version of the entry
+ * @returns {string} Pretty printed JSON, truncated
+ */
+function preview(value) {
+  if (value === undefined) {
+    return chalk.gray('(deleted)');
+  }
 
-    // validations
-    if (!hasApiKey) {
-      s.stop('No API key found. Please login first. using flowman-cli login');
+  const lines = JSON.stringify(value, null, 2).split('\n');
+  return lines.length > 20
+    ? [...lines.slice(0, 20), chalk.gray(`... ${lines.length - 20} more lines`)].join('\n')
+    : lines.join('\n');
+}
+
+/**
+ * Build an interactive conflict resolver that pauses the spinner while asking
+ * @param {Object} s - Spinner to pause
+ * @returns {Function} Async resolver returning 'local', 'remote' or 'both'
+ */
+function createConflictResolver(s) {
+  return async (conflict) => {
+    s.stop(chalk.yellow(`Conflict in ${conflict.type} "${conflict.name}"`));
+    if (!Interaction.isInteractive()) {
+      Interaction.requireInput(`${conflict.path} was ${conflict.reason}. Run the sync in a terminal to resolve the conflict`);
     }
-    if (!hasWorkspace) {
-      s.stop('No workspace selected. Please select a workspace first using flowman-cli workspace switch.');
+    note(
+      `${chalk.bold(conflict.path)} was ${conflict.reason}\n\n` +
+      `${chalk.cyan('Local:')}\n${preview(conflict.local)}\n\n` +
+      `${chalk.magenta('Postman:')}\n${preview(conflict.remote)}`,
+      'Conflict'
+    );
+
+    const options = [
+      { value: 'local', label: 'Keep local version' },
+      { value: 'remote', label: 'Keep Postman version' }
+    ];
+    if (conflict.allowBoth) {
+      options.push({ value: 'both', label: 'Keep both', hint: 'the Postman version is added as a copy' });
     }
-    if (!hasGitRepoPath) {
-      s.stop('No git repository found. Please add a git repo first using flowman-cli git add [path]');
+
+    const choice = await select({ message: `Resolve ${conflict.path}:`, options });
+    if (isCancel(choice)) {
+      throw new Error('cancelled');
     }
 
+    s.start('Resuming sync...');
+    return choice;
+  };
+}
 
+/**
+ * Format a sync summary for display
+ * @param {Object} summary - Sync summary
+ * @returns {string} Summary text
+ */
+function formatSummary(summary) {
+  const lines = [];
 
+  for (const [key, label, color] of [['added', '+', 'green'], ['changed', '~', 'yellow'], ['removed', '-', 'red']]) {
+    for (const entry of summary[key]) {
+      lines.push(chalk[color](`${label} ${entry.type}: ${entry.name}`));
+    }
+  }
 
+  if (summary.conflicts.length > 0) {
+    lines.push('', chalk.yellow(`Resolved ${summary.conflicts.length} conflict(s)`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Warn about local edits that still have to be pushed
+ * @param {Object} summary - Sync summary
+ */
+function warnPending(summary) {
+  if (summary.pending.length > 0) {
+    Logger.warn(
+      `Local changes not in Postman yet: ${summary.pending.map(entry => entry.name).join(', ')}. ` +
+      'Run "flowman-cli sync push" to publish them.'
+    );
+  }
+}
+
+/**
+ * Format a push plan for display
+ * @param {Array<Object>} plan - Planned changes
+ * @returns {string} Plan text
+ */
+function formatPlan(plan) {
+  const lines = [];
+
+  for (const entry of plan) {
+    if (entry.conflicts.length > 0) {
+      lines.push(chalk.yellow(`! ${entry.type}: ${entry.name} merged with Postman changes (${entry.conflicts.length} conflict(s) resolved)`));
+    }
+
+    if (entry.action === 'create') {
+      lines.push(chalk.green(`+ ${entry.type}: ${entry.name} (new)`));
+      continue;
+    }
+
+    lines.push(chalk.yellow(`~ ${entry.type}: ${entry.name}`));
+    const { diff } = entry;
+    if (diff.metadataChanged) {
+      lines.push(chalk.yellow(`    ~ ${entry.type} settings`));
+    }
+    lines.push(...diff.added.map(item => chalk.green(`    + ${item}`)));
+    lines.push(...diff.modified.map(item => chalk.yellow(`    ~ ${item}`)));
+    lines.push(...(diff.moved || []).map(item => chalk.cyan(`    > ${item} (moved)`)));
+    lines.push(...(diff.reordered || []).map(folder => chalk.cyan(`    > ${folder || 'root'} (reordered)`)));
+    lines.push(...diff.removed.map(item => chalk.red(`    - ${item}`)));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Pull collections and environments from Postman into the git repository
+ */
+async function pull() {
+  const s = spinner();
+
+  s.start(chalk.blue('🔄 Sync Collections with GIT'));
+  try {
+    if (!checkSyncSettings(s)) {
+      return;
+    }
+
+    const summary = await SyncManager.pullWorkspace({
+      apiKey: AuthManager.getApiKey(),
+      workspaceId: CredentialStorage.getCurrentWorkspaceId(),
+      repoPath: CredentialStorage.getGitRepoPath(),
+      onProgress: (message) => s.message(message),
+      resolveConflict: createConflictResolver(s)
+    });
+
+    if (!summary.commit) {
+      s.stop(chalk.green('✅ Already up to date'));
+      warnPending(summary);
+      return;
+    }
+
+    s.stop(chalk.green('✅ Sync completed successfully!'));
+    note(formatSummary(summary) || 'Sync state updated', `Committed ${summary.commit.substring(0, 7)}`);
+    warnPending(summary);
 
   } catch (error) {
-    s.stop('Failed to retrieve necessary credentials.');
+    // Failed API requests end the sync like any other error, with the exit code of the error
+    if (error instanceof CliError && !(error instanceof ApiError)) {
+      throw error;
+    }
+    if (error.message === 'cancelled') {
+      outro(chalk.yellow('Sync cancelled'));
+      return;
+    }
+    s.stop('Sync failed.');
     Logger.error('Sync failed:', error.message);
     outro(chalk.red('❌ Sync failed'));
-    return;
+    process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
   }
+}
+
+/**
+ * Push collections and environments from the git repository to Postman
+ */
+async function push() {
+  const s = spinner();
+
+  s.start(chalk.blue('⬆️  Push local collections to Postman'));
+  try {
+    if (!checkSyncSettings(s)) {
+      return;
+    }
+
+    const options = {
+      apiKey: AuthManager.getApiKey(),
+      workspaceId: CredentialStorage.getCurrentWorkspaceId(),
+      repoPath: CredentialStorage.getGitRepoPath(),
+      onProgress: (message) => s.message(message),
+      resolveConflict: createConflictResolver(s)
+    };
+
+    const plan = await SyncManager.planPush(options);
+    if (plan.length === 0) {
+      s.stop(chalk.green('✅ Postman is already up to date'));
+      return;
+    }
+
+    s.stop('Changes to push');
+    note(formatPlan(plan), 'Pending Changes');
+
+    const shouldPush = await Interaction.confirm({
+      message: `Push ${plan.length} change(s) to Postman?`,
+      initialValue: false
+    });
+
+    if (!shouldPush) {
+      outro(chalk.yellow('Push cancelled'));
+      return;
+    }
+
+    s.start('Pushing changes...');
+    const result = await SyncManager.applyPush({ ...options, plan });
 
-  s.stop(chalk.green('✅ Sync completed successfully!'));
+    if (result.failed.length > 0) {
+      s.stop(chalk.red(`Failed to push ${result.failed.length} change(s)`));
+      outro(chalk.red(`❌ Failed: ${result.failed.map(entry => entry.name).join(', ')}`));
+      process.exitCode = ExitCodes.FAILURE;
+      return;
+    }
+
+    s.stop(chalk.green(`✅ Pushed ${result.pushed.length} change(s) to Postman`));
+    if (result.commit) {
+      Logger.info(`Recorded pushed revisions in commit ${result.commit.substring(0, 7)}`);
+    }
+
+  } catch (error) {
+    if (error instanceof CliError && !(error instanceof ApiError)) {
+      throw error;
+    }
+    if (error.message === 'cancelled') {
+      outro(chalk.yellow('Push cancelled'));
+      return;
+    }
+    s.stop('Push failed.');
+    Logger.error('Push failed:', error.message);
+    outro(chalk.red('❌ Push failed'));
+    process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+  }
 }
 
-export const help = 'Sync local collections with Postman';
+export const run = [
+  {
+    name: 'pull',
+    run: pull,
+    help: 'Export Postman collections and environments to the git repository (default)',
+    isDefault: true
+  },
+  {
+    name: 'push',
+    run: push,
+    help: 'Send local collection and environment edits from the git repository to Postman'
+  }
+];
+
+export const help = 'Sync Postman collections and environments with the git repository';
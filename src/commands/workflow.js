@@ -0,0 +1,108 @@
+import { intro, outro, note } from '@clack/prompts';
+import chalk from 'chalk';
+import AuthManager from '../lib/auth-manager.js';
+import CredentialStorage from '../lib/credential-storage.js';
+import CollectionRunner from '../lib/collection-runner.js';
+import WorkflowRunner from '../lib/workflow-runner.js';
+import RunReporter from '../lib/run-reporter.js';
+import EnvironmentManager from '../lib/environment-manager.js';
+import Logger from '../utils/logger.js';
+import Output from '../utils/output.js';
+import ResultPrinter from '../utils/result-printer.js';
+import OptionParsers from '../utils/option-parsers.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Print the outcome of a step that did not pass
+ * @param {Object} record - Step record
+ * @param {Object} step - Step definition
+ */
+function printStep(record, step) {
+  if (record.status === 'skipped') {
+    Logger.log(`${chalk.gray('↷')} ${chalk.bold(record.name)} ${chalk.gray(`skipped (${step.if})`)}`);
+  } else if (record.status === 'failed') {
+    Logger.error(`${chalk.bold(record.name)} ${chalk.red(record.error)}`);
+  } else if (record.attempts > 1) {
+    Logger.log(`${chalk.green('✓')} ${chalk.bold(record.name)} ${chalk.gray(`after ${record.attempts} attempts`)}`);
+  }
+}
+
+/**
+ * Run a workflow file
+ * @param {string} file - Workflow file or directory
+ * @param {Object} options - Command options
+ */
+async function runWorkflow(file = WorkflowRunner.DEFAULT_FILE, options) {
+  intro(chalk.blue(`🔀 Workflow ${file}`));
+
+  try {
+    const workflow = WorkflowRunner.load(file);
+    const context = {
+      apiKey: AuthManager.getApiKey(),
+      workspaceId: CredentialStorage.getCurrentWorkspaceId(),
+      repoPath: CredentialStorage.getGitRepoPath()
+    };
+    // The environment selected with `env use` applies when neither the option nor the workflow names one
+    const active = workflow.environment ? null : EnvironmentManager.getActive(context.workspaceId);
+    const resources = await WorkflowRunner.loadResources(workflow, context, options.environment || active?.id);
+
+    const runner = new WorkflowRunner(workflow, {
+      ...resources,
+      timeout: options.timeout,
+      hooks: {
+        onRequest: (result) => ResultPrinter.printResult(
+          result,
+          result.step === result.path ? result.path : `${result.step} ${chalk.gray(result.path)}`
+        ),
+        onStep: printStep
+      }
+    });
+
+    const summary = await runner.run();
+
+    note(
+      `Steps: ${summary.stats.steps}\n` +
+      `Failed: ${summary.stats.failed ? chalk.red(summary.stats.failed) : chalk.green(0)}\n` +
+      (summary.stats.skipped ? `Skipped: ${chalk.yellow(summary.stats.skipped)}\n` : '') +
+      `Requests: ${summary.stats.requests}\n` +
+      `Duration: ${summary.duration}ms`,
+      summary.workflow
+    );
+
+    const report = RunReporter.normalize(summary, 'workflow');
+    if (options.reporter) {
+      const files = RunReporter.write(options.reporter, report, options.reporterOut);
+      note(files.join('\n'), 'Reports');
+    }
+    Output.print(report, { plain: RunReporter.summarize });
+
+    if (!summary.passed) {
+      process.exitCode = ExitCodes.FAILURE;
+      outro(chalk.red('❌ Workflow failed'));
+      return;
+    }
+
+    outro(chalk.green('✅ Workflow completed'));
+
+  } catch (error) {
+    Logger.error('Workflow failed:', error.message);
+    outro(chalk.red('❌ Workflow failed'));
+    process.exitCode = error.exitCode ?? ExitCodes.FAILURE;
+  }
+}
+
+export const run = [
+  {
+    name: 'run',
+    run: runWorkflow,
+    help: `Run a workflow file (default: ./${WorkflowRunner.DEFAULT_FILE})`,
+    arguments: '[file]',
+    options: [
+      { flags: '-e, --environment <environment>', description: 'Environment file, id or name (overrides the workflow environment)' },
+      ...OptionParsers.reporterOptions(),
+      { flags: '--timeout <ms>', description: 'Request timeout in milliseconds', parser: OptionParsers.positiveInteger, defaultValue: CollectionRunner.DEFAULT_TIMEOUT }
+    ]
+  }
+];
+
+export const help = 'Run multi-step workflows that chain requests across collections';
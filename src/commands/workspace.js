@@ -1,43 +1,99 @@
 import AuthManager from '../lib/auth-manager.js';
-import { select, spinner, note } from '@clack/prompts';
+import { select, spinner, note, isCancel } from '@clack/prompts';
 import PostmanClient from '../lib/postman-client.js';
+import Interaction from '../utils/interaction.js';
+import Output from '../utils/output.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Find a workspace by ID or name (case-insensitive)
+ * @param {Array<Object>} workspaces - Workspaces
+ * @param {string} reference - Workspace ID or name
+ * @returns {Object} Workspace
+ * @throws {CliError} If no workspace or several match
+ */
+function findWorkspace(workspaces, reference) {
+  const byId = workspaces.find(ws => ws.id === reference);
+  if (byId) {
+    return byId;
+  }
+
+  const byName = workspaces.filter(ws => ws.name.toLowerCase() === reference.toLowerCase());
+  if (byName.length > 1) {
+    throw new CliError(
+      `Several workspaces are named "${reference}", use an ID instead: ${byName.map(ws => ws.id).join(', ')}`,
+      ExitCodes.USAGE
+    );
+  }
+  if (byName.length === 0) {
+    throw new CliError(`Workspace "${reference}" not found. Run "flowman-cli workspace ls" to list workspaces`, ExitCodes.USAGE);
+  }
+  return byName[0];
+}
 
 export const run = [
   {
     name: 'ls',
     run: async () => {
+        const apiKey = AuthManager.requireApiKey();
         const s = spinner();
         s.start('Getting workspaces...');
-        const apiKey = AuthManager.getApiKey();
-        if (!apiKey) {
-            s.stop('No API key found');
+        let workspaces;
+        try {
+            workspaces = await PostmanClient.getWorkspaces(apiKey);
+        } catch (error) {
+            s.stop('Failed to get workspaces');
+            throw error;
         }
-        const workspaces = await PostmanClient.getWorkspaces(apiKey);
-        note(workspaces.map(ws => `- ${ws.name} (ID: ${ws.id})`).join('\n'), 'Available Workspaces');
         s.stop('Fetched workspaces');
+        Output.print(workspaces, {
+            columns: ['id', 'name', 'type'],
+            table: () => note(workspaces.map(ws => `- ${ws.name} (ID: ${ws.id})`).join('\n'), 'Available Workspaces')
+        });
     },
     help: 'List all available workspaces'
   },
   {
     name: 'switch',
-    run: async (options) => {
-        const workspaces = await PostmanClient.getWorkspaces(AuthManager.getApiKey());
-        const workspaceChoices = workspaces.map(ws => ({ value: ws.id, label: ws.name }));
-        const selectedWorkspaceId = await select({
-            message: 'Select a workspace to switch to:',
-            options: workspaceChoices
-        });
+    arguments: '[workspace]',
+    run: async (reference) => {
+        const apiKey = AuthManager.requireApiKey();
+        if (!reference && !Interaction.isInteractive()) {
+            Interaction.requireInput('No workspace given. Use flowman-cli workspace switch <id|name>');
+        }
 
-        if (selectedWorkspaceId) {
-            const success = await AuthManager.setCurrentWorkspace(selectedWorkspaceId);
-            if (success) {
-                note(`Switched to workspace: ${workspaceChoices.find(ws => ws.value === selectedWorkspaceId).label}`, 'Workspace Switched');
+        let workspaces = await PostmanClient.getWorkspaces(apiKey);
+        const matches = (ws) => ws.id === reference || ws.name.toLowerCase() === reference.toLowerCase();
+        if (reference && !workspaces.some(matches)) {
+            // The cached list may predate a workspace created or shared since
+            workspaces = await PostmanClient.getWorkspaces(apiKey, { revalidate: true });
+        }
+        let workspace;
+        if (reference) {
+            workspace = findWorkspace(workspaces, reference);
+        } else {
+            const selectedWorkspaceId = await select({
+                message: 'Select a workspace to switch to:',
+                options: workspaces.map(ws => ({ value: ws.id, label: ws.name }))
+            });
+            if (isCancel(selectedWorkspaceId)) {
+                return;
             }
+            workspace = workspaces.find(ws => ws.id === selectedWorkspaceId);
         }
 
+        const success = await AuthManager.setCurrentWorkspace(workspace.id);
+        if (success) {
+            Output.print({ id: workspace.id, name: workspace.name }, {
+                table: () => note(`Switched to workspace: ${workspace.name}`, 'Workspace Switched')
+            });
+        } else {
+            process.exitCode = ExitCodes.FAILURE;
+        }
     },
-    help: 'Switch to a different workspace'
+    help: 'Switch to a different workspace, by ID or name'
   }
 ];
 
-export const help = 'Manage Postman workspaces';
\ No newline at end of file
+export const help = 'Manage Postman workspaces';
@@ -0,0 +1,57 @@
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Postman API request failure. Subclasses tell the common cases apart, and the exit code
+ * lets the entry point end the command accordingly.
+ */
+export class ApiError extends CliError {
+  /**
+   * @param {string} message - Message shown to the user
+   * @param {Object} details - Failure details
+   * @param {number} details.status - HTTP status, null for network errors
+   * @param {string} details.code - Network error code such as ECONNRESET (optional)
+   * @param {number} exitCode - Exit code from ExitCodes
+   */
+  constructor(message, { status = null, code = null } = {}, exitCode = ExitCodes.FAILURE) {
+    super(message, exitCode);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * The API key or token is missing, invalid, expired or lacks access (401, 403)
+ */
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details, ExitCodes.NOT_AUTHENTICATED);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * The requested resource doesn't exist (404)
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details, ExitCodes.NOT_FOUND);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Too many requests (429) and the limit didn't reset within the retries
+ */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Message shown to the user
+   * @param {Object} details - Failure details, with retryAfter in milliseconds when known
+   */
+  constructor(message, details = {}) {
+    super(message, details, ExitCodes.RATE_LIMITED);
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
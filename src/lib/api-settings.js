@@ -0,0 +1,206 @@
+import fs from 'fs';
+import https from 'https';
+import tls from 'tls';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import ProfileManager from './profile-manager.js';
+import ResponseCache from './response-cache.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * HttpsProxyAgent applies its options to the connection to the proxy only. This one also trusts
+ * them for the TLS connection to the target that is tunnelled through the proxy.
+ */
+class TunnelingAgent extends HttpsProxyAgent {
+  /**
+   * @param {string} proxy - Proxy URL
+   * @param {Object} options - TLS options such as ca
+   */
+  constructor(proxy, options) {
+    super(proxy, options);
+    this.tlsOptions = options;
+  }
+
+  /**
+   * Open the tunnelled connection for a request
+   * @param {Object} req - Outgoing request
+   * @param {Object} options - Connection options of the request
+   * @returns {Promise<Object>} Socket
+   */
+  connect(req, options) {
+    return super.connect(req, { ...options, ...this.tlsOptions });
+  }
+}
+
+/**
+ * Network settings of the Postman API client: base URL, proxy, CA bundle, timeout and how long
+ * cached responses are used. Each one is stored per profile with `flowman-cli config set` and
+ * can be overridden by environment variables, the usual HTTPS_PROXY, HTTP_PROXY and NO_PROXY
+ * for the proxy.
+ */
+class ApiSettings {
+  static DEFAULT_API_URL = 'https://api.getpostman.com';
+  static DEFAULT_TIMEOUT = 10000;
+  static CACHE_TTL_PREFIX = 'cache-ttl.';
+
+  // Names used with `config set`, with the profile key and the overriding environment variables
+  static SETTINGS = {
+    'api-url': { key: 'apiUrl', env: ['FLOWMAN_API_URL'] },
+    'proxy': { key: 'proxy', env: ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy'] },
+    'no-proxy': { key: 'noProxy', env: ['NO_PROXY', 'no_proxy'] },
+    'ca-file': { key: 'caFile', env: ['FLOWMAN_CA_FILE'] },
+    'timeout': { key: 'timeout', env: ['FLOWMAN_API_TIMEOUT'] },
+    // cache-ttl.collections, FLOWMAN_CACHE_TTL_COLLECTIONS... in seconds, one per cached endpoint
+    ...Object.fromEntries(Object.keys(ResponseCache.TTLS).map(endpoint => [
+      `${this.CACHE_TTL_PREFIX}${endpoint}`,
+      { key: `cacheTtl.${endpoint}`, env: [`FLOWMAN_CACHE_TTL_${endpoint.toUpperCase()}`] }
+    ]))
+  };
+
+  /**
+   * Get the settings of a profile with the environment overrides applied
+   * @param {string} profile - Profile name (default: active profile)
+   * @returns {Object} { apiUrl, proxy, noProxy, caFile, timeout, cacheTtls } with cacheTtls in milliseconds per endpoint
+   */
+  static resolve(profile = ProfileManager.getActiveName()) {
+    const value = (name) => {
+      const { key, env } = this.SETTINGS[name];
+      return env.map(variable => process.env[variable]).find(Boolean) || ProfileManager.getSetting(profile, key);
+    };
+
+    return {
+      apiUrl: String(value('api-url') || this.DEFAULT_API_URL).replace(/\/+$/, ''),
+      // Proxy variables depend on the protocol of the request, see getProxy()
+      proxy: ProfileManager.getSetting(profile, 'proxy'),
+      noProxy: value('no-proxy') || '',
+      caFile: value('ca-file') || null,
+      timeout: Number(value('timeout')) || this.DEFAULT_TIMEOUT,
+      cacheTtls: Object.fromEntries(Object.entries(ResponseCache.TTLS).map(([endpoint, defaultTtl]) => {
+        const seconds = value(`${this.CACHE_TTL_PREFIX}${endpoint}`);
+        return [endpoint, seconds === null || seconds === '' || Number.isNaN(Number(seconds)) ? defaultTtl : Number(seconds) * 1000];
+      }))
+    };
+  }
+
+  /**
+   * Check a value before storing it
+   * @param {string} name - Setting name
+   * @param {string} value - Value
+   * @returns {*} Value to store
+   * @throws {CliError} If the value is invalid
+   */
+  static validate(name, value) {
+    switch (name) {
+      case 'api-url':
+      case 'proxy': {
+        let url;
+        try {
+          url = new URL(value);
+        } catch {
+          throw new CliError(`${name} must be a URL, e.g. ${name === 'proxy' ? 'http://proxy.example.com:8080' : this.DEFAULT_API_URL}`, ExitCodes.USAGE);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new CliError(`${name} must be an http or https URL`, ExitCodes.USAGE);
+        }
+        return value;
+      }
+      case 'ca-file':
+        try {
+          fs.accessSync(value, fs.constants.R_OK);
+        } catch {
+          throw new CliError(`Unable to read ${value}`, ExitCodes.USAGE);
+        }
+        return fs.realpathSync(value);
+      case 'timeout': {
+        const timeout = Number(value);
+        if (!Number.isInteger(timeout) || timeout <= 0) {
+          throw new CliError('timeout must be a positive number of milliseconds', ExitCodes.USAGE);
+        }
+        return timeout;
+      }
+      default: {
+        if (!name.startsWith(this.CACHE_TTL_PREFIX)) {
+          return value;
+        }
+        const seconds = Number(value);
+        if (!Number.isInteger(seconds) || seconds < 0) {
+          throw new CliError(`${name} must be a number of seconds, 0 to always revalidate`, ExitCodes.USAGE);
+        }
+        return seconds;
+      }
+    }
+  }
+
+  /**
+   * Get the proxy to use for a URL
+   * @param {string} url - Request URL
+   * @param {Object} settings - Settings from resolve()
+   * @returns {string|null} Proxy URL or null to connect directly
+   */
+  static getProxy(url, settings) {
+    const { protocol } = new URL(url);
+    const variables = protocol === 'https:' ? ['HTTPS_PROXY', 'https_proxy'] : ['HTTP_PROXY', 'http_proxy'];
+    const proxy = variables.map(variable => process.env[variable]).find(Boolean) || settings.proxy;
+
+    return proxy && !this.isExcluded(url, settings.noProxy) ? proxy : null;
+  }
+
+  /**
+   * Check if a URL is listed in NO_PROXY: "*", host names matching themselves and their
+   * subdomains (with or without a leading dot), optionally with a port
+   * @param {string} url - Request URL
+   * @param {string} noProxy - Comma separated NO_PROXY entries
+   * @returns {boolean} True if the proxy must be skipped
+   */
+  static isExcluded(url, noProxy) {
+    const { protocol, hostname, port } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const requestPort = Number(port) || (protocol === 'https:' ? 443 : 80);
+
+    return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+      if (entry === '*') {
+        return true;
+      }
+      const [, pattern, entryPort] = entry.toLowerCase().match(/^\[?(.*?)\]?(?::(\d+))?$/);
+      if (entryPort && Number(entryPort) !== requestPort) {
+        return false;
+      }
+      const domain = pattern.replace(/^\*?\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+  }
+
+  /**
+   * Get the axios options that send requests to a URL through the configured proxy, trusting
+   * the CA bundle, with the configured timeout
+   * @param {string} url - Request URL, or the base URL of the requests
+   * @param {Object} settings - Settings from resolve() (default: active profile)
+   * @returns {Object} { proxy, timeout, httpAgent, httpsAgent }
+   * @throws {CliError} If the CA bundle can't be read
+   */
+  static getRequestOptions(url, settings = this.resolve()) {
+    let agentOptions = {};
+    if (settings.caFile) {
+      try {
+        // Node replaces its root certificates with `ca`, the bundle is meant to add to them
+        agentOptions = { ca: [...tls.rootCertificates, fs.readFileSync(settings.caFile, 'utf8')] };
+      } catch (error) {
+        throw new CliError(`Unable to read the CA bundle ${settings.caFile}: ${error.message}`);
+      }
+    }
+
+    const proxy = this.getProxy(url, settings);
+    return {
+      // Axios reads the proxy variables itself but can't tunnel HTTPS through a proxy
+      proxy: false,
+      timeout: settings.timeout,
+      httpAgent: proxy ? new HttpProxyAgent(proxy, agentOptions) : undefined,
+      httpsAgent: proxy
+        ? new TunnelingAgent(proxy, agentOptions)
+        : (agentOptions.ca ? new https.Agent(agentOptions) : undefined)
+    };
+  }
+}
+
+export default ApiSettings;
@@ -1,7 +1,13 @@
 import CredentialStorage from './credential-storage.js';
+import OAuthClient from './oauth-client.js';
 import Logger from '../utils/logger.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
 
 class AuthManager {
+  // Refresh OAuth tokens that expire within this time, so they last for the whole command
+  static TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
   /**
    * Check if user is currently authenticated
    * @returns {boolean} True if authenticated
@@ -16,16 +22,21 @@ class AuthManager {
    */
   static getAuthStatus() {
     const credentials = CredentialStorage.getAllCredentials();
-    const hasApiKey = !!credentials.apiKey;
+    const token = credentials.apiKey ? null : CredentialStorage.getOAuthToken();
+    const credential = credentials.apiKey || token?.accessToken;
+    const hasApiKey = !!credential;
     const hasWorkspace = !!credentials.workspaceId;
     const hasGitRepoPath = !!credentials.gitRepoPath;
 
     return {
+      profile: CredentialStorage.getProfile(),
       authenticated: hasApiKey,
+      method: token ? 'oauth' : (hasApiKey ? 'api-key' : null),
+      tokenExpiresAt: token?.expiresAt || null,
       hasApiKey,
       hasWorkspace,
       hasGitRepoPath,
-      apiKey: hasApiKey ? this.maskApiKey(credentials.apiKey) : null,
+      apiKey: hasApiKey ? this.maskApiKey(credential) : null,
       workspaceId: credentials.workspaceId,
       gitRepoPath: credentials.gitRepoPath
     };
@@ -67,6 +78,57 @@ class AuthManager {
     }
   }
 
+  /**
+   * Authenticate user with the token of a browser login
+   * @param {Object} token - Token from OAuthClient
+   * @returns {Promise<boolean>} True if authentication successful
+   */
+  static async authenticateWithOAuth(token) {
+    try {
+      if (!CredentialStorage.storeOAuthToken(token)) {
+        Logger.error('Failed to store credentials');
+        return false;
+      }
+
+      const isValid = await this.validateCredentials();
+      if (!isValid) {
+        Logger.error('The Postman API rejected the OAuth token');
+        CredentialStorage.clearCredentials();
+        return false;
+      }
+
+      Logger.success('Authentication successful');
+      return true;
+    } catch (error) {
+      Logger.error('Authentication failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Refresh the OAuth token of a browser login when it is about to expire
+   * @returns {Promise<boolean>} False if a token needed a refresh and couldn't get one
+   */
+  static async refreshOAuthToken() {
+    // An API key in the environment or the profile is used instead of the token
+    if (CredentialStorage.getApiKey()) {
+      return true;
+    }
+
+    const token = CredentialStorage.getOAuthToken();
+    if (!token || !OAuthClient.isExpiring(token, this.TOKEN_REFRESH_MARGIN)) {
+      return true;
+    }
+
+    try {
+      const refreshed = await OAuthClient.refresh(token);
+      return CredentialStorage.storeOAuthToken(refreshed);
+    } catch (error) {
+      Logger.warn(`Unable to refresh the OAuth token, please run "flowman-cli login --browser" again: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Logout user by clearing stored credentials
    * @returns {boolean} True if logout successful
@@ -89,7 +151,7 @@ class AuthManager {
    * @returns {Promise<boolean>} True if credentials are valid
    */
   static async validateCredentials() {
-    const apiKey = CredentialStorage.getApiKey();
+    const apiKey = this.getApiKey();
     if (!apiKey) {
       return false;
     }
@@ -109,7 +171,7 @@ class AuthManager {
    * @returns {string|null} Masked API key or null
    */
   static getMaskedApiKey() {
-    const apiKey = CredentialStorage.getApiKey();
+    const apiKey = this.getApiKey();
     return apiKey ? this.maskApiKey(apiKey) : null;
   }
 
@@ -158,8 +220,25 @@ class AuthManager {
     }
   }
 
+  /**
+   * Get the credential for the Postman API: the API key, or the access token of a browser login
+   * @returns {string|null} API key, access token or null if not authenticated
+   */
   static getApiKey() {
-    return CredentialStorage.getApiKey();
+    return CredentialStorage.getApiKey() || CredentialStorage.getOAuthToken()?.accessToken || null;
+  }
+
+  /**
+   * Get the credential for the Postman API of a command that can't run without it
+   * @returns {string} API key or access token
+   * @throws {CliError} If not authenticated
+   */
+  static requireApiKey() {
+    const apiKey = this.getApiKey();
+    if (!apiKey) {
+      throw new CliError('No API key found. Please login first using flowman-cli login', ExitCodes.NOT_AUTHENTICATED);
+    }
+    return apiKey;
   }
 
   /**
@@ -171,8 +250,8 @@ class AuthManager {
       return false;
     }
 
-    // Validate format first
-    if (!CredentialStorage.validateStoredApiKey()) {
+    // Validate format first, access tokens have none
+    if (CredentialStorage.hasApiKey() && !CredentialStorage.validateStoredApiKey()) {
       Logger.warn('Stored API key format is invalid');
       return false;
     }
@@ -0,0 +1,285 @@
+/**
+ * Converts captured requests (from HarReader or CurlParser) into a Postman v2.1 collection.
+ * Parts that only hold for the captured session become {{variables}}: the scheme and host of
+ * every URL, Authorization headers, API key and CSRF headers, cookies, and credential query
+ * parameters and form fields. Base URLs keep their value; credentials are left empty so they never end up in
+ * a collection and have to be set in an environment.
+ */
+class CaptureConverter {
+  static COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+  static CREDENTIAL_DESCRIPTION = 'Captured credential, set it in an environment';
+
+  // Headers set by the client or the connection rather than by the caller
+  static IGNORED_HEADERS = new Set(['host', 'content-length', 'connection', 'keep-alive', 'accept-encoding', 'transfer-encoding', 'te', 'priority', 'upgrade-insecure-requests']);
+  static CREDENTIAL_HEADERS = new Set(['x-api-key', 'api-key', 'apikey', 'x-auth-token', 'x-access-token', 'x-csrf-token', 'x-xsrf-token', 'x-csrftoken']);
+  static CREDENTIAL_PARAMS = /^(api[_-]?key|access[_-]?token|auth[_-]?token|id[_-]?token|token|client[_-]?secret|secret|pass(word|wd)?|signature|sig)$/i;
+
+  /**
+   * Convert captured requests into a collection
+   * @param {Array<Object>} requests - Captured requests
+   * @param {Object} options - Options
+   * @param {string} options.name - Collection name
+   * @param {Array<Object>} options.variables - Variables of a collection receiving the requests:
+   *   they are reused for equal values, and other values get new names (optional)
+   * @returns {Object} Postman v2.1 collection, with only the variables it adds
+   */
+  static toCollection(requests, { name, variables: existing = [] }) {
+    const variables = new Map(existing.map(variable => [variable.key, { variable, captured: variable.value, existing: true }]));
+    const item = requests.map(request => this.toItem(request, variables));
+
+    // Auth shared by every request moves to the collection
+    const collection = {
+      info: { name, schema: this.COLLECTION_SCHEMA },
+      item,
+      variable: [...variables.values()].filter(entry => !entry.existing).map(entry => entry.variable)
+    };
+    const [first] = item;
+    const auths = new Set(item.map(entry => JSON.stringify(entry.request.auth ?? null)));
+    if (first?.request.auth && auths.size === 1) {
+      collection.auth = first.request.auth;
+      for (const entry of item) {
+        delete entry.request.auth;
+      }
+    }
+    return collection;
+  }
+
+  /**
+   * List the credential variables of a converted collection
+   * @param {Object} collection - Collection from toCollection()
+   * @returns {Array<string>} Variable names
+   */
+  static listCredentials(collection) {
+    return (collection.variable || [])
+      .filter(variable => variable.description === this.CREDENTIAL_DESCRIPTION)
+      .map(variable => variable.key);
+  }
+
+  /**
+   * Convert a captured request into a request item
+   * @param {Object} captured - Captured request
+   * @param {Map<string, Object>} variables - Variables found so far: name to { variable, captured }
+   * @returns {Object} Request item
+   */
+  static toItem(captured, variables) {
+    const url = new URL(captured.url);
+    const request = {
+      method: captured.method,
+      header: [],
+      url: this.toUrl(url, variables)
+    };
+
+    for (const { key, value } of captured.headers) {
+      const lowerKey = key.toLowerCase();
+      if (this.IGNORED_HEADERS.has(lowerKey) || lowerKey.startsWith(':') || lowerKey.startsWith('sec-')) {
+        continue;
+      }
+      if (lowerKey === 'authorization') {
+        request.auth = this.toAuth(value, variables);
+        if (request.auth) {
+          continue;
+        }
+        request.header.push({ key, value: this.variable(variables, 'authorization', value, false) });
+      } else if (lowerKey === 'cookie') {
+        request.header.push({ key, value: this.variable(variables, 'cookie', value, false) });
+      } else if (this.CREDENTIAL_HEADERS.has(lowerKey)) {
+        request.header.push({ key, value: this.variable(variables, this.toVariableName(key), value, false) });
+      } else if (!(lowerKey === 'content-type' && /multipart\/form-data/i.test(value))) {
+        // Postman sets the multipart boundary itself
+        request.header.push({ key, value });
+      }
+    }
+    if (!request.auth) {
+      delete request.auth;
+    }
+
+    const body = this.toBody(captured.body, variables);
+    if (body) {
+      request.body = body;
+    }
+
+    return { name: `${captured.method} ${decodeURIComponent(url.pathname)}`, request };
+  }
+
+  /**
+   * Build the URL of a request with its origin as a variable
+   * @param {URL} url - Captured URL
+   * @param {Map<string, Object>} variables - Variables found so far
+   * @returns {Object} Postman URL
+   */
+  static toUrl(url, variables) {
+    const host = this.variable(variables, 'baseUrl', url.origin, true);
+    const segments = url.pathname.split('/').slice(1);
+    const query = url.search.slice(1).split('&').filter(Boolean).map(pair => {
+      const separator = pair.indexOf('=');
+      const key = separator === -1 ? pair : pair.slice(0, separator);
+      const value = separator === -1 ? null : pair.slice(separator + 1);
+      const decodedKey = this.decode(key);
+      return {
+        key,
+        value: value !== null && this.CREDENTIAL_PARAMS.test(decodedKey)
+          ? this.variable(variables, this.toVariableName(decodedKey), this.decode(value), false)
+          : value
+      };
+    });
+    const queryString = query.map(param => (param.value === null ? param.key : `${param.key}=${param.value}`)).join('&');
+
+    return {
+      raw: `${host}${url.pathname}${queryString ? `?${queryString}` : ''}`,
+      host: [host],
+      path: segments,
+      query: query.length ? query : undefined
+    };
+  }
+
+  /**
+   * Turn an Authorization header into request auth
+   * @param {string} value - Header value
+   * @param {Map<string, Object>} variables - Variables found so far
+   * @returns {Object|null} Postman auth, or null for schemes kept as a header
+   */
+  static toAuth(value, variables) {
+    const [scheme, ...rest] = String(value).trim().split(/\s+/);
+    const credentials = rest.join(' ');
+    if (/^bearer$/i.test(scheme) && credentials) {
+      return {
+        type: 'bearer',
+        bearer: [{ key: 'token', value: this.variable(variables, 'token', credentials, false), type: 'string' }]
+      };
+    }
+    if (/^basic$/i.test(scheme) && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) {
+        return null;
+      }
+      return {
+        type: 'basic',
+        basic: [
+          { key: 'username', value: this.variable(variables, 'username', decoded.slice(0, separator), true), type: 'string' },
+          { key: 'password', value: this.variable(variables, 'password', decoded.slice(separator + 1), false), type: 'string' }
+        ]
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Convert a captured body
+   * @param {Object} body - Captured body, or null
+   * @param {Map<string, Object>} variables - Variables found so far
+   * @returns {Object|null} Postman body, or null without one
+   */
+  static toBody(body, variables) {
+    if (!body) {
+      return null;
+    }
+    const mimeType = String(body.mimeType || '').split(';')[0].trim().toLowerCase();
+
+    if (body.params) {
+      if (mimeType === 'multipart/form-data') {
+        return {
+          mode: 'formdata',
+          formdata: body.params.map(param => (param.fileName
+            ? { key: param.name, type: 'file', src: param.fileName }
+            : { key: param.name, value: param.value ?? '', type: 'text' }))
+        };
+      }
+      return {
+        mode: 'urlencoded',
+        urlencoded: body.params.map(param => this.toField(this.decode(param.name), this.decode(param.value ?? ''), variables))
+      };
+    }
+
+    if (mimeType === 'application/x-www-form-urlencoded' && !/[\r\n]/.test(body.text)) {
+      return {
+        mode: 'urlencoded',
+        urlencoded: body.text.split('&').filter(Boolean).map(pair => {
+          const separator = pair.indexOf('=');
+          return separator === -1
+            ? { key: this.decode(pair), value: '' }
+            : this.toField(this.decode(pair.slice(0, separator)), this.decode(pair.slice(separator + 1)), variables);
+        })
+      };
+    }
+
+    const raw = { mode: 'raw', raw: body.text };
+    if (mimeType.includes('json')) {
+      try {
+        raw.raw = JSON.stringify(JSON.parse(body.text), null, 2);
+      } catch {
+        // Keep bodies that are not valid JSON as they were sent
+      }
+      raw.options = { raw: { language: 'json' } };
+    } else if (mimeType.includes('xml')) {
+      raw.options = { raw: { language: 'xml' } };
+    }
+    return raw;
+  }
+
+  /**
+   * Build a form field, with credentials such as password=... as variables
+   * @param {string} key - Decoded field name
+   * @param {string} value - Decoded field value
+   * @param {Map<string, Object>} variables - Variables found so far
+   * @returns {Object} Urlencoded field
+   */
+  static toField(key, value, variables) {
+    return {
+      key,
+      value: value && this.CREDENTIAL_PARAMS.test(key) ? this.variable(variables, this.toVariableName(key), value, false) : value
+    };
+  }
+
+  /**
+   * Get the variable holding a captured value, adding it the first time the value is seen.
+   * Different values for the same name get numbered names (token, token2...).
+   * @param {Map<string, Object>} variables - Variables found so far
+   * @param {string} name - Variable name
+   * @param {string} value - Captured value
+   * @param {boolean} keepValue - False for credentials, whose value is left empty
+   * @returns {string} Variable reference, e.g. {{token}}
+   */
+  static variable(variables, name, value, keepValue) {
+    let key = name;
+    for (let index = 2; variables.has(key); index++) {
+      if (variables.get(key).captured === value) {
+        return `{{${key}}}`;
+      }
+      key = `${name}${index}`;
+    }
+
+    variables.set(key, {
+      variable: keepValue
+        ? { key, value, type: 'string' }
+        : { key, value: '', type: 'string', description: this.CREDENTIAL_DESCRIPTION },
+      captured: value
+    });
+    return `{{${key}}}`;
+  }
+
+  /**
+   * Turn a header or parameter name into a variable name, e.g. X-Api-Key into apiKey
+   * @param {string} name - Header or parameter name
+   * @returns {string} Camel case name
+   */
+  static toVariableName(name) {
+    const words = name.replace(/^x-/i, '').split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word.toLowerCase());
+    return words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('') || 'secret';
+  }
+
+  /**
+   * Decode a form or query component, treating + as a space
+   * @param {string} value - Encoded value
+   * @returns {string} Decoded value, or the value itself when it is not valid encoding
+   */
+  static decode(value) {
+    try {
+      return decodeURIComponent(String(value).replace(/\+/g, ' '));
+    } catch {
+      return value;
+    }
+  }
+}
+
+export default CaptureConverter;
@@ -0,0 +1,136 @@
+import PostmanClient from './postman-client.js';
+
+/**
+ * Starts collection runs in the Postman cloud and waits for them to finish.
+ */
+class CloudRun {
+  static POLL_INTERVAL = 2000;
+  static DEFAULT_TIMEOUT = 10 * 60 * 1000;
+  static FINISHED_STATUSES = ['finished', 'completed', 'failed', 'error', 'aborted', 'cancelled'];
+
+  /**
+   * Start a run and poll it until it finishes
+   * @param {string} apiKey - API key
+   * @param {string} collectionId - Collection id or uid
+   * @param {Object} options - Run options
+   * @param {string} options.environment - Environment id or uid (optional)
+   * @param {number} options.iterationCount - Number of iterations (optional)
+   * @param {number} options.timeout - Maximum time to wait in milliseconds
+   * @param {Function} options.onProgress - Called with the run after every poll (optional)
+   * @returns {Promise<Object>} Finished run
+   * @throws {Error} If the run can't be started, polled, or doesn't finish in time
+   */
+  static async execute(apiKey, collectionId, { environment, iterationCount, timeout = this.DEFAULT_TIMEOUT, onProgress } = {}) {
+    const payload = {};
+    if (environment) {
+      payload.environment = environment;
+    }
+    if (iterationCount) {
+      payload.iterationCount = iterationCount;
+    }
+
+    const started = await PostmanClient.runCollection(apiKey, collectionId, payload);
+    if (!started?.id) {
+      throw new Error('Postman did not start the run');
+    }
+
+    const deadline = Date.now() + timeout;
+    let run = started;
+    while (!this.isFinished(run)) {
+      if (Date.now() > deadline) {
+        throw new Error(`Run ${started.id} did not finish within ${Math.round(timeout / 1000)}s`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.POLL_INTERVAL));
+
+      run = await PostmanClient.getRunStatus(apiKey, started.id);
+      onProgress?.(run);
+    }
+
+    return run;
+  }
+
+  /**
+   * Check if a run is over
+   * @param {Object} run - Run from the Postman API
+   * @returns {boolean} True if finished
+   */
+  static isFinished(run) {
+    return this.FINISHED_STATUSES.includes(String(run.status || '').toLowerCase());
+  }
+
+  /**
+   * Convert a finished cloud run into a runner summary, so cloud and local runs share reporting.
+   * Executions may list their assertions as `tests` ({ name, passed, error }) or in the
+   * Newman format as `assertions` ({ assertion, skipped, error: { message } }).
+   * @param {Object} run - Finished run
+   * @param {string} collectionName - Collection name used when the run has none
+   * @returns {Object} Summary shaped like CollectionRunner.getSummary
+   */
+  static toSummary(run, collectionName) {
+    const results = (run.executions || []).map(execution => {
+      const tests = execution.tests
+        ? execution.tests.map(test => ({
+          name: test.name,
+          passed: !!test.passed,
+          skipped: !!test.skipped,
+          error: test.passed ? null : (test.error?.message || test.error || 'Assertion failed')
+        }))
+        : (execution.assertions || []).map(assertion => ({
+          name: assertion.assertion || assertion.name,
+          passed: !assertion.error,
+          skipped: !!assertion.skipped,
+          error: assertion.error ? (assertion.error.message || String(assertion.error)) : null
+        }));
+
+      const response = execution.response && {
+        code: execution.response.code,
+        status: execution.response.status || '',
+        headers: execution.response.headers || {},
+        body: execution.response.body ?? '',
+        size: execution.response.responseSize ?? execution.response.size ?? 0,
+        responseTime: execution.response.responseTime ?? 0
+      };
+
+      return {
+        name: execution.item?.name || execution.name || 'Request',
+        path: execution.item?.path || execution.item?.name || execution.name || 'Request',
+        iteration: execution.iteration ?? execution.cursor?.iteration ?? 0,
+        request: execution.request && {
+          method: execution.request.method,
+          url: typeof execution.request.url === 'string' ? execution.request.url : (execution.request.url?.raw || ''),
+          headers: execution.request.headers || {},
+          body: execution.request.body ?? null
+        },
+        response: response || null,
+        error: execution.error?.message || execution.error || null,
+        skipped: false,
+        tests,
+        scriptErrors: []
+      };
+    });
+
+    const tests = results.flatMap(result => result.tests);
+    const failed = results.filter(result => result.error || result.tests.some(test => !test.passed)).length;
+    const startedAt = run.startedAt || run.createdAt || new Date().toISOString();
+    const finishedAt = run.finishedAt || run.completedAt || new Date().toISOString();
+
+    return {
+      collection: run.collection?.name || collectionName,
+      startedAt,
+      finishedAt,
+      duration: Math.max(0, new Date(finishedAt) - new Date(startedAt)) || 0,
+      aborted: ['aborted', 'cancelled'].includes(String(run.status).toLowerCase()),
+      stats: {
+        iterations: new Set(results.map(result => result.iteration)).size || 1,
+        requests: results.length,
+        failed: failed || (String(run.status).toLowerCase() === 'failed' && results.length === 0 ? 1 : 0),
+        skipped: 0,
+        tests: tests.length,
+        failedTests: tests.filter(test => !test.passed).length
+      },
+      results
+    };
+  }
+}
+
+export default CloudRun;
@@ -0,0 +1,169 @@
+import StableJson from '../utils/stable-json.js';
+
+class CollectionDiff {
+  /**
+   * Flatten a collection into a map of item key to item entry
+   * @param {Array<Object>} items - Collection items
+   * @param {Array<string>} parents - Names of the parent folders
+   * @param {Map<string, Object>} entries - Map to fill
+   * @param {string} parentKey - Key of the parent folder, null for root items
+   * @returns {Map<string, Object>} Map of item key to { path, item, folder, parentKey }
+   */
+  static flattenItems(items = [], parents = [], entries = new Map(), parentKey = null) {
+    for (const item of items) {
+      const itemPath = [...parents, item.name].join('/');
+      const folder = Array.isArray(item.item);
+      const key = this.getItemKey(item, itemPath);
+      entries.set(key, { path: itemPath, item, folder, parentKey });
+
+      if (folder) {
+        this.flattenItems(item.item, [...parents, item.name], entries, key);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Get the identity of an item; ids survive renames, paths are used for items created locally
+   * @param {Object} item - Collection item
+   * @param {string} itemPath - Path of the item inside the collection
+   * @returns {string} Item key
+   */
+  static getItemKey(item, itemPath) {
+    return item.id ? `id:${item.id}` : `path:${itemPath}`;
+  }
+
+  /**
+   * Serialize the content of an item, ignoring the children of folders
+   * @param {Object} item - Collection item
+   * @returns {string} Comparable representation
+   */
+  static itemContent(item) {
+    const { item: children, ...content } = item;
+    return StableJson.stringify(content);
+  }
+
+  /**
+   * Compare two collections item by item
+   * @param {Object} local - Local collection
+   * @param {Object} remote - Remote collection
+   * @returns {Object} Diff with added, modified, removed item paths and metadata flag
+   */
+  static diffCollections(local, remote) {
+    const localItems = this.flattenItems(local.item);
+    const remoteItems = this.flattenItems(remote.item);
+    const diff = { added: [], modified: [], removed: [], moved: [], reordered: [], metadataChanged: false };
+
+    for (const [key, entry] of localItems) {
+      const remoteEntry = remoteItems.get(key);
+      if (!remoteEntry) {
+        diff.added.push(entry.path);
+      } else if (this.itemContent(entry.item) !== this.itemContent(remoteEntry.item)) {
+        diff.modified.push(entry.path);
+      } else if (entry.path !== remoteEntry.path) {
+        diff.moved.push(entry.path);
+      }
+    }
+
+    for (const [key, entry] of remoteItems) {
+      if (!localItems.has(key)) {
+        diff.removed.push(entry.path);
+      }
+    }
+
+    diff.reordered = this.findReorderedFolders(local, remote, localItems, remoteItems);
+    diff.metadataChanged = this.itemContent(local) !== this.itemContent(remote);
+    return diff;
+  }
+
+  /**
+   * Find folders whose common children appear in a different order on each side
+   * @param {Object} local - Local collection
+   * @param {Object} remote - Remote collection
+   * @param {Map<string, Object>} localItems - Flattened local items
+   * @param {Map<string, Object>} remoteItems - Flattened remote items
+   * @returns {Array<string>} Paths of reordered folders ("" for the collection root)
+   */
+  static findReorderedFolders(local, remote, localItems, remoteItems) {
+    const childKeys = (items, parentPath) => (items || []).map(item => {
+      const itemPath = parentPath ? `${parentPath}/${item.name}` : item.name;
+      return this.getItemKey(item, itemPath);
+    });
+
+    const remoteChildren = new Map([['', childKeys(remote.item, '')]]);
+    for (const [key, entry] of remoteItems) {
+      if (entry.folder) {
+        remoteChildren.set(key, childKeys(entry.item.item, entry.path));
+      }
+    }
+
+    const reordered = [];
+    const compare = (folderPath, key, items) => {
+      const localKeys = childKeys(items, folderPath);
+      const remoteKeys = remoteChildren.get(key);
+      if (!remoteKeys) {
+        return;
+      }
+
+      const common = localKeys.filter(childKey => remoteKeys.includes(childKey));
+      const remoteCommon = remoteKeys.filter(childKey => localKeys.includes(childKey));
+      if (common.join('\n') !== remoteCommon.join('\n')) {
+        reordered.push(folderPath);
+      }
+    };
+
+    compare('', '', local.item);
+    for (const [key, entry] of localItems) {
+      if (entry.folder) {
+        compare(entry.path, key, entry.item.item);
+      }
+    }
+
+    return reordered;
+  }
+
+  /**
+   * Compare two environments variable by variable
+   * @param {Object} local - Local environment
+   * @param {Object} remote - Remote environment
+   * @returns {Object} Diff with added, modified and removed variable keys
+   */
+  static diffEnvironments(local, remote) {
+    const toMap = (values = []) => new Map(values.map(variable => [variable.key, StableJson.stringify(variable)]));
+    const localValues = toMap(local.values);
+    const remoteValues = toMap(remote.values);
+    const diff = { added: [], modified: [], removed: [], metadataChanged: local.name !== remote.name };
+
+    for (const [key, value] of localValues) {
+      if (!remoteValues.has(key)) {
+        diff.added.push(key);
+      } else if (remoteValues.get(key) !== value) {
+        diff.modified.push(key);
+      }
+    }
+
+    for (const key of remoteValues.keys()) {
+      if (!localValues.has(key)) {
+        diff.removed.push(key);
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Check if a diff has any change
+   * @param {Object} diff - Collection or environment diff
+   * @returns {boolean} True if something changed
+   */
+  static hasChanges(diff) {
+    return diff.metadataChanged ||
+      diff.added.length > 0 ||
+      diff.modified.length > 0 ||
+      diff.removed.length > 0 ||
+      (diff.moved || []).length > 0 ||
+      (diff.reordered || []).length > 0;
+  }
+}
+
+export default CollectionDiff;
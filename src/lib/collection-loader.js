@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import PostmanClient from './postman-client.js';
+import CollectionSerializer from './collection-serializer.js';
+import SyncManager from './sync-manager.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * Finds collections and environments by file path, in the synced git repository, or in Postman.
+ */
+class CollectionLoader {
+  /**
+   * Load a collection
+   * @param {string} reference - File path, exploded collection directory, id, uid or name
+   * @param {Object} context - Where to look besides the filesystem
+   * @param {string} context.apiKey - Postman API key (optional)
+   * @param {string} context.workspaceId - Workspace ID (optional)
+   * @param {string} context.repoPath - Synced git repository path (optional)
+   * @returns {Promise<Object>} Postman v2.1 collection
+   * @throws {Error} If the collection can't be found
+   */
+  static async loadCollection(reference, { apiKey, workspaceId, repoPath } = {}) {
+    if (fs.existsSync(reference)) {
+      if (fs.statSync(reference).isDirectory()) {
+        return CollectionSerializer.read(path.resolve(reference));
+      }
+      const content = this.readJsonFile(reference);
+      return content.collection || content;
+    }
+
+    if (repoPath && fs.existsSync(repoPath)) {
+      const local = SyncManager.readLocalCollections(repoPath)
+        .find(entry => this.matches(reference, entry.id, entry.content.info?.name, entry.entityPath));
+      if (local) {
+        Logger.debug(`Using collection from ${local.entityPath}`);
+        return local.content;
+      }
+    }
+
+    const summary = await this.findRemoteCollection(reference, { apiKey, workspaceId });
+    if (summary) {
+      return PostmanClient.getCollection(apiKey, summary.uid || summary.id);
+    }
+
+    throw new Error(`Collection not found: ${reference}`);
+  }
+
+  /**
+   * Find a collection of the workspace in Postman
+   * @param {string} reference - Collection id, uid or name
+   * @param {Object} context - Postman API context
+   * @returns {Promise<Object|null>} Collection summary ({ id, uid, name }) or null
+   */
+  static async findRemoteCollection(reference, { apiKey, workspaceId } = {}) {
+    if (!apiKey) {
+      return null;
+    }
+    const find = (collections) => collections.find(entry => this.matches(reference, entry.id, entry.name) || entry.uid === reference);
+    // The cached list may predate a collection created since
+    return find(await PostmanClient.getCollections(apiKey, workspaceId)) ||
+      find(await PostmanClient.getCollections(apiKey, workspaceId, { revalidate: true })) ||
+      null;
+  }
+
+  /**
+   * Load an environment
+   * @param {string} reference - File path, id, uid or name
+   * @param {Object} context - Where to look besides the filesystem
+   * @returns {Promise<Object>} Postman environment
+   * @throws {Error} If the environment can't be found
+   */
+  static async loadEnvironment(reference, { apiKey, workspaceId, repoPath } = {}) {
+    if (fs.existsSync(reference) && fs.statSync(reference).isFile()) {
+      const content = this.readJsonFile(reference);
+      return content.environment || content;
+    }
+
+    if (repoPath && fs.existsSync(repoPath)) {
+      const local = SyncManager.readLocalEnvironments(repoPath)
+        .find(entry => this.matches(reference, entry.id, entry.content.name, entry.entityPath));
+      if (local) {
+        Logger.debug(`Using environment from ${local.entityPath}`);
+        return local.content;
+      }
+    }
+
+    const summary = await this.findRemoteEnvironment(reference, { apiKey, workspaceId });
+    if (summary) {
+      return PostmanClient.getEnvironment(apiKey, summary.uid || summary.id);
+    }
+
+    throw new Error(`Environment not found: ${reference}`);
+  }
+
+  /**
+   * Find an environment of the workspace in Postman
+   * @param {string} reference - Environment id, uid or name
+   * @param {Object} context - Postman API context
+   * @returns {Promise<Object|null>} Environment summary ({ id, uid, name }) or null
+   */
+  static async findRemoteEnvironment(reference, { apiKey, workspaceId } = {}) {
+    if (!apiKey) {
+      return null;
+    }
+    const find = (environments) => environments.find(entry => this.matches(reference, entry.id, entry.name) || entry.uid === reference);
+    // The cached list may predate an environment created since
+    return find(await PostmanClient.getEnvironments(apiKey, workspaceId)) ||
+      find(await PostmanClient.getEnvironments(apiKey, workspaceId, { revalidate: true })) ||
+      null;
+  }
+
+  /**
+   * Load the global variables of a workspace
+   * @param {Object} context - Postman API context
+   * @returns {Promise<Array<Object>>} Global variables, empty when not available
+   */
+  static async loadGlobals({ apiKey, workspaceId } = {}) {
+    if (!apiKey || !workspaceId) {
+      return [];
+    }
+    try {
+      return await PostmanClient.getGlobals(apiKey, workspaceId);
+    } catch (error) {
+      Logger.debug('Global variables not available:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Check if a reference points at an entity
+   * @param {string} reference - Requested id or name
+   * @param {string} id - Entity id
+   * @param {string} name - Entity name
+   * @param {string} entityPath - Entity path in the synced repository (optional)
+   * @returns {boolean} True if the reference matches
+   */
+  static matches(reference, id, name, entityPath = null) {
+    const normalized = reference.toLowerCase();
+    return id === reference ||
+      (name && name.toLowerCase() === normalized) ||
+      (entityPath && path.basename(entityPath, '.json') === normalized);
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - File path
+   * @returns {Object} Parsed content
+   */
+  static readJsonFile(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+export default CollectionLoader;
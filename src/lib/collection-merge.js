@@ -0,0 +1,266 @@
+import CollectionDiff from './collection-diff.js';
+import SyncState from './sync-state.js';
+
+/**
+ * Three-way, item-level merge of collections and environments. The base revision is only
+ * known through the hashes recorded in the sync state, which is enough to tell which side
+ * changed an item.
+ */
+class CollectionMerge {
+  /**
+   * Decide which side wins for a single entry
+   * @param {string|undefined} localHash - Hash of the local entry, undefined if absent
+   * @param {string|undefined} remoteHash - Hash of the remote entry, undefined if absent
+   * @param {string|undefined} baseHash - Hash of the last synced entry, undefined if absent
+   * @returns {Object} { decision: 'local'|'remote'|'conflict', reason }
+   */
+  static decide(localHash, remoteHash, baseHash) {
+    if (localHash && remoteHash) {
+      if (localHash === remoteHash || remoteHash === baseHash) {
+        return { decision: 'local' };
+      }
+      if (localHash === baseHash) {
+        return { decision: 'remote' };
+      }
+      return { decision: 'conflict', reason: 'modified on both sides' };
+    }
+
+    if (localHash) {
+      if (!baseHash) {
+        return { decision: 'local' };
+      }
+      return localHash === baseHash
+        ? { decision: 'remote' }
+        : { decision: 'conflict', reason: 'modified locally, deleted in Postman' };
+    }
+
+    if (!baseHash) {
+      return { decision: 'remote' };
+    }
+    return remoteHash === baseHash
+      ? { decision: 'local' }
+      : { decision: 'conflict', reason: 'deleted locally, modified in Postman' };
+  }
+
+  /**
+   * Merge a local and a remote collection against the last synced revision
+   * @param {Object} base - Collection entry from the sync state
+   * @param {Object} local - Local collection
+   * @param {Object} remote - Remote collection
+   * @param {Function} resolve - Async callback receiving a conflict and returning 'local', 'remote' or 'both'
+   * @returns {Promise<Object>} { merged, conflicts }
+   */
+  static async mergeCollections(base, local, remote, resolve) {
+    const localItems = CollectionDiff.flattenItems(local.item);
+    const remoteItems = CollectionDiff.flattenItems(remote.item);
+    const hashItem = (entry) => entry && SyncState.hash(CollectionDiff.itemContent(entry.item));
+    const decisions = new Map();
+    const conflicts = [];
+
+    const keys = [...localItems.keys(), ...[...remoteItems.keys()].filter(key => !localItems.has(key))];
+    for (const key of keys) {
+      const localEntry = localItems.get(key);
+      const remoteEntry = remoteItems.get(key);
+      let { decision, reason } = this.decide(hashItem(localEntry), hashItem(remoteEntry), base.items?.[key]);
+
+      if (decision === 'conflict') {
+        const conflict = {
+          path: (localEntry || remoteEntry).path,
+          reason,
+          local: localEntry?.item,
+          remote: remoteEntry?.item,
+          allowBoth: !!(localEntry && remoteEntry && !localEntry.folder)
+        };
+        decision = await resolve(conflict);
+        conflicts.push({ ...conflict, choice: decision });
+      }
+
+      decisions.set(key, decision);
+    }
+
+    // A folder deleted in Postman takes its whole subtree with it, so it can only go without asking
+    // when nothing inside was added or edited locally. Deepest folders come first so a kept
+    // subfolder counts as a local change of its parent.
+    for (const key of [...localItems.keys()].reverse()) {
+      const localEntry = localItems.get(key);
+      if (!localEntry.folder || remoteItems.has(key) || decisions.get(key) !== 'remote' ||
+          !this.hasLocalDescendant(key, localItems, decisions)) {
+        continue;
+      }
+      const conflict = {
+        path: localEntry.path,
+        reason: 'deleted in Postman, contains local changes',
+        local: localEntry.item,
+        remote: undefined,
+        allowBoth: false
+      };
+      const decision = await resolve(conflict);
+      conflicts.push({ ...conflict, choice: decision });
+      decisions.set(key, decision);
+    }
+
+    const metadata = this.decide(
+      SyncState.hash(CollectionDiff.itemContent(local)),
+      SyncState.hash(CollectionDiff.itemContent(remote)),
+      base.metadata
+    );
+    let metadataDecision = metadata.decision;
+    if (metadataDecision === 'conflict') {
+      const conflict = { path: 'collection settings', reason: metadata.reason, local, remote, allowBoth: false };
+      metadataDecision = await resolve(conflict);
+      conflicts.push({ ...conflict, choice: metadataDecision });
+    }
+
+    const { item: localChildren, ...localMeta } = local;
+    const { item: remoteChildren, ...remoteMeta } = remote;
+    const merged = {
+      ...(metadataDecision === 'remote' ? remoteMeta : localMeta),
+      item: this.buildItems(local.item, '', decisions, remoteItems)
+    };
+
+    this.insertRemoteItems(merged, remote, decisions, localItems, remoteItems);
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Check if an item inside a folder is kept from the local side
+   * @param {string} folderKey - Key of the folder
+   * @param {Map<string, Object>} localItems - Flattened local items
+   * @param {Map<string, string>} decisions - Decision per item key
+   * @returns {boolean} True if a descendant was added or edited locally
+   */
+  static hasLocalDescendant(folderKey, localItems, decisions) {
+    for (const [key, entry] of localItems) {
+      if (decisions.get(key) !== 'local') {
+        continue;
+      }
+      for (let parentKey = entry.parentKey; parentKey; parentKey = localItems.get(parentKey)?.parentKey) {
+        if (parentKey === folderKey) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Rebuild the local item tree applying the merge decisions
+   * @param {Array<Object>} items - Local items
+   * @param {string} parentPath - Path of the parent folder
+   * @param {Map<string, string>} decisions - Decision per item key
+   * @param {Map<string, Object>} remoteItems - Flattened remote items
+   * @returns {Array<Object>} Merged items
+   */
+  static buildItems(items = [], parentPath, decisions, remoteItems) {
+    const merged = [];
+
+    for (const item of items) {
+      const itemPath = parentPath ? `${parentPath}/${item.name}` : item.name;
+      const key = CollectionDiff.getItemKey(item, itemPath);
+      const decision = decisions.get(key);
+      const remoteEntry = remoteItems.get(key);
+
+      if (decision === 'remote' && !remoteEntry) {
+        continue;
+      }
+
+      const { item: children, ...content } = decision === 'remote' ? remoteEntry.item : item;
+      const mergedItem = { ...content };
+      if (Array.isArray(item.item)) {
+        mergedItem.item = this.buildItems(item.item, itemPath, decisions, remoteItems);
+      }
+      merged.push(mergedItem);
+
+      if (decision === 'both') {
+        const { id, uid, ...copy } = remoteEntry.item;
+        merged.push({ ...copy, name: `${copy.name} (remote)` });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Insert items that only exist remotely and were kept by the merge
+   * @param {Object} merged - Merged collection, updated in place
+   * @param {Object} remote - Remote collection
+   * @param {Map<string, string>} decisions - Decision per item key
+   * @param {Map<string, Object>} localItems - Flattened local items
+   * @param {Map<string, Object>} remoteItems - Flattened remote items
+   */
+  static insertRemoteItems(merged, remote, decisions, localItems, remoteItems) {
+    const containers = new Map([[null, merged]]);
+    for (const [key, entry] of CollectionDiff.flattenItems(merged.item)) {
+      if (entry.folder) {
+        containers.set(key, entry.item);
+      }
+    }
+
+    for (const [key, entry] of remoteItems) {
+      if (localItems.has(key) || decisions.get(key) !== 'remote') {
+        continue;
+      }
+
+      const container = containers.get(entry.parentKey) || merged;
+      const siblings = entry.parentKey ? remoteItems.get(entry.parentKey).item.item : remote.item;
+      const index = siblings.indexOf(entry.item);
+
+      // Place the item right after its closest preceding remote sibling that made it into the merge
+      let position = 0;
+      for (let i = index - 1; i >= 0; i--) {
+        const found = container.item.findIndex(candidate => candidate.id && candidate.id === siblings[i].id);
+        if (found !== -1) {
+          position = found + 1;
+          break;
+        }
+      }
+
+      const { item: children, ...content } = entry.item;
+      const inserted = entry.folder ? { ...content, item: [] } : { ...content };
+      container.item.splice(position, 0, inserted);
+
+      if (entry.folder) {
+        containers.set(key, inserted);
+      }
+    }
+  }
+
+  /**
+   * Merge a local and a remote environment variable by variable
+   * @param {Object} base - Environment entry from the sync state
+   * @param {Object} local - Local environment
+   * @param {Object} remote - Remote environment
+   * @param {Function} resolve - Async callback receiving a conflict and returning 'local' or 'remote'
+   * @returns {Promise<Object>} { merged, conflicts }
+   */
+  static async mergeEnvironments(base, local, remote, resolve) {
+    const localValues = new Map((local.values || []).map(variable => [variable.key, variable]));
+    const remoteValues = new Map((remote.values || []).map(variable => [variable.key, variable]));
+    const hashValue = (variable) => variable && SyncState.hash(variable);
+    const values = [];
+    const conflicts = [];
+
+    const keys = [...localValues.keys(), ...[...remoteValues.keys()].filter(key => !localValues.has(key))];
+    for (const key of keys) {
+      const localValue = localValues.get(key);
+      const remoteValue = remoteValues.get(key);
+      let { decision, reason } = this.decide(hashValue(localValue), hashValue(remoteValue), base.values?.[key]);
+
+      if (decision === 'conflict') {
+        const conflict = { path: key, reason, local: localValue, remote: remoteValue, allowBoth: false };
+        decision = await resolve(conflict);
+        conflicts.push({ ...conflict, choice: decision });
+      }
+
+      const chosen = decision === 'remote' ? remoteValue : localValue;
+      if (chosen) {
+        values.push(chosen);
+      }
+    }
+
+    return { merged: { ...local, values }, conflicts };
+  }
+}
+
+export default CollectionMerge;
@@ -0,0 +1,573 @@
+import fs from 'fs';
+import axios from 'axios';
+import VariableScope from './variable-scope.js';
+import ScriptSandbox from './script-sandbox.js';
+import ScriptRequest from './script-request.js';
+import ScriptResponse from './script-response.js';
+
+/**
+ * Executes the requests of a collection locally, in order, without the Postman cloud.
+ */
+class CollectionRunner {
+  static DEFAULT_TIMEOUT = 30000;
+
+  static RAW_CONTENT_TYPES = {
+    json: 'application/json',
+    xml: 'application/xml',
+    html: 'text/html',
+    javascript: 'application/javascript',
+    text: 'text/plain'
+  };
+
+  /**
+   * Create a runner
+   * @param {Object} collection - Postman v2.1 collection
+   * @param {Object} options - Run options
+   * @param {Object} options.environment - Postman environment (optional)
+   * @param {Array<Object>} options.globals - Global variables (optional)
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Array<Object>} options.data - Iteration data, one row per iteration (optional)
+   * @param {number} options.iterations - Number of iterations, defaults to the number of data rows or 1
+   * @param {VariableScope} options.scope - Scope to share with other runners (optional); its
+   *   collection variables are replaced by the ones of this collection
+   * @param {Object} options.hooks - Callbacks: beforeIteration(iteration, runner), beforeRequest(entry, runner)
+   *   and afterRequest(result, runner); the request hooks may return 'skip' or 'abort' to change the course of the run
+   */
+  constructor(collection, { environment = null, globals = [], timeout = CollectionRunner.DEFAULT_TIMEOUT, data = [], iterations = null, scope = null, hooks = {} } = {}) {
+    this.collection = collection;
+    this.data = data;
+    this.iterationCount = iterations || data.length || 1;
+    this.iteration = 0;
+    this.timeout = timeout;
+    this.hooks = hooks;
+    this.results = [];
+    this.aborted = false;
+    this.environmentName = environment?.name || null;
+    this.scope = scope
+      ? scope.withCollection(collection.variable || [])
+      : new VariableScope({
+        globals,
+        collection: collection.variable || [],
+        environment: environment?.values || []
+      });
+  }
+
+  /**
+   * Walk the request items of a collection in execution order
+   * @param {Array<Object>} items - Collection items
+   * @param {Array<Object>} parents - Parent folders
+   * @yields {Object} { item, path, parents }
+   */
+  static *walk(items = [], parents = []) {
+    for (const item of items) {
+      if (Array.isArray(item.item)) {
+        yield* this.walk(item.item, [...parents, item]);
+      } else {
+        yield { item, path: [...parents.map(parent => parent.name), item.name].join('/'), parents };
+      }
+    }
+  }
+
+  /**
+   * Find a request by its path
+   * @param {string} itemPath - Path such as "Folder/Request name", matched case-insensitively
+   * @returns {Object|null} Entry from walk() or null
+   */
+  findItem(itemPath) {
+    const normalized = itemPath.replace(/^\/+|\/+$/g, '').toLowerCase();
+    for (const entry of CollectionRunner.walk(this.collection.item)) {
+      if (entry.path.toLowerCase() === normalized) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run every request of the collection, once per iteration
+   * @returns {Promise<Object>} Run summary with per-request results
+   */
+  async run() {
+    const startedAt = new Date();
+
+    for (let iteration = 0; iteration < this.iterationCount && !this.aborted; iteration++) {
+      this.startIteration(iteration);
+      await this.hooks.beforeIteration?.(iteration, this);
+
+      for (const entry of CollectionRunner.walk(this.collection.item)) {
+        const result = await this.runItem(entry);
+        if (result) {
+          this.results.push(result);
+        }
+        if (this.aborted) {
+          break;
+        }
+      }
+    }
+
+    return this.getSummary(startedAt);
+  }
+
+  /**
+   * Load the data row of an iteration and reset the variables local to an iteration
+   * @param {number} iteration - Zero-based iteration index
+   */
+  startIteration(iteration) {
+    this.iteration = iteration;
+
+    // Like Postman, the last row is reused when there are more iterations than rows
+    const row = this.data.length > 0 ? this.data[Math.min(iteration, this.data.length - 1)] : {};
+    const data = this.scope.scope('data');
+    data.clear();
+    for (const [key, value] of Object.entries(row)) {
+      data.set(key, value);
+    }
+    this.scope.scope('local').clear();
+  }
+
+  /**
+   * Run a single request item with its scripts, giving hooks a chance to skip it or abort the run
+   * @param {Object} entry - Entry from walk()
+   * @returns {Promise<Object|null>} Request result, null when the run was aborted before sending
+   */
+  async runItem(entry) {
+    const { item, path, parents } = entry;
+    const result = {
+      name: item.name,
+      path,
+      iteration: this.iteration,
+      request: null,
+      response: null,
+      error: null,
+      skipped: false,
+      tests: [],
+      scriptErrors: []
+    };
+
+    // Pre-request scripts edit a copy of the request, never the collection itself
+    const definition = structuredClone(typeof item.request === 'string' ? { url: item.request, method: 'GET' } : (item.request || {}));
+    const target = { ...item, request: definition };
+    const prerequest = await this.runScripts('prerequest', entry, {
+      request: new ScriptRequest(definition, item.id, item.name)
+    });
+    this.collectScriptResults(result, prerequest);
+    if (prerequest.skipRequest) {
+      return { ...result, skipped: true };
+    }
+
+    try {
+      result.request = this.buildRequest(target, parents);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    const before = await this.hooks.beforeRequest?.({ ...entry, item: target, request: result.request }, this);
+    if (before === 'abort') {
+      this.aborted = true;
+      return null;
+    }
+    if (before === 'skip') {
+      return { ...result, skipped: true };
+    }
+
+    try {
+      // Variables may have been edited while paused
+      result.request = this.buildRequest(target, parents);
+      result.error = null;
+      result.response = await this.send(result.request);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    if (result.response) {
+      const tests = await this.runScripts('test', entry, {
+        request: ScriptRequest.fromResolved(result.request, item),
+        response: new ScriptResponse(result.response)
+      });
+      this.collectScriptResults(result, tests);
+    }
+
+    this.lastResult = result;
+    if (await this.hooks.afterRequest?.(result, this) === 'abort') {
+      this.aborted = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the scripts of an event, from the collection down to the request
+   * @param {string} eventName - 'prerequest' or 'test'
+   * @param {Object} entry - Entry from walk()
+   * @param {Object} objects - pm.request and pm.response objects
+   * @returns {Promise<Object>} { tests, errors, skipRequest }
+   */
+  async runScripts(eventName, { item, path, parents }, { request, response = null }) {
+    const outcome = { tests: [], errors: [], skipRequest: false };
+
+    for (const owner of [this.collection, ...parents, item]) {
+      for (const code of CollectionRunner.getScripts(owner, eventName)) {
+        const execution = await ScriptSandbox.execute(code, {
+          eventName,
+          scope: this.scope,
+          request,
+          response,
+          info: {
+            iteration: this.iteration,
+            iterationCount: this.iterationCount,
+            requestName: item.name,
+            requestId: item.id || null
+          },
+          environmentName: this.environmentName,
+          sendRequest: (definition) => this.sendScriptRequest(definition),
+          timeout: this.timeout
+        });
+
+        outcome.tests.push(...execution.tests);
+        outcome.skipRequest = outcome.skipRequest || execution.skipRequest;
+        if (execution.error) {
+          const source = owner === item ? path : (owner.info?.name || owner.name);
+          outcome.errors.push(`${eventName === 'test' ? 'Test' : 'Pre-request'} script of ${source}: ${execution.error}`);
+        }
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Merge the outcome of scripts into a request result
+   * @param {Object} result - Request result
+   * @param {Object} outcome - Outcome from runScripts
+   */
+  collectScriptResults(result, outcome) {
+    result.tests.push(...outcome.tests);
+    result.scriptErrors.push(...outcome.errors);
+  }
+
+  /**
+   * Get the enabled script sources of an item, folder or collection for an event
+   * @param {Object} owner - Item, folder or collection
+   * @param {string} eventName - 'prerequest' or 'test'
+   * @returns {Array<string>} Script sources
+   */
+  static getScripts(owner, eventName) {
+    return (owner.event || [])
+      .filter(event => event.listen === eventName && !event.disabled && event.script)
+      .map(event => Array.isArray(event.script.exec) ? event.script.exec.join('\n') : (event.script.exec || ''))
+      .filter(code => code.trim());
+  }
+
+  /**
+   * Send a request on behalf of pm.sendRequest
+   * @param {string|Object} definition - URL or Postman request definition
+   * @returns {Promise<Object>} Response from send()
+   */
+  async sendScriptRequest(definition) {
+    const request = typeof definition === 'string' ? { url: definition, method: 'GET' } : { ...definition };
+    if (request.header && !Array.isArray(request.header)) {
+      request.header = Object.entries(request.header).map(([key, value]) => ({ key, value }));
+    }
+    // Requests sent from scripts do not inherit the collection auth
+    request.auth = request.auth || { type: 'noauth' };
+
+    return this.send(this.buildRequest({ request }));
+  }
+
+  /**
+   * Resolve a request item into a concrete HTTP request
+   * @param {Object} item - Request item
+   * @param {Array<Object>} parents - Parent folders, used for auth inheritance
+   * @returns {Object} { method, url, headers, body, data }
+   */
+  buildRequest(item, parents = []) {
+    const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : (item.request || {});
+    const headers = {};
+
+    for (const header of request.header || []) {
+      if (header.key && !header.disabled) {
+        headers[this.scope.resolve(header.key)] = this.scope.resolve(header.value ?? '');
+      }
+    }
+
+    const url = new URL(this.buildUrl(request.url));
+    const { data, body } = this.buildBody(request.body, headers);
+    this.applyAuth(this.findAuth(request, parents), headers, url);
+
+    return {
+      method: (request.method || 'GET').toUpperCase(),
+      url: url.toString(),
+      headers,
+      body,
+      data
+    };
+  }
+
+  /**
+   * Build the final URL string of a request
+   * @param {string|Object} url - Postman URL (string or object)
+   * @returns {string} Resolved absolute URL
+   */
+  buildUrl(url) {
+    if (!url) {
+      throw new Error('Request has no URL');
+    }
+
+    let raw = typeof url === 'string' ? url : url.raw || this.composeUrl(url);
+
+    // Path variables such as /users/:id
+    if (typeof url === 'object') {
+      for (const variable of url.variable || []) {
+        if (variable.key) {
+          raw = raw.replace(new RegExp(`:${variable.key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[/?#]|$)`), variable.value ?? '');
+        }
+      }
+    }
+
+    const resolved = this.scope.resolve(raw).trim();
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(resolved) ? resolved : `http://${resolved}`;
+  }
+
+  /**
+   * Compose a URL from its Postman parts when no raw URL is available
+   * @param {Object} url - Postman URL object
+   * @returns {string} URL string
+   */
+  composeUrl(url) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const urlPath = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+    const query = (url.query || [])
+      .filter(param => !param.disabled)
+      .map(param => param.value === null || param.value === undefined ? param.key : `${param.key}=${param.value}`)
+      .join('&');
+
+    return `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}` +
+      `${urlPath ? `/${urlPath}` : ''}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Build the request body
+   * @param {Object} body - Postman request body
+   * @param {Object} headers - Request headers, a content type is added when missing
+   * @returns {Object} { data, body } where data is sent and body is a printable version
+   */
+  buildBody(body, headers) {
+    if (!body || body.disabled || !body.mode) {
+      return { data: undefined, body: null };
+    }
+
+    const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+    const setContentType = (type) => {
+      if (!hasContentType && type) {
+        headers['Content-Type'] = type;
+      }
+    };
+
+    switch (body.mode) {
+      case 'raw': {
+        const raw = this.scope.resolve(body.raw || '');
+        setContentType(CollectionRunner.RAW_CONTENT_TYPES[body.options?.raw?.language] || 'text/plain');
+        return { data: raw, body: raw };
+      }
+      case 'urlencoded': {
+        const params = new URLSearchParams();
+        for (const param of body.urlencoded || []) {
+          if (!param.disabled) {
+            params.append(this.scope.resolve(param.key), this.scope.resolve(param.value ?? ''));
+          }
+        }
+        setContentType('application/x-www-form-urlencoded');
+        return { data: params.toString(), body: params.toString() };
+      }
+      case 'formdata': {
+        const form = new FormData();
+        const printable = [];
+        for (const param of body.formdata || []) {
+          if (param.disabled) {
+            continue;
+          }
+          const key = this.scope.resolve(param.key);
+          if (param.type === 'file') {
+            const sources = Array.isArray(param.src) ? param.src : [param.src].filter(Boolean);
+            for (const src of sources) {
+              form.append(key, new Blob([fs.readFileSync(src)]), src.split('/').pop());
+              printable.push(`${key}=@${src}`);
+            }
+          } else {
+            const value = this.scope.resolve(param.value ?? '');
+            form.append(key, value);
+            printable.push(`${key}=${value}`);
+          }
+        }
+        return { data: form, body: printable.join('\n') };
+      }
+      case 'graphql': {
+        const graphql = body.graphql || {};
+        let variables = this.scope.resolve(graphql.variables || '');
+        try {
+          variables = variables ? JSON.parse(variables) : undefined;
+        } catch {
+          throw new Error('GraphQL variables are not valid JSON');
+        }
+        const payload = JSON.stringify({ query: this.scope.resolve(graphql.query || ''), variables });
+        setContentType('application/json');
+        return { data: payload, body: payload };
+      }
+      case 'file': {
+        if (!body.file?.src) {
+          return { data: undefined, body: null };
+        }
+        return { data: fs.readFileSync(body.file.src), body: `@${body.file.src}` };
+      }
+      default:
+        throw new Error(`Unsupported body mode: ${body.mode}`);
+    }
+  }
+
+  /**
+   * Find the auth settings of a request, inheriting from folders and the collection
+   * @param {Object} request - Postman request
+   * @param {Array<Object>} parents - Parent folders
+   * @returns {Object|null} Postman auth object or null
+   */
+  findAuth(request, parents) {
+    const candidates = [request, ...[...parents].reverse(), this.collection];
+    const owner = candidates.find(candidate => candidate.auth && candidate.auth.type);
+    if (!owner || owner.auth.type === 'noauth') {
+      return null;
+    }
+    return owner.auth;
+  }
+
+  /**
+   * Apply auth settings to a request
+   * @param {Object} auth - Postman auth object
+   * @param {Object} headers - Request headers, updated in place
+   * @param {URL} url - Request URL, updated in place
+   */
+  applyAuth(auth, headers, url) {
+    if (!auth) {
+      return;
+    }
+
+    const params = Object.fromEntries(
+      (Array.isArray(auth[auth.type]) ? auth[auth.type] : []).map(param => [param.key, this.scope.resolve(param.value)])
+    );
+
+    switch (auth.type) {
+      case 'bearer':
+        headers.Authorization = `Bearer ${params.token || ''}`;
+        break;
+      case 'basic':
+        headers.Authorization = `Basic ${Buffer.from(`${params.username || ''}:${params.password || ''}`).toString('base64')}`;
+        break;
+      case 'apikey':
+        if (params.in === 'query') {
+          url.searchParams.append(params.key || 'api_key', params.value || '');
+        } else {
+          headers[params.key || 'X-API-Key'] = params.value || '';
+        }
+        break;
+      default:
+        throw new Error(`Unsupported auth type: ${auth.type}`);
+    }
+  }
+
+  /**
+   * Send a request
+   * @param {Object} request - Request from buildRequest
+   * @returns {Promise<Object>} { code, status, headers, body, size, responseTime }
+   */
+  async send(request) {
+    const started = process.hrtime.bigint();
+    const response = await axios.request({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      data: request.data,
+      timeout: this.timeout,
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+      maxRedirects: 10
+    });
+    const responseTime = Number(process.hrtime.bigint() - started) / 1e6;
+    const buffer = Buffer.from(response.data || []);
+
+    return {
+      code: response.status,
+      status: response.statusText,
+      headers: { ...response.headers },
+      body: buffer.toString('utf8'),
+      size: buffer.length,
+      responseTime: Math.round(responseTime)
+    };
+  }
+
+  /**
+   * Summarize the run
+   * @param {Date} startedAt - Start time of the run
+   * @returns {Object} Run summary
+   */
+  getSummary(startedAt) {
+    const finishedAt = new Date();
+    const tests = this.results.flatMap(result => result.tests);
+    const iterations = this.getIterationStats();
+    return {
+      collection: this.collection.info?.name || 'Collection',
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      duration: finishedAt - startedAt,
+      aborted: this.aborted,
+      stats: {
+        iterations: iterations.length,
+        requests: this.results.length,
+        failed: this.results.filter(result => CollectionRunner.hasFailed(result)).length,
+        skipped: this.results.filter(result => result.skipped).length,
+        tests: tests.length,
+        failedTests: tests.filter(test => !test.passed).length
+      },
+      iterations,
+      results: this.results
+    };
+  }
+
+  /**
+   * Aggregate results per iteration
+   * @returns {Array<Object>} { iteration, requests, failed, skipped, tests, failedTests, passed }
+   */
+  getIterationStats() {
+    const iterations = [];
+    for (const result of this.results) {
+      const stats = iterations[result.iteration] ||= {
+        iteration: result.iteration,
+        requests: 0,
+        failed: 0,
+        skipped: 0,
+        tests: 0,
+        failedTests: 0,
+        passed: true
+      };
+
+      stats.requests++;
+      stats.skipped += result.skipped ? 1 : 0;
+      stats.tests += result.tests.length;
+      stats.failedTests += result.tests.filter(test => !test.passed).length;
+      if (CollectionRunner.hasFailed(result)) {
+        stats.failed++;
+        stats.passed = false;
+      }
+    }
+    return iterations.filter(Boolean);
+  }
+
+  /**
+   * Check if a request result counts as a failure
+   * @param {Object} result - Request result
+   * @returns {boolean} True if the request errored, a script threw or a test failed
+   */
+  static hasFailed(result) {
+    return !!result.error || result.scriptErrors.length > 0 || result.tests.some(test => !test.passed);
+  }
+}
+
+export default CollectionRunner;
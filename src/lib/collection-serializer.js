@@ -0,0 +1,268 @@
+import fs from 'fs';
+import path from 'path';
+import FileNaming from '../utils/file-naming.js';
+import StableJson from '../utils/stable-json.js';
+
+/**
+ * Converts Postman v2.1 collections to and from an exploded on-disk format:
+ *
+ *   collection.json            collection metadata and item order
+ *   collection.<listen>.js     collection level scripts
+ *   <folder>/folder.json       folder metadata and item order
+ *   <folder>/folder.<listen>.js
+ *   <request>.request.json     request item
+ *   <request>.<listen>.js      request scripts (prerequest, test)
+ */
+class CollectionSerializer {
+  static COLLECTION_FILE = 'collection.json';
+  static FOLDER_FILE = 'folder.json';
+  static REQUEST_SUFFIX = '.request.json';
+
+  // Slugs that would clash with the collection and folder metadata files
+  static RESERVED_SLUGS = ['collection', 'folder'];
+  // Events whose scripts are moved to .js files, the event name being part of the file name
+  static SCRIPT_EVENTS = ['prerequest', 'test'];
+
+  /**
+   * Explode a collection into files
+   * @param {Object} collection - Postman v2.1 collection
+   * @returns {Object} Map of relative file path to file content
+   */
+  static explode(collection) {
+    const files = {};
+    const { item = [], ...meta } = collection;
+
+    const manifest = this.extractScripts(meta, 'collection', '', files);
+    manifest.itemOrder = this.explodeItems(item, '', files);
+    files[this.COLLECTION_FILE] = StableJson.stringify(manifest);
+
+    return files;
+  }
+
+  /**
+   * Explode a list of items into a directory
+   * @param {Array<Object>} items - Collection items
+   * @param {string} dir - Directory relative to the collection root
+   * @param {Object} files - File map to fill
+   * @returns {Array<string>} Item order entries (folders end with "/")
+   */
+  static explodeItems(items, dir, files) {
+    const used = new Set(this.RESERVED_SLUGS);
+    const order = [];
+
+    for (const item of items) {
+      const slug = FileNaming.uniqueSlug(item.name, used);
+
+      if (this.isFolder(item)) {
+        const folderDir = path.posix.join(dir, slug);
+        const { item: children, ...meta } = item;
+        const folder = this.extractScripts(meta, 'folder', folderDir, files);
+        folder.itemOrder = this.explodeItems(children, folderDir, files);
+        files[path.posix.join(folderDir, this.FOLDER_FILE)] = StableJson.stringify(folder);
+        order.push(`${slug}/`);
+      } else {
+        const request = this.extractScripts(item, slug, dir, files);
+        files[path.posix.join(dir, `${slug}${this.REQUEST_SUFFIX}`)] = StableJson.stringify(request);
+        order.push(`${slug}${this.REQUEST_SUFFIX}`);
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Move event scripts into separate .js files
+   * @param {Object} entity - Collection, folder or request item
+   * @param {string} baseName - File name prefix for the scripts
+   * @param {string} dir - Directory relative to the collection root
+   * @param {Object} files - File map to fill
+   * @returns {Object} Copy of the entity referencing script files
+   */
+  static extractScripts(entity, baseName, dir, files) {
+    if (!Array.isArray(entity.event)) {
+      return { ...entity };
+    }
+
+    const used = new Set();
+    const event = entity.event.map(evt => {
+      if (!this.SCRIPT_EVENTS.includes(evt.listen) || !this.isExtractable(evt.script?.exec)) {
+        return evt;
+      }
+
+      let fileName = `${baseName}.${evt.listen}.js`;
+      for (let counter = 2; used.has(fileName); counter++) {
+        fileName = `${baseName}.${evt.listen}-${counter}.js`;
+      }
+      used.add(fileName);
+
+      files[path.posix.join(dir, fileName)] = evt.script.exec.join('\n') + '\n';
+
+      const { exec, ...script } = evt.script;
+      return { ...evt, script: { ...script, execFile: fileName } };
+    });
+
+    return { ...entity, event };
+  }
+
+  /**
+   * Check if script lines can be written to a file and read back unchanged. Lines holding a
+   * carriage return stay inline, as line endings are normalized when reading.
+   * @param {*} exec - Script exec value
+   * @returns {boolean} True if the script can be extracted
+   */
+  static isExtractable(exec) {
+    return Array.isArray(exec) &&
+      exec.length > 0 &&
+      exec.every(line => typeof line === 'string' && !/[\r\n]/.test(line));
+  }
+
+  /**
+   * Rebuild a collection from exploded files
+   * @param {Function} readFile - Function returning the content of a relative path, or null
+   * @returns {Object} Postman v2.1 collection
+   */
+  static implode(readFile) {
+    const manifest = this.parseJson(readFile, this.COLLECTION_FILE);
+    const { itemOrder = [], ...meta } = manifest;
+
+    return {
+      ...this.inlineScripts(meta, '', readFile),
+      item: this.implodeItems(itemOrder, '', readFile)
+    };
+  }
+
+  /**
+   * Rebuild the items of a directory
+   * @param {Array<string>} order - Item order entries
+   * @param {string} dir - Directory relative to the collection root
+   * @param {Function} readFile - File reader
+   * @returns {Array<Object>} Collection items
+   */
+  static implodeItems(order, dir, readFile) {
+    return order.map(entry => {
+      if (entry.endsWith('/')) {
+        const folderDir = path.posix.join(dir, entry.slice(0, -1));
+        const { itemOrder = [], ...meta } = this.parseJson(readFile, path.posix.join(folderDir, this.FOLDER_FILE));
+        return {
+          ...this.inlineScripts(meta, folderDir, readFile),
+          item: this.implodeItems(itemOrder, folderDir, readFile)
+        };
+      }
+
+      return this.inlineScripts(this.parseJson(readFile, path.posix.join(dir, entry)), dir, readFile);
+    });
+  }
+
+  /**
+   * Read script files back into event exec lines
+   * @param {Object} entity - Collection, folder or request item
+   * @param {string} dir - Directory relative to the collection root
+   * @param {Function} readFile - File reader
+   * @returns {Object} Entity with inline scripts
+   */
+  static inlineScripts(entity, dir, readFile) {
+    if (!Array.isArray(entity.event)) {
+      return entity;
+    }
+
+    const event = entity.event.map(evt => {
+      if (!evt.script?.execFile) {
+        return evt;
+      }
+
+      const filePath = path.posix.join(dir, evt.script.execFile);
+      const content = readFile(filePath);
+      if (content === null) {
+        throw new Error(`Missing script file ${filePath}`);
+      }
+
+      const { execFile, ...script } = evt.script;
+      return { ...evt, script: { ...script, exec: content.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n') } };
+    });
+
+    return { ...entity, event };
+  }
+
+  /**
+   * Write a collection to a directory, replacing its previous content
+   * @param {string} collectionDir - Absolute path of the collection directory
+   * @param {Object} collection - Postman v2.1 collection
+   */
+  static write(collectionDir, collection) {
+    const files = Object.entries(this.explode(collection))
+      .map(([relativePath, content]) => [this.resolveInside(collectionDir, relativePath), content]);
+
+    fs.rmSync(collectionDir, { recursive: true, force: true });
+    for (const [filePath, content] of files) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content, 'utf8');
+    }
+  }
+
+  /**
+   * Read a collection from a directory
+   * @param {string} collectionDir - Absolute path of the collection directory
+   * @returns {Object} Postman v2.1 collection
+   */
+  static read(collectionDir) {
+    return this.implode(relativePath => {
+      const filePath = this.resolveInside(collectionDir, relativePath);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    });
+  }
+
+  /**
+   * Resolve a path of the collection, refusing paths that lead out of its directory
+   * @param {string} collectionDir - Collection directory
+   * @param {string} relativePath - Path relative to the collection root
+   * @returns {string} Absolute path
+   * @throws {Error} If the path is outside the collection directory
+   */
+  static resolveInside(collectionDir, relativePath) {
+    const root = path.resolve(collectionDir);
+    const filePath = path.resolve(root, relativePath);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Collection file ${relativePath} is outside ${collectionDir}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Check if a directory holds an exploded collection
+   * @param {string} collectionDir - Directory to check
+   * @returns {boolean} True if the directory has a collection manifest
+   */
+  static isCollectionDir(collectionDir) {
+    return fs.existsSync(path.join(collectionDir, this.COLLECTION_FILE));
+  }
+
+  /**
+   * Check if an item is a folder
+   * @param {Object} item - Collection item
+   * @returns {boolean} True if the item holds other items
+   */
+  static isFolder(item) {
+    return Array.isArray(item.item);
+  }
+
+  /**
+   * Parse a JSON file through the reader
+   * @param {Function} readFile - File reader
+   * @param {string} relativePath - Path relative to the collection root
+   * @returns {Object} Parsed content
+   */
+  static parseJson(readFile, relativePath) {
+    const content = readFile(relativePath);
+    if (content === null) {
+      throw new Error(`Missing collection file ${relativePath}`);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${relativePath}: ${error.message}`);
+    }
+  }
+}
+
+export default CollectionSerializer;
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import ConfigStore from '../utils/config-store.js';
+
+/**
+ * Keeps the key of the encrypted credential vault in memory so the passphrase is asked once per
+ * session. The agent is a detached process listening on a unix socket in a directory only the
+ * user can enter; it exits after IDLE_TIMEOUT without requests. Messages are JSON lines.
+ */
+class CredentialAgent {
+  static IDLE_TIMEOUT = 15 * 60 * 1000;
+  static REQUEST_TIMEOUT = 1000;
+
+  /**
+   * Get the socket path, in XDG_RUNTIME_DIR when the session has one
+   * @returns {string} Socket path
+   */
+  static getSocketPath() {
+    const dir = process.env.XDG_RUNTIME_DIR
+      ? path.join(process.env.XDG_RUNTIME_DIR, 'flowman')
+      : ConfigStore.getConfigDir();
+    return path.join(dir, 'agent.sock');
+  }
+
+  /**
+   * Start an agent holding a key. The key is passed on stdin so it never shows up in the process list.
+   * @param {Buffer} key - Vault key
+   */
+  static start(key) {
+    const child = spawn(process.execPath, [fileURLToPath(import.meta.url), this.getSocketPath()], {
+      detached: true,
+      stdio: ['pipe', 'ignore', 'ignore']
+    });
+    child.on('error', () => {});
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${key.toString('base64')}\n`);
+    child.unref();
+  }
+
+  /**
+   * Get the key held by the running agent
+   * @returns {Promise<Buffer|null>} Key or null if no agent is running
+   */
+  static async getKey() {
+    const response = await this.request({ op: 'key' });
+    return response?.key ? Buffer.from(response.key, 'base64') : null;
+  }
+
+  /**
+   * Stop the running agent
+   * @returns {Promise<boolean>} True if an agent was running
+   */
+  static async stop() {
+    const response = await this.request({ op: 'stop' });
+    return !!response?.stopped;
+  }
+
+  /**
+   * Send a message to the agent
+   * @param {Object} message - Message
+   * @returns {Promise<Object|null>} Response or null if no agent answered
+   */
+  static request(message) {
+    return new Promise(resolve => {
+      const socket = net.createConnection(this.getSocketPath());
+      let data = '';
+
+      const finish = (response) => {
+        socket.destroy();
+        resolve(response);
+      };
+
+      socket.setTimeout(this.REQUEST_TIMEOUT, () => finish(null));
+      socket.on('error', () => finish(null));
+      socket.on('connect', () => socket.write(`${JSON.stringify(message)}\n`));
+      socket.on('data', chunk => {
+        data += chunk;
+        const end = data.indexOf('\n');
+        if (end !== -1) {
+          try {
+            finish(JSON.parse(data.slice(0, end)));
+          } catch {
+            finish(null);
+          }
+        }
+      });
+      socket.on('end', () => finish(null));
+    });
+  }
+
+  /**
+   * Run the agent: read the key from stdin and answer requests until idle or stopped
+   * @param {string} socketPath - Socket to listen on
+   */
+  static serve(socketPath) {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => {
+      const key = input.trim();
+      if (!key) {
+        process.exit(1);
+      }
+
+      let idleTimer = null;
+      const server = net.createServer(socket => {
+        resetIdleTimer();
+        let data = '';
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('data', chunk => {
+          data += chunk;
+          const end = data.indexOf('\n');
+          if (end === -1) {
+            return;
+          }
+
+          let message;
+          try {
+            message = JSON.parse(data.slice(0, end));
+          } catch {
+            socket.end(`${JSON.stringify({ error: 'Invalid request' })}\n`);
+            return;
+          }
+
+          if (message.op === 'key') {
+            socket.end(`${JSON.stringify({ key })}\n`);
+          } else if (message.op === 'stop') {
+            socket.end(`${JSON.stringify({ stopped: true })}\n`, shutdown);
+          } else {
+            socket.end(`${JSON.stringify({ error: `Unknown operation "${message.op}"` })}\n`);
+          }
+        });
+      });
+
+      const shutdown = () => {
+        server.close();
+        fs.rmSync(socketPath, { force: true });
+        process.exit(0);
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(shutdown, this.IDLE_TIMEOUT);
+      };
+
+      fs.mkdirSync(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+      // Only started when no agent answered, so an existing socket is stale
+      fs.rmSync(socketPath, { force: true });
+      server.on('error', () => process.exit(1));
+      server.listen(socketPath, () => {
+        fs.chmodSync(socketPath, 0o600);
+        resetIdleTimer();
+      });
+
+      process.on('SIGTERM', shutdown);
+      process.on('SIGINT', shutdown);
+    });
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.title = 'flowman-agent';
+  CredentialAgent.serve(process.argv[2]);
+}
+
+export default CredentialAgent;
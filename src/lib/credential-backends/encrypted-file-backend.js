@@ -0,0 +1,304 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { password, isCancel } from '@clack/prompts';
+import CredentialAgent from '../credential-agent.js';
+import ProfileManager from '../profile-manager.js';
+import ConfigStore from '../../utils/config-store.js';
+import Interaction from '../../utils/interaction.js';
+import Logger from '../../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Keeps secrets, grouped by profile, in an AES-256-GCM encrypted file whose key is derived from
+ * a passphrase with scrypt. Once unlocked, the key is handed to CredentialAgent so later
+ * commands of the session don't ask again.
+ */
+class EncryptedFileBackend {
+  static NAME = 'encrypted-file';
+  static DESCRIPTION = 'AES-256-GCM encrypted file unlocked with a passphrase';
+
+  static FILE_NAME = 'credentials.vault';
+  static CIPHER = 'aes-256-gcm';
+  static KEY_LENGTH = 32;
+  static SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+  static MIN_PASSPHRASE_LENGTH = 8;
+  static MAX_ATTEMPTS = 3;
+
+  constructor() {
+    this.key = null;
+    this.kdf = null;
+    this.secrets = null;
+  }
+
+  /**
+   * Check if the backend can be used on this machine
+   * @returns {boolean} Always true
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Get the vault file path
+   * @returns {string} File path
+   */
+  static getVaultPath() {
+    return path.join(ConfigStore.getConfigDir(), this.FILE_NAME);
+  }
+
+  /**
+   * Derive the vault key from a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Object} kdf - Key derivation settings stored in the vault
+   * @returns {Promise<Buffer>} Key
+   */
+  static deriveKey(passphrase, kdf) {
+    return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), this.KEY_LENGTH, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    });
+  }
+
+  /**
+   * Encrypt secrets into a vault
+   * @param {Buffer} key - Vault key
+   * @param {Object} kdf - Key derivation settings
+   * @param {Object} secrets - Secrets by profile and name
+   * @returns {Object} Vault file content
+   */
+  static encrypt(key, kdf, secrets) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    return {
+      version: 1,
+      cipher: this.CIPHER,
+      kdf,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt the secrets of a vault
+   * @param {Buffer} key - Vault key
+   * @param {Object} vault - Vault file content
+   * @returns {Object} Secrets by profile and name
+   * @throws {Error} If the key is wrong or the vault was tampered with
+   */
+  static decrypt(key, vault) {
+    const decipher = crypto.createDecipheriv(this.CIPHER, key, Buffer.from(vault.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+    const secrets = JSON.parse(data.toString('utf8'));
+
+    // Vaults written before profiles existed hold the secrets of the default profile directly
+    for (const [name, value] of Object.entries(secrets)) {
+      if (typeof value === 'string') {
+        secrets[ProfileManager.DEFAULT_PROFILE] = { [name]: value, ...secrets[ProfileManager.DEFAULT_PROFILE] };
+        delete secrets[name];
+      }
+    }
+    return secrets;
+  }
+
+  /**
+   * Read the vault file
+   * @returns {Object|null} Vault or null if it doesn't exist
+   * @throws {Error} If the file isn't a vault
+   */
+  static readVault() {
+    const vaultPath = this.getVaultPath();
+    if (!fs.existsSync(vaultPath)) {
+      return null;
+    }
+
+    const vault = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+    if (vault.version !== 1 || vault.cipher !== this.CIPHER || !vault.kdf?.salt) {
+      throw new Error(`${vaultPath} is not a flowman-cli credential vault`);
+    }
+    return vault;
+  }
+
+  /**
+   * Decrypt the vault with the key of the running agent, or ask for the passphrase.
+   * A missing vault is created when a terminal is available.
+   * @param {Object} options - Unlock options
+   * @param {boolean} options.interactive - Whether the passphrase may be asked (defaults to Interaction)
+   * @returns {Promise<boolean>} True if unlocked
+   */
+  async unlock({ interactive = Interaction.isInteractive() } = {}) {
+    if (this.isUnlocked()) {
+      return true;
+    }
+
+    const vault = EncryptedFileBackend.readVault();
+    if (!vault) {
+      if (!interactive) {
+        return false;
+      }
+      await this.initialize();
+      return this.isUnlocked();
+    }
+
+    const agentKey = await CredentialAgent.getKey();
+    if (agentKey && this.open(agentKey, vault)) {
+      return true;
+    }
+    if (agentKey) {
+      // The agent holds the key of a vault that has since been replaced
+      await CredentialAgent.stop();
+    }
+
+    if (!interactive) {
+      return false;
+    }
+
+    for (let attempt = 1; attempt <= EncryptedFileBackend.MAX_ATTEMPTS; attempt++) {
+      const passphrase = await password({ message: 'Credential vault passphrase:' });
+      if (isCancel(passphrase)) {
+        return false;
+      }
+
+      const key = await EncryptedFileBackend.deriveKey(passphrase, vault.kdf);
+      if (this.open(key, vault)) {
+        CredentialAgent.start(key);
+        return true;
+      }
+      Logger.error('Wrong passphrase');
+    }
+
+    return false;
+  }
+
+  /**
+   * Try to decrypt a vault with a key
+   * @param {Buffer} key - Vault key
+   * @param {Object} vault - Vault file content
+   * @returns {boolean} True if the key is right
+   */
+  open(key, vault) {
+    try {
+      this.secrets = EncryptedFileBackend.decrypt(key, vault);
+      this.key = key;
+      this.kdf = vault.kdf;
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check if secrets can be read
+   * @returns {boolean} True if unlocked
+   */
+  isUnlocked() {
+    return this.secrets !== null;
+  }
+
+  /**
+   * Create an empty vault protected by a new passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the passphrase prompt is cancelled or the vault can't be written
+   */
+  async initialize() {
+    const passphrase = await password({
+      message: 'Choose a passphrase for the credential vault:',
+      validate: (value) => {
+        if (!value || value.length < EncryptedFileBackend.MIN_PASSPHRASE_LENGTH) {
+          return `Use at least ${EncryptedFileBackend.MIN_PASSPHRASE_LENGTH} characters`;
+        }
+        return undefined;
+      }
+    });
+    if (isCancel(passphrase)) {
+      throw new Error('Passphrase not set');
+    }
+
+    const confirmation = await password({ message: 'Repeat the passphrase:' });
+    if (isCancel(confirmation) || confirmation !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+
+    this.kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...EncryptedFileBackend.SCRYPT_PARAMS };
+    this.key = await EncryptedFileBackend.deriveKey(passphrase, this.kdf);
+    this.secrets = {};
+    this.save();
+
+    // Drop a key cached for a previous vault
+    await CredentialAgent.stop();
+    CredentialAgent.start(this.key);
+  }
+
+  /**
+   * Encrypt and write the secrets
+   * @throws {Error} If the vault can't be written
+   */
+  save() {
+    const vault = EncryptedFileBackend.encrypt(this.key, this.kdf, this.secrets);
+    ConfigStore.writePrivateFile(EncryptedFileBackend.getVaultPath(), `${JSON.stringify(vault, null, 2)}\n`);
+  }
+
+  /**
+   * Get a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {string|null} Value or null if not set or the vault is locked
+   */
+  get(profile, key) {
+    return this.secrets?.[profile]?.[key] ?? null;
+  }
+
+  /**
+   * Store a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @param {string} value - Value
+   * @returns {boolean} True if successful
+   */
+  set(profile, key, value) {
+    if (!this.isUnlocked()) {
+      Logger.error('The credential vault is locked');
+      return false;
+    }
+
+    try {
+      this.secrets[profile] = { ...this.secrets[profile], [key]: value };
+      this.save();
+      return true;
+    } catch (error) {
+      Logger.error(`Error writing credential vault ${EncryptedFileBackend.getVaultPath()}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {boolean} True if the secret was set
+   */
+  delete(profile, key) {
+    if (!this.isUnlocked() || !(key in (this.secrets[profile] || {}))) {
+      return false;
+    }
+
+    delete this.secrets[profile][key];
+    try {
+      this.save();
+      return true;
+    } catch (error) {
+      Logger.error(`Error writing credential vault ${EncryptedFileBackend.getVaultPath()}:`, error.message);
+      return false;
+    }
+  }
+}
+
+export default EncryptedFileBackend;
@@ -0,0 +1,67 @@
+import ProfileManager from '../profile-manager.js';
+
+/**
+ * Keeps secrets in the config file next to the other settings of their profile. The file is
+ * private to the user but not encrypted.
+ */
+class PlainBackend {
+  static NAME = 'plain';
+  static DESCRIPTION = 'Config file readable only by you';
+
+  /**
+   * Check if the backend can be used on this machine
+   * @returns {boolean} Always true
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Nothing to unlock
+   * @returns {Promise<boolean>} Always true
+   */
+  async unlock() {
+    return true;
+  }
+
+  /**
+   * Check if secrets can be read
+   * @returns {boolean} Always true
+   */
+  isUnlocked() {
+    return true;
+  }
+
+  /**
+   * Get a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {string|null} Value or null if not set
+   */
+  get(profile, key) {
+    return ProfileManager.getSetting(profile, key);
+  }
+
+  /**
+   * Store a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @param {string} value - Value
+   * @returns {boolean} True if successful
+   */
+  set(profile, key, value) {
+    return ProfileManager.setSetting(profile, key, value);
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {boolean} True if the secret was set
+   */
+  delete(profile, key) {
+    return ProfileManager.unsetSetting(profile, key);
+  }
+}
+
+export default PlainBackend;
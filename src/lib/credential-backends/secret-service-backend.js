@@ -0,0 +1,120 @@
+import { spawnSync } from 'child_process';
+import Logger from '../../utils/logger.js';
+
+/**
+ * Keeps secrets in the freedesktop Secret Service (GNOME Keyring, KWallet, KeePassXC, ...)
+ * over D-Bus, through the secret-tool command of libsecret. The desktop session unlocks the
+ * keyring, so flowman-cli never asks for a passphrase.
+ */
+class SecretServiceBackend {
+  static NAME = 'secret-service';
+  static DESCRIPTION = 'Desktop keyring through the freedesktop Secret Service (needs secret-tool)';
+
+  static SERVICE = 'flowman-cli';
+  static COMMAND = 'secret-tool';
+  static TIMEOUT = 10000;
+
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Check if a session bus and secret-tool are available
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    if (!process.env.DBUS_SESSION_BUS_ADDRESS) {
+      return false;
+    }
+    // secret-tool without arguments prints its usage and exits with 2
+    const result = spawnSync(this.COMMAND, [], { stdio: 'ignore', timeout: this.TIMEOUT });
+    return !result.error;
+  }
+
+  /**
+   * Run secret-tool
+   * @param {Array<string>} args - Arguments
+   * @param {string} input - Data written to stdin (optional)
+   * @returns {Object} spawnSync result
+   */
+  static exec(args, input) {
+    return spawnSync(this.COMMAND, args, { input, encoding: 'utf8', timeout: this.TIMEOUT });
+  }
+
+  /**
+   * Get the attributes identifying a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {Array<string>} Attribute and value pairs
+   */
+  static attributes(profile, key) {
+    return ['service', this.SERVICE, 'profile', profile, 'key', key];
+  }
+
+  /**
+   * The keyring is unlocked by the desktop session
+   * @returns {Promise<boolean>} True if the Secret Service can be reached
+   */
+  async unlock() {
+    return SecretServiceBackend.isAvailable();
+  }
+
+  /**
+   * Check if secrets can be read
+   * @returns {boolean} Always true, lookups fail individually
+   */
+  isUnlocked() {
+    return true;
+  }
+
+  /**
+   * Get a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {string|null} Value or null if not set
+   */
+  get(profile, key) {
+    const cacheKey = `${profile}/${key}`;
+    if (!this.cache.has(cacheKey)) {
+      const result = SecretServiceBackend.exec(['lookup', ...SecretServiceBackend.attributes(profile, key)]);
+      const value = !result.error && result.status === 0 ? result.stdout.replace(/\n$/, '') : '';
+      this.cache.set(cacheKey, value || null);
+    }
+    return this.cache.get(cacheKey);
+  }
+
+  /**
+   * Store a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @param {string} value - Value
+   * @returns {boolean} True if successful
+   */
+  set(profile, key, value) {
+    const result = SecretServiceBackend.exec(
+      ['store', `--label=flowman-cli ${profile} ${key}`, ...SecretServiceBackend.attributes(profile, key)],
+      value
+    );
+    if (result.error || result.status !== 0) {
+      Logger.error('Error storing secret in the Secret Service:', result.error?.message || result.stderr.trim());
+      return false;
+    }
+    this.cache.set(`${profile}/${key}`, value);
+    return true;
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} profile - Profile name
+   * @param {string} key - Secret name
+   * @returns {boolean} True if the secret was set
+   */
+  delete(profile, key) {
+    const existed = this.get(profile, key) !== null;
+    SecretServiceBackend.exec(['clear', ...SecretServiceBackend.attributes(profile, key)]);
+    this.cache.set(`${profile}/${key}`, null);
+    return existed;
+  }
+}
+
+export default SecretServiceBackend;
@@ -1,11 +1,287 @@
 import ConfigFileManager from '../utils/config-file-manager.js';
+import ConfigStore from '../utils/config-store.js';
+import PlainBackend from './credential-backends/plain-backend.js';
+import EncryptedFileBackend from './credential-backends/encrypted-file-backend.js';
+import SecretServiceBackend from './credential-backends/secret-service-backend.js';
+import ProfileManager from './profile-manager.js';
 import Validator from '../utils/validator.js';
 import Logger from '../utils/logger.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
 
 class CredentialStorage {
   static POSTMAN_API_KEY = 'POSTMAN_API_KEY';
   static POSTMAN_WORKSPACE_ID = 'POSTMAN_WORKSPACE_ID';
   static POSTMAN_GIT_REPO_PATH = 'POSTMAN_GIT_REPO_PATH';
+  static POSTMAN_OAUTH_TOKEN = 'POSTMAN_OAUTH_TOKEN';
+
+  // Config store key of each environment variable
+  static CONFIG_KEYS = {
+    POSTMAN_API_KEY: 'apiKey',
+    POSTMAN_WORKSPACE_ID: 'workspaceId',
+    POSTMAN_GIT_REPO_PATH: 'gitRepoPath',
+    POSTMAN_OAUTH_TOKEN: 'oauthToken'
+  };
+
+  // Settings kept by the credential backend instead of the config file
+  static SECRETS = ['POSTMAN_API_KEY', 'POSTMAN_OAUTH_TOKEN'];
+
+  static BACKEND_KEY = 'credentialBackend';
+  static DEFAULT_BACKEND = PlainBackend.NAME;
+
+  static backends = new Map([
+    [PlainBackend.NAME, PlainBackend],
+    [EncryptedFileBackend.NAME, EncryptedFileBackend],
+    [SecretServiceBackend.NAME, SecretServiceBackend]
+  ]);
+
+  static backend = null;
+  static legacyWarningShown = false;
+  static lockedWarningShown = false;
+
+  /**
+   * Get the name of the configured credential backend
+   * @returns {string} Backend name
+   */
+  static getBackendName() {
+    return ConfigStore.get(this.BACKEND_KEY) || this.DEFAULT_BACKEND;
+  }
+
+  /**
+   * Get the configured credential backend
+   * @returns {Object} Backend instance
+   * @throws {Error} If the configured backend is unknown
+   */
+  static getBackend() {
+    if (!this.backend) {
+      const name = this.getBackendName();
+      const Backend = this.backends.get(name);
+      if (!Backend) {
+        throw new Error(`Unknown credential backend "${name}" in ${ConfigStore.getConfigPath()}`);
+      }
+      this.backend = new Backend();
+    }
+    return this.backend;
+  }
+
+  /**
+   * Unlock the credential backend so secrets can be read synchronously afterwards.
+   * Nothing is unlocked when the environment provides the API key, which wins over stored secrets.
+   * @param {Object} options - Unlock options
+   * @param {boolean} options.interactive - Whether a passphrase may be asked (defaults to Interaction)
+   * @returns {Promise<boolean>} True if secrets can be read
+   */
+  static async unlock(options = {}) {
+    if (process.env[this.POSTMAN_API_KEY]) {
+      return true;
+    }
+
+    try {
+      return await this.getBackend().unlock(options);
+    } catch (error) {
+      Logger.error('Unable to unlock credentials:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Switch to another credential backend, moving the stored secrets to it
+   * @param {string} name - Backend name
+   * @returns {Promise<boolean>} False if the backend was already in use
+   * @throws {CliError} If the backend is unknown
+   * @throws {Error} If the backend is unavailable, or a backend can't be unlocked
+   */
+  static async switchBackend(name) {
+    const Backend = this.backends.get(name);
+    if (!Backend) {
+      throw new CliError(`Unknown credential backend "${name}". Available backends: ${[...this.backends.keys()].join(', ')}`, ExitCodes.USAGE);
+    }
+    if (name === this.getBackendName()) {
+      return false;
+    }
+    if (!Backend.isAvailable()) {
+      throw new Error(`The ${name} credential backend is not available on this machine`);
+    }
+
+    const current = this.getBackend();
+    if (!(await current.unlock())) {
+      throw new Error(`Unable to unlock the ${this.getBackendName()} credential backend`);
+    }
+
+    const next = new Backend();
+    if (!(await next.unlock())) {
+      throw new Error(`Unable to unlock the ${name} credential backend`);
+    }
+
+    const keys = this.SECRETS.map(secret => this.CONFIG_KEYS[secret]);
+    const profiles = ProfileManager.list();
+    for (const profile of profiles) {
+      for (const key of keys) {
+        const value = current.get(profile, key);
+        if (value && !next.set(profile, key, value)) {
+          throw new Error(`Unable to move ${key} of profile "${profile}" to the ${name} credential backend`);
+        }
+      }
+    }
+
+    if (!ConfigStore.set(this.BACKEND_KEY, name)) {
+      throw new Error(`Unable to write ${ConfigStore.getConfigPath()}`);
+    }
+    for (const profile of profiles) {
+      for (const key of keys) {
+        current.delete(profile, key);
+      }
+    }
+
+    this.backend = next;
+    return true;
+  }
+
+  /**
+   * Get the name of the active profile
+   * @returns {string} Profile name
+   */
+  static getProfile() {
+    return ProfileManager.getActiveName();
+  }
+
+  /**
+   * Read a value of a profile from the credential backend or the config file
+   * @param {string} variableName - Environment variable name
+   * @param {string} profile - Profile name (defaults to the active profile)
+   * @returns {string|null} Value or null if not stored
+   */
+  static readStoredValue(variableName, profile = this.getProfile()) {
+    const key = this.CONFIG_KEYS[variableName];
+    if (!this.SECRETS.includes(variableName)) {
+      return ProfileManager.getSetting(profile, key);
+    }
+
+    const backend = this.getBackend();
+    if (!backend.isUnlocked()) {
+      if (!this.lockedWarningShown) {
+        this.lockedWarningShown = true;
+        Logger.warn(`The credential vault is locked. Run flowman-cli in a terminal to unlock it, or set ${variableName}`);
+      }
+      return null;
+    }
+    return backend.get(profile, key);
+  }
+
+  /**
+   * Read a setting of the active profile. Environment variables win so CI can override the
+   * stored value, then the credential backend or config store, then, for the default profile,
+   * export lines left in shell config files by older versions.
+   * @param {string} variableName - Environment variable name
+   * @returns {string|null} Value or null if not set
+   */
+  static readValue(variableName) {
+    if (process.env[variableName]) {
+      return process.env[variableName];
+    }
+
+    const profile = this.getProfile();
+    const stored = this.readStoredValue(variableName, profile);
+    if (stored || profile !== ProfileManager.DEFAULT_PROFILE) {
+      return stored;
+    }
+
+    const legacy = ConfigFileManager.readShellVariable(variableName);
+    if (legacy) {
+      if (!this.legacyWarningShown) {
+        this.legacyWarningShown = true;
+        Logger.warn(`Credentials found in ${legacy.configPath}. Run "flowman-cli config migrate" to move them to ${ConfigStore.getConfigPath()}`);
+      }
+      return legacy.value;
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a setting of a profile in the credential backend or the config store
+   * @param {string} variableName - Environment variable name
+   * @param {string} value - Value
+   * @param {string} profile - Profile name (defaults to the active profile)
+   * @returns {boolean} True if successful
+   */
+  static storeValue(variableName, value, profile = this.getProfile()) {
+    const key = this.CONFIG_KEYS[variableName];
+    // Secrets may live outside the config file, which still has to list the profile
+    if (!ProfileManager.exists(profile)) {
+      ProfileManager.add(profile);
+    }
+    return this.SECRETS.includes(variableName)
+      ? this.getBackend().set(profile, key, value)
+      : ProfileManager.setSetting(profile, key, value);
+  }
+
+  /**
+   * Remove a setting of a profile from the credential backend or the config store
+   * @param {string} variableName - Environment variable name
+   * @param {string} profile - Profile name (defaults to the active profile)
+   * @returns {boolean} True if it was stored
+   */
+  static removeValue(variableName, profile = this.getProfile()) {
+    const key = this.CONFIG_KEYS[variableName];
+    return this.SECRETS.includes(variableName)
+      ? this.getBackend().delete(profile, key)
+      : ProfileManager.unsetSetting(profile, key);
+  }
+
+  /**
+   * Delete a profile with its settings and secrets
+   * @param {string} profile - Profile name
+   * @throws {Error} If the profile can't be removed
+   */
+  static removeProfile(profile) {
+    if (profile !== ProfileManager.DEFAULT_PROFILE && ProfileManager.exists(profile)) {
+      for (const name of this.SECRETS) {
+        this.removeValue(name, profile);
+      }
+    }
+    ProfileManager.remove(profile);
+  }
+
+  /**
+   * Get the stored credentials of a profile, ignoring environment variables
+   * @param {string} profile - Profile name
+   * @returns {Object} Object containing the credentials
+   */
+  static getProfileCredentials(profile) {
+    return {
+      apiKey: this.readStoredValue(this.POSTMAN_API_KEY, profile),
+      workspaceId: this.readStoredValue(this.POSTMAN_WORKSPACE_ID, profile),
+      gitRepoPath: this.readStoredValue(this.POSTMAN_GIT_REPO_PATH, profile)
+    };
+  }
+
+  /**
+   * Move credentials from shell config files to the default profile, and remove the export lines
+   * @returns {Object} { migrated: names copied to the store, files: shell config files changed }
+   * @throws {Error} If a value can't be stored or a shell config file can't be written
+   */
+  static migrateFromShellConfig() {
+    const names = Object.keys(this.CONFIG_KEYS);
+    const migrated = [];
+
+    for (const name of names) {
+      const legacy = ConfigFileManager.readShellVariable(name);
+      if (!legacy) {
+        continue;
+      }
+      // A value stored since the export line was written is newer, keep it
+      if (!this.readStoredValue(name, ProfileManager.DEFAULT_PROFILE)) {
+        if (!this.storeValue(name, legacy.value, ProfileManager.DEFAULT_PROFILE)) {
+          throw new Error(`Unable to store ${name}`);
+        }
+      }
+      migrated.push(name);
+    }
+
+    const files = migrated.length > 0 ? ConfigFileManager.removeEnvVariables(names, { backup: true }) : [];
+    return { migrated, files };
+  }
 
   /**
    * Store Postman API key
@@ -17,18 +293,10 @@ class CredentialStorage {
       return false;
     }
 
-    const success = ConfigFileManager.writeEnvVariable(
-      this.POSTMAN_API_KEY,
-      apiKey,
-      {
-        comment: 'Postman API Key for flowman-cli',
-        overwrite: true
-      }
-    );
+    const success = this.storeValue(this.POSTMAN_API_KEY, apiKey);
 
     if (success) {
-      // Also set in current process environment
-      process.env[this.POSTMAN_API_KEY] = apiKey;
+      this.removeValue(this.POSTMAN_OAUTH_TOKEN);
       Logger.success('Postman API key stored successfully');
     }
 
@@ -40,7 +308,38 @@ class CredentialStorage {
    * @returns {string|null} API key or null if not found
    */
   static getApiKey() {
-    return ConfigFileManager.readEnvVariable(this.POSTMAN_API_KEY);
+    return this.readValue(this.POSTMAN_API_KEY);
+  }
+
+  /**
+   * Store the OAuth token of a browser login. It replaces a stored API key.
+   * @param {Object} token - Token from OAuthClient
+   * @returns {boolean} True if successful
+   */
+  static storeOAuthToken(token) {
+    const success = this.storeValue(this.POSTMAN_OAUTH_TOKEN, JSON.stringify(token));
+    if (success) {
+      this.removeValue(this.POSTMAN_API_KEY);
+    }
+    return success;
+  }
+
+  /**
+   * Get the stored OAuth token. Unlike the other settings it can't come from the environment.
+   * @returns {Object|null} Token or null if not logged in through the browser
+   */
+  static getOAuthToken() {
+    const stored = this.readStoredValue(this.POSTMAN_OAUTH_TOKEN);
+    if (!stored) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch {
+      Logger.warn('Ignoring an unreadable OAuth token, please login again');
+      return null;
+    }
   }
 
   /**
@@ -53,18 +352,9 @@ class CredentialStorage {
       return false;
     }
 
-    const success = ConfigFileManager.writeEnvVariable(
-      this.POSTMAN_WORKSPACE_ID,
-      workspaceId,
-      {
-        comment: 'Postman Workspace ID for flowman-cli',
-        overwrite: true
-      }
-    );
+    const success = this.storeValue(this.POSTMAN_WORKSPACE_ID, workspaceId);
 
     if (success) {
-      // Also set in current process environment
-      process.env[this.POSTMAN_WORKSPACE_ID] = workspaceId;
       Logger.success('Postman workspace ID stored successfully');
     }
 
@@ -76,7 +366,7 @@ class CredentialStorage {
    * @returns {string|null} Workspace ID or null if not found
    */
   static getCurrentWorkspaceId() {
-    return ConfigFileManager.readEnvVariable(this.POSTMAN_WORKSPACE_ID);
+    return this.readValue(this.POSTMAN_WORKSPACE_ID);
   }
 
   /**
@@ -84,7 +374,7 @@ class CredentialStorage {
    * @returns {boolean} True if API key exists
    */
   static hasApiKey() {
-    return ConfigFileManager.hasEnvVariable(this.POSTMAN_API_KEY);
+    return this.getApiKey() !== null;
   }
 
   /**
@@ -92,25 +382,35 @@ class CredentialStorage {
    * @returns {boolean} True if workspace ID exists
    */
   static hasWorkspaceId() {
-    return ConfigFileManager.hasEnvVariable(this.POSTMAN_WORKSPACE_ID);
+    return this.getCurrentWorkspaceId() !== null;
   }
 
   /**
-   * Remove stored credentials
+   * Remove the stored credentials of the active profile
    * @returns {boolean} True if successful
    */
   static clearCredentials() {
-    const apiKeyRemoved = ConfigFileManager.removeEnvVariable(this.POSTMAN_API_KEY);
-    const workspaceIdRemoved = ConfigFileManager.removeEnvVariable(this.POSTMAN_WORKSPACE_ID);
+    const apiKeyRemoved = this.removeValue(this.POSTMAN_API_KEY);
+    const tokenRemoved = this.removeValue(this.POSTMAN_OAUTH_TOKEN);
+    const workspaceIdRemoved = this.removeValue(this.POSTMAN_WORKSPACE_ID);
+
+    // Credentials of older versions live in shell config files and belong to the default profile
+    if (this.getProfile() === ProfileManager.DEFAULT_PROFILE) {
+      try {
+        ConfigFileManager.removeEnvVariables([this.POSTMAN_API_KEY, this.POSTMAN_WORKSPACE_ID]);
+      } catch (error) {
+        Logger.warn(error.message);
+      }
+    }
 
     // Also clear from current process environment
     delete process.env[this.POSTMAN_API_KEY];
     delete process.env[this.POSTMAN_WORKSPACE_ID];
 
-    if (apiKeyRemoved && workspaceIdRemoved) {
+    if ((apiKeyRemoved || tokenRemoved) && workspaceIdRemoved) {
       Logger.success('All credentials cleared successfully');
       return true;
-    } else if (apiKeyRemoved || workspaceIdRemoved) {
+    } else if (apiKeyRemoved || tokenRemoved || workspaceIdRemoved) {
       Logger.success('Some credentials cleared successfully');
       return true;
     } else {
@@ -132,11 +432,11 @@ class CredentialStorage {
   }
 
   /**
-   * Check if user is authenticated (has API key)
+   * Check if user is authenticated (has an API key or OAuth token)
    * @returns {boolean} True if authenticated
    */
   static isAuthenticated() {
-    return this.hasApiKey() && this.getApiKey() !== null;
+    return this.hasApiKey() || this.getOAuthToken() !== null;
   }
 
   /**
@@ -179,17 +479,9 @@ class CredentialStorage {
   }
 
   static storeGitRepoPath(repoPath) {
-    const success = ConfigFileManager.writeEnvVariable(
-      this.POSTMAN_GIT_REPO_PATH,
-      repoPath,
-      {
-        comment: 'Path to local Git repository for flowman-cli',
-        overwrite: true
-      }
-    );
+    const success = this.storeValue(this.POSTMAN_GIT_REPO_PATH, repoPath);
 
     if (success) {
-      process.env[this.POSTMAN_GIT_REPO_PATH] = repoPath;
       Logger.success('Git repository path stored successfully');
     }
     
@@ -197,7 +489,7 @@ class CredentialStorage {
   }
 
   static getGitRepoPath() {
-    return ConfigFileManager.readEnvVariable(this.POSTMAN_GIT_REPO_PATH);
+    return this.readValue(this.POSTMAN_GIT_REPO_PATH);
   }
 }
 
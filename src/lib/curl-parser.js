@@ -0,0 +1,325 @@
+/**
+ * Parses curl command lines, as copied from browser devtools or pasted in bug reports, into
+ * captured requests: { method, url, headers: [{ key, value }], body }. The body is null,
+ * { mimeType, text } or { mimeType, params: [{ name, value, fileName }] } like a HAR postData.
+ *
+ * Options that only change how curl runs (output, TLS, retries, verbosity...) are ignored.
+ */
+class CurlParser {
+  // Options followed by a value that doesn't change the request
+  static IGNORED_WITH_VALUE = new Set([
+    '-o', '--output', '-m', '--max-time', '--connect-timeout', '-x', '--proxy', '-U', '--proxy-user',
+    '--cacert', '--capath', '-E', '--cert', '--key', '-w', '--write-out', '-c', '--cookie-jar',
+    '--retry', '--retry-delay', '--retry-max-time', '-r', '--range', '-T', '--upload-file',
+    '--resolve', '--connect-to', '--interface', '-K', '--config', '--limit-rate', '--max-redirs'
+  ]);
+
+  /**
+   * Parse text holding one or more curl commands, one per line (lines ending with \ continue)
+   * @param {string} text - Commands
+   * @returns {Array<Object>} Captured requests
+   * @throws {Error} If a command has no URL
+   */
+  static parseAll(text) {
+    return this.tokenize(text)
+      .filter(tokens => tokens[0] === 'curl')
+      .map(tokens => this.parseTokens(tokens));
+  }
+
+  /**
+   * Split shell text into commands and their words, following quotes, $'...' strings, escapes,
+   * line continuations and # comments
+   * @param {string} text - Shell text
+   * @returns {Array<Array<string>>} Words of each command
+   */
+  static tokenize(text) {
+    const commands = [];
+    let words = [];
+    let word = null;
+    const endWord = () => {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+    };
+    const endCommand = () => {
+      endWord();
+      if (words.length) {
+        commands.push(words);
+      }
+      words = [];
+    };
+
+    const source = String(text).replace(/\r\n?/g, '\n');
+    for (let index = 0; index < source.length; index++) {
+      const char = source[index];
+
+      if (char === '\\') {
+        const next = source[index + 1];
+        index++;
+        if (next !== '\n' && next !== undefined) {
+          word = (word ?? '') + next;
+        }
+      } else if (char === '\'') {
+        const end = source.indexOf('\'', index + 1);
+        if (end === -1) {
+          throw new Error('Unterminated single quote in curl command');
+        }
+        word = (word ?? '') + source.slice(index + 1, end);
+        index = end;
+      } else if (char === '$' && source[index + 1] === '\'') {
+        const { value, end } = this.readAnsiString(source, index + 2);
+        word = (word ?? '') + value;
+        index = end;
+      } else if (char === '"') {
+        let value = '';
+        index++;
+        while (index < source.length && source[index] !== '"') {
+          if (source[index] === '\\' && '"\\$`\n'.includes(source[index + 1])) {
+            index++;
+            if (source[index] === '\n') {
+              index++;
+              continue;
+            }
+          }
+          value += source[index];
+          index++;
+        }
+        if (index >= source.length) {
+          throw new Error('Unterminated double quote in curl command');
+        }
+        word = (word ?? '') + value;
+      } else if (char === '#' && word === null) {
+        // Comment until the end of the line
+        while (index + 1 < source.length && source[index + 1] !== '\n') {
+          index++;
+        }
+      } else if (char === '\n' || char === ';' || (char === '&' && source[index + 1] === '&') || char === '|') {
+        endCommand();
+        if (char === '&') {
+          index++;
+        }
+      } else if (/\s/.test(char)) {
+        endWord();
+      } else {
+        word = (word ?? '') + char;
+      }
+    }
+    endCommand();
+
+    return commands;
+  }
+
+  /**
+   * Read a $'...' string, as copied by Chrome for bodies with special characters
+   * @param {string} source - Shell text
+   * @param {number} start - Index after the opening quote
+   * @returns {Object} { value, end } where end is the index of the closing quote
+   * @throws {Error} If the string is not terminated
+   */
+  static readAnsiString(source, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', '\\': '\\', '\'': '\'', '"': '"', '?': '?', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v' };
+    let value = '';
+    let index = start;
+    while (index < source.length && source[index] !== '\'') {
+      if (source[index] !== '\\') {
+        value += source[index++];
+        continue;
+      }
+
+      const next = source[index + 1];
+      const hex = next === 'x' ? source.slice(index + 2).match(/^[0-9a-fA-F]{1,2}/) : null;
+      const unicode = next === 'u' ? source.slice(index + 2).match(/^[0-9a-fA-F]{1,4}/) : null;
+      if (hex) {
+        value += String.fromCharCode(parseInt(hex[0], 16));
+        index += 2 + hex[0].length;
+      } else if (unicode) {
+        value += String.fromCharCode(parseInt(unicode[0], 16));
+        index += 2 + unicode[0].length;
+      } else if (next in escapes) {
+        value += escapes[next];
+        index += 2;
+      } else {
+        value += `\\${next ?? ''}`;
+        index += 2;
+      }
+    }
+    if (index >= source.length) {
+      throw new Error('Unterminated $\'...\' string in curl command');
+    }
+    return { value, end: index };
+  }
+
+  /**
+   * Parse the words of one curl command
+   * @param {Array<string>} tokens - Words, starting with "curl"
+   * @returns {Object} Captured request
+   * @throws {Error} If the command has no URL
+   */
+  static parseTokens(tokens) {
+    const headers = [];
+    const data = [];
+    const form = [];
+    let method = null;
+    let url = null;
+    let user = null;
+    let isGet = false;
+    let isJson = false;
+
+    const args = tokens.slice(1);
+    for (let index = 0; index < args.length; index++) {
+      let arg = args[index];
+      let value;
+      const takeValue = () => {
+        if (value === undefined) {
+          value = args[++index];
+        }
+        if (value === undefined) {
+          throw new Error(`curl option ${arg} needs a value`);
+        }
+        return value;
+      };
+
+      // Short options may carry their value, e.g. -XPOST or -H'Accept: */*'
+      if (/^-[a-zA-Z]./.test(arg) && !arg.startsWith('--')) {
+        value = arg.slice(2);
+        arg = arg.slice(0, 2);
+      } else if (/^--[^=]+=/.test(arg)) {
+        [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+      }
+
+      switch (arg) {
+        case '-X':
+        case '--request':
+          method = takeValue().toUpperCase();
+          break;
+        case '-H':
+        case '--header': {
+          const header = takeValue();
+          const separator = header.indexOf(':');
+          if (separator > 0) {
+            headers.push({ key: header.slice(0, separator).trim(), value: header.slice(separator + 1).trim() });
+          }
+          break;
+        }
+        case '-d':
+        case '--data':
+        case '--data-ascii':
+        case '--data-binary':
+        case '--data-raw':
+        case '--data-urlencode':
+          data.push(arg === '--data-urlencode' ? this.encodeData(takeValue()) : takeValue());
+          break;
+        case '--json':
+          data.push(takeValue());
+          isJson = true;
+          break;
+        case '-F':
+        case '--form':
+        case '--form-string': {
+          const field = takeValue();
+          const separator = field.indexOf('=');
+          const name = field.slice(0, separator);
+          const fieldValue = field.slice(separator + 1);
+          form.push(arg !== '--form-string' && fieldValue.startsWith('@')
+            ? { name, fileName: fieldValue.slice(1).split(';')[0] }
+            : { name, value: fieldValue });
+          break;
+        }
+        case '-u':
+        case '--user':
+          user = takeValue();
+          break;
+        case '-b':
+        case '--cookie':
+          headers.push({ key: 'Cookie', value: takeValue() });
+          break;
+        case '-A':
+        case '--user-agent':
+          headers.push({ key: 'User-Agent', value: takeValue() });
+          break;
+        case '-e':
+        case '--referer':
+          headers.push({ key: 'Referer', value: takeValue() });
+          break;
+        case '--url':
+          url = takeValue();
+          break;
+        case '-G':
+        case '--get':
+          isGet = true;
+          break;
+        case '-I':
+        case '--head':
+          method = 'HEAD';
+          break;
+        default:
+          if (this.IGNORED_WITH_VALUE.has(arg)) {
+            takeValue();
+          } else if (!arg.startsWith('-') && url === null) {
+            url = arg;
+          }
+      }
+    }
+
+    if (!url) {
+      throw new Error(`curl command without a URL: ${tokens.join(' ').slice(0, 80)}`);
+    }
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+      url = `http://${url}`;
+    }
+    if (user !== null) {
+      headers.push({ key: 'Authorization', value: `Basic ${Buffer.from(user.includes(':') ? user : `${user}:`).toString('base64')}` });
+    }
+    if (isJson) {
+      this.setDefaultHeader(headers, 'Content-Type', 'application/json');
+      this.setDefaultHeader(headers, 'Accept', 'application/json');
+    }
+
+    let body = null;
+    if (isGet && data.length) {
+      url += `${url.includes('?') ? '&' : '?'}${data.join('&')}`;
+    } else if (form.length) {
+      body = { mimeType: 'multipart/form-data', params: form };
+    } else if (data.length) {
+      const contentType = headers.find(header => header.key.toLowerCase() === 'content-type')?.value;
+      body = { mimeType: contentType || 'application/x-www-form-urlencoded', text: data.join('&') };
+    }
+
+    return {
+      method: method || (isGet ? 'GET' : body ? 'POST' : 'GET'),
+      url,
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Encode a --data-urlencode value the way curl does
+   * @param {string} value - "content", "=content" or "name=content"
+   * @returns {string} Encoded data
+   */
+  static encodeData(value) {
+    const separator = value.indexOf('=');
+    if (separator === -1) {
+      return encodeURIComponent(value);
+    }
+    const name = value.slice(0, separator);
+    const content = encodeURIComponent(value.slice(separator + 1));
+    return name ? `${name}=${content}` : content;
+  }
+
+  /**
+   * Add a header unless the command already sets it
+   * @param {Array<Object>} headers - Headers
+   * @param {string} key - Header name
+   * @param {string} value - Header value
+   */
+  static setDefaultHeader(headers, key, value) {
+    if (!headers.some(header => header.key.toLowerCase() === key.toLowerCase())) {
+      headers.push({ key, value });
+    }
+  }
+}
+
+export default CurlParser;
@@ -0,0 +1,200 @@
+import ProfileManager from './profile-manager.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Postman environments as the env command shows and edits them: lookup by ID or name, the
+ * environment selected for runs, secret masking and key by key comparison
+ */
+class EnvironmentManager {
+  // Profile setting holding the selected environment as { id, name, workspaceId }
+  static ACTIVE_KEY = 'environment';
+  static SECRET_MASK = '********';
+
+  /**
+   * Get the environment selected for runs in a workspace
+   * @param {string} workspaceId - Current workspace ID
+   * @param {string} profile - Profile name (default: active profile)
+   * @returns {Object|null} { id, name } or null if none is selected for this workspace
+   */
+  static getActive(workspaceId, profile = ProfileManager.getActiveName()) {
+    const active = ProfileManager.getSetting(profile, this.ACTIVE_KEY);
+    if (!active || (active.workspaceId || null) !== (workspaceId || null)) {
+      return null;
+    }
+    return { id: active.id, name: active.name };
+  }
+
+  /**
+   * Select the environment for runs. The selection only applies to the workspace it belongs to.
+   * @param {Object} environment - Environment summary with id and name
+   * @param {string} workspaceId - Current workspace ID
+   * @returns {boolean} True if successful
+   */
+  static setActive(environment, workspaceId) {
+    return ProfileManager.setSetting(ProfileManager.getActiveName(), this.ACTIVE_KEY, {
+      id: environment.id,
+      name: environment.name,
+      workspaceId: workspaceId || null
+    });
+  }
+
+  /**
+   * Forget the environment selected for runs
+   * @returns {boolean} True if one was selected
+   */
+  static clearActive() {
+    return ProfileManager.unsetSetting(ProfileManager.getActiveName(), this.ACTIVE_KEY);
+  }
+
+  /**
+   * Find an environment by ID, UID or name (case-insensitive)
+   * @param {Array<Object>} environments - Environment summaries
+   * @param {string} reference - Environment ID, UID or name
+   * @returns {Object} Environment summary
+   * @throws {CliError} If no environment or several match
+   */
+  static find(environments, reference) {
+    const byId = environments.find(env => env.id === reference || env.uid === reference);
+    if (byId) {
+      return byId;
+    }
+
+    const byName = environments.filter(env => env.name.toLowerCase() === reference.toLowerCase());
+    if (byName.length > 1) {
+      throw new CliError(
+        `Several environments are named "${reference}", use an ID instead: ${byName.map(env => env.id).join(', ')}`,
+        ExitCodes.USAGE
+      );
+    }
+    if (byName.length === 0) {
+      throw new CliError(`Environment "${reference}" not found. Run "flowman-cli env ls" to list environments`, ExitCodes.NOT_FOUND);
+    }
+    return byName[0];
+  }
+
+  /**
+   * Check if a variable holds a secret
+   * @param {Object} variable - Environment variable
+   * @returns {boolean} True for secret-type variables
+   */
+  static isSecret(variable) {
+    return variable?.type === 'secret';
+  }
+
+  /**
+   * Get the value of a variable as it may be displayed
+   * @param {Object} variable - Environment variable
+   * @param {boolean} showSecrets - True to show secret values
+   * @returns {string} Value, masked for secrets
+   */
+  static displayValue(variable, showSecrets = false) {
+    if (this.isSecret(variable) && !showSecrets) {
+      return this.SECRET_MASK;
+    }
+    return variable.value === undefined || variable.value === null ? '' : String(variable.value);
+  }
+
+  /**
+   * Get the variables of an environment for display
+   * @param {Object} environment - Environment with values
+   * @param {boolean} showSecrets - True to show secret values
+   * @returns {Array<Object>} Rows with key, value, type and enabled
+   */
+  static toRows(environment, showSecrets = false) {
+    return (environment.values || []).map(variable => ({
+      key: variable.key,
+      value: this.displayValue(variable, showSecrets),
+      type: variable.type || 'default',
+      enabled: variable.enabled !== false
+    }));
+  }
+
+  /**
+   * Compare two environments key by key. Secrets are compared by their real value but masked.
+   * @param {Object} left - First environment
+   * @param {Object} right - Second environment
+   * @param {boolean} showSecrets - True to show secret values
+   * @returns {Array<Object>} Rows with key, status ('same', 'changed', 'removed' when only in the
+   *   first environment, 'added' when only in the second) and the left and right values
+   */
+  static diff(left, right, showSecrets = false) {
+    const toMap = (environment) => new Map((environment.values || []).map(variable => [variable.key, variable]));
+    const leftValues = toMap(left);
+    const rightValues = toMap(right);
+    const keys = [...new Set([...leftValues.keys(), ...rightValues.keys()])];
+
+    return keys.map(key => {
+      const a = leftValues.get(key);
+      const b = rightValues.get(key);
+      let status = 'same';
+      if (!b) {
+        status = 'removed';
+      } else if (!a) {
+        status = 'added';
+      } else if (!this.isSameVariable(a, b)) {
+        status = 'changed';
+      }
+
+      return {
+        key,
+        status,
+        left: a ? this.displayValue(a, showSecrets) : null,
+        right: b ? this.displayValue(b, showSecrets) : null
+      };
+    });
+  }
+
+  /**
+   * Check if two variables have the same value, type and state
+   * @param {Object} a - Environment variable
+   * @param {Object} b - Environment variable
+   * @returns {boolean} True if equal
+   */
+  static isSameVariable(a, b) {
+    return String(a.value ?? '') === String(b.value ?? '') &&
+      (a.type || 'default') === (b.type || 'default') &&
+      (a.enabled !== false) === (b.enabled !== false);
+  }
+
+  /**
+   * Set a variable, keeping the type and state of an existing one
+   * @param {Object} environment - Environment with name and values
+   * @param {string} key - Variable name
+   * @param {string} value - Value
+   * @param {boolean} secret - True to store it as a secret, false to make it a default variable,
+   *   undefined to keep the type
+   * @returns {Object} Environment { name, values } to send to the API
+   */
+  static setVariable(environment, key, value, secret) {
+    const values = (environment.values || []).map(variable => ({ ...variable }));
+    let variable = values.find(entry => entry.key === key);
+    if (!variable) {
+      variable = { key, value: '', type: 'default', enabled: true };
+      values.push(variable);
+    }
+
+    variable.value = value;
+    if (secret !== undefined) {
+      variable.type = secret ? 'secret' : 'default';
+    }
+    return { name: environment.name, values };
+  }
+
+  /**
+   * Remove a variable
+   * @param {Object} environment - Environment with name and values
+   * @param {string} key - Variable name
+   * @returns {Object} Environment { name, values } to send to the API
+   * @throws {CliError} If the variable doesn't exist
+   */
+  static unsetVariable(environment, key) {
+    const values = environment.values || [];
+    if (!values.some(variable => variable.key === key)) {
+      throw new CliError(`Variable "${key}" is not set in ${environment.name}`, ExitCodes.NOT_FOUND);
+    }
+    return { name: environment.name, values: values.filter(variable => variable.key !== key) };
+  }
+}
+
+export default EnvironmentManager;
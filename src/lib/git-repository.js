@@ -0,0 +1,100 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import Logger from '../utils/logger.js';
+
+class GitRepository {
+  /**
+   * Run a git command inside a repository
+   * @param {string} repoPath - Path to the git repository
+   * @param {Array<string>} args - Git arguments
+   * @returns {string} Trimmed stdout of the command
+   */
+  static exec(repoPath, args) {
+    Logger.debug(`git ${args.join(' ')}`);
+    try {
+      return execFileSync('git', args, {
+        cwd: repoPath,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe']
+      }).trim();
+    } catch (error) {
+      throw new Error(`git ${args[0]} failed: ${error.stderr?.trim() || error.message}`);
+    }
+  }
+
+  /**
+   * Check if a path is inside a git working tree
+   * @param {string} repoPath - Path to check
+   * @returns {boolean} True if path is a git repository
+   */
+  static isRepository(repoPath) {
+    if (!repoPath || !fs.existsSync(repoPath)) {
+      return false;
+    }
+
+    try {
+      return this.exec(repoPath, ['rev-parse', '--is-inside-work-tree']) === 'true';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stage all changes under the given paths
+   * @param {string} repoPath - Path to the git repository
+   * @param {Array<string>} paths - Paths relative to the repository root
+   */
+  static stage(repoPath, paths) {
+    const existing = paths.filter(p => fs.existsSync(path.join(repoPath, p)) || this.isTracked(repoPath, p));
+    if (existing.length === 0) {
+      return;
+    }
+    this.exec(repoPath, ['add', '-A', '--', ...existing]);
+  }
+
+  /**
+   * Check if git knows about a path (tracked files may be deleted on disk)
+   * @param {string} repoPath - Path to the git repository
+   * @param {string} relativePath - Path relative to the repository root
+   * @returns {boolean} True if the path has tracked files
+   */
+  static isTracked(repoPath, relativePath) {
+    try {
+      return this.exec(repoPath, ['ls-files', '--', relativePath]).length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get staged file changes
+   * @param {string} repoPath - Path to the git repository
+   * @param {Array<string>} paths - Paths to limit the diff to
+   * @returns {Array<Object>} Array of { status, file } entries
+   */
+  static getStagedChanges(repoPath, paths = []) {
+    const output = this.exec(repoPath, ['diff', '--cached', '--name-status', '--no-renames', '--', ...paths]);
+    if (!output) {
+      return [];
+    }
+
+    return output.split('\n').map(line => {
+      const [status, file] = line.split('\t');
+      return { status, file };
+    });
+  }
+
+  /**
+   * Commit staged changes
+   * @param {string} repoPath - Path to the git repository
+   * @param {string} message - Commit message
+   * @returns {string} Hash of the new commit
+   */
+  static commit(repoPath, message) {
+    this.exec(repoPath, ['commit', '-m', message]);
+    return this.exec(repoPath, ['rev-parse', 'HEAD']);
+  }
+}
+
+export default GitRepository;
@@ -0,0 +1,88 @@
+import fs from 'fs';
+
+/**
+ * Reads HAR 1.2 files saved from browser devtools or proxies into captured requests:
+ * { method, url, headers: [{ key, value }], body } with the body shaped like a HAR postData.
+ * Pages, images, scripts and other static assets are skipped so only API calls remain.
+ */
+class HarReader {
+  // Devtools resource types and file extensions of requests that are not API calls
+  static STATIC_RESOURCE_TYPES = new Set(['document', 'stylesheet', 'script', 'image', 'font', 'media', 'manifest', 'texttrack', 'websocket', 'ping', 'preflight']);
+  static STATIC_EXTENSIONS = /\.(html?|css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|mp3)$/i;
+
+  /**
+   * Read and validate a HAR file
+   * @param {string} filePath - HAR file
+   * @returns {Object} Parsed HAR
+   * @throws {Error} If the file can't be read or is not a HAR
+   */
+  static load(filePath) {
+    let har;
+    try {
+      har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read HAR file ${filePath}: ${error.message}`);
+    }
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new Error(`${filePath} is not a HAR file (missing log.entries)`);
+    }
+    return har;
+  }
+
+  /**
+   * List the API requests of a HAR in the order they were sent
+   * @param {Object} har - Parsed HAR
+   * @param {Object} options - Options
+   * @param {boolean} options.all - True to keep pages and static assets too
+   * @returns {Array<Object>} Captured requests
+   */
+  static listRequests(har, { all = false } = {}) {
+    return [...har.log.entries]
+      .sort((a, b) => String(a.startedDateTime || '').localeCompare(String(b.startedDateTime || '')))
+      .filter(entry => /^https?:/i.test(entry.request?.url || ''))
+      .filter(entry => all || !this.isStaticResource(entry))
+      .map(entry => this.toRequest(entry.request));
+  }
+
+  /**
+   * Check if an entry loaded a page or a static asset rather than calling an API
+   * @param {Object} entry - HAR entry
+   * @returns {boolean} True for pages and assets
+   */
+  static isStaticResource(entry) {
+    const resourceType = entry._resourceType;
+    if (resourceType) {
+      return this.STATIC_RESOURCE_TYPES.has(resourceType);
+    }
+    if (entry.request.method !== 'GET') {
+      return false;
+    }
+    const mimeType = String(entry.response?.content?.mimeType || '');
+    return this.STATIC_EXTENSIONS.test(new URL(entry.request.url).pathname) ||
+      /^(text\/(html|css|javascript)|image\/|font\/|audio\/|video\/|application\/javascript)/.test(mimeType);
+  }
+
+  /**
+   * Convert a HAR request
+   * @param {Object} request - HAR request
+   * @returns {Object} Captured request
+   */
+  static toRequest(request) {
+    const postData = request.postData;
+    let body = null;
+    if (postData && (postData.text || postData.params?.length)) {
+      body = postData.params?.length && !postData.text
+        ? { mimeType: postData.mimeType || '', params: postData.params }
+        : { mimeType: postData.mimeType || '', text: postData.text || '' };
+    }
+
+    return {
+      method: String(request.method || 'GET').toUpperCase(),
+      url: request.url,
+      headers: (request.headers || []).map(header => ({ key: header.name, value: header.value ?? '' })),
+      body
+    };
+  }
+}
+
+export default HarReader;
@@ -0,0 +1,409 @@
+import fs from 'fs';
+import express from 'express';
+import CollectionRunner from './collection-runner.js';
+import VariableScope from './variable-scope.js';
+
+/**
+ * Serves the saved example responses of a collection over HTTP, so clients can be built
+ * against a collection while the API is out of reach.
+ *
+ * Incoming requests are matched on method, path and query against the original request of
+ * every example, or the request item when an example doesn't record one. Path variables (:id)
+ * and {{variables}} left unresolved match any segment. When several examples match, headers
+ * pick one the way Postman mock servers do:
+ *
+ *   x-mock-response-name   example name
+ *   x-mock-response-code   example status code
+ *
+ * Otherwise the example whose query matches best wins, preferring successful responses.
+ */
+class MockServer {
+  static RESPONSE_NAME_HEADER = 'x-mock-response-name';
+  static RESPONSE_CODE_HEADER = 'x-mock-response-code';
+
+  // Recorded headers that don't describe the response express sends
+  static SKIPPED_RESPONSE_HEADERS = new Set(['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive', 'date']);
+
+  static PREVIEW_CONTENT_TYPES = {
+    json: 'application/json',
+    html: 'text/html',
+    xml: 'application/xml',
+    javascript: 'application/javascript'
+  };
+
+  /**
+   * Create a mock server
+   * @param {Object} collection - Postman v2.1 collection
+   * @param {Object} options - Options
+   * @param {Object} options.environment - Environment to resolve variables with (optional)
+   * @param {Array<Object>} options.globals - Global variables (optional)
+   * @param {Object} options.latency - Delay added to every response, { min, max } in milliseconds (optional)
+   * @param {string} options.logFile - File receiving a JSON line per request (optional)
+   * @param {Function} options.onRequest - Callback receiving the log entry of every request (optional)
+   */
+  constructor(collection, { environment = null, globals = [], latency = null, logFile = null, onRequest = () => {} } = {}) {
+    this.collection = collection;
+    this.scope = new VariableScope({
+      globals,
+      collection: collection.variable || [],
+      environment: environment?.values || []
+    });
+    this.latency = latency;
+    this.logFile = logFile;
+    this.onRequest = onRequest;
+    this.requestCount = 0;
+    this.server = null;
+    this.routes = this.buildRoutes();
+  }
+
+  /**
+   * List a route per example, and per request item without examples
+   * @returns {Array<Object>} Routes with item path, example, method, path segments and query
+   */
+  buildRoutes() {
+    const routes = [];
+    for (const entry of CollectionRunner.walk(this.collection.item)) {
+      const request = this.toRequest(entry.item.request);
+      const examples = entry.item.response || [];
+      if (examples.length === 0) {
+        routes.push({ itemPath: entry.path, example: null, ...this.describe(request) });
+        continue;
+      }
+      for (const example of examples) {
+        const original = example.originalRequest ? this.toRequest(example.originalRequest) : request;
+        routes.push({
+          itemPath: entry.path,
+          example,
+          ...this.describe({ ...original, method: original.method || request.method })
+        });
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Normalize a Postman request that may be a plain URL
+   * @param {Object|string} request - Postman request
+   * @returns {Object} Request object
+   */
+  toRequest(request) {
+    return typeof request === 'string' ? { url: request } : (request || {});
+  }
+
+  /**
+   * Extract what matching needs from a request
+   * @param {Object} request - Postman request
+   * @returns {Object} { method, segments, query } with variables resolved
+   */
+  describe(request) {
+    const url = typeof request.url === 'string' ? { raw: request.url } : (request.url || {});
+    let raw = url.raw;
+    if (!raw) {
+      const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+      const urlPath = Array.isArray(url.path) ? url.path.map(segment => (typeof segment === 'object' ? segment.value : segment)).join('/') : (url.path || '');
+      raw = `${host}/${urlPath}`;
+    }
+
+    // Drop the query and fragment, then the scheme and host or an unresolved {{baseUrl}}
+    const resolved = this.scope.resolve(String(raw)).split(/[?#]/)[0];
+    let pathName = resolved.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '').replace(/^\{\{[^}]+\}\}/, '');
+    if (!pathName.startsWith('/')) {
+      pathName = pathName.includes('/') ? pathName.slice(pathName.indexOf('/')) : '/';
+    }
+
+    const query = Array.isArray(url.query)
+      ? url.query.filter(param => param.key && !param.disabled).map(param => ({ key: param.key, value: this.scope.resolve(param.value ?? '') }))
+      : [...new URLSearchParams(this.scope.resolve(String(raw)).split('?')[1]?.split('#')[0] || '')].map(([key, value]) => ({ key, value }));
+
+    return {
+      method: String(request.method || 'GET').toUpperCase(),
+      segments: pathName.split('/').filter(Boolean).map(segment => this.decode(segment)),
+      query
+    };
+  }
+
+  /**
+   * List the routes for display
+   * @returns {Array<Object>} { method, path, request, example, status } per route
+   */
+  listRoutes() {
+    return this.routes.map(route => ({
+      method: route.method,
+      path: `/${route.segments.join('/')}${route.query.length ? `?${route.query.map(param => `${param.key}=${param.value}`).join('&')}` : ''}`,
+      request: route.itemPath,
+      example: route.example?.name || null,
+      status: route.example ? (route.example.code || 200) : null
+    }));
+  }
+
+  /**
+   * Find the route answering a request
+   * @param {string} method - Request method
+   * @param {string} pathName - Request path
+   * @param {URLSearchParams} query - Request query
+   * @param {Object} selection - { name, code } from the example selection headers (optional)
+   * @returns {Object|null} Best matching route, or null
+   */
+  match(method, pathName, query, { name = null, code = null } = {}) {
+    const segments = pathName.split('/').filter(Boolean).map(segment => this.decode(segment));
+    // HEAD requests are answered by GET routes without a body
+    const methods = method === 'HEAD' ? ['HEAD', 'GET'] : [method];
+
+    const candidates = [];
+    this.routes.forEach((route, index) => {
+      if (!methods.includes(route.method)) {
+        return;
+      }
+      const pathScore = this.scorePath(route.segments, segments);
+      if (pathScore < 0) {
+        return;
+      }
+      if (name && route.example?.name?.toLowerCase() !== name.toLowerCase()) {
+        return;
+      }
+      if (code && String(route.example?.code || 200) !== String(code)) {
+        return;
+      }
+      candidates.push({ route, index, pathScore, queryScore: this.scoreQuery(route.query, query) });
+    });
+
+    const isSuccess = (route) => (route.example?.code || 200) < 400;
+    candidates.sort((a, b) =>
+      (b.pathScore - a.pathScore) ||
+      (b.queryScore - a.queryScore) ||
+      (Number(!!b.route.example) - Number(!!a.route.example)) ||
+      (Number(isSuccess(b.route)) - Number(isSuccess(a.route))) ||
+      (a.index - b.index));
+
+    return candidates[0]?.route || null;
+  }
+
+  /**
+   * Score how a request path matches a route
+   * @param {Array<string>} routeSegments - Route path segments
+   * @param {Array<string>} segments - Request path segments
+   * @returns {number} Number of literal segments in common, -1 if the paths don't match
+   */
+  scorePath(routeSegments, segments) {
+    if (routeSegments.length !== segments.length) {
+      return -1;
+    }
+
+    let score = 0;
+    for (let index = 0; index < routeSegments.length; index++) {
+      const expected = routeSegments[index];
+      if (expected.startsWith(':') || expected.includes('{{')) {
+        continue;
+      }
+      if (expected !== segments[index]) {
+        return -1;
+      }
+      score++;
+    }
+    return score;
+  }
+
+  /**
+   * Score how a request query matches a route: one point per matching parameter, minus one per
+   * parameter with another value
+   * @param {Array<Object>} routeQuery - Route query parameters
+   * @param {URLSearchParams} query - Request query
+   * @returns {number} Score
+   */
+  scoreQuery(routeQuery, query) {
+    let score = 0;
+    for (const { key, value } of routeQuery) {
+      if (!query.has(key)) {
+        continue;
+      }
+      score += value === '' || value.includes('{{') || query.getAll(key).includes(value) ? 1 : -1;
+    }
+    return score;
+  }
+
+  /**
+   * Build the express app
+   * @returns {Object} Express app
+   */
+  createApp() {
+    const app = express();
+    app.disable('x-powered-by');
+    app.use((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.status(500).json({ error: error.message });
+      });
+    });
+    return app;
+  }
+
+  /**
+   * Answer a request with the example it matches
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>} Resolves once the response is sent
+   */
+  async handle(req, res) {
+    const startedAt = Date.now();
+    const url = new URL(req.originalUrl, 'http://localhost');
+    this.allowCors(req, res);
+
+    const route = this.match(req.method, url.pathname, url.searchParams, {
+      name: req.get(MockServer.RESPONSE_NAME_HEADER),
+      code: req.get(MockServer.RESPONSE_CODE_HEADER)
+    });
+
+    // Browsers check cross-origin calls with OPTIONS first
+    if (!route && req.method === 'OPTIONS' && req.get('access-control-request-method')) {
+      res.status(204).end();
+      this.log(req, { status: 204, startedAt });
+      return;
+    }
+
+    const delay = this.pickDelay();
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (!route || !route.example) {
+      const error = route
+        ? `${route.itemPath} has no saved example`
+        : `No example of ${this.collection.info?.name || 'the collection'} matches ${req.method} ${url.pathname}${this.describeSelection(req)}`;
+      res.status(404).json({ error });
+      this.log(req, { status: 404, route, delay, startedAt, error });
+      return;
+    }
+
+    const { example } = route;
+    const status = example.code || 200;
+    let hasContentType = false;
+    for (const header of example.header || []) {
+      const key = String(header.key || '');
+      if (!key || header.disabled || MockServer.SKIPPED_RESPONSE_HEADERS.has(key.toLowerCase())) {
+        continue;
+      }
+      hasContentType = hasContentType || key.toLowerCase() === 'content-type';
+      res.set(key, this.scope.resolve(String(header.value ?? '')));
+    }
+    if (!hasContentType) {
+      res.type(MockServer.PREVIEW_CONTENT_TYPES[example._postman_previewlanguage] || 'text/plain');
+    }
+
+    res.status(status).send(this.scope.resolve(example.body ?? ''));
+    this.log(req, { status, route, delay, startedAt });
+  }
+
+  /**
+   * Describe the example selection headers of a request for error messages
+   * @param {Object} req - Express request
+   * @returns {string} Text such as ' (example "Not found")', empty without headers
+   */
+  describeSelection(req) {
+    const parts = [];
+    if (req.get(MockServer.RESPONSE_NAME_HEADER)) {
+      parts.push(`example "${req.get(MockServer.RESPONSE_NAME_HEADER)}"`);
+    }
+    if (req.get(MockServer.RESPONSE_CODE_HEADER)) {
+      parts.push(`status ${req.get(MockServer.RESPONSE_CODE_HEADER)}`);
+    }
+    return parts.length ? ` (${parts.join(', ')})` : '';
+  }
+
+  /**
+   * Let pages on other origins, such as a frontend dev server, call the mock
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  allowCors(req, res) {
+    res.set('Access-Control-Allow-Origin', req.get('origin') || '*');
+    res.set('Access-Control-Allow-Credentials', 'true');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS');
+    res.set('Access-Control-Allow-Headers', req.get('access-control-request-headers') || '*');
+    res.set('Access-Control-Expose-Headers', '*');
+  }
+
+  /**
+   * Pick the delay of a response
+   * @returns {number} Delay in milliseconds
+   */
+  pickDelay() {
+    if (!this.latency) {
+      return 0;
+    }
+    const { min, max } = this.latency;
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+
+  /**
+   * Record a request in the log file and pass it to the callback
+   * @param {Object} req - Express request
+   * @param {Object} outcome - { status, route, delay, startedAt, error }
+   */
+  log(req, { status, route = null, delay = 0, startedAt, error = null }) {
+    this.requestCount++;
+    const entry = {
+      time: new Date(startedAt).toISOString(),
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      request: route?.itemPath || null,
+      example: route?.example?.name || null,
+      delay,
+      duration: Date.now() - startedAt,
+      error
+    };
+
+    if (this.logFile) {
+      fs.appendFileSync(this.logFile, `${JSON.stringify(entry)}\n`, 'utf8');
+    }
+    this.onRequest(entry);
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port
+   * @param {string} host - Interface to listen on
+   * @returns {Promise<string>} Base URL of the server
+   * @throws {Error} If the port can't be used
+   */
+  start(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server = this.createApp().listen(port, host, (error) => {
+        if (error) {
+          reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : error);
+          return;
+        }
+        resolve(`http://${host.includes(':') ? `[${host}]` : host}:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>} Resolves once open connections are closed
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Decode a path segment
+   * @param {string} segment - Encoded segment
+   * @returns {string} Decoded segment, or the segment itself when it is not valid encoding
+   */
+  decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  }
+}
+
+export default MockServer;
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import express from 'express';
+import ApiSettings from './api-settings.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+import Markup from '../utils/markup.js';
+
+/**
+ * OAuth 2.0 authorization code flow with PKCE for the browser login. A short-lived express
+ * server on a free loopback port receives the redirect. flowman-cli has no client registered
+ * with Postman, so the identity provider must be configured with FLOWMAN_OAUTH_* environment
+ * variables, and the tokens it issues must be accepted by the API at FLOWMAN_API_URL.
+ */
+class OAuthClient {
+  static ENV = {
+    authorizeUrl: 'FLOWMAN_OAUTH_AUTHORIZE_URL',
+    tokenUrl: 'FLOWMAN_OAUTH_TOKEN_URL',
+    clientId: 'FLOWMAN_OAUTH_CLIENT_ID',
+    scope: 'FLOWMAN_OAUTH_SCOPE'
+  };
+  static SCOPE = 'offline_access';
+
+  static CALLBACK_PATH = '/callback';
+  static AUTHORIZE_TIMEOUT = 5 * 60 * 1000;
+  static REQUEST_TIMEOUT = 10000;
+
+  /**
+   * Get the OAuth settings
+   * @returns {Object} { authorizeUrl, tokenUrl, clientId, scope }
+   * @throws {CliError} If the identity provider is not configured
+   */
+  static getConfig() {
+    const { ENV } = this;
+    const missing = [ENV.authorizeUrl, ENV.tokenUrl, ENV.clientId].filter(name => !process.env[name]);
+    if (missing.length > 0) {
+      throw new CliError(
+        `Browser login needs an OAuth identity provider. Set ${missing.join(', ')}, or login with an API key`,
+        ExitCodes.USAGE
+      );
+    }
+
+    return {
+      authorizeUrl: process.env[ENV.authorizeUrl],
+      tokenUrl: process.env[ENV.tokenUrl],
+      clientId: process.env[ENV.clientId],
+      scope: process.env[ENV.scope] ?? this.SCOPE
+    };
+  }
+
+  /**
+   * Create a PKCE code verifier and its S256 challenge
+   * @returns {Object} { verifier, challenge }
+   */
+  static createPkce() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+  }
+
+  /**
+   * Run the authorization code flow: serve the callback, let the user authorize in the browser
+   * and exchange the code for a token
+   * @param {Object} options - Authorization options
+   * @param {Function} options.onAuthorizeUrl - Called with the URL to open in the browser
+   * @param {number} options.timeout - Maximum time to wait for the redirect in milliseconds
+   * @returns {Promise<Object>} Token from toToken()
+   * @throws {Error} If authorization is denied, times out or the exchange fails
+   */
+  static async authorize({ onAuthorizeUrl, timeout = this.AUTHORIZE_TIMEOUT } = {}) {
+    const config = this.getConfig();
+    const { verifier, challenge } = this.createPkce();
+    const state = crypto.randomBytes(16).toString('base64url');
+
+    const { server, redirectUri, callback } = await this.startCallbackServer(state);
+    try {
+      const authorizeUrl = new URL(config.authorizeUrl);
+      authorizeUrl.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: redirectUri,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        state,
+        ...(config.scope ? { scope: config.scope } : {})
+      }).toString();
+      await onAuthorizeUrl?.(authorizeUrl.toString());
+
+      let timer;
+      const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No authorization received within ${Math.ceil(timeout / 1000)}s`)), timeout);
+      });
+      const code = await Promise.race([callback, expired]).finally(() => clearTimeout(timer));
+
+      return await this.requestToken(config, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: verifier
+      });
+    } finally {
+      server.closeAllConnections?.();
+      server.close();
+    }
+  }
+
+  /**
+   * Start the server receiving the redirect on a free loopback port
+   * @param {string} state - Expected state parameter
+   * @returns {Promise<Object>} { server, redirectUri, callback: promise of the authorization code }
+   */
+  static startCallbackServer(state) {
+    let settle;
+    const callback = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    // Rejections before anyone awaits the callback must not crash the process
+    callback.catch(() => {});
+
+    const app = express();
+    app.get(this.CALLBACK_PATH, (req, res) => {
+      const { code, error, error_description: description } = req.query;
+
+      if (req.query.state !== state) {
+        // Not from this login attempt: answer it but keep waiting for the real redirect
+        res.status(400).send(this.renderPage('Login failed', 'The response did not match this login attempt.'));
+      } else if (error || !code) {
+        res.status(400).send(this.renderPage('Login failed', description || error || 'No authorization code received.'));
+        settle.reject(new Error(`Authorization failed: ${description || error || 'no code received'}`));
+      } else {
+        res.send(this.renderPage('Login complete', 'You can close this window and return to the terminal.'));
+        settle.resolve(String(code));
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      const server = app.listen(0, '127.0.0.1', (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        const { port } = server.address();
+        resolve({ server, redirectUri: `http://127.0.0.1:${port}${this.CALLBACK_PATH}`, callback });
+      });
+    });
+  }
+
+  /**
+   * Get a new access token with a refresh token
+   * @param {Object} token - Token from toToken()
+   * @returns {Promise<Object>} Refreshed token
+   * @throws {Error} If the token can't be refreshed
+   */
+  static async refresh(token) {
+    if (!token.refreshToken) {
+      throw new Error('The OAuth token has no refresh token, please login again');
+    }
+
+    const config = { tokenUrl: token.tokenUrl, clientId: token.clientId };
+    const refreshed = await this.requestToken(config, {
+      grant_type: 'refresh_token',
+      refresh_token: token.refreshToken
+    });
+    // Providers may keep the refresh token and only return a new access token
+    return { ...refreshed, refreshToken: refreshed.refreshToken || token.refreshToken };
+  }
+
+  /**
+   * Call the token endpoint
+   * @param {Object} config - OAuth settings
+   * @param {Object} params - Grant parameters
+   * @returns {Promise<Object>} Token from toToken()
+   * @throws {Error} If the endpoint rejects the request
+   */
+  static async requestToken(config, params) {
+    try {
+      const response = await axios.post(
+        config.tokenUrl,
+        new URLSearchParams({ ...params, client_id: config.clientId }).toString(),
+        {
+          // Token requests go through the same proxy and CA bundle as the Postman API
+          ...ApiSettings.getRequestOptions(config.tokenUrl),
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+          timeout: this.REQUEST_TIMEOUT
+        }
+      );
+      if (!response.data?.access_token) {
+        throw new Error('The token endpoint returned no access token');
+      }
+      return this.toToken(response.data, config);
+    } catch (error) {
+      const data = error.response?.data;
+      const reason = data?.error_description || data?.error || error.message;
+      throw new Error(`Token request failed: ${reason}`);
+    }
+  }
+
+  /**
+   * Convert a token endpoint response into the stored token
+   * @param {Object} data - Token endpoint response
+   * @param {Object} config - OAuth settings used to get it
+   * @returns {Object} { accessToken, refreshToken, tokenType, scope, expiresAt, tokenUrl, clientId }
+   */
+  static toToken(data, config) {
+    return {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || null,
+      tokenType: data.token_type || 'Bearer',
+      scope: data.scope || null,
+      expiresAt: data.expires_in ? new Date(Date.now() + Number(data.expires_in) * 1000).toISOString() : null,
+      tokenUrl: config.tokenUrl,
+      clientId: config.clientId
+    };
+  }
+
+  /**
+   * Check if a token expires within a margin
+   * @param {Object} token - Token from toToken()
+   * @param {number} margin - Margin in milliseconds
+   * @returns {boolean} True if it should be refreshed
+   */
+  static isExpiring(token, margin = 60 * 1000) {
+    return !!token.expiresAt && new Date(token.expiresAt).getTime() - margin <= Date.now();
+  }
+
+  /**
+   * Render the page shown in the browser after the redirect
+   * @param {string} title - Page title
+   * @param {string} message - Message
+   * @returns {string} HTML document
+   */
+  static renderPage(title, message) {
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${Markup.escape(title)} - flowman-cli</title></head>` +
+      `<body style="font-family: sans-serif; text-align: center; margin-top: 15vh"><h1>${Markup.escape(title)}</h1><p>${Markup.escape(message)}</p></body></html>`;
+  }
+}
+
+export default OAuthClient;
@@ -0,0 +1,171 @@
+import OpenApiSpec from './openapi-spec.js';
+
+/**
+ * Converts OpenAPI 3.x specs into Postman v2.1 collections: one folder per tag, one request per
+ * operation, with parameters and bodies filled in from the examples and schemas of the spec.
+ */
+class OpenApiConverter {
+  static COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+  static BASE_URL_VARIABLE = 'baseUrl';
+
+  /**
+   * Convert a spec into a collection
+   * @param {Object} spec - Spec from OpenApiSpec.load()
+   * @param {Object} options - Options
+   * @param {string} options.name - Collection name (default: title of the spec)
+   * @returns {Object} Postman v2.1 collection
+   */
+  static toCollection(spec, { name } = {}) {
+    const folders = new Map();
+    for (const tag of spec.tags || []) {
+      folders.set(tag.name, { name: tag.name, description: tag.description, item: [] });
+    }
+
+    const rootItems = [];
+    for (const operation of OpenApiSpec.listOperations(spec)) {
+      const item = this.toItem(spec, operation);
+      const [tag] = operation.tags;
+      if (!tag) {
+        rootItems.push(item);
+        continue;
+      }
+      if (!folders.has(tag)) {
+        folders.set(tag, { name: tag, item: [] });
+      }
+      folders.get(tag).item.push(item);
+    }
+
+    return {
+      info: {
+        name: name || spec.info?.title || 'OpenAPI import',
+        description: spec.info?.description,
+        schema: this.COLLECTION_SCHEMA
+      },
+      item: [...[...folders.values()].filter(folder => folder.item.length), ...rootItems],
+      variable: [{ key: this.BASE_URL_VARIABLE, value: OpenApiSpec.getBaseUrl(spec), type: 'string' }]
+    };
+  }
+
+  /**
+   * Convert an operation into a request item
+   * @param {Object} spec - Parsed spec
+   * @param {Object} operation - Operation from OpenApiSpec.listOperations()
+   * @returns {Object} Request item
+   */
+  static toItem(spec, operation) {
+    const byLocation = (location) => operation.parameters.filter(parameter => parameter.in === location);
+    const headers = byLocation('header').map(parameter => ({
+      key: parameter.name,
+      value: this.toText(OpenApiSpec.exampleFor(spec, parameter)),
+      description: parameter.description,
+      disabled: !parameter.required
+    }));
+
+    const request = {
+      method: operation.method,
+      header: headers,
+      url: this.toUrl(spec, operation.path, byLocation('path'), byLocation('query')),
+      description: operation.description || undefined
+    };
+
+    const body = this.toBody(spec, operation.requestBody);
+    if (body) {
+      if (body.contentType) {
+        request.header.push({ key: 'Content-Type', value: body.contentType });
+      }
+      request.body = body.body;
+    }
+
+    return {
+      name: operation.summary || operation.operationId || `${operation.method} ${operation.path}`,
+      request
+    };
+  }
+
+  /**
+   * Build the URL of a request. Path parameters become Postman path variables (:name).
+   * @param {Object} spec - Parsed spec
+   * @param {string} pathName - OpenAPI path, e.g. /users/{id}
+   * @param {Array<Object>} pathParameters - Path parameters
+   * @param {Array<Object>} queryParameters - Query parameters
+   * @returns {Object} Postman URL
+   */
+  static toUrl(spec, pathName, pathParameters, queryParameters) {
+    const segments = pathName.split('/').filter(Boolean).map(segment => segment.replace(/\{([^}]+)\}/g, ':$1'));
+    const query = queryParameters.map(parameter => ({
+      key: parameter.name,
+      value: this.toText(OpenApiSpec.exampleFor(spec, parameter)),
+      description: parameter.description,
+      disabled: !parameter.required
+    }));
+    const enabledQuery = query.filter(parameter => !parameter.disabled);
+    const queryString = enabledQuery.length
+      ? `?${enabledQuery.map(parameter => `${parameter.key}=${parameter.value}`).join('&')}`
+      : '';
+
+    return {
+      raw: `{{${this.BASE_URL_VARIABLE}}}/${segments.join('/')}${queryString}`,
+      host: [`{{${this.BASE_URL_VARIABLE}}}`],
+      path: segments,
+      query: query.length ? query : undefined,
+      variable: pathParameters.length
+        ? pathParameters.map(parameter => ({
+          key: parameter.name,
+          value: this.toText(OpenApiSpec.exampleFor(spec, parameter)),
+          description: parameter.description
+        }))
+        : undefined
+    };
+  }
+
+  /**
+   * Build the body of a request from its JSON, form or text content
+   * @param {Object} spec - Parsed spec
+   * @param {Object} requestBody - Resolved request body, or null
+   * @returns {Object|null} { contentType, body } or null without a body
+   */
+  static toBody(spec, requestBody) {
+    const content = requestBody?.content || {};
+    const types = Object.keys(content);
+    const contentType = types.find(type => /^application\/(.+\+)?json/.test(type))
+      || types.find(type => type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data')
+      || types[0];
+    if (!contentType) {
+      return null;
+    }
+
+    const example = OpenApiSpec.exampleFor(spec, content[contentType]);
+    if (contentType === 'application/x-www-form-urlencoded' || contentType === 'multipart/form-data') {
+      const fields = Object.entries(example && typeof example === 'object' ? example : {})
+        .map(([key, value]) => ({ key, value: this.toText(value), type: 'text' }));
+      return contentType === 'multipart/form-data'
+        // Postman sets the multipart boundary itself
+        ? { contentType: null, body: { mode: 'formdata', formdata: fields } }
+        : { contentType, body: { mode: 'urlencoded', urlencoded: fields } };
+    }
+
+    const isJson = contentType.includes('json');
+    return {
+      contentType,
+      body: {
+        mode: 'raw',
+        raw: isJson ? JSON.stringify(example ?? {}, null, 2) : this.toText(example),
+        options: isJson ? { raw: { language: 'json' } } : undefined
+      }
+    };
+  }
+
+  /**
+   * Format an example value for a header, query parameter or form field
+   * @param {*} value - Example value
+   * @returns {string} Text
+   */
+  static toText(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+export default OpenApiConverter;
@@ -0,0 +1,238 @@
+import OpenApiSpec from './openapi-spec.js';
+import CollectionDiff from './collection-diff.js';
+
+/**
+ * Compares a collection with an OpenAPI 3.x spec: operations without a request, requests that
+ * match no operation, and requests whose path, query or header parameters differ from the spec.
+ *
+ * Requests are matched by method and path. Path variables (:id or {{id}}) stand for any spec
+ * parameter, and a literal segment such as /users/me is accepted for a parameter when no
+ * operation matches it literally. Paths may include the path of the spec's server URL or not.
+ */
+class OpenApiDiff {
+  /**
+   * Compare a spec and a collection
+   * @param {Object} spec - Spec from OpenApiSpec.load()
+   * @param {Object} collection - Postman v2.1 collection
+   * @returns {Object} { missing, extra, mismatches }: missing operations ({ method, path, name }),
+   *   extra requests ({ method, path, name }) and requests with parameter issues
+   *   ({ method, path, name, issues })
+   */
+  static diff(spec, collection) {
+    const basePath = this.splitPath(new URL(OpenApiSpec.getBaseUrl(spec) || '/', 'http://localhost').pathname);
+    const operations = OpenApiSpec.listOperations(spec).map(operation => ({
+      ...operation,
+      segments: this.splitPath(operation.path)
+    }));
+    const requests = [...CollectionDiff.flattenItems(collection.item).values()]
+      .filter(entry => !entry.folder && entry.item.request)
+      .map(entry => this.describeRequest(entry));
+
+    const covered = new Set();
+    const result = { missing: [], extra: [], mismatches: [] };
+
+    for (const request of requests) {
+      const operation = this.findOperation(operations, request, basePath);
+      if (!operation) {
+        result.extra.push({ method: request.method, path: request.displayPath, name: request.name });
+        continue;
+      }
+
+      covered.add(operation);
+      const issues = this.compareParameters(operation, request, basePath);
+      if (issues.length) {
+        result.mismatches.push({ method: request.method, path: operation.path, name: request.name, issues });
+      }
+    }
+
+    for (const operation of operations) {
+      if (!covered.has(operation)) {
+        result.missing.push({
+          method: operation.method,
+          path: operation.path,
+          name: operation.summary || operation.operationId || null
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check if a comparison found any drift
+   * @param {Object} result - Result of diff()
+   * @returns {boolean} True if the collection doesn't match the spec
+   */
+  static hasDrift(result) {
+    return result.missing.length > 0 || result.extra.length > 0 || result.mismatches.length > 0;
+  }
+
+  /**
+   * Extract what the comparison needs from a request item
+   * @param {Object} entry - Entry from CollectionDiff.flattenItems()
+   * @returns {Object} { name, method, segments, displayPath, query, headers }
+   */
+  static describeRequest(entry) {
+    const { request } = entry.item;
+    const url = typeof request.url === 'string' ? { raw: request.url } : (request.url || {});
+
+    let segments;
+    if (Array.isArray(url.path)) {
+      segments = url.path.map(segment => (typeof segment === 'object' ? segment.value : String(segment)));
+    } else {
+      // Drop the query, then the scheme and host or the {{baseUrl}} style variable in front
+      const raw = String(url.raw || '').split(/[?#]/)[0]
+        .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+        .replace(/^\{\{[^}]+\}\}/, '');
+      segments = this.splitPath(raw);
+    }
+    segments = segments.filter(Boolean);
+
+    const queryKeys = Array.isArray(url.query)
+      ? url.query.map(parameter => parameter.key)
+      : [...new URLSearchParams(String(url.raw || '').split('?')[1]?.split('#')[0] || '').keys()];
+
+    return {
+      name: entry.path,
+      method: String(request.method || 'GET').toUpperCase(),
+      segments,
+      displayPath: `/${segments.join('/')}`,
+      query: new Set(queryKeys.filter(Boolean)),
+      headers: new Set((request.header || []).filter(header => !header.disabled).map(header => String(header.key).toLowerCase()))
+    };
+  }
+
+  /**
+   * Find the operation a request calls, preferring the one with the most literal segments in common
+   * @param {Array<Object>} operations - Operations with their path segments
+   * @param {Object} request - Request from describeRequest()
+   * @param {Array<string>} basePath - Path segments of the server URL
+   * @returns {Object|null} Operation or null
+   */
+  static findOperation(operations, request, basePath) {
+    let best = null;
+    let bestScore = -1;
+    for (const operation of operations) {
+      if (operation.method !== request.method) {
+        continue;
+      }
+      const score = this.matchPath(operation.segments, this.stripBasePath(request.segments, basePath, operation.segments.length));
+      if (score > bestScore) {
+        best = operation;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Remove the server path from the front of a request path when the request includes it
+   * @param {Array<string>} segments - Request path segments
+   * @param {Array<string>} basePath - Path segments of the server URL
+   * @param {number} length - Number of segments of the operation path
+   * @returns {Array<string>} Request path relative to the server URL
+   */
+  static stripBasePath(segments, basePath, length) {
+    const hasBasePath = basePath.length > 0 &&
+      segments.length === basePath.length + length &&
+      basePath.every((segment, index) => segments[index] === segment);
+    return hasBasePath ? segments.slice(basePath.length) : segments;
+  }
+
+  /**
+   * Score how a request path matches an operation path
+   * @param {Array<string>} operationSegments - Operation path segments, with {param} templates
+   * @param {Array<string>} requestSegments - Request path segments
+   * @returns {number} Number of literal segments in common, -1 if the paths don't match
+   */
+  static matchPath(operationSegments, requestSegments) {
+    if (operationSegments.length !== requestSegments.length) {
+      return -1;
+    }
+
+    let score = 0;
+    for (let index = 0; index < operationSegments.length; index++) {
+      const expected = operationSegments[index];
+      const actual = requestSegments[index];
+      if (this.templateName(expected) !== null) {
+        continue;
+      }
+      if (this.variableName(actual) !== null || expected !== actual) {
+        return -1;
+      }
+      score++;
+    }
+    return score;
+  }
+
+  /**
+   * List how the parameters of a request differ from its operation
+   * @param {Object} operation - Operation with its path segments
+   * @param {Object} request - Request from describeRequest()
+   * @param {Array<string>} basePath - Path segments of the server URL
+   * @returns {Array<string>} Issues
+   */
+  static compareParameters(operation, request, basePath) {
+    const issues = [];
+    const requestSegments = this.stripBasePath(request.segments, basePath, operation.segments.length);
+
+    operation.segments.forEach((segment, index) => {
+      const expected = this.templateName(segment);
+      const actual = this.variableName(requestSegments[index]);
+      if (expected !== null && actual !== null && actual !== expected) {
+        issues.push(`path parameter {${expected}} is named :${actual}`);
+      }
+    });
+
+    const byLocation = (location) => operation.parameters.filter(parameter => parameter.in === location);
+    const specQuery = byLocation('query');
+    for (const parameter of specQuery) {
+      if (parameter.required && !request.query.has(parameter.name)) {
+        issues.push(`missing required query parameter ${parameter.name}`);
+      }
+    }
+    for (const key of request.query) {
+      if (!specQuery.some(parameter => parameter.name === key)) {
+        issues.push(`query parameter ${key} is not in the spec`);
+      }
+    }
+    for (const parameter of byLocation('header')) {
+      if (parameter.required && !request.headers.has(parameter.name.toLowerCase())) {
+        issues.push(`missing required header ${parameter.name}`);
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Split a path into segments
+   * @param {string} pathName - Path
+   * @returns {Array<string>} Non-empty segments
+   */
+  static splitPath(pathName) {
+    return String(pathName).split('/').filter(Boolean);
+  }
+
+  /**
+   * Get the parameter name of a spec path segment
+   * @param {string} segment - Segment such as {id}
+   * @returns {string|null} Name, or null for a literal segment
+   */
+  static templateName(segment) {
+    const match = String(segment).match(/^\{([^}]+)\}$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the variable name of a request path segment
+   * @param {string} segment - Segment such as :id or {{id}}
+   * @returns {string|null} Name, or null for a literal segment
+   */
+  static variableName(segment) {
+    const match = String(segment ?? '').match(/^(?::(.+)|\{\{([^}]+)\}\})$/);
+    return match ? (match[1] || match[2]) : null;
+  }
+}
+
+export default OpenApiDiff;
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import YAML from 'yaml';
+
+/**
+ * Reads OpenAPI 3.x documents: lists their operations with resolved parameters and builds
+ * example values from schemas. Only local references (#/components/...) are followed.
+ */
+class OpenApiSpec {
+  static METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+  static MAX_EXAMPLE_DEPTH = 8;
+
+  /**
+   * Read and validate a spec file
+   * @param {string} filePath - YAML or JSON file
+   * @returns {Object} Parsed spec
+   * @throws {Error} If the file can't be read or is not an OpenAPI 3 document
+   */
+  static load(filePath) {
+    let spec;
+    try {
+      // JSON is valid YAML, so one parser reads both
+      spec = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read OpenAPI spec ${filePath}: ${error.message}`);
+    }
+
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`${filePath} is not an OpenAPI document`);
+    }
+    if (!/^3\./.test(String(spec.openapi || ''))) {
+      throw new Error(spec.swagger
+        ? `${filePath} is a Swagger ${spec.swagger} document, only OpenAPI 3.x is supported`
+        : `${filePath} is not an OpenAPI 3.x document (missing "openapi: 3.x")`);
+    }
+    return spec;
+  }
+
+  /**
+   * Follow a $ref, including chains of references
+   * @param {Object} spec - Parsed spec
+   * @param {Object} value - Object that may be a reference
+   * @returns {Object} Referenced object, or the value itself
+   * @throws {Error} If the reference is external or broken
+   */
+  static resolve(spec, value) {
+    const seen = new Set();
+    let current = value;
+    while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+      const ref = current.$ref;
+      if (seen.has(ref)) {
+        throw new Error(`Circular reference ${ref}`);
+      }
+      seen.add(ref);
+      if (!ref.startsWith('#/')) {
+        throw new Error(`External reference ${ref} is not supported`);
+      }
+
+      current = ref.slice(2).split('/')
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => node?.[part], spec);
+      if (current === undefined) {
+        throw new Error(`Broken reference ${ref}`);
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Get the base URL of the API from the first server, with server variables set to their default
+   * @param {Object} spec - Parsed spec
+   * @returns {string} Base URL without trailing slash, empty if no server is listed
+   */
+  static getBaseUrl(spec) {
+    const server = spec.servers?.[0];
+    if (!server?.url) {
+      return '';
+    }
+    return server.url
+      .replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match)
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * List the operations of a spec
+   * @param {Object} spec - Parsed spec
+   * @returns {Array<Object>} Operations with method (upper case), path, operationId, summary,
+   *   description, tags, parameters (path level ones merged in) and requestBody, all resolved
+   */
+  static listOperations(spec) {
+    const operations = [];
+    for (const [pathName, rawPathItem] of Object.entries(spec.paths || {})) {
+      const pathItem = this.resolve(spec, rawPathItem) || {};
+      const pathParameters = (pathItem.parameters || []).map(parameter => this.resolve(spec, parameter));
+
+      for (const method of this.METHODS) {
+        const operation = pathItem[method];
+        if (!operation) {
+          continue;
+        }
+
+        // Operation parameters override path parameters with the same name and location
+        const parameters = new Map();
+        for (const parameter of [...pathParameters, ...(operation.parameters || []).map(entry => this.resolve(spec, entry))]) {
+          parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+        }
+
+        operations.push({
+          method: method.toUpperCase(),
+          path: pathName,
+          operationId: operation.operationId || null,
+          summary: operation.summary || null,
+          description: operation.description || null,
+          tags: operation.tags || [],
+          deprecated: !!operation.deprecated,
+          parameters: [...parameters.values()],
+          requestBody: operation.requestBody ? this.resolve(spec, operation.requestBody) : null
+        });
+      }
+    }
+    return operations;
+  }
+
+  /**
+   * Get the example of a parameter, media type or schema: an explicit example first, then one
+   * built from the schema
+   * @param {Object} spec - Parsed spec
+   * @param {Object} holder - Parameter or media type object with example, examples or schema
+   * @returns {*} Example value, undefined if there is nothing to go by
+   */
+  static exampleFor(spec, holder) {
+    if (!holder) {
+      return undefined;
+    }
+    if (holder.example !== undefined) {
+      return holder.example;
+    }
+    const [firstExample] = Object.values(holder.examples || {});
+    if (firstExample) {
+      const example = this.resolve(spec, firstExample);
+      if (example?.value !== undefined) {
+        return example.value;
+      }
+    }
+    return holder.schema ? this.exampleFromSchema(spec, holder.schema) : undefined;
+  }
+
+  /**
+   * Build an example value from a schema
+   * @param {Object} spec - Parsed spec
+   * @param {Object} rawSchema - Schema, possibly a reference
+   * @param {number} depth - Nesting depth
+   * @param {Set<string>} refs - References being expanded, so recursive schemas stop at the first repeat
+   * @returns {*} Example value
+   */
+  static exampleFromSchema(spec, rawSchema, depth = 0, refs = new Set()) {
+    const ref = rawSchema?.$ref;
+    if (ref && refs.has(ref)) {
+      return null;
+    }
+    const schema = this.resolve(spec, rawSchema);
+    if (!schema || typeof schema !== 'object' || depth > this.MAX_EXAMPLE_DEPTH) {
+      return null;
+    }
+    const nestedRefs = ref ? new Set([...refs, ref]) : refs;
+
+    if (schema.example !== undefined) {
+      return schema.example;
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length) {
+      return schema.examples[0];
+    }
+    if (schema.default !== undefined) {
+      return schema.default;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+      return schema.enum[0];
+    }
+    if (schema.const !== undefined) {
+      return schema.const;
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      return schema.allOf.reduce((merged, part) => {
+        const value = this.exampleFromSchema(spec, part, depth + 1, nestedRefs);
+        return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+      }, {});
+    }
+    const [variant] = schema.oneOf || schema.anyOf || [];
+    if (variant) {
+      return this.exampleFromSchema(spec, variant, depth + 1, nestedRefs);
+    }
+
+    // OpenAPI 3.1 allows a list of types, e.g. ["string", "null"]
+    const type = Array.isArray(schema.type) ? schema.type.find(entry => entry !== 'null') : schema.type;
+    switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+      case 'object': {
+        const example = {};
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          if (!this.resolve(spec, property)?.readOnly) {
+            example[name] = this.exampleFromSchema(spec, property, depth + 1, nestedRefs);
+          }
+        }
+        return example;
+      }
+      case 'array':
+        if (!schema.items || nestedRefs.has(schema.items.$ref)) {
+          return [];
+        }
+        return [this.exampleFromSchema(spec, schema.items, depth + 1, nestedRefs)];
+      case 'integer':
+      case 'number':
+        return schema.minimum ?? 0;
+      case 'boolean':
+        return true;
+      case 'string':
+        return this.exampleString(schema);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build an example string from its format
+   * @param {Object} schema - String schema
+   * @returns {string} Example
+   */
+  static exampleString(schema) {
+    const examples = {
+      'date': '2024-01-01',
+      'date-time': '2024-01-01T00:00:00Z',
+      'email': 'user@example.com',
+      'uuid': '00000000-0000-0000-0000-000000000000',
+      'uri': 'https://example.com',
+      'url': 'https://example.com',
+      'hostname': 'example.com',
+      'ipv4': '127.0.0.1',
+      'ipv6': '::1',
+      'byte': 'ZXhhbXBsZQ==',
+      'password': 'password'
+    };
+    return examples[schema.format] || 'string';
+  }
+}
+
+export default OpenApiSpec;
@@ -1,170 +1,511 @@
 import axios from 'axios';
 import Logger from '../utils/logger.js';
+import ApiSettings from './api-settings.js';
+import ResponseCache from './response-cache.js';
+import { ApiError, AuthError, NotFoundError, RateLimitError } from './api-errors.js';
 
+/**
+ * Postman API client. Every call goes through request(), which retries network errors, 5xx
+ * responses and rate limited (429) requests with exponential backoff, waits for the rate limit
+ * to reset when the headers say it is used up, and throws an ApiError subclass on failure.
+ * The base URL, proxy, CA bundle, timeout and cache times come from ApiSettings. GET responses
+ * of the endpoints listed in ResponseCache.TTLS are cached.
+ */
 class PostmanClient {
-  static BASE_URL = 'https://api.getpostman.com';
+  static MAX_RETRIES = 3;
+  static RETRY_BASE_DELAY = 500;
+  // Longer waits are not worth blocking the command for, the request fails with RateLimitError
+  static MAX_RETRY_DELAY = 60 * 1000;
+  // Methods that are safe to send again when the response was lost
+  static IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+  // Network errors that may go away on their own, unlike e.g. an unknown host or a bad certificate
+  static TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK'];
 
-  static client = null;
+  static rateLimitResetAt = 0;
 
   /**
    * Create axios instance with default config
-   * @param {string} apiKey - Postman API key
+   * @param {string} apiKey - Postman API key, or the access token of a browser login
+   * @param {Object} settings - Settings from ApiSettings.resolve() (default: active profile)
    * @returns {Object} Axios instance
    */
-  static createClient(apiKey) {
+  static createClient(apiKey, settings = ApiSettings.resolve()) {
     return axios.create({
-      baseURL: this.BASE_URL,
+      ...ApiSettings.getRequestOptions(settings.apiUrl, settings),
+      baseURL: settings.apiUrl,
       headers: {
-        'X-API-Key': apiKey,
+        ...this.getAuthHeaders(apiKey),
         'Content-Type': 'application/json'
-      },
-      timeout: 10000
+      }
     });
   }
 
+  /**
+   * Get the authentication headers of a credential
+   * @param {string} apiKey - Postman API key, or the access token of a browser login
+   * @returns {Object} Headers
+   */
+  static getAuthHeaders(apiKey) {
+    // Postman API keys always start with PMAK-, anything else is an OAuth access token
+    return String(apiKey).startsWith('PMAK-')
+      ? { 'X-API-Key': apiKey }
+      : { Authorization: `Bearer ${apiKey}` };
+  }
+
+  /**
+   * Send a request to the Postman API, retrying transient failures
+   * @param {string} apiKey - API key
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default: get)
+   * @param {string} options.url - Path below the API base URL
+   * @param {Object} options.params - Query parameters (optional)
+   * @param {Object} options.data - JSON body (optional)
+   * @param {string} options.action - What the request does, for error messages, e.g. "get workspaces"
+   * @param {string} options.cache - Endpoint name in ResponseCache.TTLS to cache a GET response (optional)
+   * @param {boolean} options.revalidate - Check a cached response with the API even when it is fresh
+   * @returns {Promise<Object>} Response body
+   * @throws {ApiError} If the request fails for good
+   */
+  static async request(apiKey, { method = 'get', url, params, data, action = `${method.toUpperCase()} ${url}`, cache = null, revalidate = false }) {
+    const settings = ApiSettings.resolve();
+    const client = this.createClient(apiKey, settings);
+    const scope = ResponseCache.getScope(client.defaults.baseURL, apiKey);
+    const cacheKey = cache && method === 'get' ? ResponseCache.getKey(scope, url, params) : null;
+    const cached = cacheKey && ResponseCache.read(cacheKey);
+    if (cached && !revalidate && ResponseCache.isFresh(cached, cache, settings.cacheTtls)) {
+      Logger.debug(`Using cached response of ${url}`);
+      return cached.data;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+      try {
+        const response = await client.request({
+          method,
+          url,
+          params,
+          data,
+          headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+          validateStatus: (status) => (status >= 200 && status < 300) || (!!cached && status === 304)
+        });
+        this.trackRateLimit(response.headers);
+
+        if (response.status === 304) {
+          ResponseCache.write(cacheKey, cached);
+          return cached.data;
+        }
+        if (cacheKey) {
+          ResponseCache.write(cacheKey, { scope, url, etag: response.headers.etag || null, data: response.data });
+        } else if (method !== 'get') {
+          ResponseCache.invalidate(scope, url);
+        }
+        return response.data;
+      } catch (error) {
+        if (error.response) {
+          this.trackRateLimit(error.response.headers);
+        }
+
+        const delay = this.getRetryDelay(error, method, attempt);
+        if (delay === null) {
+          throw this.toApiError(error, action);
+        }
+        Logger.debug(`Failed to ${action} (${error.response?.status || error.code}), retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get every item of a paginated list, following the cursors in the response metadata
+   * @param {string} apiKey - API key
+   * @param {Object} options - Request options as for request()
+   * @param {string} options.key - Response field holding the items, e.g. "collections"
+   * @returns {Promise<Array>} Items of all pages
+   * @throws {ApiError} If a page can't be fetched
+   */
+  static async requestAll(apiKey, { key, params = {}, ...options }) {
+    const items = [];
+    const seenCursors = new Set();
+    let cursor = null;
+
+    do {
+      const data = await this.request(apiKey, { ...options, params: cursor ? { ...params, cursor } : params });
+      items.push(...(data[key] || []));
+
+      cursor = data.meta?.nextCursor || null;
+      if (cursor && seenCursors.has(cursor)) {
+        Logger.debug(`Stopping pagination of ${key}: cursor ${cursor} was already requested`);
+        break;
+      }
+      seenCursors.add(cursor);
+    } while (cursor);
+
+    return items;
+  }
+
+  /**
+   * Decide whether and when to send a failed request again
+   * @param {Error} error - Axios error
+   * @param {string} method - HTTP method
+   * @param {number} attempt - Number of retries so far
+   * @returns {number|null} Delay in milliseconds, or null to give up
+   */
+  static getRetryDelay(error, method, attempt) {
+    if (attempt >= this.MAX_RETRIES) {
+      return null;
+    }
+
+    const status = error.response?.status;
+    if (status === 429) {
+      const retryAfter = this.getRetryAfter(error.response.headers);
+      if (retryAfter === null) {
+        return this.getBackoffDelay(attempt);
+      }
+      return retryAfter <= this.MAX_RETRY_DELAY ? retryAfter : null;
+    }
+
+    const idempotent = this.IDEMPOTENT_METHODS.includes(method.toLowerCase());
+    if (!error.response) {
+      // A refused connection never reached the server, anything else may have been processed
+      if (error.code === 'ECONNREFUSED' || (idempotent && this.TRANSIENT_ERROR_CODES.includes(error.code))) {
+        return this.getBackoffDelay(attempt);
+      }
+      return null;
+    }
+
+    return status >= 500 && idempotent ? this.getBackoffDelay(attempt) : null;
+  }
+
+  /**
+   * Get an exponential backoff delay with jitter, so parallel clients don't retry in lockstep
+   * @param {number} attempt - Number of retries so far
+   * @returns {number} Delay in milliseconds
+   */
+  static getBackoffDelay(attempt) {
+    const delay = Math.min(this.MAX_RETRY_DELAY, this.RETRY_BASE_DELAY * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Read how long to wait before the next request from Retry-After or the rate limit reset headers
+   * @param {Object} headers - Response headers
+   * @returns {number|null} Delay in milliseconds, or null if the headers don't say
+   */
+  static getRetryAfter(headers = {}) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+      }
+      const date = Date.parse(retryAfter);
+      if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    const resetHeader = headers['ratelimit-reset'] ?? headers['x-ratelimit-reset'];
+    const reset = Number(resetHeader);
+    if (resetHeader === undefined || !Number.isFinite(reset)) {
+      return null;
+    }
+    // Some APIs send the reset time as a Unix timestamp instead of seconds from now
+    return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+  }
+
+  /**
+   * Remember when the rate limit resets if the response used it up
+   * @param {Object} headers - Response headers
+   */
+  static trackRateLimit(headers = {}) {
+    const remaining = headers['ratelimit-remaining'] ?? headers['x-ratelimit-remaining'];
+    if (remaining === undefined || Number(remaining) > 0) {
+      return;
+    }
+
+    const delay = this.getRetryAfter(headers);
+    if (delay !== null && delay <= this.MAX_RETRY_DELAY) {
+      this.rateLimitResetAt = Math.max(this.rateLimitResetAt, Date.now() + delay);
+    }
+  }
+
+  /**
+   * Wait until the rate limit used up by an earlier response resets
+   * @returns {Promise<void>}
+   */
+  static async waitForRateLimit() {
+    const delay = this.rateLimitResetAt - Date.now();
+    if (delay > 0) {
+      Logger.debug(`Rate limit reached, waiting ${delay}ms`);
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Wait
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  static sleep(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Convert an axios error into a typed error
+   * @param {Error} error - Axios error
+   * @param {string} action - What the request did
+   * @returns {ApiError} Error to throw
+   */
+  static toApiError(error, action) {
+    const status = error.response?.status ?? null;
+    const details = { status, code: error.code || null };
+    const reason = error.response?.data?.error?.message || error.response?.data?.error?.name ||
+      (status ? `HTTP ${status}` : error.message);
+    const message = `Failed to ${action}: ${reason}`;
+
+    if (status === 401 || status === 403) {
+      return new AuthError(`${message}. Check the API key or login again with "flowman-cli login"`, details);
+    }
+    if (status === 404) {
+      return new NotFoundError(message, details);
+    }
+    if (status === 429) {
+      const retryAfter = this.getRetryAfter(error.response.headers);
+      return new RateLimitError(
+        retryAfter === null ? message : `${message}. Try again in ${Math.ceil(retryAfter / 1000)}s`,
+        { ...details, retryAfter }
+      );
+    }
+    return new ApiError(message, details);
+  }
+
   /**
    * Validate API key by making a test request
    * @param {string} apiKey - API key to validate
    * @returns {Promise<boolean>} True if valid
+   * @throws {ApiError} If the key can't be checked, e.g. because the API is unreachable
    */
   static async validateApiKey(apiKey) {
     try {
-      const client = this.createClient(apiKey);
-      const response = await client.get('/me');
-      return response.status === 200 && response.data.user;
+      const data = await this.request(apiKey, { url: '/me', action: 'validate the API key' });
+      return !!data.user;
     } catch (error) {
-      Logger.debug('API key validation failed:', error.response?.data?.error?.message || error.message);
-      return false;
+      if (error instanceof AuthError) {
+        Logger.debug('API key validation failed:', error.message);
+        return false;
+      }
+      throw error;
     }
   }
 
   /**
    * Get user information
    * @param {string} apiKey - API key
-   * @returns {Promise<Object|null>} User data or null if failed
+   * @returns {Promise<Object>} User data
    */
   static async getUserInfo(apiKey) {
-    try {
-      const client = this.createClient(apiKey);
-      const response = await client.get('/me');
-      return response.data.user;
-    } catch (error) {
-      Logger.error('Failed to get user info:', error.response?.data?.error?.message || error.message);
-      return null;
-    }
+    const data = await this.request(apiKey, { url: '/me', action: 'get user info', cache: 'me' });
+    return data.user;
   }
 
   /**
    * Get all workspaces for the user
    * @param {string} apiKey - API key
+   * @param {Object} options - Options
+   * @param {boolean} options.revalidate - Don't trust a cached list that may be outdated
    * @returns {Promise<Array>} Array of workspaces
    */
-  static async getWorkspaces(apiKey) {
-    try {
-      const client = this.createClient(apiKey);
-      const response = await client.get('/workspaces');
-      return response.data.workspaces || [];
-    } catch (error) {
-      Logger.error('Failed to get workspaces:', error.response?.data?.error?.message || error.message);
-      return [];
-    }
+  static async getWorkspaces(apiKey, { revalidate = false } = {}) {
+    return this.requestAll(apiKey, { url: '/workspaces', key: 'workspaces', action: 'get workspaces', cache: 'workspaces', revalidate });
   }
 
   /**
    * Get workspace details
    * @param {string} apiKey - API key
    * @param {string} workspaceId - Workspace ID
-   * @returns {Promise<Object|null>} Workspace data or null if failed
+   * @returns {Promise<Object>} Workspace data
    */
   static async getWorkspace(apiKey, workspaceId) {
-    try {
-      const client = this.createClient(apiKey);
-      const response = await client.get(`/workspaces/${workspaceId}`);
-      return response.data.workspace;
-    } catch (error) {
-      Logger.error('Failed to get workspace:', error.response?.data?.error?.message || error.message);
-      return null;
-    }
+    const data = await this.request(apiKey, { url: `/workspaces/${workspaceId}`, action: `get workspace ${workspaceId}`, cache: 'workspace' });
+    return data.workspace;
   }
 
   /**
    * Get collections in a workspace
    * @param {string} apiKey - API key
    * @param {string} workspaceId - Workspace ID (optional)
+   * @param {Object} options - Options
+   * @param {boolean} options.revalidate - Don't trust a cached list that may be outdated
    * @returns {Promise<Array>} Array of collections
    */
-  static async getCollections(apiKey, workspaceId = null) {
-    try {
-      const client = this.createClient(apiKey);
-      let url = '/collections';
-
-      if (workspaceId) {
-        url += `?workspace=${workspaceId}`;
-      }
-
-      const response = await client.get(url);
-      return response.data.collections || [];
-    } catch (error) {
-      Logger.error('Failed to get collections:', error.response?.data?.error?.message || error.message);
-      return [];
-    }
+  static async getCollections(apiKey, workspaceId = null, { revalidate = false } = {}) {
+    return this.requestAll(apiKey, {
+      url: '/collections',
+      params: workspaceId ? { workspace: workspaceId } : {},
+      key: 'collections',
+      action: 'get collections',
+      cache: 'collections',
+      revalidate
+    });
   }
 
   /**
    * Get collection details
    * @param {string} apiKey - API key
    * @param {string} collectionId - Collection ID
-   * @returns {Promise<Object|null>} Collection data or null if failed
+   * @returns {Promise<Object>} Collection data
    */
   static async getCollection(apiKey, collectionId) {
-    try {
-      const client = this.createClient(apiKey);
-      const response = await client.get(`/collections/${collectionId}`);
-      return response.data.collection;
-    } catch (error) {
-      Logger.error('Failed to get collection:', error.response?.data?.error?.message || error.message);
-      return null;
-    }
+    const data = await this.request(apiKey, { url: `/collections/${collectionId}`, action: `get collection ${collectionId}`, cache: 'collection' });
+    return data.collection;
   }
 
   /**
-   * Get environments in a workspace
+   * Create a collection
    * @param {string} apiKey - API key
+   * @param {Object} collection - Postman v2.1 collection
    * @param {string} workspaceId - Workspace ID (optional)
-   * @returns {Promise<Array>} Array of environments
+   * @returns {Promise<Object>} Created collection summary
    */
-  static async getEnvironments(apiKey, workspaceId = null) {
-    try {
-      const client = this.createClient(apiKey);
-      let url = '/environments';
+  static async createCollection(apiKey, collection, workspaceId = null) {
+    const data = await this.request(apiKey, {
+      method: 'post',
+      url: '/collections',
+      params: workspaceId ? { workspace: workspaceId } : {},
+      data: { collection },
+      action: 'create collection'
+    });
+    return data.collection;
+  }
 
-      if (workspaceId) {
-        url += `?workspace=${workspaceId}`;
-      }
+  /**
+   * Replace a collection with new content
+   * @param {string} apiKey - API key
+   * @param {string} collectionId - Collection ID
+   * @param {Object} collection - Postman v2.1 collection
+   * @returns {Promise<Object>} Updated collection summary
+   */
+  static async updateCollection(apiKey, collectionId, collection) {
+    const data = await this.request(apiKey, {
+      method: 'put',
+      url: `/collections/${collectionId}`,
+      data: { collection },
+      action: `update collection ${collectionId}`
+    });
+    return data.collection;
+  }
 
-      const response = await client.get(url);
-      return response.data.environments || [];
-    } catch (error) {
-      Logger.error('Failed to get environments:', error.response?.data?.error?.message || error.message);
-      return [];
-    }
+  /**
+   * Fork a collection into a workspace
+   * @param {string} apiKey - API key
+   * @param {string} collectionId - Collection ID or UID to fork
+   * @param {string} workspaceId - Workspace that receives the fork
+   * @param {string} label - Fork label
+   * @returns {Promise<Object>} Fork summary with id, uid, name and fork details
+   */
+  static async forkCollection(apiKey, collectionId, workspaceId, label) {
+    const data = await this.request(apiKey, {
+      method: 'post',
+      url: `/collections/fork/${collectionId}`,
+      params: { workspace: workspaceId },
+      data: { label },
+      action: `fork collection ${collectionId}`
+    });
+    return data.collection;
+  }
+
+  /**
+   * Merge a fork into its parent collection
+   * @param {string} apiKey - API key
+   * @param {string} source - UID of the fork
+   * @param {string} destination - UID of the collection to merge into
+   * @param {string} strategy - 'updateSourceWithDestination' keeps the fork, 'deleteSource' deletes it
+   * @returns {Promise<Object>} Merged collection summary
+   */
+  static async mergeCollection(apiKey, source, destination, strategy = 'updateSourceWithDestination') {
+    const data = await this.request(apiKey, {
+      method: 'post',
+      url: '/collections/merge',
+      data: { source, destination, strategy },
+      action: `merge collection ${source}`
+    });
+    return data.collection;
+  }
+
+  /**
+   * Get environments in a workspace
+   * @param {string} apiKey - API key
+   * @param {string} workspaceId - Workspace ID (optional)
+   * @param {Object} options - Options
+   * @param {boolean} options.revalidate - Don't trust a cached list that may be outdated
+   * @returns {Promise<Array>} Array of environments
+   */
+  static async getEnvironments(apiKey, workspaceId = null, { revalidate = false } = {}) {
+    return this.requestAll(apiKey, {
+      url: '/environments',
+      params: workspaceId ? { workspace: workspaceId } : {},
+      key: 'environments',
+      action: 'get environments',
+      cache: 'environments',
+      revalidate
+    });
   }
 
   /**
    * Get environment details
    * @param {string} apiKey - API key
    * @param {string} environmentId - Environment ID
-   * @returns {Promise<Object|null>} Environment data or null if failed
+   * @returns {Promise<Object>} Environment data
    */
   static async getEnvironment(apiKey, environmentId) {
-    try {
-      const client = this.createClient(apiKey);
-      const response = await client.get(`/environments/${environmentId}`);
-      return response.data.environment;
-    } catch (error) {
-      Logger.error('Failed to get environment:', error.response?.data?.error?.message || error.message);
-      return null;
-    }
+    const data = await this.request(apiKey, { url: `/environments/${environmentId}`, action: `get environment ${environmentId}` });
+    return data.environment;
+  }
+
+  /**
+   * Create an environment
+   * @param {string} apiKey - API key
+   * @param {Object} environment - Environment with name and values
+   * @param {string} workspaceId - Workspace ID (optional)
+   * @returns {Promise<Object>} Created environment summary
+   */
+  static async createEnvironment(apiKey, environment, workspaceId = null) {
+    const data = await this.request(apiKey, {
+      method: 'post',
+      url: '/environments',
+      params: workspaceId ? { workspace: workspaceId } : {},
+      data: { environment },
+      action: 'create environment'
+    });
+    return data.environment;
+  }
+
+  /**
+   * Replace an environment with new content
+   * @param {string} apiKey - API key
+   * @param {string} environmentId - Environment ID
+   * @param {Object} environment - Environment with name and values
+   * @returns {Promise<Object>} Updated environment summary
+   */
+  static async updateEnvironment(apiKey, environmentId, environment) {
+    const data = await this.request(apiKey, {
+      method: 'put',
+      url: `/environments/${environmentId}`,
+      data: { environment },
+      action: `update environment ${environmentId}`
+    });
+    return data.environment;
+  }
+
+  /**
+   * Get the global variables of a workspace
+   * @param {string} apiKey - API key
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Array of global variables
+   */
+  static async getGlobals(apiKey, workspaceId) {
+    const data = await this.request(apiKey, { url: `/workspaces/${workspaceId}/global-variables`, action: 'get global variables' });
+    return data.values || [];
   }
 
   /**
@@ -172,39 +513,27 @@ class PostmanClient {
    * @param {string} apiKey - API key
    * @param {string} collectionId - Collection ID
    * @param {Object} options - Run options
-   * @returns {Promise<Object|null>} Run data or null if failed
+   * @returns {Promise<Object>} Run data
    */
   static async runCollection(apiKey, collectionId, options = {}) {
-    try {
-      const client = this.createClient(apiKey);
-      const payload = {
-        collection: collectionId,
-        ...options
-      };
-
-      const response = await client.post('/collection/runs', payload);
-      return response.data.run;
-    } catch (error) {
-      Logger.error('Failed to run collection:', error.response?.data?.error?.message || error.message);
-      return null;
-    }
+    const data = await this.request(apiKey, {
+      method: 'post',
+      url: '/collection/runs',
+      data: { collection: collectionId, ...options },
+      action: 'run collection'
+    });
+    return data.run;
   }
 
   /**
    * Get run status
    * @param {string} apiKey - API key
    * @param {string} runId - Run ID
-   * @returns {Promise<Object|null>} Run status or null if failed
+   * @returns {Promise<Object>} Run status
    */
   static async getRunStatus(apiKey, runId) {
-    try {
-      const client = this.createClient(apiKey);
-      const response = await client.get(`/collection/runs/${runId}`);
-      return response.data.run;
-    } catch (error) {
-      Logger.error('Failed to get run status:', error.response?.data?.error?.message || error.message);
-      return null;
-    }
+    const data = await this.request(apiKey, { url: `/collection/runs/${runId}`, action: 'get run status' });
+    return data.run;
   }
 
   /**
@@ -214,14 +543,13 @@ class PostmanClient {
    */
   static async testConnectivity(apiKey) {
     try {
-      const client = this.createClient(apiKey);
       // Use a simple endpoint to test connectivity
-      await client.get('/me');
+      await this.request(apiKey, { url: '/me', action: 'reach the Postman API' });
       return true;
     } catch (error) {
       if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
         Logger.error('Unable to connect to Postman API. Check your internet connection.');
-      } else if (error.response?.status === 401) {
+      } else if (error instanceof AuthError) {
         Logger.error('Invalid API key.');
       } else {
         Logger.error('API connectivity test failed:', error.message);
@@ -231,4 +559,4 @@ class PostmanClient {
   }
 }
 
-export default PostmanClient;
\ No newline at end of file
+export default PostmanClient;
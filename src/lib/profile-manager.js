@@ -0,0 +1,202 @@
+import ConfigStore from '../utils/config-store.js';
+import CliError from '../utils/cli-error.js';
+import ExitCodes from '../utils/exit-codes.js';
+
+/**
+ * Named profiles, each with its own API key, workspace and git repository, so one machine can
+ * work with several Postman accounts. Profiles live under "profiles" in the config file; the
+ * "default" profile always exists. The active profile is the --profile option, then the
+ * FLOWMAN_PROFILE environment variable, then the one chosen with `profile use`.
+ */
+class ProfileManager {
+  static DEFAULT_PROFILE = 'default';
+  static NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+  // Settings stored at the top of the config file before profiles existed
+  static LEGACY_KEYS = ['apiKey', 'workspaceId', 'gitRepoPath'];
+
+  static override = null;
+
+  /**
+   * Use a profile for the rest of the process, as given with --profile
+   * @param {string|null} name - Profile name
+   */
+  static setOverride(name) {
+    this.override = name || null;
+  }
+
+  /**
+   * Get the name of the active profile
+   * @returns {string} Profile name
+   */
+  static getActiveName() {
+    return this.override
+      || process.env.FLOWMAN_PROFILE
+      || ConfigStore.get('currentProfile')
+      || this.DEFAULT_PROFILE;
+  }
+
+  /**
+   * Read every profile, moving settings stored before profiles existed into the default profile
+   * @returns {Object} Profiles by name
+   */
+  static read() {
+    const config = ConfigStore.read();
+    const profiles = config.profiles || {};
+
+    const legacyKeys = this.LEGACY_KEYS.filter(key => key in config);
+    if (legacyKeys.length > 0) {
+      const defaults = profiles[this.DEFAULT_PROFILE] || {};
+      for (const key of legacyKeys) {
+        defaults[key] ??= config[key];
+        delete config[key];
+      }
+      profiles[this.DEFAULT_PROFILE] = defaults;
+      ConfigStore.write({ ...config, profiles });
+    }
+
+    return profiles;
+  }
+
+  /**
+   * List profile names, the default profile first
+   * @returns {Array<string>} Profile names
+   */
+  static list() {
+    const names = Object.keys(this.read()).filter(name => name !== this.DEFAULT_PROFILE).sort();
+    return [this.DEFAULT_PROFILE, ...names];
+  }
+
+  /**
+   * Check if a profile exists
+   * @param {string} name - Profile name
+   * @returns {boolean} True if it exists
+   */
+  static exists(name) {
+    return name === this.DEFAULT_PROFILE || name in this.read();
+  }
+
+  /**
+   * Validate a profile name
+   * @param {string} name - Profile name
+   * @returns {string|undefined} Error message, or undefined if valid
+   */
+  static validateName(name) {
+    if (!name) {
+      return 'Profile name is required';
+    }
+    if (!this.NAME_PATTERN.test(name)) {
+      return 'Use letters, digits, ".", "_" and "-", starting with a letter or digit';
+    }
+    return undefined;
+  }
+
+  /**
+   * Create an empty profile
+   * @param {string} name - Profile name
+   * @throws {CliError} If the name is invalid or taken
+   * @throws {Error} If the config can't be written
+   */
+  static add(name) {
+    const error = this.validateName(name);
+    if (error) {
+      throw new CliError(`Invalid profile name "${name}": ${error}`, ExitCodes.USAGE);
+    }
+    if (this.exists(name)) {
+      throw new CliError(`Profile "${name}" already exists`, ExitCodes.USAGE);
+    }
+
+    this.save({ ...this.read(), [name]: {} });
+  }
+
+  /**
+   * Delete a profile and its settings. Secrets are removed by CredentialStorage.removeProfile.
+   * @param {string} name - Profile name
+   * @throws {CliError} If the profile is the default one or doesn't exist
+   * @throws {Error} If the config can't be written
+   */
+  static remove(name) {
+    if (name === this.DEFAULT_PROFILE) {
+      throw new CliError('The default profile can\'t be removed, use "flowman-cli logout" to clear it', ExitCodes.USAGE);
+    }
+
+    const profiles = this.read();
+    if (!(name in profiles)) {
+      throw new CliError(`Profile "${name}" does not exist`, ExitCodes.NOT_FOUND);
+    }
+
+    delete profiles[name];
+    this.save(profiles);
+    if (ConfigStore.get('currentProfile') === name) {
+      ConfigStore.unset('currentProfile');
+    }
+  }
+
+  /**
+   * Make a profile the current one
+   * @param {string} name - Profile name
+   * @throws {CliError} If the profile doesn't exist
+   * @throws {Error} If the config can't be written
+   */
+  static use(name) {
+    if (!this.exists(name)) {
+      throw new CliError(`Profile "${name}" does not exist`, ExitCodes.NOT_FOUND);
+    }
+
+    if (!ConfigStore.set('currentProfile', name)) {
+      throw new Error(`Unable to write ${ConfigStore.getConfigPath()}`);
+    }
+  }
+
+  /**
+   * Get a profile setting
+   * @param {string} profile - Profile name
+   * @param {string} key - Setting name
+   * @returns {*} Value or null if not set
+   */
+  static getSetting(profile, key) {
+    return this.read()[profile]?.[key] ?? null;
+  }
+
+  /**
+   * Set a profile setting, creating the profile when needed
+   * @param {string} profile - Profile name
+   * @param {string} key - Setting name
+   * @param {*} value - Value
+   * @returns {boolean} True if successful
+   */
+  static setSetting(profile, key, value) {
+    const profiles = this.read();
+    profiles[profile] = { ...profiles[profile], [key]: value };
+    return ConfigStore.set('profiles', profiles);
+  }
+
+  /**
+   * Remove a profile setting
+   * @param {string} profile - Profile name
+   * @param {string} key - Setting name
+   * @returns {boolean} True if the setting was set
+   */
+  static unsetSetting(profile, key) {
+    const profiles = this.read();
+    if (!profiles[profile] || !(key in profiles[profile])) {
+      return false;
+    }
+
+    delete profiles[profile][key];
+    return ConfigStore.set('profiles', profiles);
+  }
+
+  /**
+   * Write every profile
+   * @param {Object} profiles - Profiles by name
+   * @throws {Error} If the config can't be written
+   */
+  static save(profiles) {
+    if (!ConfigStore.set('profiles', profiles)) {
+      throw new Error(`Unable to write ${ConfigStore.getConfigPath()}`);
+    }
+  }
+}
+
+export default ProfileManager;
@@ -0,0 +1,139 @@
+/**
+ * Case-insensitive list of { key, value } pairs, exposed to scripts as headers and query
+ * parameters. Wraps the underlying Postman array so edits are seen by the request.
+ */
+class PropertyList {
+  /**
+   * Create a list
+   * @param {Array<Object>} entries - Postman key/value entries, updated in place
+   */
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  /**
+   * Find the first enabled entry with a key
+   * @param {string} key - Entry key
+   * @returns {Object|undefined} Entry
+   */
+  find(key) {
+    const normalized = String(key).toLowerCase();
+    return this.entries.find(entry => !entry.disabled && String(entry.key).toLowerCase() === normalized);
+  }
+
+  /**
+   * Get the value of an entry
+   * @param {string} key - Entry key
+   * @returns {*} Entry value or undefined
+   */
+  get(key) {
+    return this.find(key)?.value;
+  }
+
+  /**
+   * Check if an entry exists, optionally with a value
+   * @param {string} key - Entry key
+   * @param {*} value - Expected value (optional)
+   * @returns {boolean} True if found
+   */
+  has(key, value) {
+    const entry = this.find(key);
+    return !!entry && (value === undefined || entry.value === value);
+  }
+
+  /**
+   * Add an entry
+   * @param {Object|string} entry - { key, value } or a "Key: value" string
+   */
+  add(entry) {
+    this.entries.push(PropertyList.normalize(entry));
+  }
+
+  /**
+   * Add an entry or replace the value of an existing one
+   * @param {Object|string} entry - { key, value } or a "Key: value" string
+   */
+  upsert(entry) {
+    const normalized = PropertyList.normalize(entry);
+    const existing = this.find(normalized.key);
+    if (existing) {
+      existing.value = normalized.value;
+    } else {
+      this.entries.push(normalized);
+    }
+  }
+
+  /**
+   * Remove every entry with a key
+   * @param {string} key - Entry key
+   */
+  remove(key) {
+    const normalized = String(key).toLowerCase();
+    for (let index = this.entries.length - 1; index >= 0; index--) {
+      if (String(this.entries[index].key).toLowerCase() === normalized) {
+        this.entries.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Enabled entries
+   * @returns {Array<Object>} Entries
+   */
+  all() {
+    return this.entries.filter(entry => !entry.disabled);
+  }
+
+  /**
+   * Number of enabled entries
+   * @returns {number} Count
+   */
+  count() {
+    return this.all().length;
+  }
+
+  /**
+   * Call a function for every enabled entry
+   * @param {Function} callback - Called with each entry
+   */
+  each(callback) {
+    this.all().forEach(entry => callback(entry));
+  }
+
+  /**
+   * Enabled entries as a plain object
+   * @returns {Object} Values by key
+   */
+  toObject() {
+    return Object.fromEntries(this.all().map(entry => [entry.key, entry.value]));
+  }
+
+  /**
+   * Convert an entry argument to a Postman entry
+   * @param {Object|string} entry - { key, value } or a "Key: value" string
+   * @returns {Object} { key, value }
+   */
+  static normalize(entry) {
+    if (typeof entry === 'string') {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { key: entry.trim(), value: '' }
+        : { key: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim() };
+    }
+    return { key: entry.key, value: entry.value ?? '' };
+  }
+
+  /**
+   * Build a list from a plain object
+   * @param {Object} object - Values by key
+   * @returns {PropertyList} List
+   */
+  static fromObject(object = {}) {
+    return new PropertyList(Object.entries(object).map(([key, value]) => ({
+      key,
+      value: Array.isArray(value) ? value.join(', ') : String(value)
+    })));
+  }
+}
+
+export default PropertyList;
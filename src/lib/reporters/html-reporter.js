@@ -0,0 +1,158 @@
+import Markup from '../../utils/markup.js';
+
+/**
+ * Self-contained HTML report with the request and response of every execution.
+ */
+class HtmlReporter {
+  static EXTENSION = 'html';
+
+  static MAX_BODY_LENGTH = 100000;
+
+  static STYLES = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; background: #f6f7f9; color: #1f2328; }
+    header { background: #1f2328; color: #fff; padding: 24px 32px; }
+    header h1 { margin: 0 0 4px; font-size: 22px; }
+    header p { margin: 0; color: #b7bdc6; font-size: 13px; }
+    main { padding: 24px 32px; }
+    .stats { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 24px; }
+    .stat { background: #fff; border: 1px solid #d8dee4; border-radius: 6px; padding: 12px 16px; min-width: 110px; }
+    .stat strong { display: block; font-size: 22px; }
+    .stat span { color: #59636e; font-size: 12px; text-transform: uppercase; }
+    details { background: #fff; border: 1px solid #d8dee4; border-left: 4px solid #1a7f37; border-radius: 6px; margin-bottom: 8px; }
+    details.failed { border-left-color: #cf222e; }
+    details.skipped { border-left-color: #9a6700; }
+    summary { cursor: pointer; padding: 10px 14px; display: flex; gap: 12px; align-items: baseline; }
+    summary .path { font-weight: 600; flex: 1; }
+    summary .meta { color: #59636e; font-size: 12px; }
+    .body { padding: 0 14px 14px; }
+    h3 { font-size: 13px; margin: 16px 0 6px; text-transform: uppercase; color: #59636e; }
+    pre { background: #f6f8fa; border: 1px solid #d8dee4; border-radius: 4px; padding: 8px; overflow: auto; max-height: 400px; font-size: 12px; white-space: pre-wrap; word-break: break-all; }
+    ul.tests { list-style: none; padding: 0; margin: 0; font-size: 13px; }
+    ul.tests li { padding: 2px 0; }
+    .pass { color: #1a7f37; }
+    .fail { color: #cf222e; }
+    .skip { color: #9a6700; }
+  `;
+
+  /**
+   * Render a report
+   * @param {Object} report - Normalized run report from RunReporter.normalize
+   * @returns {string} HTML document
+   */
+  static render(report) {
+    const { stats } = report;
+    const statBoxes = [
+      ['Requests', stats.requests],
+      ['Failed', stats.failed],
+      ['Skipped', stats.skipped],
+      ['Tests', stats.tests],
+      ['Failed tests', stats.failedTests],
+      ['Iterations', stats.iterations],
+      ['Duration', `${report.duration}ms`]
+    ].filter(([, value]) => value !== undefined)
+      .map(([label, value]) => `<div class="stat"><strong>${Markup.escape(value)}</strong><span>${label}</span></div>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${Markup.escape(report.name)} - Flowman report</title>
+<style>${this.STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${report.passed ? '✅' : '❌'} ${Markup.escape(report.name)}</h1>
+  <p>${Markup.escape(report.source)} run · ${Markup.escape(report.startedAt)} → ${Markup.escape(report.finishedAt)}</p>
+</header>
+<main>
+  <div class="stats">${statBoxes.join('')}</div>
+  ${report.executions.map(execution => this.renderExecution(execution, report)).join('\n  ')}
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render a request execution
+   * @param {Object} execution - Request execution
+   * @param {Object} report - Normalized run report
+   * @returns {string} HTML fragment
+   */
+  static renderExecution(execution, report) {
+    const failed = !!execution.error || execution.scriptErrors.length > 0 || execution.tests.some(test => !test.passed);
+    const state = execution.skipped ? 'skipped' : (failed ? 'failed' : 'passed');
+    const iteration = report.stats.iterations > 1 ? ` · iteration ${execution.iteration + 1}` : '';
+    const { request, response } = execution;
+
+    const meta = response
+      ? `${response.code} ${response.status} · ${response.responseTime}ms${iteration}`
+      : `${execution.skipped ? 'skipped' : 'no response'}${iteration}`;
+
+    const sections = [];
+    if (execution.error) {
+      sections.push(`<h3>Error</h3><pre class="fail">${Markup.escape(execution.error)}</pre>`);
+    }
+    if (execution.tests.length > 0 || execution.scriptErrors.length > 0) {
+      const items = [
+        ...execution.tests.map(test => test.skipped
+          ? `<li class="skip">○ ${Markup.escape(test.name)} (skipped)</li>`
+          : test.passed
+            ? `<li class="pass">✓ ${Markup.escape(test.name)}</li>`
+            : `<li class="fail">✗ ${Markup.escape(test.name)}: ${Markup.escape(test.error)}</li>`),
+        ...execution.scriptErrors.map(error => `<li class="fail">✗ ${Markup.escape(error)}</li>`)
+      ];
+      sections.push(`<h3>Tests</h3><ul class="tests">${items.join('')}</ul>`);
+    }
+    if (request) {
+      sections.push(`<h3>Request</h3><pre>${Markup.escape(`${request.method} ${request.url}\n${this.formatHeaders(request.headers)}`)}</pre>`);
+      if (request.body) {
+        sections.push(`<pre>${Markup.escape(this.truncate(request.body))}</pre>`);
+      }
+    }
+    if (response) {
+      sections.push(`<h3>Response</h3><pre>${Markup.escape(`${response.code} ${response.status}\n${this.formatHeaders(response.headers)}`)}</pre>`);
+      if (response.body) {
+        sections.push(`<pre>${Markup.escape(this.truncate(this.prettify(response.body)))}</pre>`);
+      }
+    }
+
+    return `<details class="${state}"><summary><span class="path">${Markup.escape(execution.path)}</span>` +
+      `<span class="meta">${Markup.escape(meta)}</span></summary><div class="body">${sections.join('')}</div></details>`;
+  }
+
+  /**
+   * Format headers one per line
+   * @param {Object} headers - Headers by name
+   * @returns {string} Header lines
+   */
+  static formatHeaders(headers = {}) {
+    return Object.entries(headers).map(([key, value]) => `${key}: ${value}`).join('\n');
+  }
+
+  /**
+   * Pretty print JSON bodies
+   * @param {string} body - Body text
+   * @returns {string} Indented JSON, or the body unchanged
+   */
+  static prettify(body) {
+    try {
+      return JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      return body;
+    }
+  }
+
+  /**
+   * Keep very large bodies from bloating the report
+   * @param {string} text - Body text
+   * @returns {string} Possibly truncated text
+   */
+  static truncate(text) {
+    return text.length > this.MAX_BODY_LENGTH
+      ? `${text.slice(0, this.MAX_BODY_LENGTH)}\n… ${text.length - this.MAX_BODY_LENGTH} more characters`
+      : text;
+  }
+}
+
+export default HtmlReporter;
@@ -0,0 +1,17 @@
+/**
+ * Machine readable run summary.
+ */
+class JsonReporter {
+  static EXTENSION = 'json';
+
+  /**
+   * Render a report
+   * @param {Object} report - Normalized run report from RunReporter.normalize
+   * @returns {string} JSON document
+   */
+  static render(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+}
+
+export default JsonReporter;
@@ -0,0 +1,99 @@
+import Markup from '../../utils/markup.js';
+
+/**
+ * JUnit XML: one testsuite per executed request and one testcase per assertion.
+ * Request errors and script errors are reported as <error> testcases.
+ */
+class JunitReporter {
+  static EXTENSION = 'xml';
+
+  /**
+   * Render a report
+   * @param {Object} report - Normalized run report from RunReporter.normalize
+   * @returns {string} XML document
+   */
+  static render(report) {
+    const suites = report.executions.map(execution => this.renderSuite(execution, report));
+    const tests = report.executions.reduce((total, execution) => total + this.getCases(execution).length, 0);
+    const failures = report.executions.reduce((total, execution) =>
+      total + execution.tests.filter(test => !test.passed).length, 0);
+    const errors = report.executions.reduce((total, execution) =>
+      total + (execution.error ? 1 : 0) + execution.scriptErrors.length, 0);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${Markup.escape(report.name)}" tests="${tests}" failures="${failures}" errors="${errors}" time="${this.seconds(report.duration)}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render the testsuite of a request execution
+   * @param {Object} execution - Request execution
+   * @param {Object} report - Normalized run report
+   * @returns {string} XML fragment
+   */
+  static renderSuite(execution, report) {
+    const name = report.stats.iterations > 1 ? `${execution.path} [iteration ${execution.iteration + 1}]` : execution.path;
+    const cases = this.getCases(execution);
+    const failures = cases.filter(testCase => testCase.failure).length;
+    const errors = cases.filter(testCase => testCase.error).length;
+    const skipped = cases.filter(testCase => testCase.skipped).length;
+    const time = this.seconds(execution.response?.responseTime || 0);
+
+    const lines = [
+      `  <testsuite name="${Markup.escape(name)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}" timestamp="${report.startedAt}">`
+    ];
+
+    for (const testCase of cases) {
+      const open = `    <testcase name="${Markup.escape(testCase.name)}" classname="${Markup.escape(name)}" time="${time}"`;
+      if (testCase.failure) {
+        lines.push(`${open}>`, `      <failure type="AssertionFailure" message="${Markup.escape(testCase.failure)}">${Markup.escape(testCase.failure)}</failure>`, '    </testcase>');
+      } else if (testCase.error) {
+        lines.push(`${open}>`, `      <error type="Error" message="${Markup.escape(testCase.error)}">${Markup.escape(testCase.error)}</error>`, '    </testcase>');
+      } else if (testCase.skipped) {
+        lines.push(`${open}>`, '      <skipped/>', '    </testcase>');
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+
+    lines.push('  </testsuite>');
+    return lines.join('\n');
+  }
+
+  /**
+   * List the testcases of a request execution
+   * @param {Object} execution - Request execution
+   * @returns {Array<Object>} { name, failure, error, skipped }
+   */
+  static getCases(execution) {
+    const cases = execution.tests.map(test => ({
+      name: test.name,
+      failure: test.passed ? null : (test.error || 'Assertion failed'),
+      error: null,
+      skipped: !!test.skipped
+    }));
+
+    if (execution.error) {
+      cases.unshift({ name: 'Request', failure: null, error: execution.error, skipped: false });
+    }
+    for (const scriptError of execution.scriptErrors) {
+      cases.push({ name: 'Script', failure: null, error: scriptError, skipped: false });
+    }
+    return cases;
+  }
+
+  /**
+   * Convert milliseconds to the seconds JUnit expects
+   * @param {number} ms - Milliseconds
+   * @returns {string} Seconds with three decimals
+   */
+  static seconds(ms) {
+    return (ms / 1000).toFixed(3);
+  }
+}
+
+export default JunitReporter;
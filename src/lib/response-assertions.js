@@ -0,0 +1,154 @@
+import ScriptResponse from './script-response.js';
+
+/**
+ * Chai plugin with the Postman response assertions, such as
+ * pm.response.to.have.status(201), pm.response.to.be.json or pm.response.to.be.notFound.
+ */
+class ResponseAssertions {
+  // Status properties: name → predicate on the status code
+  static STATUS_PROPERTIES = {
+    info: code => code >= 100 && code < 200,
+    success: code => code >= 200 && code < 300,
+    redirection: code => code >= 300 && code < 400,
+    clientError: code => code >= 400 && code < 500,
+    serverError: code => code >= 500,
+    error: code => code >= 400,
+    accepted: code => code === 202,
+    withoutContent: code => code === 204,
+    badRequest: code => code === 400,
+    unauthorized: code => code === 401,
+    forbidden: code => code === 403,
+    notFound: code => code === 404,
+    rateLimited: code => code === 429
+  };
+
+  /**
+   * Register the assertions with chai
+   * @param {Object} chai - Chai module
+   * @param {Object} utils - Chai utilities
+   */
+  static plugin(chai, utils) {
+    const { Assertion } = chai;
+    const isResponse = (assertion) => utils.flag(assertion, 'object') instanceof ScriptResponse;
+    const requireResponse = (assertion) => {
+      if (!isResponse(assertion)) {
+        throw new TypeError('Expected a response object');
+      }
+      return utils.flag(assertion, 'object');
+    };
+
+    for (const [name, predicate] of Object.entries(ResponseAssertions.STATUS_PROPERTIES)) {
+      Assertion.addProperty(name, function () {
+        const response = requireResponse(this);
+        this.assert(
+          predicate(response.code),
+          `expected response to be ${name} but got status ${response.code}`,
+          `expected response not to be ${name} but got status ${response.code}`
+        );
+      });
+    }
+
+    Assertion.overwriteProperty('ok', (_super) => function () {
+      if (!isResponse(this)) {
+        return _super.call(this);
+      }
+      const response = utils.flag(this, 'object');
+      this.assert(
+        response.code === 200,
+        `expected response to have status code 200 but got ${response.code}`,
+        'expected response not to have status code 200'
+      );
+      return undefined;
+    });
+
+    Assertion.addProperty('json', function () {
+      const response = requireResponse(this);
+      let valid = true;
+      try {
+        JSON.parse(response.body);
+      } catch {
+        valid = false;
+      }
+      this.assert(valid, 'expected response body to be valid JSON', 'expected response body not to be valid JSON');
+    });
+
+    Assertion.addMethod('status', function (expected) {
+      const response = requireResponse(this);
+      const actual = typeof expected === 'number' ? response.code : response.status;
+      this.assert(
+        actual === expected,
+        'expected response to have status #{exp} but got #{act}',
+        'expected response not to have status #{exp}',
+        expected,
+        actual
+      );
+    });
+
+    Assertion.addMethod('header', function (key, value) {
+      const response = requireResponse(this);
+      const actual = response.headers.get(key);
+      if (value === undefined) {
+        this.assert(
+          actual !== undefined,
+          `expected response to have header ${key}`,
+          `expected response not to have header ${key}`
+        );
+        return;
+      }
+      this.assert(
+        actual === value,
+        `expected response header ${key} to be #{exp} but got #{act}`,
+        `expected response header ${key} not to be #{exp}`,
+        value,
+        actual
+      );
+    });
+
+    Assertion.addMethod('body', function (expected) {
+      const response = requireResponse(this);
+      if (expected === undefined) {
+        this.assert(!!response.body, 'expected response to have a body', 'expected response not to have a body');
+        return;
+      }
+      if (expected instanceof RegExp) {
+        this.assert(
+          expected.test(response.body),
+          'expected response body to match #{exp}',
+          'expected response body not to match #{exp}',
+          expected
+        );
+        return;
+      }
+      if (typeof expected === 'string') {
+        this.assert(
+          response.body === expected,
+          'expected response body to equal #{exp}',
+          'expected response body not to equal #{exp}',
+          expected,
+          response.body
+        );
+        return;
+      }
+      const assertion = new Assertion(response.json());
+      utils.transferFlags(this, assertion, false);
+      assertion.to.deep.equal(expected);
+    });
+
+    Assertion.addMethod('jsonBody', function (expected) {
+      const response = requireResponse(this);
+      let body;
+      try {
+        body = response.json();
+      } catch {
+        this.assert(false, 'expected response body to be valid JSON', '');
+      }
+      if (expected !== undefined) {
+        const assertion = new Assertion(body);
+        utils.transferFlags(this, assertion, false);
+        assertion.to.deep.equal(expected);
+      }
+    });
+  }
+}
+
+export default ResponseAssertions;
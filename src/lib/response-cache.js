@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import ConfigStore from '../utils/config-store.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * On-disk cache of Postman API GET responses in ~/.cache/flowman/http. Entries are kept in a
+ * directory per API URL and credential, and below it per resource (the first path segment, e.g.
+ * collections), are fresh for the TTL of their endpoint and are revalidated with their ETag
+ * afterwards. A write through the API drops the directory of the resource it changed.
+ */
+class ResponseCache {
+  static DIR_NAME = 'http';
+
+  // Default time an endpoint's response is used without asking the API, in milliseconds, see
+  // ApiSettings for the overrides. Endpoints with 0 are always revalidated, which only saves the
+  // download when the API sends ETags. Environments and globals hold secret values and are
+  // never cached.
+  static TTLS = {
+    me: 5 * 60 * 1000,
+    workspaces: 5 * 60 * 1000,
+    workspace: 60 * 1000,
+    collections: 30 * 1000,
+    environments: 30 * 1000,
+    collection: 0
+  };
+
+  // Workspace details list the collections and environments, so they go with any change
+  static DEPENDENT_RESOURCES = ['workspaces'];
+
+  static enabled = true;
+
+  /**
+   * Apply the global options
+   * @param {Object} options - Command options
+   * @param {boolean} options.cache - False to neither read nor store responses
+   */
+  static configure({ cache = true } = {}) {
+    this.enabled = cache !== false;
+  }
+
+  /**
+   * Get the cache directory, honoring FLOWMAN_CACHE_DIR and XDG_CACHE_HOME
+   * @returns {string} Directory path
+   */
+  static getCacheDir() {
+    if (process.env.FLOWMAN_CACHE_DIR) {
+      return process.env.FLOWMAN_CACHE_DIR;
+    }
+    const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(base, 'flowman');
+  }
+
+  /**
+   * Get the directory of the cached responses
+   * @returns {string} Directory path
+   */
+  static getEntriesDir() {
+    return path.join(this.getCacheDir(), this.DIR_NAME);
+  }
+
+  /**
+   * Get the scope of a credential, so accounts never see each other's responses
+   * @param {string} baseUrl - API base URL
+   * @param {string} apiKey - API key or access token
+   * @returns {string} Scope hash
+   */
+  static getScope(baseUrl, apiKey) {
+    return this.hash([baseUrl, this.hash(apiKey)]);
+  }
+
+  /**
+   * Get the key of a request
+   * @param {string} scope - Scope from getScope()
+   * @param {string} url - Request path
+   * @param {Object} params - Query parameters
+   * @returns {string} Key, the path of the entry below the entries directory
+   */
+  static getKey(scope, url, params = {}) {
+    const hash = this.hash([scope, url, Object.entries(params).sort(([a], [b]) => a.localeCompare(b))]);
+    return path.join(scope, this.getResource(url), hash);
+  }
+
+  /**
+   * Get the resource a request path belongs to
+   * @param {string} url - Request path, e.g. /collections/123
+   * @returns {string} First path segment, e.g. collections
+   */
+  static getResource(url) {
+    const [segment = ''] = String(url).split(/[/?]/).filter(Boolean);
+    return segment.replace(/[^\w-]/g, '_') || '_';
+  }
+
+  /**
+   * Hash a JSON value
+   * @param {*} value - Value
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+
+  /**
+   * Read a cached response
+   * @param {string} key - Key from getKey()
+   * @returns {Object|null} { scope, url, etag, storedAt, data } or null if not cached
+   */
+  static read(key) {
+    const entryPath = path.join(this.getEntriesDir(), `${key}.json`);
+    if (!this.enabled || !fs.existsSync(entryPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      Logger.debug(`Ignoring unreadable cache entry ${entryPath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check if a cached response can be used without asking the API
+   * @param {Object} entry - Entry from read()
+   * @param {string} endpoint - Endpoint name from TTLS
+   * @param {Object} ttls - Time per endpoint in milliseconds (default: TTLS)
+   * @returns {boolean} True if fresh
+   */
+  static isFresh(entry, endpoint, ttls = this.TTLS) {
+    return Date.now() - entry.storedAt < (ttls[endpoint] ?? 0);
+  }
+
+  /**
+   * Store a response. Responses are private to the user like the config.
+   * @param {string} key - Key from getKey()
+   * @param {Object} entry - { scope, url, etag, data }
+   */
+  static write(key, entry) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      ConfigStore.writePrivateFile(
+        path.join(this.getEntriesDir(), `${key}.json`),
+        JSON.stringify({ ...entry, storedAt: Date.now() })
+      );
+    } catch (error) {
+      Logger.debug('Unable to cache response:', error.message);
+    }
+  }
+
+  /**
+   * Remove the cached responses a change of a credential may have outdated
+   * @param {string} scope - Scope from getScope()
+   * @param {string} url - Path of the changing request
+   */
+  static invalidate(scope, url) {
+    for (const resource of new Set([this.getResource(url), ...this.DEPENDENT_RESOURCES])) {
+      fs.rmSync(path.join(this.getEntriesDir(), scope, resource), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Remove every cached response
+   * @returns {number} Number of removed entries
+   */
+  static clear() {
+    const count = this.listEntries().length;
+    fs.rmSync(this.getEntriesDir(), { recursive: true, force: true });
+    return count;
+  }
+
+  /**
+   * List the cache entry files
+   * @returns {Array<string>} File paths
+   */
+  static listEntries() {
+    const entriesDir = this.getEntriesDir();
+    if (!fs.existsSync(entriesDir)) {
+      return [];
+    }
+    return fs.readdirSync(entriesDir, { recursive: true })
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(entriesDir, file));
+  }
+}
+
+export default ResponseCache;
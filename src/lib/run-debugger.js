@@ -0,0 +1,246 @@
+import { select, text, note, isCancel } from '@clack/prompts';
+import chalk from 'chalk';
+import VariableScope from './variable-scope.js';
+
+/**
+ * Interactive breakpoints for collection runs. Plugs into the runner hooks and pauses
+ * before or after the chosen requests.
+ */
+class RunDebugger {
+  static PREVIEW_LINES = 30;
+
+  /**
+   * Create a debugger
+   * @param {Object} options - Debugger options
+   * @param {Array<string>} options.breakBefore - Request paths or names to pause before
+   * @param {Array<string>} options.breakAfter - Request paths or names to pause after
+   * @param {boolean} options.step - Pause before every request
+   */
+  constructor({ breakBefore = [], breakAfter = [], step = false } = {}) {
+    this.breakBefore = breakBefore;
+    this.breakAfter = breakAfter;
+    this.stepping = step;
+  }
+
+  /**
+   * Check if a breakpoint matches a request
+   * @param {Array<string>} breakpoints - Breakpoint references
+   * @param {string} requestPath - Request path such as "Folder/Request name"
+   * @returns {boolean} True if the request has a breakpoint
+   */
+  static matches(breakpoints, requestPath) {
+    const normalizedPath = requestPath.toLowerCase();
+    const name = normalizedPath.split('/').pop();
+    return breakpoints.some(breakpoint => {
+      const normalized = breakpoint.toLowerCase().replace(/^\/+|\/+$/g, '');
+      return normalized === normalizedPath || normalized === name;
+    });
+  }
+
+  /**
+   * Runner hooks bound to this debugger
+   * @returns {Object} beforeRequest and afterRequest hooks
+   */
+  hooks() {
+    return {
+      beforeRequest: (entry, runner) => {
+        if (this.stepping || RunDebugger.matches(this.breakBefore, entry.path)) {
+          return this.pause('before', entry.path, entry.request, runner, () => runner.buildRequest(entry.item, entry.parents));
+        }
+        return undefined;
+      },
+      afterRequest: (result, runner) => {
+        if (RunDebugger.matches(this.breakAfter, result.path)) {
+          return this.pause('after', result.path, result.request, runner);
+        }
+        return undefined;
+      }
+    };
+  }
+
+  /**
+   * Pause the run and show the debugger menu until the user resumes
+   * @param {string} position - 'before' or 'after'
+   * @param {string} requestPath - Request path
+   * @param {Object} request - Resolved request
+   * @param {Object} runner - Collection runner
+   * @param {Function} rebuild - Resolves the request again after a variable edit (optional)
+   * @returns {Promise<string|undefined>} 'skip', 'abort' or undefined to keep going
+   */
+  async pause(position, requestPath, request, runner, rebuild = null) {
+    note(`${chalk.bold(requestPath)}\n${chalk.gray(`Paused ${position} request`)}`, '⏸  Breakpoint');
+
+    while (true) {
+      const options = [
+        { value: 'step', label: 'Step', hint: 'pause at the next request' },
+        { value: 'continue', label: 'Continue', hint: 'run until the next breakpoint' },
+        { value: 'request', label: 'Inspect request' },
+        { value: 'response', label: 'Inspect last response' },
+        { value: 'variables', label: 'Show variables' },
+        { value: 'edit', label: 'Edit variable' }
+      ];
+      if (position === 'before') {
+        options.push({ value: 'skip', label: 'Skip this request' });
+      }
+      options.push({ value: 'abort', label: 'Abort run' });
+
+      const action = await select({ message: 'Debugger', options });
+      if (isCancel(action)) {
+        return 'abort';
+      }
+
+      switch (action) {
+        case 'step':
+          this.stepping = true;
+          return undefined;
+        case 'continue':
+          this.stepping = false;
+          return undefined;
+        case 'skip':
+        case 'abort':
+          return action;
+        case 'request':
+          note(RunDebugger.formatRequest(request), 'Request');
+          break;
+        case 'response':
+          note(RunDebugger.formatResponse(runner.lastResult), 'Last Response');
+          break;
+        case 'variables':
+          note(RunDebugger.formatVariables(runner.scope), 'Variables');
+          break;
+        case 'edit':
+          await this.editVariable(runner.scope);
+          if (rebuild) {
+            try {
+              request = rebuild();
+            } catch {
+              request = null;
+            }
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * Prompt for a variable and store it in the chosen scope
+   * @param {VariableScope} scope - Run variable scope
+   */
+  async editVariable(scope) {
+    const name = await text({
+      message: 'Variable name:',
+      validate: (value) => value ? undefined : 'Variable name is required'
+    });
+    if (isCancel(name)) {
+      return;
+    }
+
+    const current = scope.get(name);
+    const value = await text({
+      message: `Value for ${name}:`,
+      initialValue: current === undefined ? '' : String(current)
+    });
+    if (isCancel(value)) {
+      return;
+    }
+
+    const target = await select({
+      message: 'Scope:',
+      options: VariableScope.SCOPES.map(scopeName => ({ value: scopeName, label: scopeName })),
+      initialValue: 'environment'
+    });
+    if (isCancel(target)) {
+      return;
+    }
+
+    scope.scope(target).set(name, value);
+  }
+
+  /**
+   * Format a resolved request
+   * @param {Object} request - Resolved request
+   * @returns {string} Request text
+   */
+  static formatRequest(request) {
+    if (!request) {
+      return chalk.gray('Request could not be resolved');
+    }
+
+    const headers = Object.entries(request.headers).map(([key, value]) => `${chalk.cyan(key)}: ${value}`);
+    return [
+      `${chalk.bold(request.method)} ${request.url}`,
+      ...headers,
+      ...(request.body ? ['', this.truncate(request.body)] : [])
+    ].join('\n');
+  }
+
+  /**
+   * Format the last response
+   * @param {Object} result - Last request result
+   * @returns {string} Response text
+   */
+  static formatResponse(result) {
+    if (!result) {
+      return chalk.gray('No request has been sent yet');
+    }
+    if (result.error) {
+      return `${chalk.bold(result.path)}\n${chalk.red(result.error)}`;
+    }
+
+    const { response } = result;
+    const headers = Object.entries(response.headers).map(([key, value]) => `${chalk.cyan(key)}: ${value}`);
+    let body = response.body;
+    try {
+      body = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // Not JSON, show as is
+    }
+
+    const tests = result.tests.map(test => test.passed
+      ? `${chalk.green('✓')} ${test.name}`
+      : `${chalk.red('✗')} ${test.name}: ${test.error}`);
+
+    return [
+      `${chalk.bold(result.path)}`,
+      `${response.code} ${response.status} ${chalk.gray(`${response.responseTime}ms`)}`,
+      ...headers,
+      '',
+      this.truncate(body),
+      ...(tests.length > 0 ? ['', ...tests] : [])
+    ].join('\n');
+  }
+
+  /**
+   * Format every variable scope
+   * @param {VariableScope} scope - Run variable scope
+   * @returns {string} Variables text
+   */
+  static formatVariables(scope) {
+    const lines = [];
+    for (const [scopeName, variables] of Object.entries(scope.snapshot())) {
+      const entries = Object.entries(variables);
+      if (entries.length === 0) {
+        continue;
+      }
+      lines.push(chalk.bold(scopeName));
+      lines.push(...entries.map(([key, value]) => `  ${chalk.cyan(key)} = ${this.truncate(String(value), 1)}`));
+    }
+    return lines.length > 0 ? lines.join('\n') : chalk.gray('No variables defined');
+  }
+
+  /**
+   * Truncate long text for display
+   * @param {string} value - Text to truncate
+   * @param {number} maxLines - Maximum number of lines
+   * @returns {string} Truncated text
+   */
+  static truncate(value, maxLines = this.PREVIEW_LINES) {
+    const lines = String(value).split('\n');
+    if (lines.length <= maxLines) {
+      return lines.join('\n');
+    }
+    return [...lines.slice(0, maxLines), chalk.gray(`... ${lines.length - maxLines} more lines`)].join('\n');
+  }
+}
+
+export default RunDebugger;
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import JsonReporter from './reporters/json-reporter.js';
+import JunitReporter from './reporters/junit-reporter.js';
+import HtmlReporter from './reporters/html-reporter.js';
+import EnvironmentManager from './environment-manager.js';
+import FileNaming from '../utils/file-naming.js';
+
+/**
+ * Writes run reports. Reporters are classes with a static EXTENSION and a static
+ * render(report) returning the file content; more can be added with register().
+ */
+class RunReporter {
+  static reporters = new Map([
+    ['json', JsonReporter],
+    ['junit', JunitReporter],
+    ['html', HtmlReporter]
+  ]);
+
+  static SENSITIVE_HEADER = /auth|api[-_]?key|token|secret|password|session|cookie/i;
+
+  /**
+   * Register a reporter
+   * @param {string} name - Reporter name used with --reporter
+   * @param {Object} reporter - Class with EXTENSION and render(report)
+   */
+  static register(name, reporter) {
+    this.reporters.set(name, reporter);
+  }
+
+  /**
+   * Parse a comma separated list of reporter names
+   * @param {string} value - Names such as "junit,html"
+   * @returns {Array<string>} Reporter names
+   * @throws {Error} If a reporter is unknown
+   */
+  static parseNames(value) {
+    const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of names) {
+      if (!this.reporters.has(name)) {
+        throw new Error(`Unknown reporter "${name}". Available reporters: ${[...this.reporters.keys()].join(', ')}`);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Convert a run or workflow summary into the report every reporter renders
+   * @param {Object} summary - Summary from CollectionRunner, WorkflowRunner or CloudRun
+   * @param {string} source - 'local', 'cloud' or 'workflow'
+   * @returns {Object} Report
+   */
+  static normalize(summary, source) {
+    const executions = summary.results.map(result => ({
+      name: result.name,
+      path: result.path,
+      iteration: result.iteration ?? 0,
+      skipped: !!result.skipped,
+      error: result.error || null,
+      request: result.request && {
+        method: result.request.method,
+        url: result.request.url,
+        headers: this.maskHeaders(result.request.headers),
+        body: result.request.body ?? null
+      },
+      response: result.response ? { ...result.response, headers: this.maskHeaders(result.response.headers) } : null,
+      tests: result.tests || [],
+      scriptErrors: result.scriptErrors || []
+    }));
+
+    const tests = executions.flatMap(execution => execution.tests);
+    const passed = summary.passed ?? (!summary.aborted && (summary.stats.failed || 0) === 0);
+
+    return {
+      name: summary.collection || summary.workflow,
+      source,
+      startedAt: summary.startedAt,
+      finishedAt: summary.finishedAt,
+      duration: summary.duration,
+      passed,
+      stats: {
+        iterations: 1,
+        requests: executions.length,
+        failed: summary.stats.failed || 0,
+        skipped: executions.filter(execution => execution.skipped).length,
+        tests: tests.length,
+        failedTests: tests.filter(test => !test.passed).length,
+        ...summary.stats
+      },
+      executions
+    };
+  }
+
+  /**
+   * Mask the values of headers that carry credentials, such as Authorization, X-Api-Key and Cookie
+   * @param {Object} headers - Headers by name
+   * @returns {Object} Headers with sensitive values masked
+   */
+  static maskHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([key, value]) =>
+      [key, this.SENSITIVE_HEADER.test(key) ? EnvironmentManager.SECRET_MASK : value]));
+  }
+
+  /**
+   * Reduce a report to its outcome, without the executions
+   * @param {Object} report - Report from normalize()
+   * @returns {Object} { name, source, passed, duration, stats }
+   */
+  static summarize(report) {
+    const { name, source, passed, duration, stats } = report;
+    return { name, source, passed, duration, stats };
+  }
+
+  /**
+   * Render and write reports
+   * @param {Array<string>} names - Reporter names
+   * @param {Object} report - Report from normalize()
+   * @param {string} outDir - Output directory, created when missing
+   * @returns {Array<string>} Written file paths
+   */
+  static write(names, report, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const baseName = FileNaming.slugify(report.name);
+
+    return names.map(name => {
+      const reporter = this.reporters.get(name);
+      const filePath = path.join(outDir, `${baseName}.${reporter.EXTENSION}`);
+      fs.writeFileSync(filePath, reporter.render(report));
+      return filePath;
+    });
+  }
+}
+
+export default RunReporter;
@@ -0,0 +1,128 @@
+import PropertyList from './property-list.js';
+
+/**
+ * The pm.request object. Wraps a Postman request definition so pre-request scripts can
+ * change the method, URL, headers and body before it is sent.
+ */
+class ScriptRequest {
+  /**
+   * Create a script request
+   * @param {Object} definition - Postman request definition, updated in place
+   * @param {string} id - Item id (optional)
+   * @param {string} name - Item name (optional)
+   */
+  constructor(definition, id = null, name = null) {
+    definition.header = Array.isArray(definition.header) ? definition.header : [];
+    this.definition = definition;
+    this.id = id;
+    this.name = name;
+    this.headers = new PropertyList(definition.header);
+  }
+
+  /**
+   * Build a script request from a request that was already resolved for sending
+   * @param {Object} request - Request from CollectionRunner.buildRequest
+   * @param {Object} item - Request item
+   * @returns {ScriptRequest} Script request
+   */
+  static fromResolved(request, item = {}) {
+    return new ScriptRequest({
+      method: request.method,
+      url: request.url,
+      header: Object.entries(request.headers).map(([key, value]) => ({ key, value })),
+      body: request.body === null ? undefined : { mode: 'raw', raw: request.body }
+    }, item.id, item.name);
+  }
+
+  /**
+   * HTTP method
+   */
+  get method() {
+    return (this.definition.method || 'GET').toUpperCase();
+  }
+
+  set method(method) {
+    this.definition.method = String(method).toUpperCase();
+  }
+
+  /**
+   * URL object with toString(), getHost(), getPath(), getQueryString() and query
+   */
+  get url() {
+    const raw = ScriptRequest.rawUrl(this.definition.url);
+    let parsed = null;
+    try {
+      parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`);
+    } catch {
+      // Unresolved variables can make the URL unparsable
+    }
+
+    return {
+      toString: () => raw,
+      getHost: () => parsed?.hostname ?? '',
+      getPath: () => parsed?.pathname ?? '',
+      getQueryString: () => parsed?.search.replace(/^\?/, '') ?? '',
+      query: new PropertyList(parsed ? [...parsed.searchParams].map(([key, value]) => ({ key, value })) : [])
+    };
+  }
+
+  set url(url) {
+    this.definition.url = String(url);
+  }
+
+  /**
+   * Postman request body
+   */
+  get body() {
+    return this.definition.body;
+  }
+
+  set body(body) {
+    this.definition.body = body;
+  }
+
+  /**
+   * Postman auth settings
+   */
+  get auth() {
+    return this.definition.auth;
+  }
+
+  /**
+   * Add a header
+   * @param {Object|string} header - { key, value } or a "Key: value" string
+   */
+  addHeader(header) {
+    this.headers.add(header);
+  }
+
+  /**
+   * Remove a header
+   * @param {string} key - Header name
+   */
+  removeHeader(key) {
+    this.headers.remove(key);
+  }
+
+  /**
+   * Get the raw URL of a Postman URL
+   * @param {string|Object} url - Postman URL
+   * @returns {string} Raw URL
+   */
+  static rawUrl(url) {
+    if (!url) {
+      return '';
+    }
+    return typeof url === 'string' ? url : (url.raw || '');
+  }
+
+  /**
+   * Serialize as the underlying Postman definition
+   * @returns {Object} Request definition
+   */
+  toJSON() {
+    return this.definition;
+  }
+}
+
+export default ScriptRequest;
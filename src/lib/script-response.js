@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import PropertyList from './property-list.js';
+
+/**
+ * The pm.response object, built from a response captured by the collection runner.
+ */
+class ScriptResponse {
+  /**
+   * Create a script response
+   * @param {Object} response - Response from CollectionRunner.send
+   */
+  constructor(response) {
+    this.code = response.code;
+    this.status = response.status;
+    this.headers = PropertyList.fromObject(response.headers);
+    this.responseTime = response.responseTime;
+    this.responseSize = response.size;
+    this.body = response.body;
+  }
+
+  /**
+   * Response body as text
+   * @returns {string} Body
+   */
+  text() {
+    return this.body;
+  }
+
+  /**
+   * Response body parsed as JSON
+   * @returns {*} Parsed body
+   * @throws {Error} If the body is not valid JSON
+   */
+  json() {
+    try {
+      return JSON.parse(this.body);
+    } catch (error) {
+      throw new Error(`Response body is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Chai assertion chain on the response, as in pm.response.to.have.status(200)
+   */
+  get to() {
+    return expect(this).to;
+  }
+
+  /**
+   * Serialize the response
+   * @returns {Object} Response fields
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      headers: this.headers.toObject(),
+      responseTime: this.responseTime,
+      responseSize: this.responseSize,
+      body: this.body
+    };
+  }
+}
+
+export default ScriptResponse;
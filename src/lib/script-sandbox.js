@@ -0,0 +1,319 @@
+import vm from 'vm';
+import util from 'util';
+import { use, expect } from 'chai';
+import chalk from 'chalk';
+import ResponseAssertions from './response-assertions.js';
+import ScriptResponse from './script-response.js';
+import Logger from '../utils/logger.js';
+
+use(ResponseAssertions.plugin);
+
+/**
+ * Runs collection event scripts in a separate V8 context with a Postman compatible `pm` object.
+ * The context keeps scripts from reaching Node globals by accident; it is not a security
+ * boundary, so only run collections you trust.
+ */
+class ScriptSandbox {
+  static DEFAULT_TIMEOUT = 5000;
+
+  /**
+   * Execute a script
+   * @param {string} code - Script source
+   * @param {Object} options - Script context
+   * @param {string} options.eventName - 'prerequest' or 'test'
+   * @param {VariableScope} options.scope - Run variable scope, mutated by the script
+   * @param {ScriptRequest} options.request - The pm.request object
+   * @param {ScriptResponse} options.response - The pm.response object (test scripts only)
+   * @param {Object} options.info - pm.info fields: iteration, iterationCount, requestName, requestId
+   * @param {string} options.environmentName - Name of the active environment (optional)
+   * @param {Function} options.sendRequest - Sends a Postman request definition, resolves to a runner response
+   * @param {number} options.timeout - Maximum execution time in milliseconds, callbacks the script waits for included
+   * @returns {Promise<Object>} { tests, error, skipRequest }
+   */
+  static async execute(code, options) {
+    const state = { tests: [], errors: [], pending: new Set(), timers: new Map(), skipRequest: false };
+    const context = vm.createContext(this.createGlobals(options, state));
+    const timeout = options.timeout || this.DEFAULT_TIMEOUT;
+
+    // The vm timeout only stops synchronous code, so the promises and callbacks the script
+    // leaves behind get the same limit
+    const completion = (async () => {
+      const script = new vm.Script(`(async () => {\n${code}\n})()`, {
+        filename: `${options.eventName}-script.js`,
+        lineOffset: -1
+      });
+      await script.runInContext(context, { timeout });
+      await this.settle(state);
+    })().catch(error => {
+      state.errors.push(error);
+    });
+
+    let deadline;
+    const timedOut = await Promise.race([
+      completion.then(() => false),
+      new Promise(resolve => { deadline = setTimeout(() => resolve(true), timeout); })
+    ]);
+    clearTimeout(deadline);
+    if (timedOut) {
+      this.expire(state, timeout);
+    }
+    for (const [handle, done] of state.timers) {
+      clearTimeout(handle);
+      done();
+    }
+    state.timers.clear();
+
+    return {
+      tests: state.tests,
+      error: state.errors.length > 0 ? this.formatError(state.errors[0]) : null,
+      skipRequest: state.skipRequest
+    };
+  }
+
+  /**
+   * Wait for callbacks the script scheduled (timers, sendRequest, async tests)
+   * @param {Object} state - Execution state
+   */
+  static async settle(state) {
+    while (state.pending.size > 0) {
+      await Promise.allSettled([...state.pending]);
+    }
+  }
+
+  /**
+   * Give up on the work a script still waits for once its time is up: unfinished tests fail
+   * and the script gets a timeout error
+   * @param {Object} state - Execution state
+   * @param {number} timeout - Time the script had in milliseconds
+   */
+  static expire(state, timeout) {
+    const message = `did not finish within ${timeout}ms`;
+    for (const record of state.tests.filter(test => test.pending)) {
+      delete record.pending;
+      record.passed = false;
+      record.error = `Test ${message}`;
+    }
+    state.errors.unshift(new Error(`Script ${message}, ${state.pending.size} pending ${state.pending.size === 1 ? 'callback' : 'callbacks'} abandoned`));
+    state.pending.clear();
+  }
+
+  /**
+   * Build the global object of the script context
+   * @param {Object} options - Script context, see execute()
+   * @param {Object} state - Execution state
+   * @returns {Object} Context globals
+   */
+  static createGlobals(options, state) {
+    const { timers } = state;
+
+    return {
+      pm: this.createPm(options, state),
+      console: this.createConsole(),
+      require: (name) => {
+        throw new Error(`Module "${name}" is not available in scripts`);
+      },
+      setTimeout: (callback, delay, ...args) => {
+        let done;
+        const promise = new Promise(resolve => { done = resolve; });
+        const handle = setTimeout(() => {
+          try {
+            callback(...args);
+          } catch (error) {
+            state.errors.push(error);
+          } finally {
+            timers.delete(handle);
+            done();
+          }
+        }, delay);
+        timers.set(handle, done);
+        this.track(state, promise);
+        return handle;
+      },
+      clearTimeout: (handle) => {
+        clearTimeout(handle);
+        timers.get(handle)?.();
+        timers.delete(handle);
+      },
+      atob,
+      btoa,
+      URL,
+      URLSearchParams
+    };
+  }
+
+  /**
+   * Build the pm object
+   * @param {Object} options - Script context, see execute()
+   * @param {Object} state - Execution state
+   * @returns {Object} pm API
+   */
+  static createPm(options, state) {
+    const { scope } = options;
+
+    const test = (name, callback) => {
+      const record = { name, passed: true, skipped: false, error: null };
+      state.tests.push(record);
+      const fail = (error) => {
+        // A test that timed out stays failed with the timeout
+        if (record.error === null) {
+          record.passed = false;
+          record.error = this.formatError(error);
+        }
+      };
+      const wait = (promise) => {
+        record.pending = true;
+        this.track(state, promise.catch(fail).finally(() => { delete record.pending; }));
+      };
+
+      try {
+        if (callback.length > 0) {
+          // Callback style: pm.test(name, done => ...)
+          wait(new Promise(resolve => callback(error => {
+            if (error) {
+              fail(error);
+            }
+            resolve();
+          })));
+        } else {
+          const returned = callback();
+          if (returned && typeof returned.then === 'function') {
+            wait(Promise.resolve(returned));
+          }
+        }
+      } catch (error) {
+        fail(error);
+      }
+    };
+    test.skip = (name) => {
+      state.tests.push({ name, passed: true, skipped: true, error: null });
+    };
+
+    return {
+      info: {
+        eventName: options.eventName,
+        iteration: 0,
+        iterationCount: 1,
+        ...options.info
+      },
+      environment: {
+        name: options.environmentName || null,
+        ...this.createVariableApi(scope, 'environment')
+      },
+      collectionVariables: this.createVariableApi(scope, 'collection'),
+      globals: this.createVariableApi(scope, 'globals'),
+      variables: {
+        get: (key) => scope.get(key),
+        set: (key, value) => {
+          scope.scope('local').set(key, value);
+        },
+        has: (key) => scope.has(key),
+        unset: (key) => {
+          scope.scope('local').delete(key);
+        },
+        toObject: () => scope.toObject(),
+        replaceIn: (template) => scope.resolve(template)
+      },
+      iterationData: {
+        get: (key) => scope.scope('data').get(key),
+        has: (key) => scope.scope('data').has(key),
+        toObject: () => Object.fromEntries(scope.scope('data'))
+      },
+      request: options.request,
+      response: options.response || null,
+      test,
+      expect,
+      sendRequest: (request, callback) => {
+        const promise = Promise.resolve()
+          .then(() => options.sendRequest(request))
+          .then(response => new ScriptResponse(response));
+
+        if (typeof callback === 'function') {
+          this.track(state, promise.then(
+            response => callback(null, response),
+            error => callback(error, null)
+          ).catch(error => {
+            state.errors.push(error);
+          }));
+          return undefined;
+        }
+
+        this.track(state, promise.catch(() => {}));
+        return promise;
+      },
+      execution: {
+        skipRequest: () => {
+          if (options.eventName !== 'prerequest') {
+            throw new Error('pm.execution.skipRequest() is only available in pre-request scripts');
+          }
+          state.skipRequest = true;
+        }
+      },
+      visualizer: {
+        set: () => {},
+        clear: () => {}
+      }
+    };
+  }
+
+  /**
+   * Build the pm API of a single variable scope
+   * @param {VariableScope} scope - Run variable scope
+   * @param {string} name - Scope name
+   * @returns {Object} get, set, unset, has, clear, toObject and replaceIn
+   */
+  static createVariableApi(scope, name) {
+    const variables = scope.scope(name);
+    return {
+      get: (key) => variables.get(key),
+      set: (key, value) => {
+        variables.set(key, value);
+      },
+      unset: (key) => {
+        variables.delete(key);
+      },
+      has: (key) => variables.has(key),
+      clear: () => variables.clear(),
+      toObject: () => Object.fromEntries(variables),
+      replaceIn: (template) => scope.resolve(template)
+    };
+  }
+
+  /**
+   * Build the console of the script context
+   * @returns {Object} Console that prints through the logger
+   */
+  static createConsole() {
+    const print = (...args) => Logger.log(chalk.gray(`  │ ${util.format(...args)}`));
+    return {
+      log: print,
+      info: print,
+      debug: print,
+      warn: (...args) => Logger.warn(util.format(...args)),
+      error: (...args) => Logger.error(util.format(...args))
+    };
+  }
+
+  /**
+   * Keep track of asynchronous work so execute() waits for it
+   * @param {Object} state - Execution state
+   * @param {Promise} promise - Pending work
+   */
+  static track(state, promise) {
+    const tracked = promise.finally(() => state.pending.delete(tracked));
+    state.pending.add(tracked);
+  }
+
+  /**
+   * Format an error thrown by a script
+   * @param {*} error - Thrown value
+   * @returns {string} Error message
+   */
+  static formatError(error) {
+    if (error && typeof error === 'object' && error.message) {
+      return error.name && error.name !== 'Error' ? `${error.name}: ${error.message}` : error.message;
+    }
+    return String(error);
+  }
+}
+
+export default ScriptSandbox;
@@ -0,0 +1,146 @@
+import CollectionRunner from './collection-runner.js';
+import EnvironmentManager from './environment-manager.js';
+import CurlSnippet from './snippets/curl-snippet.js';
+import HttpieSnippet from './snippets/httpie-snippet.js';
+import FetchSnippet from './snippets/fetch-snippet.js';
+import PythonRequestsSnippet from './snippets/python-requests-snippet.js';
+
+/**
+ * Turns the requests of a collection into code snippets for people without Postman. Requests
+ * are built like a local run builds them (variables, auth, bodies) but without running scripts.
+ * Snippets are classes with a static EXTENSION and a static render(request) returning the code;
+ * more can be added with register().
+ */
+class SnippetGenerator {
+  static languages = new Map([
+    ['curl', CurlSnippet],
+    ['httpie', HttpieSnippet],
+    ['js-fetch', FetchSnippet],
+    ['python-requests', PythonRequestsSnippet]
+  ]);
+
+  /**
+   * Register a snippet language
+   * @param {string} name - Language name used with --lang
+   * @param {Object} snippet - Class with EXTENSION and render(request)
+   */
+  static register(name, snippet) {
+    this.languages.set(name, snippet);
+  }
+
+  /**
+   * Get a snippet language
+   * @param {string} name - Language name
+   * @returns {Object} Snippet class
+   * @throws {Error} If the language is unknown
+   */
+  static get(name) {
+    const snippet = this.languages.get(name);
+    if (!snippet) {
+      throw new Error(`Unknown language "${name}". Available languages: ${[...this.languages.keys()].join(', ')}`);
+    }
+    return snippet;
+  }
+
+  /**
+   * Build the requests of a collection, or of one of its requests or folders
+   * @param {Object} collection - Postman v2.1 collection
+   * @param {Object} options - Options
+   * @param {Object} options.environment - Environment to resolve variables with (optional)
+   * @param {Array<Object>} options.globals - Global variables (optional)
+   * @param {string} options.item - Path of a request or folder, e.g. "Users/Get user" (optional)
+   * @param {boolean} options.reveal - True to keep secret values instead of placeholders
+   * @returns {Array<Object>} { path, request } per request, where request has method, url,
+   *   headers and body ({ mode: 'raw', raw }, { mode: 'form', fields } or { mode: 'file', file })
+   * @throws {Error} If no request matches the item path
+   */
+  static buildRequests(collection, { environment = null, globals = [], item = null, reveal = false } = {}) {
+    const placeholders = [];
+    const hide = (variables = []) => variables.map(variable => {
+      if (reveal || !EnvironmentManager.isSecret(variable)) {
+        return variable;
+      }
+      const placeholder = `<${variable.key}>`;
+      placeholders.push(placeholder);
+      return { ...variable, value: placeholder };
+    });
+
+    const runner = new CollectionRunner(collection, {
+      environment: environment && { ...environment, values: hide(environment.values) },
+      globals: hide(globals)
+    });
+
+    const prefix = item ? item.replace(/^\/+|\/+$/g, '').toLowerCase() : null;
+    const entries = [...CollectionRunner.walk(collection.item)].filter(entry => {
+      const entryPath = entry.path.toLowerCase();
+      return !prefix || entryPath === prefix || entryPath.startsWith(`${prefix}/`);
+    });
+    if (entries.length === 0) {
+      throw new Error(item ? `No request or folder "${item}" in ${collection.info?.name}` : `${collection.info?.name} has no requests`);
+    }
+
+    return entries.map(entry => {
+      const source = typeof entry.item.request === 'string' ? { url: entry.item.request } : (entry.item.request || {});
+      const { body, ...withoutBody } = source;
+      const request = runner.buildRequest({ ...entry.item, request: withoutBody }, entry.parents);
+
+      // URL parsing percent-encodes the brackets of placeholders
+      for (const placeholder of placeholders) {
+        request.url = request.url.split(encodeURIComponent(placeholder)).join(placeholder);
+      }
+
+      return {
+        path: entry.path,
+        request: {
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: this.buildBody(runner, body, request.headers)
+        }
+      };
+    });
+  }
+
+  /**
+   * Build the body of a request, keeping files as paths instead of reading them
+   * @param {CollectionRunner} runner - Runner resolving the variables
+   * @param {Object} body - Postman request body
+   * @param {Object} headers - Request headers, a content type is added when missing
+   * @returns {Object|null} Body or null without one
+   */
+  static buildBody(runner, body, headers) {
+    if (!body || body.disabled || !body.mode) {
+      return null;
+    }
+
+    if (body.mode === 'formdata') {
+      const fields = (body.formdata || []).filter(param => !param.disabled).flatMap(param => {
+        const key = runner.scope.resolve(param.key);
+        if (param.type === 'file') {
+          const sources = Array.isArray(param.src) ? param.src : [param.src].filter(Boolean);
+          return sources.map(src => ({ key, file: src }));
+        }
+        return [{ key, value: runner.scope.resolve(param.value ?? '') }];
+      });
+      return { mode: 'form', fields };
+    }
+    if (body.mode === 'file') {
+      return body.file?.src ? { mode: 'file', file: body.file.src } : null;
+    }
+
+    const { body: raw } = runner.buildBody(body, headers);
+    return raw === null ? null : { mode: 'raw', raw };
+  }
+
+  /**
+   * Render a request
+   * @param {string} language - Language name
+   * @param {Object} request - Request from buildRequests()
+   * @returns {string} Snippet
+   */
+  static render(language, request) {
+    return this.get(language).render(request);
+  }
+}
+
+export default SnippetGenerator;
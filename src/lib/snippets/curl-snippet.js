@@ -0,0 +1,43 @@
+/**
+ * curl command line.
+ */
+class CurlSnippet {
+  static EXTENSION = 'sh';
+
+  /**
+   * Render a request
+   * @param {Object} request - Request from SnippetGenerator.buildRequest
+   * @returns {string} Shell command
+   */
+  static render(request) {
+    const parts = [`curl${request.method === 'GET' && !request.body ? '' : ` --request ${request.method}`} ${this.quote(request.url)}`];
+
+    for (const [name, value] of Object.entries(request.headers)) {
+      parts.push(`--header ${this.quote(`${name}: ${value}`)}`);
+    }
+
+    const { body } = request;
+    if (body?.mode === 'raw') {
+      parts.push(`--data-raw ${this.quote(body.raw)}`);
+    } else if (body?.mode === 'form') {
+      for (const field of body.fields) {
+        parts.push(`--form ${this.quote(field.file ? `${field.key}=@${field.file}` : `${field.key}=${field.value}`)}`);
+      }
+    } else if (body?.mode === 'file') {
+      parts.push(`--data-binary ${this.quote(`@${body.file}`)}`);
+    }
+
+    return `${parts.join(' \\\n  ')}\n`;
+  }
+
+  /**
+   * Quote a value for a POSIX shell
+   * @param {string} value - Value
+   * @returns {string} Single quoted value
+   */
+  static quote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+}
+
+export default CurlSnippet;
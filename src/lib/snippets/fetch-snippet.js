@@ -0,0 +1,55 @@
+/**
+ * JavaScript using fetch, for Node.js 20+ (ES module) or the browser.
+ */
+class FetchSnippet {
+  static EXTENSION = 'mjs';
+
+  /**
+   * Render a request
+   * @param {Object} request - Request from SnippetGenerator.buildRequest
+   * @returns {string} JavaScript module
+   */
+  static render(request) {
+    const { body } = request;
+    const lines = [];
+    const hasFiles = body?.mode === 'file' || body?.fields?.some(field => field.file);
+    if (hasFiles) {
+      lines.push('import { openAsBlob } from \'node:fs\';', '');
+    }
+
+    let bodyExpression = null;
+    if (body?.mode === 'raw') {
+      bodyExpression = JSON.stringify(body.raw);
+    } else if (body?.mode === 'form') {
+      lines.push('const form = new FormData();');
+      for (const field of body.fields) {
+        lines.push(field.file
+          ? `form.append(${JSON.stringify(field.key)}, await openAsBlob(${JSON.stringify(field.file)}), ${JSON.stringify(field.file.split('/').pop())});`
+          : `form.append(${JSON.stringify(field.key)}, ${JSON.stringify(field.value)});`);
+      }
+      lines.push('');
+      bodyExpression = 'form';
+    } else if (body?.mode === 'file') {
+      bodyExpression = `await openAsBlob(${JSON.stringify(body.file)})`;
+    }
+
+    const options = [`  method: ${JSON.stringify(request.method)}`];
+    const headers = Object.entries(request.headers);
+    if (headers.length) {
+      options.push(`  headers: {\n${headers.map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)}`).join(',\n')}\n  }`);
+    }
+    if (bodyExpression) {
+      options.push(`  body: ${bodyExpression}`);
+    }
+
+    lines.push(
+      `const response = await fetch(${JSON.stringify(request.url)}, {`,
+      options.join(',\n'),
+      '});',
+      'console.log(response.status, await response.text());'
+    );
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default FetchSnippet;
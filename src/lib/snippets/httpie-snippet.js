@@ -0,0 +1,39 @@
+import CurlSnippet from './curl-snippet.js';
+
+/**
+ * HTTPie command line.
+ */
+class HttpieSnippet {
+  static EXTENSION = 'sh';
+
+  /**
+   * Render a request
+   * @param {Object} request - Request from SnippetGenerator.buildRequest
+   * @returns {string} Shell command
+   */
+  static render(request) {
+    const quote = (value) => CurlSnippet.quote(value);
+    const { body } = request;
+    const flags = body?.mode === 'form' ? ' --multipart' : '';
+    const parts = [`http${flags} ${request.method} ${quote(request.url)}`];
+
+    for (const [name, value] of Object.entries(request.headers)) {
+      // "Name:" alone sends an empty header in HTTPie, "Name;" is needed for that
+      parts.push(quote(value === '' ? `${name};` : `${name}:${value}`));
+    }
+
+    if (body?.mode === 'raw') {
+      parts.push(`--raw ${quote(body.raw)}`);
+    } else if (body?.mode === 'form') {
+      for (const field of body.fields) {
+        parts.push(quote(field.file ? `${field.key}@${field.file}` : `${field.key}=${field.value}`));
+      }
+    } else if (body?.mode === 'file') {
+      parts.push(`< ${quote(body.file)}`);
+    }
+
+    return `${parts.join(' \\\n  ')}\n`;
+  }
+}
+
+export default HttpieSnippet;
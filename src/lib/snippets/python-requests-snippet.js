@@ -0,0 +1,46 @@
+/**
+ * Python using the requests library.
+ */
+class PythonRequestsSnippet {
+  static EXTENSION = 'py';
+
+  /**
+   * Render a request
+   * @param {Object} request - Request from SnippetGenerator.buildRequest
+   * @returns {string} Python script
+   */
+  static render(request) {
+    // JSON string literals are valid Python string literals
+    const literal = (value) => JSON.stringify(String(value));
+    const { body } = request;
+    const args = [`    ${literal(request.method)}`, `    ${literal(request.url)}`];
+
+    const headers = Object.entries(request.headers);
+    if (headers.length) {
+      args.push(`    headers={\n${headers.map(([name, value]) => `        ${literal(name)}: ${literal(value)},`).join('\n')}\n    }`);
+    }
+
+    if (body?.mode === 'raw') {
+      args.push(`    data=${literal(body.raw)}.encode("utf-8")`);
+    } else if (body?.mode === 'form') {
+      const fields = body.fields.map(field => field.file
+        ? `        (${literal(field.key)}, open(${literal(field.file)}, "rb")),`
+        : `        (${literal(field.key)}, (None, ${literal(field.value)})),`);
+      args.push(`    files=[\n${fields.join('\n')}\n    ]`);
+    } else if (body?.mode === 'file') {
+      args.push(`    data=open(${literal(body.file)}, "rb")`);
+    }
+
+    return [
+      'import requests',
+      '',
+      'response = requests.request(',
+      `${args.join(',\n')},`,
+      ')',
+      'print(response.status_code, response.text)',
+      ''
+    ].join('\n');
+  }
+}
+
+export default PythonRequestsSnippet;
@@ -0,0 +1,686 @@
+import fs from 'fs';
+import path from 'path';
+import PostmanClient from './postman-client.js';
+import { AuthError } from './api-errors.js';
+import GitRepository from './git-repository.js';
+import CollectionSerializer from './collection-serializer.js';
+import CollectionDiff from './collection-diff.js';
+import CollectionMerge from './collection-merge.js';
+import SyncState from './sync-state.js';
+import EnvironmentManager from './environment-manager.js';
+import FileNaming from '../utils/file-naming.js';
+import StableJson from '../utils/stable-json.js';
+import Logger from '../utils/logger.js';
+
+class SyncManager {
+  static COLLECTIONS_DIR = 'collections';
+  static ENVIRONMENTS_DIR = 'environments';
+
+  // Fields that change on every save in Postman and would only add noise to diffs
+  static VOLATILE_INFO_FIELDS = ['updatedAt', 'createdAt', 'lastUpdatedBy'];
+
+  /**
+   * Pull every collection and environment of a workspace into a git repository and commit the result.
+   * Entities edited on both sides since the last sync are merged item by item.
+   * @param {Object} options - Sync options
+   * @param {string} options.apiKey - Postman API key
+   * @param {string} options.workspaceId - Workspace ID
+   * @param {string} options.repoPath - Path to the git repository
+   * @param {Function} options.onProgress - Optional progress callback receiving a message
+   * @param {Function} options.resolveConflict - Async callback receiving a conflict and returning 'local', 'remote' or 'both'
+   * @returns {Promise<Object>} Summary with added, changed, removed, pending and conflict entries and the commit hash
+   */
+  static async pullWorkspace({ apiKey, workspaceId, repoPath, onProgress = () => {}, resolveConflict = this.failOnConflict }) {
+    if (!GitRepository.isRepository(repoPath)) {
+      throw new Error(`${repoPath} is not a git repository`);
+    }
+
+    onProgress('Fetching workspace...');
+    const workspace = await PostmanClient.getWorkspace(apiKey, workspaceId);
+
+    const state = SyncState.load(repoPath);
+    const previousNames = this.readEntityNames(repoPath);
+    const currentNames = {};
+    const result = { pending: [], conflicts: [] };
+
+    onProgress('Fetching collections...');
+    const collections = await PostmanClient.getCollections(apiKey, workspaceId, { revalidate: true });
+    const localCollections = this.readLocalCollections(repoPath);
+    const collectionPaths = this.assignEntityPaths(collections, localCollections, this.COLLECTIONS_DIR, '');
+
+    for (const summary of collections) {
+      const entityPath = collectionPaths.get(summary.id);
+      const local = localCollections.find(entry => entry.id === summary.id)?.content;
+      if (this.isUnchangedInPostman(state.collections[summary.id], summary, local, entityPath)) {
+        if (SyncState.hash(local) !== state.collections[summary.id].hash) {
+          result.pending.push({ type: 'collection', name: summary.name });
+        }
+        currentNames[entityPath] = summary.name;
+        continue;
+      }
+
+      onProgress(`Exporting collection ${summary.name}...`);
+      const remote = await this.fetchCollection(apiKey, summary);
+      const { content, outcome, conflicts } = await this.reconcile({
+        type: 'collection',
+        name: summary.name,
+        base: state.collections[summary.id],
+        local,
+        remote,
+        resolveConflict
+      });
+
+      if (outcome !== 'local') {
+        CollectionSerializer.write(path.join(repoPath, entityPath), content);
+      }
+      if (outcome !== 'remote') {
+        result.pending.push({ type: 'collection', name: summary.name });
+      }
+
+      result.conflicts.push(...conflicts);
+      state.collections[summary.id] = SyncState.collectionEntry(remote, entityPath, summary.updatedAt);
+      currentNames[entityPath] = summary.name;
+    }
+
+    onProgress('Fetching environments...');
+    const environments = await PostmanClient.getEnvironments(apiKey, workspaceId, { revalidate: true });
+    const localEnvironments = this.readLocalEnvironments(repoPath);
+    const environmentPaths = this.assignEntityPaths(environments, localEnvironments, this.ENVIRONMENTS_DIR, '.json');
+
+    for (const summary of environments) {
+      const entityPath = environmentPaths.get(summary.id);
+      const local = localEnvironments.find(entry => entry.id === summary.id)?.content;
+      // Files exported before secrets were redacted are pulled again to empty them
+      if (this.isUnchangedInPostman(state.environments[summary.id], summary, local, entityPath) && !this.hasSecretValues(local)) {
+        if (SyncState.hash(local) !== state.environments[summary.id].hash) {
+          result.pending.push({ type: 'environment', name: summary.name });
+        }
+        currentNames[entityPath] = summary.name;
+        continue;
+      }
+
+      onProgress(`Exporting environment ${summary.name}...`);
+      const remote = await this.fetchEnvironment(apiKey, summary);
+      const { content, outcome, conflicts } = await this.reconcile({
+        type: 'environment',
+        name: summary.name,
+        base: state.environments[summary.id],
+        local,
+        remote,
+        resolveConflict
+      });
+
+      if (outcome !== 'local') {
+        this.writeEnvironment(path.join(repoPath, entityPath), content);
+      }
+      if (outcome !== 'remote') {
+        result.pending.push({ type: 'environment', name: summary.name });
+      }
+
+      result.conflicts.push(...conflicts);
+      state.environments[summary.id] = SyncState.environmentEntry(remote, entityPath, summary.updatedAt);
+      currentNames[entityPath] = summary.name;
+    }
+
+    this.removeStaleEntities(repoPath, 'collection', localCollections, collections, state.collections, currentNames, result);
+    this.removeStaleEntities(repoPath, 'environment', localEnvironments, environments, state.environments, currentNames, result);
+    SyncState.save(repoPath, state);
+
+    onProgress('Committing changes...');
+    const summary = this.commitChanges(repoPath, `Sync Postman workspace "${workspace.name}"`, previousNames, currentNames);
+    return { ...summary, ...result };
+  }
+
+  /**
+   * Check if an entity is still the revision of the last sync in Postman, going by the
+   * updatedAt of the workspace listing, so it doesn't have to be downloaded again
+   * @param {Object} base - Sync state entry of the last synced revision
+   * @param {Object} summary - Entity summary from the workspace listing
+   * @param {Object} local - Local content, undefined if not exported
+   * @param {string} entityPath - Path the entity is exported to
+   * @returns {boolean} True if unchanged in Postman and exported at the same path
+   */
+  static isUnchangedInPostman(base, summary, local, entityPath) {
+    return !!local && !!base?.updatedAt && base.updatedAt === summary.updatedAt && base.path === entityPath;
+  }
+
+  /**
+   * Check if neither side of an entity changed since the last sync, so there is nothing to push
+   * @param {Object} base - Sync state entry of the last synced revision
+   * @param {Object} summary - Entity summary from the workspace listing
+   * @param {Object} local - Local content
+   * @param {string} entityPath - Path the entity is exported to
+   * @returns {boolean} True if unchanged on both sides
+   */
+  static isUnchangedSinceSync(base, summary, local, entityPath) {
+    return this.isUnchangedInPostman(base, summary, local, entityPath) && SyncState.hash(local) === base.hash;
+  }
+
+  /**
+   * Decide what to write locally for an entity that exists in Postman
+   * @param {Object} options - Reconcile options
+   * @param {string} options.type - 'collection' or 'environment'
+   * @param {string} options.name - Entity name
+   * @param {Object} options.base - Sync state entry of the last synced revision
+   * @param {Object} options.local - Local content, undefined if not exported yet
+   * @param {Object} options.remote - Remote content
+   * @param {Function} options.resolveConflict - Conflict resolver
+   * @returns {Promise<Object>} { content, outcome: 'remote'|'local'|'merged', conflicts }
+   */
+  static async reconcile({ type, name, base, local, remote, resolveConflict }) {
+    if (!local || !base) {
+      return { content: remote, outcome: 'remote', conflicts: [] };
+    }
+
+    const localHash = SyncState.hash(local);
+    const remoteHash = SyncState.hash(remote);
+    if (localHash === base.hash || localHash === remoteHash) {
+      return { content: remote, outcome: 'remote', conflicts: [] };
+    }
+    if (remoteHash === base.hash) {
+      return { content: local, outcome: 'local', conflicts: [] };
+    }
+
+    const resolve = (conflict) => resolveConflict({ ...conflict, type, name });
+    const { merged, conflicts } = type === 'collection'
+      ? await CollectionMerge.mergeCollections(base, local, remote, resolve)
+      : await CollectionMerge.mergeEnvironments(base, local, remote, resolve);
+
+    return {
+      content: merged,
+      outcome: SyncState.hash(merged) === remoteHash ? 'remote' : 'merged',
+      conflicts
+    };
+  }
+
+  /**
+   * Default conflict resolver that refuses to pick a side
+   * @param {Object} conflict - Conflict details
+   * @throws {Error} Always
+   */
+  static failOnConflict(conflict) {
+    throw new Error(`Conflict in ${conflict.type} "${conflict.name}" at ${conflict.path}: ${conflict.reason}`);
+  }
+
+  /**
+   * Compare the collections and environments in the git repository with the workspace.
+   * Entities that changed in Postman since the last sync are merged before being pushed.
+   * @param {Object} options - Push options
+   * @param {string} options.apiKey - Postman API key
+   * @param {string} options.workspaceId - Workspace ID
+   * @param {string} options.repoPath - Path to the git repository
+   * @param {Function} options.onProgress - Optional progress callback receiving a message
+   * @param {Function} options.resolveConflict - Async callback receiving a conflict and returning 'local', 'remote' or 'both'
+   * @returns {Promise<Array<Object>>} Planned changes, one entry per collection or environment to create or update
+   */
+  static async planPush({ apiKey, workspaceId, repoPath, onProgress = () => {}, resolveConflict = this.failOnConflict }) {
+    const state = SyncState.load(repoPath);
+    const plan = [];
+
+    onProgress('Fetching collections...');
+    const remoteCollections = await PostmanClient.getCollections(apiKey, workspaceId, { revalidate: true });
+
+    for (const { id, entityPath, content: collection } of this.readLocalCollections(repoPath)) {
+      const name = collection.info?.name || path.basename(entityPath);
+      const summary = remoteCollections.find(remote => remote.id === id);
+
+      if (!summary) {
+        plan.push({ type: 'collection', action: 'create', name, entityPath, local: collection, conflicts: [] });
+        continue;
+      }
+      if (this.isUnchangedSinceSync(state.collections[summary.id], summary, collection, entityPath)) {
+        continue;
+      }
+
+      onProgress(`Comparing collection ${name}...`);
+      const remote = await this.fetchCollection(apiKey, summary);
+      const { content, conflicts } = await this.reconcileForPush({
+        type: 'collection', name, base: state.collections[summary.id], local: collection, remote, resolveConflict
+      });
+
+      const diff = CollectionDiff.diffCollections(content, remote);
+      if (CollectionDiff.hasChanges(diff)) {
+        plan.push({ type: 'collection', action: 'update', name, entityPath, remoteId: summary.uid || summary.id, local: content, diff, conflicts });
+      }
+    }
+
+    onProgress('Fetching environments...');
+    const remoteEnvironments = await PostmanClient.getEnvironments(apiKey, workspaceId, { revalidate: true });
+
+    for (const { id, entityPath, content: environment } of this.readLocalEnvironments(repoPath)) {
+      const summary = remoteEnvironments.find(remote => remote.id === id);
+
+      if (!summary) {
+        plan.push({ type: 'environment', action: 'create', name: environment.name, entityPath, local: environment, conflicts: [] });
+        continue;
+      }
+      if (this.isUnchangedSinceSync(state.environments[summary.id], summary, environment, entityPath)) {
+        continue;
+      }
+
+      onProgress(`Comparing environment ${environment.name}...`);
+      const remote = await this.fetchEnvironment(apiKey, summary);
+      const { content, conflicts } = await this.reconcileForPush({
+        type: 'environment', name: environment.name, base: state.environments[summary.id], local: environment, remote, resolveConflict
+      });
+
+      const diff = CollectionDiff.diffEnvironments(content, remote);
+      if (CollectionDiff.hasChanges(diff)) {
+        plan.push({ type: 'environment', action: 'update', name: environment.name, entityPath, remoteId: summary.uid || summary.id, local: content, diff, conflicts });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Decide what to push for an entity that exists in Postman
+   * @param {Object} options - Same options as reconcile
+   * @returns {Promise<Object>} { content, conflicts } where content equals the remote when there is nothing to push
+   */
+  static async reconcileForPush(options) {
+    // Without a recorded revision there is nothing to merge against, the local copy wins
+    if (!options.base) {
+      return { content: options.local, conflicts: [] };
+    }
+
+    const { content, conflicts } = await this.reconcile(options);
+    return { content, conflicts };
+  }
+
+  /**
+   * Send planned changes to Postman, then write back what Postman stored and commit it with the new sync state
+   * @param {Object} options - Push options
+   * @param {string} options.apiKey - Postman API key
+   * @param {string} options.workspaceId - Workspace ID
+   * @param {string} options.repoPath - Path to the git repository
+   * @param {Array<Object>} options.plan - Plan returned by planPush
+   * @param {Function} options.onProgress - Optional progress callback receiving a message
+   * @returns {Promise<Object>} Result with pushed and failed plan entries and the commit hash
+   */
+  static async applyPush({ apiKey, workspaceId, repoPath, plan, onProgress = () => {} }) {
+    const result = { pushed: [], failed: [], commit: null };
+
+    for (const entry of plan) {
+      onProgress(`${entry.action === 'create' ? 'Creating' : 'Updating'} ${entry.type} ${entry.name}...`);
+      let response;
+
+      try {
+        if (entry.type === 'collection' && entry.action === 'create') {
+          const { _postman_id, uid, ...info } = entry.local.info || {};
+          response = await PostmanClient.createCollection(apiKey, { ...entry.local, info }, workspaceId);
+        } else if (entry.type === 'collection') {
+          response = await PostmanClient.updateCollection(apiKey, entry.remoteId, entry.local);
+        } else if (entry.action === 'create') {
+          const { id, ...environment } = entry.local;
+          response = await PostmanClient.createEnvironment(apiKey, environment, workspaceId);
+        } else {
+          const { id, ...environment } = entry.local;
+          const stored = await PostmanClient.getEnvironment(apiKey, entry.remoteId);
+          response = await PostmanClient.updateEnvironment(apiKey, entry.remoteId, this.restoreSecrets(environment, stored));
+        }
+      } catch (error) {
+        // Without valid credentials every other entry fails the same way
+        if (error instanceof AuthError) {
+          throw error;
+        }
+        Logger.error(error.message);
+        result.failed.push(entry);
+        continue;
+      }
+
+      result.pushed.push({ ...entry, remoteId: response.uid || response.id, id: response.id });
+    }
+
+    if (result.pushed.length === 0) {
+      return result;
+    }
+
+    onProgress('Recording sync state...');
+    const state = SyncState.load(repoPath);
+    const collections = await PostmanClient.getCollections(apiKey, workspaceId);
+    const environments = await PostmanClient.getEnvironments(apiKey, workspaceId);
+
+    for (const entry of result.pushed) {
+      const absolutePath = path.join(repoPath, entry.entityPath);
+
+      if (entry.type === 'collection') {
+        const summary = collections.find(collection => collection.id === entry.id) || { id: entry.id, name: entry.name };
+        const remote = await this.fetchCollection(apiKey, { ...summary, uid: entry.remoteId });
+        CollectionSerializer.write(absolutePath, remote);
+        state.collections[entry.id] = SyncState.collectionEntry(remote, entry.entityPath, summary.updatedAt);
+      } else {
+        const summary = environments.find(environment => environment.id === entry.id) || { id: entry.id, name: entry.name };
+        const remote = await this.fetchEnvironment(apiKey, { ...summary, uid: entry.remoteId });
+        this.writeEnvironment(absolutePath, remote);
+        state.environments[entry.id] = SyncState.environmentEntry(remote, entry.entityPath, summary.updatedAt);
+      }
+    }
+
+    SyncState.save(repoPath, state);
+
+    const names = Object.fromEntries(result.pushed.map(entry => [entry.entityPath, entry.name]));
+    // The changes are pushed already, a missing workspace name must not keep them from being committed
+    const workspace = await PostmanClient.getWorkspace(apiKey, workspaceId).catch(() => null);
+    const summary = this.commitChanges(
+      repoPath,
+      `Push local changes to Postman workspace "${workspace?.name || workspaceId}"`,
+      names,
+      names,
+      [...Object.keys(names), SyncState.getRelativePath()]
+    );
+    result.commit = summary.commit;
+
+    return result;
+  }
+
+  /**
+   * Fetch a collection and strip volatile fields
+   * @param {string} apiKey - Postman API key
+   * @param {Object} summary - Collection summary from getCollections
+   * @returns {Promise<Object>} Collection
+   */
+  static async fetchCollection(apiKey, summary) {
+    const collection = await PostmanClient.getCollection(apiKey, summary.uid || summary.id);
+    return this.cleanCollection(collection);
+  }
+
+  /**
+   * Fetch an environment and keep only the fields that are exported
+   * @param {string} apiKey - Postman API key
+   * @param {Object} summary - Environment summary from getEnvironments
+   * @returns {Promise<Object>} Environment
+   */
+  static async fetchEnvironment(apiKey, summary) {
+    const environment = await PostmanClient.getEnvironment(apiKey, summary.uid || summary.id);
+    return this.cleanEnvironment(environment);
+  }
+
+  /**
+   * Read the collections exported in the repository
+   * @param {string} repoPath - Path to the git repository
+   * @returns {Array<Object>} Array of { id, entityPath, content }
+   */
+  static readLocalCollections(repoPath) {
+    const collectionsDir = path.join(repoPath, this.COLLECTIONS_DIR);
+    if (!fs.existsSync(collectionsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(collectionsDir)
+      .sort()
+      .filter(entry => CollectionSerializer.isCollectionDir(path.join(collectionsDir, entry)))
+      .map(entry => {
+        const collection = CollectionSerializer.read(path.join(collectionsDir, entry));
+        return {
+          id: collection.info?._postman_id || null,
+          entityPath: path.posix.join(this.COLLECTIONS_DIR, entry),
+          content: collection
+        };
+      });
+  }
+
+  /**
+   * Read the environments exported in the repository
+   * @param {string} repoPath - Path to the git repository
+   * @returns {Array<Object>} Array of { id, entityPath, content }
+   */
+  static readLocalEnvironments(repoPath) {
+    const environmentsDir = path.join(repoPath, this.ENVIRONMENTS_DIR);
+    if (!fs.existsSync(environmentsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(environmentsDir)
+      .sort()
+      .filter(entry => entry.endsWith('.json'))
+      .map(entry => {
+        const entityPath = path.posix.join(this.ENVIRONMENTS_DIR, entry);
+        const environment = StableJson.read(path.join(repoPath, entityPath));
+        if (!environment?.name) {
+          throw new Error(`Invalid environment file ${entityPath}`);
+        }
+        return { id: environment.id || null, entityPath, content: environment };
+      });
+  }
+
+  /**
+   * Write an environment file
+   * @param {string} filePath - Absolute path of the environment file
+   * @param {Object} environment - Postman environment
+   */
+  static writeEnvironment(filePath, environment) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    StableJson.write(filePath, this.cleanEnvironment(environment));
+  }
+
+  /**
+   * Remove exported entities that were deleted in Postman, unless they were edited locally since the last sync
+   * @param {string} repoPath - Path to the git repository
+   * @param {string} type - 'collection' or 'environment'
+   * @param {Array<Object>} localEntities - Local entities from readLocalCollections or readLocalEnvironments
+   * @param {Array<Object>} remoteEntities - Remote entity summaries
+   * @param {Object} stateEntries - Sync state entries of this type, updated in place
+   * @param {Object} currentNames - Map of entity path to display name, updated in place
+   * @param {Object} result - Pull result collecting entities pending a push
+   */
+  static removeStaleEntities(repoPath, type, localEntities, remoteEntities, stateEntries, currentNames, result) {
+    const remoteIds = new Set(remoteEntities.map(entity => entity.id));
+
+    for (const { id, entityPath, content } of localEntities) {
+      if (id && remoteIds.has(id)) {
+        continue;
+      }
+
+      const name = type === 'collection' ? content.info?.name : content.name;
+      const base = id ? stateEntries[id] : null;
+
+      if (base && SyncState.hash(content) === base.hash) {
+        Logger.debug(`Removing stale ${type} ${entityPath}`);
+        fs.rmSync(path.join(repoPath, entityPath), { recursive: true, force: true });
+        delete stateEntries[id];
+        continue;
+      }
+
+      // Never synced or edited locally: keep it so it can be pushed
+      currentNames[entityPath] = name;
+      result.pending.push({ type, name });
+    }
+  }
+
+  /**
+   * Stage the exported entities and commit them with a generated message
+   * @param {string} repoPath - Path to the git repository
+   * @param {string} title - Commit subject, followed by the change counts
+   * @param {Object} previousNames - Map of entity path to display name before the sync
+   * @param {Object} currentNames - Map of entity path to display name after the sync
+   * @param {Array<string>} paths - Paths to stage, defaults to every exported entity
+   * @returns {Object} Summary with added, changed, removed entries and the commit hash
+   */
+  static commitChanges(repoPath, title, previousNames, currentNames, paths = [this.COLLECTIONS_DIR, this.ENVIRONMENTS_DIR, SyncState.getRelativePath()]) {
+    GitRepository.stage(repoPath, paths);
+
+    const summary = { added: [], changed: [], removed: [], commit: null };
+    const stagedFiles = GitRepository.getStagedChanges(repoPath, paths).map(({ file }) => file);
+    if (stagedFiles.length === 0) {
+      return summary;
+    }
+
+    const changedEntities = new Set(
+      stagedFiles
+        .filter(file => file.startsWith(`${this.COLLECTIONS_DIR}/`) || file.startsWith(`${this.ENVIRONMENTS_DIR}/`))
+        .map(file => this.getEntityPath(file))
+    );
+
+    for (const entityPath of [...changedEntities].sort()) {
+      const entry = {
+        type: entityPath.startsWith(this.COLLECTIONS_DIR) ? 'collection' : 'environment',
+        name: currentNames[entityPath] || previousNames[entityPath] || path.basename(entityPath, '.json'),
+        path: entityPath
+      };
+
+      if (!(entityPath in previousNames)) {
+        summary.added.push(entry);
+      } else if (!(entityPath in currentNames)) {
+        summary.removed.push(entry);
+      } else {
+        summary.changed.push(entry);
+      }
+    }
+
+    summary.commit = GitRepository.commit(repoPath, this.buildCommitMessage(title, summary));
+    return summary;
+  }
+
+  /**
+   * Build a commit message listing added, changed and removed entities
+   * @param {string} title - Commit subject, followed by the change counts
+   * @param {Object} summary - Sync summary
+   * @returns {string} Commit message
+   */
+  static buildCommitMessage(title, summary) {
+    const counts = ['added', 'changed', 'removed']
+      .filter(key => summary[key].length > 0)
+      .map(key => `${summary[key].length} ${key}`);
+
+    const lines = [counts.length > 0 ? `${title} (${counts.join(', ')})` : title];
+
+    for (const [key, title] of [['added', 'Added'], ['changed', 'Changed'], ['removed', 'Removed']]) {
+      if (summary[key].length > 0) {
+        lines.push('', `${title}:`);
+        lines.push(...summary[key].map(entry => `- ${entry.type}: ${entry.name}`));
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Read display names of the entities currently exported in the repository
+   * @param {string} repoPath - Path to the git repository
+   * @returns {Object} Map of entity path to display name
+   */
+  static readEntityNames(repoPath) {
+    const names = {};
+
+    const collectionsDir = path.join(repoPath, this.COLLECTIONS_DIR);
+    if (fs.existsSync(collectionsDir)) {
+      for (const entry of fs.readdirSync(collectionsDir)) {
+        const manifest = StableJson.read(path.join(collectionsDir, entry, CollectionSerializer.COLLECTION_FILE));
+        names[path.posix.join(this.COLLECTIONS_DIR, entry)] = manifest?.info?.name || entry;
+      }
+    }
+
+    const environmentsDir = path.join(repoPath, this.ENVIRONMENTS_DIR);
+    if (fs.existsSync(environmentsDir)) {
+      for (const entry of fs.readdirSync(environmentsDir)) {
+        const environment = StableJson.read(path.join(environmentsDir, entry));
+        names[path.posix.join(this.ENVIRONMENTS_DIR, entry)] = environment?.name || entry;
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Map a changed file to the entity it belongs to
+   * @param {string} file - File path relative to the repository
+   * @returns {string} Entity path (collection directory or environment file)
+   */
+  static getEntityPath(file) {
+    const [dir, entry] = file.split('/');
+    return `${dir}/${entry}`;
+  }
+
+  /**
+   * Assign a unique, stable path to every remote entity, keeping the path of entities already exported
+   * @param {Array<Object>} entities - Remote entities with id and name
+   * @param {Array<Object>} localEntities - Local entities with id and entityPath
+   * @param {string} dir - Entity directory relative to the repository
+   * @param {string} extension - File extension, empty for directories
+   * @returns {Map<string, string>} Map of entity id to entity path
+   */
+  static assignEntityPaths(entities, localEntities, dir, extension) {
+    const paths = new Map();
+    const used = new Set(localEntities.map(entity => entity.entityPath));
+    const sorted = [...entities].sort((a, b) => a.id.localeCompare(b.id));
+
+    for (const entity of sorted) {
+      const existing = localEntities.find(local => local.id === entity.id);
+      if (existing) {
+        paths.set(entity.id, existing.entityPath);
+      }
+    }
+
+    for (const entity of sorted.filter(entity => !paths.has(entity.id))) {
+      const slug = FileNaming.slugify(entity.name);
+      let entityPath = path.posix.join(dir, `${slug}${extension}`);
+      if (used.has(entityPath)) {
+        entityPath = path.posix.join(dir, `${slug}-${entity.id.substring(0, 8)}${extension}`);
+      }
+      used.add(entityPath);
+      paths.set(entity.id, entityPath);
+    }
+
+    return paths;
+  }
+
+  /**
+   * Strip fields that change on every save from a collection
+   * @param {Object} collection - Postman collection
+   * @returns {Object} Collection without volatile fields
+   */
+  static cleanCollection(collection) {
+    const info = { ...collection.info };
+    for (const field of this.VOLATILE_INFO_FIELDS) {
+      delete info[field];
+    }
+    return { ...collection, info };
+  }
+
+  /**
+   * Keep only the exported fields of an environment. Secret values are emptied so they never
+   * reach the repository; the key and type stay so the variable still has to be set.
+   * @param {Object} environment - Postman environment
+   * @returns {Object} Environment with id, name and values
+   */
+  static cleanEnvironment(environment) {
+    return {
+      id: environment.id,
+      name: environment.name,
+      values: (environment.values || []).map(variable => (EnvironmentManager.isSecret(variable) ? { ...variable, value: '' } : variable))
+    };
+  }
+
+  /**
+   * Check if an exported environment still holds secret values
+   * @param {Object} environment - Local environment, undefined if not exported
+   * @returns {boolean} True if a secret variable has a value
+   */
+  static hasSecretValues(environment) {
+    return (environment?.values || []).some(variable => EnvironmentManager.isSecret(variable) && variable.value);
+  }
+
+  /**
+   * Put back the values Postman stores for secrets emptied on export, so pushing an
+   * exported environment never blanks them
+   * @param {Object} environment - Environment to push
+   * @param {Object} stored - Environment as stored in Postman
+   * @returns {Object} Environment with the stored value of every empty secret
+   */
+  static restoreSecrets(environment, stored) {
+    const storedValues = new Map((stored?.values || []).map(variable => [variable.key, variable]));
+    return {
+      ...environment,
+      values: (environment.values || []).map(variable => {
+        const current = storedValues.get(variable.key);
+        if (EnvironmentManager.isSecret(variable) && variable.value === '' && EnvironmentManager.isSecret(current)) {
+          return { ...variable, value: current.value };
+        }
+        return variable;
+      })
+    };
+  }
+}
+
+export default SyncManager;
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import CollectionDiff from './collection-diff.js';
+import StableJson from '../utils/stable-json.js';
+
+/**
+ * Keeps track of the last synced revision of every collection and environment so the
+ * next sync can tell local edits from remote edits.
+ */
+class SyncState {
+  static STATE_DIR = '.flowman';
+  static STATE_FILE = 'sync-state.json';
+
+  /**
+   * Get the state file path relative to the repository
+   * @returns {string} Relative state file path
+   */
+  static getRelativePath() {
+    return path.posix.join(this.STATE_DIR, this.STATE_FILE);
+  }
+
+  /**
+   * Load the sync state of a repository
+   * @param {string} repoPath - Path to the git repository
+   * @returns {Object} State with collections and environments maps
+   */
+  static load(repoPath) {
+    const state = StableJson.read(path.join(repoPath, this.getRelativePath())) || {};
+    return {
+      collections: state.collections || {},
+      environments: state.environments || {}
+    };
+  }
+
+  /**
+   * Save the sync state of a repository
+   * @param {string} repoPath - Path to the git repository
+   * @param {Object} state - State to save
+   */
+  static save(repoPath, state) {
+    fs.mkdirSync(path.join(repoPath, this.STATE_DIR), { recursive: true });
+    StableJson.write(path.join(repoPath, this.getRelativePath()), state);
+  }
+
+  /**
+   * Hash any JSON value
+   * @param {*} value - Value to hash
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(value) {
+    return crypto.createHash('sha256').update(StableJson.stringify(value)).digest('hex');
+  }
+
+  /**
+   * Build the state entry of a collection revision
+   * @param {Object} collection - Collection as last seen in Postman
+   * @param {string} entityPath - Collection directory relative to the repository
+   * @param {string} updatedAt - Remote updatedAt timestamp
+   * @returns {Object} State entry with content hash, metadata hash and item hashes
+   */
+  static collectionEntry(collection, entityPath, updatedAt) {
+    const items = {};
+    for (const [key, entry] of CollectionDiff.flattenItems(collection.item)) {
+      items[key] = this.hash(CollectionDiff.itemContent(entry.item));
+    }
+
+    return {
+      path: entityPath,
+      updatedAt: updatedAt || null,
+      hash: this.hash(collection),
+      metadata: this.hash(CollectionDiff.itemContent(collection)),
+      items
+    };
+  }
+
+  /**
+   * Build the state entry of an environment revision
+   * @param {Object} environment - Environment as last seen in Postman
+   * @param {string} entityPath - Environment file relative to the repository
+   * @param {string} updatedAt - Remote updatedAt timestamp
+   * @returns {Object} State entry with content hash and variable hashes
+   */
+  static environmentEntry(environment, entityPath, updatedAt) {
+    const values = {};
+    for (const variable of environment.values || []) {
+      values[variable.key] = this.hash(variable);
+    }
+
+    return {
+      path: entityPath,
+      updatedAt: updatedAt || null,
+      hash: this.hash(environment),
+      values
+    };
+  }
+}
+
+export default SyncState;
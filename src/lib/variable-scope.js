@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+
+class VariableScope {
+  // Lookup order, most specific first, matching Postman's precedence
+  static SCOPES = ['local', 'data', 'environment', 'collection', 'globals'];
+
+  static MAX_RESOLVE_DEPTH = 10;
+
+  /**
+   * Create a variable scope
+   * @param {Object} sources - Initial variables per scope
+   * @param {Array<Object>} sources.globals - Postman global variables
+   * @param {Array<Object>} sources.collection - Collection variables
+   * @param {Array<Object>} sources.environment - Environment values
+   */
+  constructor({ globals = [], collection = [], environment = [] } = {}) {
+    this.scopes = {
+      local: new Map(),
+      data: new Map(),
+      environment: VariableScope.fromPostman(environment),
+      collection: VariableScope.fromPostman(collection),
+      globals: VariableScope.fromPostman(globals)
+    };
+  }
+
+  /**
+   * Convert a Postman variable list to a map, skipping disabled entries
+   * @param {Array<Object>} variables - Postman variables ({ key, value, enabled, disabled })
+   * @returns {Map<string, *>} Map of variable name to value
+   */
+  static fromPostman(variables = []) {
+    const map = new Map();
+    for (const variable of variables) {
+      if (variable && variable.key && variable.enabled !== false && variable.disabled !== true) {
+        map.set(variable.key, variable.value);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Create a scope that shares every variable with this one except the collection variables,
+   * so several collections can run against the same environment and run variables
+   * @param {Array<Object>} collection - Collection variables of the new scope
+   * @returns {VariableScope} Scope sharing the other maps with this one
+   */
+  withCollection(collection = []) {
+    const scope = new VariableScope();
+    scope.scopes = { ...this.scopes, collection: VariableScope.fromPostman(collection) };
+    return scope;
+  }
+
+  /**
+   * Get a variable, looking through every scope
+   * @param {string} name - Variable name
+   * @returns {*} Variable value or undefined
+   */
+  get(name) {
+    for (const scope of VariableScope.SCOPES) {
+      if (this.scopes[scope].has(name)) {
+        return this.scopes[scope].get(name);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Check if a variable is defined in any scope
+   * @param {string} name - Variable name
+   * @returns {boolean} True if defined
+   */
+  has(name) {
+    return VariableScope.SCOPES.some(scope => this.scopes[scope].has(name));
+  }
+
+  /**
+   * Get the map of a single scope
+   * @param {string} scope - Scope name
+   * @returns {Map<string, *>} Scope variables
+   */
+  scope(scope) {
+    if (!this.scopes[scope]) {
+      throw new Error(`Unknown variable scope: ${scope}`);
+    }
+    return this.scopes[scope];
+  }
+
+  /**
+   * Flatten every scope into a plain object, most specific scope winning
+   * @returns {Object} Variables by name
+   */
+  toObject() {
+    const result = {};
+    for (const scope of [...VariableScope.SCOPES].reverse()) {
+      for (const [key, value] of this.scopes[scope]) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Snapshot every scope as plain objects
+   * @returns {Object} Variables grouped by scope
+   */
+  snapshot() {
+    return Object.fromEntries(
+      VariableScope.SCOPES.map(scope => [scope, Object.fromEntries(this.scopes[scope])])
+    );
+  }
+
+  /**
+   * Replace {{variables}} in a string
+   * @param {string} value - Template string
+   * @returns {string} Resolved string; unknown variables are left untouched
+   */
+  resolve(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    let resolved = value;
+    for (let depth = 0; depth < VariableScope.MAX_RESOLVE_DEPTH; depth++) {
+      const next = resolved.replace(/\{\{([^{}]+)\}\}/g, (match, name) => {
+        const key = name.trim();
+        if (key.startsWith('$')) {
+          const dynamic = VariableScope.dynamicValue(key);
+          return dynamic === undefined ? match : dynamic;
+        }
+        const variable = this.get(key);
+        return variable === undefined || variable === null ? match : String(variable);
+      });
+
+      if (next === resolved) {
+        break;
+      }
+      resolved = next;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Resolve {{variables}} in every string of a nested value
+   * @param {*} value - Value to resolve
+   * @returns {*} Copy of the value with resolved strings
+   */
+  resolveDeep(value) {
+    if (typeof value === 'string') {
+      return this.resolve(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(entry => this.resolveDeep(entry));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this.resolveDeep(entry)]));
+    }
+    return value;
+  }
+
+  /**
+   * Generate a Postman dynamic variable
+   * @param {string} name - Dynamic variable name including the leading $
+   * @returns {string|undefined} Generated value or undefined if unsupported
+   */
+  static dynamicValue(name) {
+    switch (name) {
+      case '$guid':
+      case '$randomUUID':
+        return crypto.randomUUID();
+      case '$timestamp':
+        return String(Math.floor(Date.now() / 1000));
+      case '$isoTimestamp':
+        return new Date().toISOString();
+      case '$randomInt':
+        return String(Math.floor(Math.random() * 1001));
+      case '$randomBoolean':
+        return String(Math.random() < 0.5);
+      default:
+        return undefined;
+    }
+  }
+}
+
+export default VariableScope;
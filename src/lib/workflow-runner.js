@@ -0,0 +1,505 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import YAML from 'yaml';
+import CollectionLoader from './collection-loader.js';
+import CollectionRunner from './collection-runner.js';
+import VariableScope from './variable-scope.js';
+import JsonPath from '../utils/json-path.js';
+
+/**
+ * Runs flowman.workflow.yaml files: ordered steps that call requests from one or more
+ * collections, extract values into variables and branch, loop, retry or fan out.
+ */
+class WorkflowRunner {
+  static DEFAULT_FILE = 'flowman.workflow.yaml';
+  static MAX_UNTIL_ATTEMPTS = 10;
+  static CONDITION_TIMEOUT = 1000;
+  static BODY_KEYS = ['request', 'steps', 'parallel'];
+
+  /**
+   * Read and validate a workflow file
+   * @param {string} filePath - Workflow file, or a directory containing flowman.workflow.yaml
+   * @returns {Object} Workflow definition with its baseDir
+   * @throws {Error} If the file can't be read or is not a valid workflow
+   */
+  static load(filePath) {
+    let file = path.resolve(filePath);
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      file = path.join(file, this.DEFAULT_FILE);
+    }
+
+    let workflow;
+    try {
+      workflow = YAML.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read workflow ${file}: ${error.message}`);
+    }
+
+    this.validate(workflow);
+    return { ...workflow, baseDir: path.dirname(file) };
+  }
+
+  /**
+   * Validate a workflow definition
+   * @param {Object} workflow - Parsed workflow
+   * @throws {Error} Describing the first problem found
+   */
+  static validate(workflow) {
+    if (!workflow || typeof workflow !== 'object') {
+      throw new Error('Workflow must be a YAML mapping');
+    }
+    if (!workflow.collections || typeof workflow.collections !== 'object' || Object.keys(workflow.collections).length === 0) {
+      throw new Error('Workflow must define at least one collection under "collections"');
+    }
+    if (workflow.variables && typeof workflow.variables !== 'object') {
+      throw new Error('"variables" must be a mapping of names to values');
+    }
+    this.validateSteps(workflow.steps, 'steps', Object.keys(workflow.collections));
+  }
+
+  /**
+   * Validate a list of steps
+   * @param {Array<Object>} steps - Steps
+   * @param {string} location - Location used in error messages, such as "steps[2].parallel"
+   * @param {Array<string>} aliases - Collection aliases
+   * @throws {Error} Describing the first problem found
+   */
+  static validateSteps(steps, location, aliases) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error(`${location} must be a non-empty list of steps`);
+    }
+
+    steps.forEach((step, index) => {
+      const stepLocation = `${location}[${index}]`;
+      if (!step || typeof step !== 'object') {
+        throw new Error(`${stepLocation} must be a mapping`);
+      }
+
+      const bodies = this.BODY_KEYS.filter(key => step[key] !== undefined);
+      if (bodies.length !== 1) {
+        throw new Error(`${stepLocation} must have exactly one of: ${this.BODY_KEYS.join(', ')}`);
+      }
+
+      if (step.request !== undefined) {
+        this.parseRequestRef(step, aliases, stepLocation);
+      } else {
+        this.validateSteps(step[bodies[0]], `${stepLocation}.${bodies[0]}`, aliases);
+      }
+
+      for (const [name, rule] of Object.entries(step.extract || {})) {
+        this.parseExtractRule(rule, `${stepLocation}.extract.${name}`);
+      }
+      for (const key of ['if', 'until']) {
+        if (step[key] !== undefined && typeof step[key] !== 'string') {
+          throw new Error(`${stepLocation}.${key} must be an expression string`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Split the request reference of a step into collection alias and item path
+   * @param {Object} step - Request step: request "alias/Folder/Request" or collection + request
+   * @param {Array<string>} aliases - Collection aliases
+   * @param {string} location - Location used in error messages
+   * @returns {Object} { alias, itemPath }
+   * @throws {Error} If the collection alias is unknown
+   */
+  static parseRequestRef(step, aliases, location = 'step') {
+    if (typeof step.request !== 'string' || !step.request.trim()) {
+      throw new Error(`${location}.request must be a request path`);
+    }
+
+    if (step.collection !== undefined) {
+      if (!aliases.includes(step.collection)) {
+        throw new Error(`${location}: unknown collection "${step.collection}"`);
+      }
+      return { alias: step.collection, itemPath: step.request };
+    }
+
+    const [alias, ...rest] = step.request.split('/');
+    if (aliases.includes(alias) && rest.length > 0) {
+      return { alias, itemPath: rest.join('/') };
+    }
+    if (aliases.length === 1) {
+      return { alias: aliases[0], itemPath: step.request };
+    }
+    throw new Error(`${location}: "${step.request}" must start with a collection alias (${aliases.join(', ')})`);
+  }
+
+  /**
+   * Normalize an extract rule
+   * @param {string|Object} rule - JSONPath string, or { jsonpath }, { regex, group }, { header }
+   * @param {string} location - Location used in error messages
+   * @returns {Object} { type, expression, group }
+   * @throws {Error} If the rule is invalid
+   */
+  static parseExtractRule(rule, location = 'extract') {
+    if (typeof rule === 'string') {
+      rule = { jsonpath: rule };
+    }
+
+    if (rule?.jsonpath !== undefined) {
+      JsonPath.parse(String(rule.jsonpath));
+      return { type: 'jsonpath', expression: String(rule.jsonpath) };
+    }
+    if (rule?.regex !== undefined) {
+      try {
+        new RegExp(rule.regex);
+      } catch (error) {
+        throw new Error(`${location}: ${error.message}`);
+      }
+      return { type: 'regex', expression: String(rule.regex), group: rule.group ?? 1 };
+    }
+    if (rule?.header !== undefined) {
+      return { type: 'header', expression: String(rule.header) };
+    }
+    throw new Error(`${location} must be a JSONPath or one of jsonpath, regex, header`);
+  }
+
+  /**
+   * Normalize a repeat or retry setting
+   * @param {number|Object} value - Count, or { times|attempts, delay }
+   * @param {string} countKey - Key of the count in object form
+   * @returns {Object} { count, delay }
+   */
+  static parseLoop(value, countKey) {
+    if (value === undefined || value === null) {
+      return { count: 0, delay: 0 };
+    }
+    if (typeof value === 'number') {
+      return { count: value, delay: 0 };
+    }
+    return { count: Number(value[countKey]) || 0, delay: Number(value.delay) || 0 };
+  }
+
+  /**
+   * Load the collections and environment a workflow refers to
+   * @param {Object} workflow - Workflow from load()
+   * @param {Object} context - Lookup context for CollectionLoader
+   * @param {string} environmentRef - Environment overriding the workflow one (optional)
+   * @returns {Promise<Object>} { collections: Map of alias to collection, environment, globals }
+   */
+  static async loadResources(workflow, context, environmentRef = null) {
+    const resolveRef = (reference) => {
+      const local = path.resolve(workflow.baseDir, String(reference));
+      return fs.existsSync(local) ? local : String(reference);
+    };
+
+    const collections = new Map();
+    for (const [alias, reference] of Object.entries(workflow.collections)) {
+      collections.set(alias, await CollectionLoader.loadCollection(resolveRef(reference), context));
+    }
+
+    const environmentSource = environmentRef || workflow.environment;
+    const environment = environmentSource
+      ? await CollectionLoader.loadEnvironment(resolveRef(environmentSource), context)
+      : null;
+    const globals = await CollectionLoader.loadGlobals(context);
+
+    return { collections, environment, globals };
+  }
+
+  /**
+   * Create a workflow runner
+   * @param {Object} workflow - Workflow from load()
+   * @param {Object} options - Run options
+   * @param {Map<string, Object>} options.collections - Collections by alias
+   * @param {Object} options.environment - Postman environment (optional)
+   * @param {Array<Object>} options.globals - Global variables (optional)
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Object} options.hooks - Callbacks: onRequest(result, step) and onStep(record)
+   */
+  constructor(workflow, { collections, environment = null, globals = [], timeout = CollectionRunner.DEFAULT_TIMEOUT, hooks = {} }) {
+    this.workflow = workflow;
+    this.hooks = hooks;
+    this.steps = [];
+    this.results = [];
+    this.lastResponse = null;
+    this.scope = new VariableScope({ globals, environment: environment?.values || [] });
+
+    for (const [name, value] of Object.entries(workflow.variables || {})) {
+      this.scope.scope('local').set(name, value);
+    }
+
+    this.runners = new Map();
+    for (const [alias, collection] of collections) {
+      this.runners.set(alias, new CollectionRunner(collection, { environment, timeout, scope: this.scope }));
+    }
+  }
+
+  /**
+   * Run the workflow
+   * @returns {Promise<Object>} Run summary
+   */
+  async run() {
+    const startedAt = new Date();
+    const passed = await this.runSteps(this.workflow.steps);
+    const finishedAt = new Date();
+
+    return {
+      workflow: this.workflow.name || 'Workflow',
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      duration: finishedAt - startedAt,
+      passed,
+      stats: {
+        steps: this.steps.length,
+        failed: this.steps.filter(step => step.status === 'failed').length,
+        skipped: this.steps.filter(step => step.status === 'skipped').length,
+        requests: this.results.length
+      },
+      steps: this.steps,
+      results: this.results
+    };
+  }
+
+  /**
+   * Run steps in order, stopping at the first failure
+   * @param {Array<Object>} steps - Steps
+   * @returns {Promise<boolean>} True if every step passed or was skipped
+   */
+  async runSteps(steps) {
+    let passed = true;
+    for (const step of steps) {
+      const status = await this.runStep(step);
+      if (status === 'failed') {
+        passed = false;
+        if (!step.continueOnError) {
+          break;
+        }
+      }
+    }
+    return passed;
+  }
+
+  /**
+   * Run a step with its if, repeat/until and retry settings
+   * @param {Object} step - Step
+   * @returns {Promise<string>} 'passed', 'failed' or 'skipped'
+   */
+  async runStep(step) {
+    const record = { name: WorkflowRunner.getStepName(step), status: 'passed', attempts: 0, error: null };
+    const started = Date.now();
+
+    try {
+      if (step.if !== undefined && !this.evaluate(step.if)) {
+        record.status = 'skipped';
+      } else {
+        await this.runLoop(step, record);
+      }
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    record.duration = Date.now() - started;
+    this.steps.push(record);
+    this.hooks.onStep?.(record, step);
+    return record.status;
+  }
+
+  /**
+   * Repeat a step until its condition holds or the repeat count is reached
+   * @param {Object} step - Step
+   * @param {Object} record - Step record, updated in place
+   * @throws {Error} If the step fails or its until condition is never met
+   */
+  async runLoop(step, record) {
+    const repeat = WorkflowRunner.parseLoop(step.repeat, 'times');
+    const times = repeat.count || (step.until !== undefined ? WorkflowRunner.MAX_UNTIL_ATTEMPTS : 1);
+
+    for (let attempt = 1; attempt <= times; attempt++) {
+      if (attempt > 1 && repeat.delay) {
+        await WorkflowRunner.sleep(repeat.delay);
+      }
+
+      record.attempts = attempt;
+      await this.runWithRetry(step);
+
+      if (step.until !== undefined && this.evaluate(step.until, { attempt })) {
+        return;
+      }
+    }
+
+    if (step.until !== undefined) {
+      throw new Error(`Condition "${step.until}" not met after ${times} attempt${times === 1 ? '' : 's'}`);
+    }
+  }
+
+  /**
+   * Run the body of a step, retrying it when it fails
+   * @param {Object} step - Step
+   * @throws {Error} If the last try fails
+   */
+  async runWithRetry(step) {
+    const retry = WorkflowRunner.parseLoop(step.retry, 'attempts');
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.runBody(step);
+        return;
+      } catch (error) {
+        if (attempt >= retry.count) {
+          throw error;
+        }
+        if (retry.delay) {
+          await WorkflowRunner.sleep(retry.delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run the body of a step once
+   * @param {Object} step - Step
+   * @throws {Error} If the step failed
+   */
+  async runBody(step) {
+    if (step.request !== undefined) {
+      await this.runRequest(step);
+      return;
+    }
+
+    if (step.steps !== undefined) {
+      if (!await this.runSteps(step.steps)) {
+        throw new Error('A nested step failed');
+      }
+      return;
+    }
+
+    const statuses = await Promise.all(step.parallel.map(branch => this.runStep(branch)));
+    const failed = statuses.filter(status => status === 'failed').length;
+    if (failed > 0) {
+      throw new Error(`${failed} of ${statuses.length} parallel branches failed`);
+    }
+  }
+
+  /**
+   * Send the request of a step and extract its variables
+   * @param {Object} step - Request step
+   * @throws {Error} If the request fails, its tests fail or an extract rule doesn't match
+   */
+  async runRequest(step) {
+    const { alias, itemPath } = WorkflowRunner.parseRequestRef(step, [...this.runners.keys()]);
+    const runner = this.runners.get(alias);
+    const entry = runner.findItem(itemPath);
+    if (!entry) {
+      throw new Error(`Request "${itemPath}" not found in collection "${alias}"`);
+    }
+
+    const result = await runner.runItem(entry);
+    result.path = `${alias}/${result.path}`;
+    result.step = WorkflowRunner.getStepName(step);
+    this.results.push(result);
+    this.hooks.onRequest?.(result, step);
+
+    if (result.response) {
+      this.lastResponse = result.response;
+    }
+    if (CollectionRunner.hasFailed(result)) {
+      throw new Error(result.error || result.scriptErrors[0] || 'Request tests failed');
+    }
+
+    for (const [name, rule] of Object.entries(step.extract || {})) {
+      this.scope.scope('local').set(name, this.extract(rule, result.response, name));
+    }
+  }
+
+  /**
+   * Extract a value from a response
+   * @param {string|Object} rule - Extract rule, see parseExtractRule()
+   * @param {Object} response - Runner response
+   * @param {string} name - Variable name, used in error messages
+   * @returns {*} Extracted value
+   * @throws {Error} If nothing matches
+   */
+  extract(rule, response, name) {
+    const { type, expression, group } = WorkflowRunner.parseExtractRule(rule);
+    let value;
+
+    switch (type) {
+      case 'jsonpath': {
+        let body;
+        try {
+          body = JSON.parse(response.body);
+        } catch {
+          throw new Error(`Cannot extract "${name}": response body is not JSON`);
+        }
+        value = JsonPath.get(body, expression);
+        break;
+      }
+      case 'regex':
+        value = response.body.match(new RegExp(expression))?.[group];
+        break;
+      case 'header': {
+        const key = Object.keys(response.headers).find(header => header.toLowerCase() === expression.toLowerCase());
+        value = key === undefined ? undefined : response.headers[key];
+        break;
+      }
+    }
+
+    if (value === undefined) {
+      throw new Error(`Cannot extract "${name}": ${type} ${expression} did not match`);
+    }
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
+  /**
+   * Evaluate an if or until expression. Variables are available by name and through
+   * `vars`; `response` is the last response (code, status, headers, body, json()).
+   * @param {string} expression - JavaScript expression
+   * @param {Object} extra - Additional names, such as attempt
+   * @returns {boolean} Result of the expression
+   * @throws {Error} If the expression can't be evaluated
+   */
+  evaluate(expression, extra = {}) {
+    const variables = this.scope.toObject();
+    const response = this.lastResponse;
+    const context = {
+      ...variables,
+      vars: variables,
+      response: response && {
+        code: response.code,
+        status: response.status,
+        headers: response.headers,
+        body: response.body,
+        json: () => JSON.parse(response.body)
+      },
+      ...extra
+    };
+
+    try {
+      return !!vm.runInNewContext(`(${expression})`, context, { timeout: WorkflowRunner.CONDITION_TIMEOUT });
+    } catch (error) {
+      throw new Error(`Cannot evaluate "${expression}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Display name of a step
+   * @param {Object} step - Step
+   * @returns {string} Name
+   */
+  static getStepName(step) {
+    if (step.name) {
+      return step.name;
+    }
+    if (step.request !== undefined) {
+      return step.request;
+    }
+    return step.parallel !== undefined ? 'Parallel steps' : 'Steps';
+  }
+
+  /**
+   * Wait for a while
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default WorkflowRunner;
@@ -0,0 +1,19 @@
+import ExitCodes from './exit-codes.js';
+
+/**
+ * Error that ends the command with a message and a specific exit code. Thrown errors of this
+ * type are reported by the entry point instead of the command's own error handling.
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - Message shown to the user
+   * @param {number} exitCode - Exit code from ExitCodes
+   */
+  constructor(message, exitCode = ExitCodes.FAILURE) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+export default CliError;
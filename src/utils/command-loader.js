@@ -47,7 +47,8 @@ class CommandLoader {
             // Register each sub-command
             for (const subCommand of commandModule.run) {
               if (subCommand.name && typeof subCommand.run === 'function') {
-                const subCmd = parentCommand.command(subCommand.name);
+                // A default sub-command runs when only the parent command is given
+                const subCmd = parentCommand.command(subCommand.name, { isDefault: !!subCommand.isDefault });
 
                 // Set description from help
                 if (subCommand.help) {
@@ -65,6 +66,8 @@ class CommandLoader {
                   subCmd.arguments(subCommand.arguments);
                 }
 
+                this.registerOptions(subCmd, subCommand.options);
+
               } else {
                 Logger.warn(`Sub-command in ${commandFile} must have 'name' and 'run' properties`);
               }
@@ -83,6 +86,13 @@ class CommandLoader {
 
             // Register the run function as the action
             command.action(commandModule.run);
+
+            // `arguments` can't be used as an export name in strict mode
+            if (commandModule.args) {
+              command.arguments(commandModule.args);
+            }
+
+            this.registerOptions(command, commandModule.options);
           } else {
             Logger.warn(`Command file ${commandFile} must export 'run' as function or array of sub-commands`);
           }
@@ -95,6 +105,34 @@ class CommandLoader {
     }
   }
 
+  /**
+   * Register options declared by a command module
+   * @param {Object} command - Commander.js command instance
+   * @param {Array<Object>} options - Options with flags, description and optional parser and defaultValue
+   */
+  static registerOptions(command, options = []) {
+    for (const option of options) {
+      if (option.parser) {
+        command.option(option.flags, option.description, option.parser, option.defaultValue);
+      } else {
+        command.option(option.flags, option.description, option.defaultValue);
+      }
+    }
+  }
+
+  /**
+   * Register an option on a command and every command below it, so it can be given
+   * before or after any command name
+   * @param {Object} command - Commander.js command instance
+   * @param {string} flags - Option flags
+   * @param {string} description - Option description
+   */
+  static registerGlobalOption(command, flags, description) {
+    command.option(flags, description);
+    for (const subCommand of command.commands) {
+      this.registerGlobalOption(subCommand, flags, description);
+    }
+  }
 }
 
 export default CommandLoader;
\ No newline at end of file
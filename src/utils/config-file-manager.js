@@ -1,15 +1,11 @@
 import fs from 'fs';
-import path from 'path';
-import os from 'os';
-import { createRequire } from 'module';
 import ShellDetector from './shell-detector.js';
 import Logger from './logger.js';
 
-const require = createRequire(import.meta.url);
-
 class ConfigFileManager {
   /**
-   * Read environment variables from shell config files
+   * Read an environment variable, falling back to the export lines of shell config files
+   * written by older versions. Nothing is written to shell config files anymore.
    * @param {string} variableName - Name of the environment variable to read
    * @returns {string|null} Value of the environment variable or null if not found
    */
@@ -19,7 +15,15 @@ class ConfigFileManager {
       return process.env[variableName];
     }
 
-    // Then check shell config files
+    return this.readShellVariable(variableName)?.value ?? null;
+  }
+
+  /**
+   * Read an exported variable from the shell config files
+   * @param {string} variableName - Name of the environment variable to read
+   * @returns {Object|null} { value, configPath } or null if not found
+   */
+  static readShellVariable(variableName) {
     const shell = ShellDetector.detectShell();
     const configPaths = ShellDetector.getAllShellConfigPaths(shell);
 
@@ -29,7 +33,7 @@ class ConfigFileManager {
           const content = fs.readFileSync(configPath, 'utf8');
           const value = this.extractEnvVariable(content, variableName, shell);
           if (value) {
-            return value;
+            return { value, configPath };
           }
         } catch (error) {
           Logger.debug(`Error reading config file ${configPath}:`, error.message);
@@ -41,116 +45,45 @@ class ConfigFileManager {
   }
 
   /**
-   * Write environment variable to shell config file
-   * @param {string} variableName - Name of the environment variable
-   * @param {string} value - Value of the environment variable
+   * Remove the export lines of environment variables from every shell config file
+   * @param {Array<string>} variableNames - Names of the environment variables to remove
    * @param {Object} options - Configuration options
-   * @returns {boolean} True if successful, false otherwise
+   * @param {boolean} options.backup - Copy each changed file to <file>.flowman.bak first
+   * @returns {Array<string>} Paths of the files that were changed
+   * @throws {Error} If a config file can't be rewritten
    */
-  static writeEnvVariable(variableName, value, options = {}) {
-    const {
-      shell = ShellDetector.detectShell(),
-      comment = `Added by ${require('../../package.json').name}`,
-      overwrite = true
-    } = options;
-
-    if (!ShellDetector.supportsEnvPersistence(shell)) {
-      Logger.warn(`Shell ${shell} doesn't support persistent environment variables`);
-      return false;
-    }
-
-    const configPath = ShellDetector.getShellConfigPath(shell);
-    const exportSyntax = ShellDetector.getExportSyntax(shell);
+  static removeEnvVariables(variableNames, options = {}) {
+    const { shell = ShellDetector.detectShell(), backup = false } = options;
+    const changed = [];
 
-    try {
-      // Ensure directory exists
-      const configDir = path.dirname(configPath);
-      if (!fs.existsSync(configDir)) {
-        fs.mkdirSync(configDir, { recursive: true });
+    for (const configPath of ShellDetector.getAllShellConfigPaths(shell)) {
+      if (!fs.existsSync(configPath)) {
+        continue;
       }
 
-      let content = '';
-      let existingContent = '';
-
-      // Read existing content if file exists
-      if (fs.existsSync(configPath)) {
-        existingContent = fs.readFileSync(configPath, 'utf8');
-        content = existingContent;
-      }
-
-      // Check if variable already exists
-      const existingValue = this.extractEnvVariable(content, variableName, shell);
-
-      if (existingValue && !overwrite) {
-        Logger.info(`Environment variable ${variableName} already exists`);
-        return true;
-      }
-
-      // Remove existing variable if it exists
-      if (existingValue) {
-        content = this.removeEnvVariable(content, variableName, shell);
+      const content = fs.readFileSync(configPath, 'utf8');
+      const newContent = variableNames.reduce((current, name) => this.stripEnvVariable(current, name, shell), content);
+      if (newContent === content) {
+        continue;
       }
 
-      // Generate the export line based on shell syntax
-      let exportLine;
-      switch (shell) {
-        case 'fish':
-          exportLine = `${exportSyntax} ${variableName} "${value}"`;
-          break;
-        case 'powershell':
-          exportLine = `${exportSyntax}${variableName} = "${value}"`;
-          break;
-        default:
-          exportLine = `${exportSyntax} ${variableName}="${value}"`;
+      try {
+        if (backup && !fs.existsSync(`${configPath}.flowman.bak`)) {
+          fs.copyFileSync(configPath, `${configPath}.flowman.bak`);
+        }
+        // Replace the file in one step, keeping its permissions
+        const tempPath = `${configPath}.flowman.tmp`;
+        fs.writeFileSync(tempPath, newContent, { encoding: 'utf8', mode: fs.statSync(configPath).mode });
+        fs.renameSync(tempPath, configPath);
+      } catch (error) {
+        throw new Error(`Error removing variables from config file ${configPath}: ${error.message}`);
       }
 
-      // Add the new variable with comment
-      const newContent = content +
-        (content && !content.endsWith('\n') ? '\n' : '') +
-        `\n# ${comment}\n${exportLine}\n`;
-
-      // Write to file
-      fs.writeFileSync(configPath, newContent, 'utf8');
-      Logger.success(`Environment variable ${variableName} added to ${configPath}`);
-
-      return true;
-    } catch (error) {
-      Logger.error(`Error writing to config file ${configPath}:`, error.message);
-      return false;
+      Logger.debug(`Removed ${variableNames.join(', ')} from ${configPath}`);
+      changed.push(configPath);
     }
-  }
-
-  /**
-   * Remove environment variable from shell config file
-   * @param {string} variableName - Name of the environment variable to remove
-   * @param {Object} options - Configuration options
-   * @returns {boolean} True if successful, false otherwise
-   */
-  static removeEnvVariable(variableName, options = {}) {
-    const { shell = ShellDetector.detectShell() } = options;
-    const configPath = ShellDetector.getShellConfigPath(shell);
 
-    if (!fs.existsSync(configPath)) {
-      Logger.info(`Config file ${configPath} doesn't exist`);
-      return true;
-    }
-
-    try {
-      const content = fs.readFileSync(configPath, 'utf8');
-      const newContent = this.removeEnvVariable(content, variableName, shell);
-
-      if (content !== newContent) {
-        fs.writeFileSync(configPath, newContent, 'utf8');
-        Logger.success(`Environment variable ${variableName} removed from ${configPath}`);
-      } else {
-        Logger.info(`Environment variable ${variableName} not found in config file`);
-      }
-
-      return true;
-    } catch (error) {
-      Logger.error(`Error removing variable from config file ${configPath}:`, error.message);
-      return false;
-    }
+    return changed;
   }
 
   /**
@@ -174,18 +107,19 @@ class ConfigFileManager {
   }
 
   /**
-   * Remove environment variable lines from content
+   * Remove environment variable lines from content, with the flowman-cli comment above them
    * @param {string} content - File content
    * @param {string} variableName - Variable name to remove
    * @param {string} shell - Shell type
    * @returns {string} Content with variable removed
    */
-  static removeEnvVariable(content, variableName, shell) {
+  static stripEnvVariable(content, variableName, shell) {
+    const comment = '(?:^[ \\t]*#[^\\n]*flowman-cli[^\\n]*\\n)?';
     const patterns = {
-      bash: new RegExp(`^\\s*export\\s+${variableName}=.*$`, 'gm'),
-      zsh: new RegExp(`^\\s*export\\s+${variableName}=.*$`, 'gm'),
-      fish: new RegExp(`^\\s*set\\s+-gx\\s+${variableName}\\s+.*$`, 'gm'),
-      powershell: new RegExp(`^\\s*\\$env:${variableName}\\s*=.*$`, 'gm')
+      bash: new RegExp(`${comment}^\\s*export\\s+${variableName}=.*$\\n?`, 'gm'),
+      zsh: new RegExp(`${comment}^\\s*export\\s+${variableName}=.*$\\n?`, 'gm'),
+      fish: new RegExp(`${comment}^\\s*set\\s+-gx\\s+${variableName}\\s+.*$\\n?`, 'gm'),
+      powershell: new RegExp(`${comment}^\\s*\\$env:${variableName}\\s*=.*$\\n?`, 'gm')
     };
 
     const pattern = patterns[shell] || patterns.bash;
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import Logger from './logger.js';
+import CliError from './cli-error.js';
+
+/**
+ * Settings and credentials of flowman-cli, stored as JSON in ~/.config/flowman/config.json.
+ * The directory is private to the user (0700), the file is 0600 and every write replaces it
+ * atomically so a crash never leaves a truncated config behind.
+ */
+class ConfigStore {
+  static FILE_NAME = 'config.json';
+
+  /**
+   * Get the config directory, honoring FLOWMAN_CONFIG_DIR and XDG_CONFIG_HOME
+   * @returns {string} Directory path
+   */
+  static getConfigDir() {
+    if (process.env.FLOWMAN_CONFIG_DIR) {
+      return process.env.FLOWMAN_CONFIG_DIR;
+    }
+    const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(base, 'flowman');
+  }
+
+  /**
+   * Get the config file path
+   * @returns {string} File path
+   */
+  static getConfigPath() {
+    return path.join(this.getConfigDir(), this.FILE_NAME);
+  }
+
+  /**
+   * Read the whole config. A file that isn't a JSON object is moved aside, so the next write
+   * doesn't replace the settings it may still hold.
+   * @returns {Object} Config, empty when the file doesn't exist or can't be parsed
+   * @throws {CliError} If an unreadable file can't be moved aside
+   */
+  static read() {
+    const configPath = this.getConfigPath();
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+
+    let reason;
+    try {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (config && typeof config === 'object' && !Array.isArray(config)) {
+        return config;
+      }
+      reason = 'not a JSON object';
+    } catch (error) {
+      reason = error.message;
+    }
+
+    const backupPath = `${configPath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(configPath, backupPath);
+    } catch (error) {
+      throw new CliError(`Config file ${configPath} is unreadable (${reason}) and can't be moved aside: ${error.message}`);
+    }
+    Logger.warn(`Config file ${configPath} is unreadable (${reason}). Moved it to ${backupPath}, starting with an empty config`);
+    return {};
+  }
+
+  /**
+   * Replace the whole config atomically
+   * @param {Object} config - Config to write
+   * @returns {boolean} True if successful
+   */
+  static write(config) {
+    const configPath = this.getConfigPath();
+    try {
+      this.writePrivateFile(configPath, `${JSON.stringify(config, null, 2)}\n`);
+      return true;
+    } catch (error) {
+      Logger.error(`Error writing config file ${configPath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Atomically replace a file that only the user may read, creating its directory as 0700
+   * @param {string} filePath - File to write
+   * @param {string|Buffer} content - File content
+   * @throws {Error} If the file can't be written
+   */
+  static writePrivateFile(filePath, content) {
+    const dir = path.dirname(filePath);
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    try {
+      const fd = fs.openSync(tempPath, 'wx', 0o600);
+      try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a config value
+   * @param {string} key - Config key
+   * @returns {*} Value or null if not set
+   */
+  static get(key) {
+    return this.read()[key] ?? null;
+  }
+
+  /**
+   * Set a config value
+   * @param {string} key - Config key
+   * @param {*} value - Value
+   * @returns {boolean} True if successful
+   */
+  static set(key, value) {
+    return this.write({ ...this.read(), [key]: value });
+  }
+
+  /**
+   * Remove a config value
+   * @param {string} key - Config key
+   * @returns {boolean} True if the key was set
+   */
+  static unset(key) {
+    const config = this.read();
+    if (!(key in config)) {
+      return false;
+    }
+    delete config[key];
+    return this.write(config);
+  }
+}
+
+export default ConfigStore;
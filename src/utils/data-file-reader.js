@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Reads iteration data for collection runs: CSV files with a header row, or JSON arrays of objects.
+ */
+class DataFileReader {
+  /**
+   * Read a data file
+   * @param {string} filePath - Path to a .csv or .json file
+   * @returns {Array<Object>} One object per row
+   * @throws {Error} If the file can't be read or has an unsupported shape
+   */
+  static read(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    } catch (error) {
+      throw new Error(`Unable to read data file ${filePath}: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const isJson = extension === '.json' || (extension !== '.csv' && /^\s*[[{]/.test(content));
+    return isJson ? this.parseJson(content, filePath) : this.parseCsv(content, filePath);
+  }
+
+  /**
+   * Parse JSON iteration data
+   * @param {string} content - File content
+   * @param {string} filePath - File path, used in error messages
+   * @returns {Array<Object>} Rows
+   * @throws {Error} If the content is not an array of objects
+   */
+  static parseJson(content, filePath) {
+    let rows;
+    try {
+      rows = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in data file ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error(`Data file ${filePath} must contain an array of objects`);
+    }
+    return rows;
+  }
+
+  /**
+   * Parse CSV iteration data; the first row holds the variable names
+   * @param {string} content - File content
+   * @param {string} filePath - File path, used in error messages
+   * @returns {Array<Object>} Rows
+   * @throws {Error} If a quoted field is not closed
+   */
+  static parseCsv(content, filePath) {
+    const records = this.parseCsvRecords(content, filePath)
+      .filter(record => record.length > 1 || record[0] !== '');
+    if (records.length === 0) {
+      return [];
+    }
+
+    const [header, ...rows] = records;
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ''])));
+  }
+
+  /**
+   * Split CSV content into records and fields (RFC 4180 quoting)
+   * @param {string} content - File content
+   * @param {string} filePath - File path, used in error messages
+   * @returns {Array<Array<string>>} Records
+   * @throws {Error} If a quoted field is not closed
+   */
+  static parseCsvRecords(content, filePath) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < content.length; index++) {
+      const char = content[index];
+
+      if (quoted) {
+        if (char === '"' && content[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[index + 1] === '\n') {
+          index++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`Unterminated quoted field in data file ${filePath}`);
+    }
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records;
+  }
+}
+
+export default DataFileReader;
@@ -0,0 +1,20 @@
+/**
+ * Process exit codes, so scripts can tell failures apart.
+ */
+class ExitCodes {
+  static SUCCESS = 0;
+  // Something failed: a request, a test, a sync
+  static FAILURE = 1;
+  // The command line itself is wrong: unknown command, profile or option value, or a setting it needs is missing
+  static USAGE = 2;
+  // A required input is missing and prompting is not possible
+  static INPUT_REQUIRED = 3;
+  // The command needs credentials and none are stored, or the Postman API rejected them
+  static NOT_AUTHENTICATED = 4;
+  // A workspace, collection or other resource doesn't exist
+  static NOT_FOUND = 5;
+  // The Postman API rate limit was hit and retrying didn't help
+  static RATE_LIMITED = 6;
+}
+
+export default ExitCodes;
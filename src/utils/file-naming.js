@@ -0,0 +1,38 @@
+class FileNaming {
+  /**
+   * Turn a name into a filesystem friendly slug
+   * @param {string} name - Name to slugify
+   * @returns {string} Slug
+   */
+  static slugify(name) {
+    const slug = String(name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    return slug || 'untitled';
+  }
+
+  /**
+   * Get a slug that is not yet used, appending a counter when needed
+   * @param {string} name - Name to slugify
+   * @param {Set<string>} used - Slugs already taken; the returned slug is added to it
+   * @returns {string} Unique slug
+   */
+  static uniqueSlug(name, used) {
+    const base = this.slugify(name);
+    let slug = base;
+    let counter = 2;
+
+    while (used.has(slug)) {
+      slug = `${base}-${counter++}`;
+    }
+
+    used.add(slug);
+    return slug;
+  }
+}
+
+export default FileNaming;
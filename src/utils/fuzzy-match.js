@@ -0,0 +1,74 @@
+/**
+ * Loose name matching for lookups typed by hand: case, accents, punctuation and spacing are
+ * ignored, and a query matches names that start with it, contain it, contain all of its words,
+ * or contain its letters in order.
+ */
+class FuzzyMatch {
+  /**
+   * Normalize a name for comparison
+   * @param {string} value - Name
+   * @returns {string} Lowercase words separated by single spaces
+   */
+  static normalize(value) {
+    return String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Score how well a name matches a query
+   * @param {string} query - Text typed by the user
+   * @param {string} name - Candidate name
+   * @returns {number} 5 for an exact match down to 1 for letters in order, 0 for no match
+   */
+  static score(query, name) {
+    const normalizedQuery = this.normalize(query);
+    const normalizedName = this.normalize(name);
+    if (!normalizedQuery) {
+      return 0;
+    }
+
+    if (normalizedName === normalizedQuery) {
+      return 5;
+    }
+    if (normalizedName.startsWith(normalizedQuery)) {
+      return 4;
+    }
+    if (normalizedName.includes(normalizedQuery)) {
+      return 3;
+    }
+    if (normalizedQuery.split(' ').every(word => normalizedName.includes(word))) {
+      return 2;
+    }
+
+    const compactName = normalizedName.replace(/ /g, '');
+    let position = 0;
+    for (const char of normalizedQuery.replace(/ /g, '')) {
+      position = compactName.indexOf(char, position) + 1;
+      if (position === 0) {
+        return 0;
+      }
+    }
+    return 1;
+  }
+
+  /**
+   * Find the items whose name matches a query, best matches first
+   * @param {string} query - Text typed by the user
+   * @param {Array<Object>} items - Candidates
+   * @param {Function} getName - Returns the name of an item
+   * @returns {Array<Object>} Matching items of the best score
+   */
+  static best(query, items, getName) {
+    const scored = items
+      .map(item => ({ item, score: this.score(query, getName(item)) }))
+      .filter(entry => entry.score > 0);
+    const top = Math.max(0, ...scored.map(entry => entry.score));
+    return scored.filter(entry => entry.score === top).map(entry => entry.item);
+  }
+}
+
+export default FuzzyMatch;
@@ -0,0 +1,64 @@
+import { confirm, isCancel } from '@clack/prompts';
+import CliError from './cli-error.js';
+import ExitCodes from './exit-codes.js';
+
+/**
+ * Decides whether commands may prompt. Prompting is off with --non-interactive or --yes, and
+ * when stdin or stdout is not a terminal; commands then need their input as arguments and fail
+ * with ExitCodes.INPUT_REQUIRED instead of waiting for an answer that never comes.
+ */
+class Interaction {
+  static assumeYes = false;
+  static nonInteractive = false;
+
+  /**
+   * Apply the global options
+   * @param {Object} options - Command options
+   * @param {boolean} options.yes - Answer yes to confirmations and never prompt
+   * @param {boolean} options.nonInteractive - Never prompt
+   */
+  static configure({ yes = false, nonInteractive = false } = {}) {
+    this.assumeYes = !!yes;
+    this.nonInteractive = !!nonInteractive || !!yes;
+  }
+
+  /**
+   * Check if prompts can be shown
+   * @returns {boolean} True if interactive
+   */
+  static isInteractive() {
+    if (this.nonInteractive) {
+      return false;
+    }
+    return !!process.stdin.isTTY && !!process.stdout.isTTY;
+  }
+
+  /**
+   * Fail because an input is missing and can't be asked for
+   * @param {string} message - What is missing and how to provide it
+   * @throws {CliError} Always
+   */
+  static requireInput(message) {
+    throw new CliError(message, ExitCodes.INPUT_REQUIRED);
+  }
+
+  /**
+   * Ask for confirmation, or use --yes when prompting is not possible
+   * @param {Object} options - Options of the clack confirm prompt
+   * @returns {Promise<boolean>} True if confirmed, false if declined or cancelled
+   * @throws {CliError} If prompting is not possible and --yes wasn't given
+   */
+  static async confirm(options) {
+    if (this.assumeYes) {
+      return true;
+    }
+    if (!this.isInteractive()) {
+      this.requireInput(`Confirmation needed: "${options.message}" Pass --yes to confirm without a prompt`);
+    }
+
+    const answer = await confirm(options);
+    return !isCancel(answer) && answer === true;
+  }
+}
+
+export default Interaction;
@@ -0,0 +1,115 @@
+/**
+ * Minimal JSONPath: $, .name, ['name'], [0], [-1], [*], .* and ..name (recursive descent).
+ */
+class JsonPath {
+  /**
+   * Split a JSONPath expression into tokens
+   * @param {string} expression - JSONPath expression
+   * @returns {Array<Object>} Tokens: { type: 'child'|'index'|'wildcard'|'descendant', value }
+   * @throws {Error} If the expression is invalid
+   */
+  static parse(expression) {
+    const source = expression.trim();
+    if (!source.startsWith('$')) {
+      throw new Error(`JSONPath must start with $: ${expression}`);
+    }
+
+    const tokens = [];
+    let index = 1;
+    while (index < source.length) {
+      const rest = source.slice(index);
+      let match;
+
+      if ((match = rest.match(/^\.\.([A-Za-z_$][\w$-]*|\*)/))) {
+        tokens.push({ type: 'descendant', value: match[1] });
+      } else if ((match = rest.match(/^\.([A-Za-z_$][\w$-]*)/))) {
+        tokens.push({ type: 'child', value: match[1] });
+      } else if ((match = rest.match(/^(?:\.\*|\[\*\])/))) {
+        tokens.push({ type: 'wildcard' });
+      } else if ((match = rest.match(/^\[(-?\d+)\]/))) {
+        tokens.push({ type: 'index', value: parseInt(match[1], 10) });
+      } else if ((match = rest.match(/^\[(['"])(.*?)\1\]/))) {
+        tokens.push({ type: 'child', value: match[2] });
+      } else {
+        throw new Error(`Invalid JSONPath at "${rest}": ${expression}`);
+      }
+
+      index += match[0].length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Find every value matching a JSONPath expression
+   * @param {*} data - Parsed JSON
+   * @param {string} expression - JSONPath expression
+   * @returns {Array<*>} Matching values
+   */
+  static query(data, expression) {
+    let current = [data];
+
+    for (const token of this.parse(expression)) {
+      const next = [];
+      for (const value of current) {
+        switch (token.type) {
+          case 'child':
+            if (value && typeof value === 'object' && Object.hasOwn(value, token.value)) {
+              next.push(value[token.value]);
+            }
+            break;
+          case 'index':
+            if (Array.isArray(value)) {
+              const position = token.value < 0 ? value.length + token.value : token.value;
+              if (position >= 0 && position < value.length) {
+                next.push(value[position]);
+              }
+            }
+            break;
+          case 'wildcard':
+            if (value && typeof value === 'object') {
+              next.push(...Object.values(value));
+            }
+            break;
+          case 'descendant':
+            this.collectDescendants(value, token.value, next);
+            break;
+        }
+      }
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Get the first value matching a JSONPath expression
+   * @param {*} data - Parsed JSON
+   * @param {string} expression - JSONPath expression
+   * @returns {*} First match or undefined
+   */
+  static get(data, expression) {
+    return this.query(data, expression)[0];
+  }
+
+  /**
+   * Collect values of a key at any depth
+   * @param {*} value - Value to search
+   * @param {string} key - Key to find, or * for every value
+   * @param {Array<*>} matches - Matches, updated in place
+   */
+  static collectDescendants(value, key, matches) {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    for (const [childKey, child] of Object.entries(value)) {
+      if (key === '*' || childKey === key) {
+        matches.push(child);
+      }
+      this.collectDescendants(child, key, matches);
+    }
+  }
+}
+
+export default JsonPath;
@@ -0,0 +1,19 @@
+class Markup {
+  /**
+   * Escape text for use in XML or HTML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+}
+
+export default Markup;
@@ -0,0 +1,77 @@
+import { InvalidArgumentError } from 'commander';
+import RunReporter from '../lib/run-reporter.js';
+
+/**
+ * Value parsers for command options, shared by commands with the same options.
+ */
+class OptionParsers {
+  /**
+   * Collect repeated option values
+   * @param {string} value - Option value
+   * @param {Array<string>} previous - Values collected so far
+   * @returns {Array<string>} All values
+   */
+  static collect(value, previous = []) {
+    return [...previous, value];
+  }
+
+  /**
+   * Parse a positive integer
+   * @param {string} value - Option value
+   * @returns {number} Parsed value
+   * @throws {InvalidArgumentError} If the value is not a positive integer
+   */
+  static positiveInteger(value) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw new InvalidArgumentError('Must be a positive integer.');
+    }
+    return parsed;
+  }
+
+  /**
+   * Parse a delay in milliseconds or a range of delays
+   * @param {string} value - Option value, e.g. 300 or 100-800
+   * @returns {Object} { min, max } in milliseconds
+   * @throws {InvalidArgumentError} If the value is not a delay or a range
+   */
+  static latency(value) {
+    const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new InvalidArgumentError('Must be milliseconds (300) or a range (100-800).');
+    }
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : Number(match[2]);
+    if (max < min) {
+      throw new InvalidArgumentError('The end of the range must not be below its start.');
+    }
+    return { min, max };
+  }
+
+  /**
+   * Parse a comma separated list of reporter names
+   * @param {string} value - Reporter names
+   * @returns {Array<string>} Reporter names
+   * @throws {InvalidArgumentError} If a reporter is unknown
+   */
+  static reporters(value) {
+    try {
+      return RunReporter.parseNames(value);
+    } catch (error) {
+      throw new InvalidArgumentError(error.message);
+    }
+  }
+
+  /**
+   * Reporter options, for commands that write run reports
+   * @returns {Array<Object>} Option definitions
+   */
+  static reporterOptions() {
+    return [
+      { flags: '-r, --reporter <names>', description: `Write reports: ${[...RunReporter.reporters.keys()].join(', ')} (comma separated)`, parser: OptionParsers.reporters },
+      { flags: '--reporter-out <dir>', description: 'Directory for reports', defaultValue: 'flowman-reports' }
+    ];
+  }
+}
+
+export default OptionParsers;
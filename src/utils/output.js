@@ -0,0 +1,119 @@
+import CliError from './cli-error.js';
+import ExitCodes from './exit-codes.js';
+
+/**
+ * Selects how commands print their result. `table` is the decorated terminal output. With
+ * `json` or `plain` the result is the only thing written to stdout, as one JSON document or as
+ * tab separated lines; everything else (prompts, spinners, logs) goes to stderr so the result
+ * can be piped into other tools.
+ */
+class Output {
+  static FORMATS = ['table', 'json', 'plain'];
+
+  static format = 'table';
+  static writeResult = null;
+
+  /**
+   * Apply the global options
+   * @param {Object} options - Command options
+   * @param {string} options.output - Output format
+   * @param {boolean} options.json - Shorthand for --output json
+   * @throws {CliError} If the format is unknown
+   */
+  static configure({ output = 'table', json = false } = {}) {
+    const format = json ? 'json' : output;
+    if (!this.FORMATS.includes(format)) {
+      throw new CliError(`Unknown output format "${format}". Available formats: ${this.FORMATS.join(', ')}`, ExitCodes.USAGE);
+    }
+
+    this.format = format;
+    if (format !== 'table' && !this.writeResult) {
+      // Clack and Logger write to process.stdout directly, so stdout is handed over to stderr
+      // and only print() keeps the real one
+      this.writeResult = process.stdout.write.bind(process.stdout);
+      process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+  }
+
+  /**
+   * Check if results are rendered for a terminal
+   * @returns {boolean} True for the table format
+   */
+  static isTable() {
+    return this.format === 'table';
+  }
+
+  /**
+   * Print the result of a command
+   * @param {*} data - Result: an array of rows or an object
+   * @param {Object} options - Rendering options
+   * @param {Function} options.table - Renders the result for a terminal
+   * @param {Array<string>} options.columns - Row fields printed by the plain format (default: all)
+   * @param {Function} options.plain - Picks what the plain format prints from the result (optional);
+   *   a string is printed as it is
+   */
+  static print(data, { table, columns, plain } = {}) {
+    if (this.format === 'table') {
+      table?.(data);
+    } else if (this.format === 'json') {
+      this.writeResult(`${JSON.stringify(data, null, 2)}\n`);
+    } else {
+      const picked = plain ? plain(data) : data;
+      if (plain && typeof picked === 'string') {
+        this.writeResult(picked);
+        return;
+      }
+      const lines = this.toPlainLines(picked, columns);
+      this.writeResult(lines.length ? `${lines.join('\n')}\n` : '');
+    }
+  }
+
+  /**
+   * Convert a result into plain lines: one tab separated line per row of an array, and one
+   * "key<TAB>value" line per field of an object, with nested fields joined by dots
+   * @param {*} data - Result
+   * @param {Array<string>} columns - Row fields to print (default: all)
+   * @returns {Array<string>} Lines
+   */
+  static toPlainLines(data, columns) {
+    if (Array.isArray(data)) {
+      return data.map(row => {
+        if (row === null || typeof row !== 'object') {
+          return this.toPlainValue(row);
+        }
+        return (columns || Object.keys(row)).map(column => this.toPlainValue(row[column])).join('\t');
+      });
+    }
+    if (data === null || typeof data !== 'object') {
+      return [this.toPlainValue(data)];
+    }
+
+    const lines = [];
+    const flatten = (value, prefix) => {
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, nested] of Object.entries(value)) {
+          flatten(nested, prefix ? `${prefix}.${key}` : key);
+        }
+      } else {
+        lines.push(`${prefix}\t${this.toPlainValue(value)}`);
+      }
+    };
+    flatten(data, '');
+    return lines;
+  }
+
+  /**
+   * Format a single value for the plain format
+   * @param {*} value - Value
+   * @returns {string} Value without tabs or line breaks
+   */
+  static toPlainValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+}
+
+export default Output;
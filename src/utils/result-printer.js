@@ -0,0 +1,48 @@
+import chalk from 'chalk';
+import Logger from './logger.js';
+
+class ResultPrinter {
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Human readable size
+   */
+  static formatSize(bytes) {
+    return bytes < 1024 ? `${bytes}B` : `${(bytes / 1024).toFixed(1)}KB`;
+  }
+
+  /**
+   * Print the outcome of a single request, with its tests and script errors
+   * @param {Object} result - Request result from CollectionRunner.runItem
+   * @param {string} title - Title to print instead of the request path (optional)
+   */
+  static printResult(result, title = result.path) {
+    if (result.error) {
+      Logger.error(`${chalk.bold(title)} ${chalk.red(result.error)}`);
+    } else {
+      const { request, response } = result;
+      const color = response.code < 400 ? 'green' : 'yellow';
+      Logger.log(
+        `${chalk[color]('→')} ${chalk.bold(title)}\n` +
+        `  ${request.method} ${request.url} ${chalk[color](`${response.code} ${response.status}`)} ` +
+        chalk.gray(`${response.responseTime}ms ${this.formatSize(response.size)}`)
+      );
+    }
+
+    for (const test of result.tests) {
+      if (test.skipped) {
+        Logger.log(`  ${chalk.gray('-')} ${chalk.gray(test.name)}`);
+      } else if (test.passed) {
+        Logger.log(`  ${chalk.green('✓')} ${test.name}`);
+      } else {
+        Logger.log(`  ${chalk.red('✗')} ${test.name}\n    ${chalk.red(test.error)}`);
+      }
+    }
+
+    for (const scriptError of result.scriptErrors) {
+      Logger.log(`  ${chalk.red('✗')} ${chalk.red(scriptError)}`);
+    }
+  }
+}
+
+export default ResultPrinter;
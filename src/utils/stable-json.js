@@ -0,0 +1,54 @@
+import fs from 'fs';
+
+class StableJson {
+  /**
+   * Serialize a value as JSON with sorted object keys so output is deterministic
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON string ending with a newline
+   */
+  static stringify(value) {
+    return JSON.stringify(this.sortKeys(value), null, 2) + '\n';
+  }
+
+  /**
+   * Recursively sort object keys, keeping array order intact
+   * @param {*} value - Value to sort
+   * @returns {*} Copy of the value with sorted keys
+   */
+  static sortKeys(value) {
+    if (Array.isArray(value)) {
+      return value.map(entry => this.sortKeys(entry));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this.sortKeys(value[key]);
+        return sorted;
+      }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Write a JSON file deterministically
+   * @param {string} filePath - File path
+   * @param {*} value - Value to write
+   */
+  static write(filePath, value) {
+    fs.writeFileSync(filePath, this.stringify(value), 'utf8');
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} filePath - File path
+   * @returns {*} Parsed value or null if missing or invalid
+   */
+  static read(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default StableJson;
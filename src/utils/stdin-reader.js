@@ -0,0 +1,23 @@
+/**
+ * Reads piped input.
+ */
+class StdinReader {
+  /**
+   * Read everything written to stdin
+   * @returns {Promise<string>} Input text
+   * @throws {Error} If stdin is a terminal, so nothing was piped
+   */
+  static async read() {
+    if (process.stdin.isTTY) {
+      throw new Error('Nothing piped to stdin');
+    }
+
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+}
+
+export default StdinReader;
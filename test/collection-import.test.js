@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '../bin/flowman.js');
+
+describe('collection import --out', () => {
+  let tmpDir;
+
+  /**
+   * Run the CLI without a terminal
+   * @param {Array<string>} args - Arguments
+   * @returns {Object} spawnSync result
+   */
+  const flowman = (args) => spawnSync(process.execPath, [BIN, ...args], {
+    env: { ...process.env, HOME: tmpDir, XDG_CONFIG_HOME: path.join(tmpDir, '.config'), FLOWMAN_CACHE_DIR: path.join(tmpDir, 'cache') },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-import-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes a captured request into a new directory', () => {
+    const dir = path.join(tmpDir, 'new');
+
+    const result = flowman(['collection', 'import', '--curl', 'curl https://api.example.com/x', '--name', 'Captured', '--out', dir]);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(fs.existsSync(path.join(dir, 'collection.json')));
+  });
+
+  it('refuses a directory that holds other files and leaves them alone', () => {
+    const dir = path.join(tmpDir, 'victim');
+    fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'src', 'keep.txt'), 'keep');
+    fs.writeFileSync(path.join(dir, 'README'), 'readme');
+
+    const result = flowman(['collection', 'import', '--curl', 'curl https://api.example.com/x', '--out', dir]);
+
+    assert.equal(result.status, 2);
+    assert.match(result.stderr + result.stdout, /not empty/);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['README', 'src']);
+    assert.equal(fs.readFileSync(path.join(dir, 'src', 'keep.txt'), 'utf8'), 'keep');
+  });
+
+  it('replaces a collection directory only when confirmed', () => {
+    const dir = path.join(tmpDir, 'existing');
+    assert.equal(flowman(['collection', 'import', '--curl', 'curl https://api.example.com/a', '--out', dir]).status, 0);
+
+    const unconfirmed = flowman(['collection', 'import', '--curl', 'curl https://api.example.com/b', '--out', dir]);
+    assert.notEqual(unconfirmed.status, 0);
+    assert.ok(fs.readdirSync(dir).some(file => file.startsWith('get-a')));
+
+    const confirmed = flowman(['collection', 'import', '--curl', 'curl https://api.example.com/b', '--out', dir, '--yes']);
+    assert.equal(confirmed.status, 0, confirmed.stderr);
+    assert.ok(fs.readdirSync(dir).some(file => file.startsWith('get-b')));
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CollectionMerge from '../src/lib/collection-merge.js';
+import CollectionDiff from '../src/lib/collection-diff.js';
+import SyncState from '../src/lib/sync-state.js';
+
+/**
+ * Record a collection the way the sync state does after a sync
+ * @param {Object} collection - Synced collection
+ * @returns {Object} Sync state entry with item and metadata hashes
+ */
+function baseOf(collection) {
+  return SyncState.collectionEntry(collection, 'collections/users', '2024-01-01T00:00:00.000Z');
+}
+
+/**
+ * Build a request item
+ * @param {string} id - Item id
+ * @param {string} name - Item name
+ * @param {string} url - Request URL
+ * @returns {Object} Request item
+ */
+function request(id, name, url = `https://api.example.com/${name}`) {
+  return { id, name, request: { method: 'GET', url } };
+}
+
+const noConflicts = async (conflict) => {
+  throw new Error(`Unexpected conflict on ${conflict.path}`);
+};
+
+describe('CollectionMerge', () => {
+  describe('decide', () => {
+    it('keeps the side that changed', () => {
+      assert.equal(CollectionMerge.decide('a', 'a', 'a').decision, 'local');
+      assert.equal(CollectionMerge.decide('b', 'a', 'a').decision, 'local');
+      assert.equal(CollectionMerge.decide('a', 'b', 'a').decision, 'remote');
+      assert.equal(CollectionMerge.decide('b', 'c', 'a').decision, 'conflict');
+    });
+
+    it('tells deletions from additions with the base', () => {
+      assert.equal(CollectionMerge.decide('a', undefined, undefined).decision, 'local');
+      assert.equal(CollectionMerge.decide('a', undefined, 'a').decision, 'remote');
+      assert.equal(CollectionMerge.decide('b', undefined, 'a').decision, 'conflict');
+      assert.equal(CollectionMerge.decide(undefined, 'a', undefined).decision, 'remote');
+      assert.equal(CollectionMerge.decide(undefined, 'a', 'a').decision, 'local');
+      assert.equal(CollectionMerge.decide(undefined, 'b', 'a').decision, 'conflict');
+    });
+  });
+
+  describe('mergeCollections', () => {
+    const synced = {
+      info: { name: 'Users' },
+      item: [
+        request('r1', 'list'),
+        { id: 'f1', name: 'Admin', item: [request('r2', 'ban'), request('r3', 'unban')] }
+      ]
+    };
+
+    it('applies changes made on different sides without conflicts', async () => {
+      const local = structuredClone(synced);
+      local.item[0].request.url = 'https://api.example.com/users';
+      local.item.push(request(undefined, 'added locally'));
+      const remote = structuredClone(synced);
+      remote.item[1].item[0].request.method = 'POST';
+      remote.item[1].item.push(request('r4', 'audit'));
+
+      const { merged, conflicts } = await CollectionMerge.mergeCollections(baseOf(synced), local, remote, noConflicts);
+
+      assert.deepEqual(conflicts, []);
+      assert.equal(merged.item[0].request.url, 'https://api.example.com/users');
+      assert.equal(merged.item[1].item[0].request.method, 'POST');
+      assert.deepEqual(merged.item[1].item.map(item => item.name), ['ban', 'unban', 'audit']);
+      assert.equal(merged.item[2].name, 'added locally');
+    });
+
+    it('drops items deleted on one side and unchanged on the other', async () => {
+      const local = structuredClone(synced);
+      local.item.splice(0, 1);
+      const remote = structuredClone(synced);
+      remote.item[1].item.splice(1, 1);
+
+      const { merged } = await CollectionMerge.mergeCollections(baseOf(synced), local, remote, noConflicts);
+
+      assert.deepEqual([...CollectionDiff.flattenItems(merged.item).values()].map(entry => entry.path), ['Admin', 'Admin/ban']);
+    });
+
+    it('asks which side wins when both changed an item and can keep both', async () => {
+      const local = structuredClone(synced);
+      local.item[0].request.url = 'https://api.example.com/local';
+      const remote = structuredClone(synced);
+      remote.item[0].request.url = 'https://api.example.com/remote';
+      const asked = [];
+
+      const { merged, conflicts } = await CollectionMerge.mergeCollections(baseOf(synced), local, remote, async (conflict) => {
+        asked.push(conflict);
+        return 'both';
+      });
+
+      assert.equal(asked.length, 1);
+      assert.equal(asked[0].reason, 'modified on both sides');
+      assert.equal(asked[0].allowBoth, true);
+      assert.equal(conflicts[0].choice, 'both');
+      assert.deepEqual(merged.item.slice(0, 2).map(item => item.request.url), ['https://api.example.com/local', 'https://api.example.com/remote']);
+      assert.equal(merged.item[1].name, 'list (remote)');
+    });
+
+    it('drops a folder deleted in Postman when nothing inside changed locally', async () => {
+      const remote = structuredClone(synced);
+      remote.item.splice(1, 1);
+
+      const { merged, conflicts } = await CollectionMerge.mergeCollections(baseOf(synced), structuredClone(synced), remote, noConflicts);
+
+      assert.deepEqual(conflicts, []);
+      assert.deepEqual(merged.item.map(item => item.name), ['list']);
+    });
+
+    it('asks before dropping a folder deleted in Postman that holds local changes', async () => {
+      const local = structuredClone(synced);
+      local.item[1].item.push(request(undefined, 'added locally'));
+      const remote = structuredClone(synced);
+      remote.item.splice(1, 1);
+      const asked = [];
+
+      const kept = await CollectionMerge.mergeCollections(baseOf(synced), local, remote, async (conflict) => {
+        asked.push(conflict);
+        return 'local';
+      });
+
+      assert.deepEqual(asked.map(conflict => conflict.path), ['Admin']);
+      assert.equal(asked[0].allowBoth, false);
+      assert.deepEqual(kept.merged.item[1].item.map(item => item.name), ['added locally']);
+
+      const dropped = await CollectionMerge.mergeCollections(baseOf(synced), local, remote, async () => 'remote');
+      assert.deepEqual(dropped.merged.item.map(item => item.name), ['list']);
+    });
+
+    it('keeps a parent folder deleted in Postman when a kept subfolder holds local changes', async () => {
+      const nested = {
+        info: { name: 'Users' },
+        item: [{ id: 'f1', name: 'Admin', item: [{ id: 'f2', name: 'Audit', item: [request('r1', 'log')] }] }]
+      };
+      const local = structuredClone(nested);
+      local.item[0].item[0].item[0].request.url = 'https://api.example.com/edited';
+      const remote = { info: { name: 'Users' }, item: [] };
+      const asked = [];
+
+      const { merged } = await CollectionMerge.mergeCollections(baseOf(nested), local, remote, async (conflict) => {
+        asked.push(conflict.path);
+        return 'local';
+      });
+
+      assert.deepEqual(asked, ['Admin/Audit/log', 'Admin/Audit', 'Admin']);
+      assert.equal(merged.item[0].item[0].item[0].request.url, 'https://api.example.com/edited');
+    });
+  });
+
+  describe('mergeEnvironments', () => {
+    it('merges variables changed on different sides', async () => {
+      const synced = { id: 'e1', name: 'Staging', values: [{ key: 'url', value: 'a' }, { key: 'user', value: 'ada' }] };
+      const local = structuredClone(synced);
+      local.values[0].value = 'b';
+      const remote = structuredClone(synced);
+      remote.values.push({ key: 'page', value: '1' });
+
+      const { merged, conflicts } = await CollectionMerge.mergeEnvironments(
+        SyncState.environmentEntry(synced, 'environments/staging.json'),
+        local,
+        remote,
+        noConflicts
+      );
+
+      assert.deepEqual(conflicts, []);
+      assert.deepEqual(merged.values, [{ key: 'url', value: 'b' }, { key: 'user', value: 'ada' }, { key: 'page', value: '1' }]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import CollectionRunner from '../src/lib/collection-runner.js';
+
+/**
+ * Build a request item
+ * @param {string} name - Item name
+ * @param {Object} request - Postman request
+ * @param {Object} scripts - Script source per event, e.g. { test: '...' }
+ * @returns {Object} Request item
+ */
+function requestItem(name, request, scripts = {}) {
+  return {
+    name,
+    request,
+    event: Object.entries(scripts).map(([listen, source]) => ({ listen, script: { exec: source.split('\n') } }))
+  };
+}
+
+describe('CollectionRunner', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        if (req.url === '/slow') {
+          setTimeout(() => res.end('late'), 500);
+          return;
+        }
+        const status = req.url === '/missing' ? 404 : 200;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null, token: 'abc123' }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('sends the requests in order with environment variables resolved and runs their tests', async () => {
+    received.length = 0;
+    const collection = {
+      info: { name: 'Users' },
+      item: [
+        requestItem('Login', {
+          method: 'POST',
+          url: '{{baseUrl}}/login',
+          header: [{ key: 'Content-Type', value: 'application/json' }],
+          body: { mode: 'raw', raw: '{"user":"{{user}}"}' }
+        }, {
+          test: [
+            'pm.test("status is 200", () => pm.response.to.have.status(200));',
+            'pm.environment.set("token", pm.response.json().token);'
+          ].join('\n')
+        }),
+        {
+          name: 'Users',
+          item: [
+            requestItem('List users', {
+              method: 'GET',
+              url: '{{baseUrl}}/users?page=2',
+              header: [{ key: 'Authorization', value: 'Bearer {{token}}' }]
+            }, {
+              test: 'pm.test("echoes the path", () => pm.expect(pm.response.json().url).to.equal("/users?page=2"));'
+            })
+          ]
+        }
+      ]
+    };
+    const environment = { name: 'Local', values: [{ key: 'baseUrl', value: baseUrl }, { key: 'user', value: 'ada' }] };
+
+    const summary = await new CollectionRunner(collection, { environment, timeout: 2000 }).run();
+
+    assert.deepEqual(received.map(request => `${request.method} ${request.url}`), ['POST /login', 'GET /users?page=2']);
+    assert.deepEqual(JSON.parse(received[0].body), { user: 'ada' });
+    assert.equal(received[1].headers.authorization, 'Bearer abc123');
+    assert.deepEqual(summary.results.map(result => result.path), ['Login', 'Users/List users']);
+    assert.equal(summary.stats.requests, 2);
+    assert.equal(summary.stats.tests, 2);
+    assert.equal(summary.stats.failedTests, 0);
+    assert.equal(summary.stats.failed, 0);
+  });
+
+  it('counts failed tests and keeps going', async () => {
+    const collection = {
+      info: { name: 'Failing' },
+      item: [
+        requestItem('Missing', { method: 'GET', url: `${baseUrl}/missing` }, {
+          test: 'pm.test("status is 200", () => pm.response.to.have.status(200));'
+        }),
+        requestItem('Found', { method: 'GET', url: `${baseUrl}/found` })
+      ]
+    };
+
+    const summary = await new CollectionRunner(collection, { timeout: 2000 }).run();
+
+    assert.equal(summary.results[0].response.code, 404);
+    assert.equal(summary.results[0].tests[0].passed, false);
+    assert.equal(summary.results[1].response.code, 200);
+    assert.equal(summary.stats.failedTests, 1);
+    assert.equal(summary.stats.failed, 1);
+  });
+
+  it('runs one iteration per data row', async () => {
+    received.length = 0;
+    const collection = {
+      info: { name: 'Data' },
+      item: [requestItem('Get user', { method: 'GET', url: `${baseUrl}/users/{{id}}` })]
+    };
+
+    const summary = await new CollectionRunner(collection, { data: [{ id: 1 }, { id: 2 }, { id: 3 }], timeout: 2000 }).run();
+
+    assert.deepEqual(received.map(request => request.url), ['/users/1', '/users/2', '/users/3']);
+    assert.equal(summary.stats.iterations, 3);
+  });
+
+  it('skips requests when a hook asks to and stops when one aborts', async () => {
+    received.length = 0;
+    const collection = {
+      info: { name: 'Hooks' },
+      item: [
+        requestItem('First', { method: 'GET', url: `${baseUrl}/first` }),
+        requestItem('Second', { method: 'GET', url: `${baseUrl}/second` }),
+        requestItem('Third', { method: 'GET', url: `${baseUrl}/third` })
+      ]
+    };
+    const hooks = {
+      beforeRequest: (entry) => ({ First: 'skip', Third: 'abort' })[entry.item.name]
+    };
+
+    const summary = await new CollectionRunner(collection, { hooks, timeout: 2000 }).run();
+
+    assert.deepEqual(received.map(request => request.url), ['/second']);
+    assert.equal(summary.aborted, true);
+    assert.equal(summary.stats.skipped, 1);
+  });
+
+  it('reports a request that takes longer than the timeout as an error', async () => {
+    const collection = {
+      info: { name: 'Timeout' },
+      item: [requestItem('Slow', { method: 'GET', url: `${baseUrl}/slow` })]
+    };
+
+    const summary = await new CollectionRunner(collection, { timeout: 100 }).run();
+
+    assert.match(summary.results[0].error, /timeout/i);
+    assert.equal(summary.stats.failed, 1);
+  });
+});
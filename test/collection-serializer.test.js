@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CollectionSerializer from '../src/lib/collection-serializer.js';
+
+const collection = {
+  info: {
+    _postman_id: 'c1',
+    name: 'Users API',
+    schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+  },
+  event: [{ listen: 'prerequest', script: { type: 'text/javascript', exec: ['pm.variables.set("ts", Date.now());'] } }],
+  variable: [{ key: 'baseUrl', value: 'https://api.example.com' }],
+  item: [
+    {
+      id: 'r1',
+      name: 'List users',
+      request: { method: 'GET', url: { raw: '{{baseUrl}}/users', host: ['{{baseUrl}}'], path: ['users'] } },
+      event: [{ listen: 'test', script: { type: 'text/javascript', exec: ['pm.test("ok", () => {', '  pm.response.to.have.status(200);', '});'] } }]
+    },
+    {
+      id: 'f1',
+      name: 'Admin / Ops',
+      description: 'Folder with a name that is not a valid file name',
+      item: [
+        { id: 'r2', name: 'Ban user', request: { method: 'POST', url: '{{baseUrl}}/users/:id/ban', body: { mode: 'raw', raw: '{"reason":"spam"}' } } },
+        { id: 'r3', name: 'Ban user', request: { method: 'DELETE', url: '{{baseUrl}}/users/:id/ban' } },
+        { id: 'f2', name: 'Empty folder', item: [] }
+      ]
+    },
+    { id: 'r4', name: 'collection', request: { method: 'GET', url: '{{baseUrl}}/meta' } }
+  ]
+};
+
+describe('CollectionSerializer', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-serializer-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('explodes a collection into one file per request with scripts in their own files', () => {
+    const files = CollectionSerializer.explode(collection);
+    const paths = Object.keys(files);
+
+    assert.ok(paths.includes(CollectionSerializer.COLLECTION_FILE));
+    assert.ok(paths.some(file => file.endsWith('.prerequest.js')));
+    assert.ok(paths.some(file => file.endsWith('.test.js')));
+    assert.equal(paths.filter(file => file.endsWith(CollectionSerializer.REQUEST_SUFFIX)).length, 4);
+    assert.equal(new Set(paths).size, paths.length);
+  });
+
+  it('reads back the collection it wrote', () => {
+    const collectionDir = path.join(tmpDir, 'users-api');
+
+    CollectionSerializer.write(collectionDir, collection);
+
+    assert.ok(CollectionSerializer.isCollectionDir(collectionDir));
+    assert.deepEqual(CollectionSerializer.read(collectionDir), collection);
+  });
+
+  it('round-trips through the files without touching the disk', () => {
+    const files = CollectionSerializer.explode(collection);
+
+    assert.deepEqual(CollectionSerializer.implode(relativePath => files[relativePath] ?? null), collection);
+  });
+
+  it('writes the same files for the same collection', () => {
+    assert.deepEqual(CollectionSerializer.explode(structuredClone(collection)), CollectionSerializer.explode(collection));
+  });
+
+  it('keeps scripts with carriage returns inline so they round-trip unchanged', () => {
+    const withCarriageReturn = {
+      info: { name: 'Line endings' },
+      item: [{ name: 'Request', request: { method: 'GET', url: 'https://api.example.com' }, event: [{ listen: 'test', script: { exec: ['line1\r', 'line2'] } }] }]
+    };
+    const files = CollectionSerializer.explode(withCarriageReturn);
+
+    assert.ok(!Object.keys(files).some(file => file.endsWith('.js')));
+    assert.deepEqual(CollectionSerializer.implode(relativePath => files[relativePath] ?? null), withCarriageReturn);
+  });
+
+  it('only moves prerequest and test scripts to files', () => {
+    const traversal = {
+      info: { name: 'Traversal' },
+      item: [{ name: 'Request', request: { method: 'GET', url: 'https://api.example.com' }, event: [{ listen: '/../../../../../tmp/pwned', script: { exec: ['boom()'] } }] }]
+    };
+    const collectionDir = path.join(tmpDir, 'traversal', 'collection');
+
+    CollectionSerializer.write(collectionDir, traversal);
+
+    assert.deepEqual(fs.readdirSync(collectionDir).sort(), ['collection.json', 'request.request.json']);
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'tmp')));
+    assert.deepEqual(CollectionSerializer.read(collectionDir), traversal);
+  });
+
+  it('refuses to read script files outside the collection directory', () => {
+    const collectionDir = path.join(tmpDir, 'outside', 'collection');
+    fs.mkdirSync(collectionDir, { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'outside', 'secret.js'), 'secret');
+    fs.writeFileSync(path.join(collectionDir, 'collection.json'), JSON.stringify({
+      info: { name: 'Outside' },
+      event: [{ listen: 'test', script: { execFile: '../secret.js' } }],
+      itemOrder: []
+    }));
+
+    assert.throws(() => CollectionSerializer.read(collectionDir), /outside/);
+  });
+});
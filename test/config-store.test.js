@@ -0,0 +1,70 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ConfigStore from '../src/utils/config-store.js';
+import Logger from '../src/utils/logger.js';
+
+describe('ConfigStore', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.FLOWMAN_CONFIG_DIR = fs.mkdtempSync(path.join(tmpDir, 'config-'));
+    // Logger prints to stdout, which the test runner reads
+    mock.method(Logger, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * List the files moved aside as corrupt
+   * @returns {Array<string>} File names
+   */
+  const backups = () => fs.readdirSync(ConfigStore.getConfigDir()).filter(file => file.startsWith('config.json.corrupt-'));
+
+  it('writes a private file and reads it back', () => {
+    assert.deepEqual(ConfigStore.read(), {});
+    assert.equal(ConfigStore.set('apiKey', 'PMAK-1'), true);
+    assert.equal(ConfigStore.set('workspaceId', 'w1'), true);
+
+    assert.deepEqual(ConfigStore.read(), { apiKey: 'PMAK-1', workspaceId: 'w1' });
+    assert.equal(fs.statSync(ConfigStore.getConfigPath()).mode & 0o777, 0o600);
+    assert.equal(ConfigStore.unset('workspaceId'), true);
+    assert.equal(ConfigStore.unset('workspaceId'), false);
+    assert.equal(ConfigStore.get('workspaceId'), null);
+  });
+
+  it('moves a corrupt file aside instead of overwriting it on the next write', () => {
+    const corrupt = '{"apiKey": "PMAK-1", "profiles": {';
+    fs.writeFileSync(ConfigStore.getConfigPath(), corrupt);
+
+    assert.deepEqual(ConfigStore.read(), {});
+    assert.equal(ConfigStore.set('workspaceId', 'w1'), true);
+
+    const [backup] = backups();
+    assert.ok(backup);
+    assert.equal(Logger.warn.mock.callCount(), 1);
+    assert.match(Logger.warn.mock.calls[0].arguments[0], new RegExp(`Moved it to .*${backup}`));
+    assert.equal(fs.readFileSync(path.join(ConfigStore.getConfigDir(), backup), 'utf8'), corrupt);
+    assert.deepEqual(ConfigStore.read(), { workspaceId: 'w1' });
+  });
+
+  it('treats JSON that is not an object as corrupt', () => {
+    fs.writeFileSync(ConfigStore.getConfigPath(), '["PMAK-1"]');
+
+    assert.deepEqual(ConfigStore.read(), {});
+    assert.equal(backups().length, 1);
+    assert.ok(!fs.existsSync(ConfigStore.getConfigPath()));
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CurlParser from '../src/lib/curl-parser.js';
+
+/**
+ * Parse text holding a single curl command
+ * @param {string} text - Command
+ * @returns {Object} Captured request
+ */
+function parseOne(text) {
+  const requests = CurlParser.parseAll(text);
+  assert.equal(requests.length, 1);
+  return requests[0];
+}
+
+describe('CurlParser', () => {
+  it('parses a command copied from browser devtools', () => {
+    const request = parseOne(`curl 'https://api.example.com/users?page=2' \\
+  -H 'accept: application/json' \\
+  -H 'authorization: Bearer abc' \\
+  --data-raw '{"name":"Ada"}' \\
+  --compressed`);
+
+    assert.deepEqual(request, {
+      method: 'POST',
+      url: 'https://api.example.com/users?page=2',
+      headers: [{ key: 'accept', value: 'application/json' }, { key: 'authorization', value: 'Bearer abc' }],
+      body: { mimeType: 'application/x-www-form-urlencoded', text: '{"name":"Ada"}' }
+    });
+  });
+
+  it('follows double quotes, $\'...\' strings and escapes', () => {
+    const request = parseOne(`curl -X PUT "https://api.example.com/notes/\\$1" -H "Content-Type: application/json" --data-binary $'{"text":"line\\nbreak \\'quoted\\'"}'`);
+
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.url, 'https://api.example.com/notes/$1');
+    assert.equal(request.body.mimeType, 'application/json');
+    assert.equal(request.body.text, '{"text":"line\nbreak \'quoted\'"}');
+  });
+
+  it('accepts short options with attached values and long options with =', () => {
+    const request = parseOne('curl -XDELETE -H\'X-Api-Key: k\' --url=https://api.example.com/items/1');
+
+    assert.equal(request.method, 'DELETE');
+    assert.equal(request.url, 'https://api.example.com/items/1');
+    assert.deepEqual(request.headers, [{ key: 'X-Api-Key', value: 'k' }]);
+  });
+
+  it('turns -u, -b and -A into headers', () => {
+    const request = parseOne('curl -u ada:secret -b session=1 -A tester https://api.example.com/me');
+
+    assert.deepEqual(request.headers, [
+      { key: 'Cookie', value: 'session=1' },
+      { key: 'User-Agent', value: 'tester' },
+      { key: 'Authorization', value: `Basic ${Buffer.from('ada:secret').toString('base64')}` }
+    ]);
+  });
+
+  it('appends data to the query with -G', () => {
+    const request = parseOne('curl -G https://api.example.com/search -d q=flowman --data-urlencode "tag=a b"');
+
+    assert.equal(request.method, 'GET');
+    assert.equal(request.url, 'https://api.example.com/search?q=flowman&tag=a%20b');
+    assert.equal(request.body, null);
+  });
+
+  it('reads form fields and file uploads', () => {
+    const request = parseOne('curl https://api.example.com/upload -F name=report -F file=@./report.pdf');
+
+    assert.deepEqual(request.body, {
+      mimeType: 'multipart/form-data',
+      params: [{ name: 'name', value: 'report' }, { name: 'file', fileName: './report.pdf' }]
+    });
+  });
+
+  it('sets JSON headers for --json and a scheme for bare hosts', () => {
+    const request = parseOne('curl --json \'{"a":1}\' localhost:3000/items');
+
+    assert.equal(request.url, 'http://localhost:3000/items');
+    assert.equal(request.method, 'POST');
+    assert.deepEqual(request.headers, [{ key: 'Content-Type', value: 'application/json' }, { key: 'Accept', value: 'application/json' }]);
+  });
+
+  it('ignores options that only change how curl runs', () => {
+    const request = parseOne('curl -s -o out.json --max-time 5 -k https://api.example.com/health');
+
+    assert.equal(request.url, 'https://api.example.com/health');
+    assert.equal(request.method, 'GET');
+  });
+
+  it('reads several commands and skips comments and other commands', () => {
+    const requests = CurlParser.parseAll([
+      '# health checks',
+      'curl https://api.example.com/a',
+      'echo done',
+      'curl https://api.example.com/b && curl -I https://api.example.com/c'
+    ].join('\n'));
+
+    assert.deepEqual(requests.map(request => `${request.method} ${request.url}`), [
+      'GET https://api.example.com/a',
+      'GET https://api.example.com/b',
+      'HEAD https://api.example.com/c'
+    ]);
+  });
+
+  it('fails on commands without a URL or with unterminated quotes', () => {
+    assert.throws(() => CurlParser.parseAll('curl -H "Accept: */*"'), /without a URL/);
+    assert.throws(() => CurlParser.parseAll('curl \'https://api.example.com'), /Unterminated single quote/);
+    assert.throws(() => CurlParser.parseAll('curl https://api.example.com -H'), /needs a value/);
+  });
+});
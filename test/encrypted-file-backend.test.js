@@ -0,0 +1,143 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import EncryptedFileBackend from '../src/lib/credential-backends/encrypted-file-backend.js';
+import CredentialAgent from '../src/lib/credential-agent.js';
+import Logger from '../src/utils/logger.js';
+
+// Cheap key derivation keeps the tests fast; real vaults use SCRYPT_PARAMS
+const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), N: 1024, r: 8, p: 1 };
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Async check
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<*>} Last result of the check
+ */
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  let result = await condition();
+  while (!result && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    result = await condition();
+  }
+  return result;
+}
+
+describe('EncryptedFileBackend', () => {
+  let tmpDir;
+  let key;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-vault-'));
+    process.env.FLOWMAN_CONFIG_DIR = path.join(tmpDir, 'config');
+    process.env.XDG_RUNTIME_DIR = path.join(tmpDir, 'run');
+    key = await EncryptedFileBackend.deriveKey('correct horse', kdf);
+  });
+
+  after(async () => {
+    await CredentialAgent.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('decrypts what it encrypted with the same passphrase only', async () => {
+    const secrets = { default: { apiKey: 'PMAK-1' }, work: { apiKey: 'PMAK-2' } };
+    const vault = EncryptedFileBackend.encrypt(key, kdf, secrets);
+
+    assert.ok(!JSON.stringify(vault).includes('PMAK'));
+    assert.deepEqual(EncryptedFileBackend.decrypt(key, vault), secrets);
+
+    const wrongKey = await EncryptedFileBackend.deriveKey('wrong horse', kdf);
+    assert.throws(() => EncryptedFileBackend.decrypt(wrongKey, vault));
+  });
+
+  it('refuses a vault that was tampered with', () => {
+    const vault = EncryptedFileBackend.encrypt(key, kdf, { default: { apiKey: 'PMAK-1' } });
+    const data = Buffer.from(vault.data, 'base64');
+    data[0] ^= 1;
+
+    assert.throws(() => EncryptedFileBackend.decrypt(key, { ...vault, data: data.toString('base64') }));
+  });
+
+  it('moves secrets of vaults without profiles to the default profile', () => {
+    const vault = EncryptedFileBackend.encrypt(key, kdf, { apiKey: 'PMAK-old', work: { apiKey: 'PMAK-2' } });
+
+    assert.deepEqual(EncryptedFileBackend.decrypt(key, vault), { work: { apiKey: 'PMAK-2' }, default: { apiKey: 'PMAK-old' } });
+  });
+
+  it('stores secrets per profile in a private file and reads them back with the key', () => {
+    const backend = new EncryptedFileBackend();
+    const error = mock.method(Logger, 'error', () => {});
+    assert.equal(backend.set('default', 'apiKey', 'PMAK-1'), false);
+    assert.equal(error.mock.calls[0].arguments[0], 'The credential vault is locked');
+    error.mock.restore();
+
+    backend.key = key;
+    backend.kdf = kdf;
+    backend.secrets = {};
+    assert.equal(backend.set('default', 'apiKey', 'PMAK-1'), true);
+    assert.equal(backend.set('work', 'apiKey', 'PMAK-2'), true);
+
+    const vaultPath = EncryptedFileBackend.getVaultPath();
+    assert.equal(fs.statSync(vaultPath).mode & 0o777, 0o600);
+    assert.ok(!fs.readFileSync(vaultPath, 'utf8').includes('PMAK'));
+
+    const reopened = new EncryptedFileBackend();
+    const vault = EncryptedFileBackend.readVault();
+    assert.equal(reopened.open(Buffer.alloc(32), vault), false);
+    assert.equal(reopened.isUnlocked(), false);
+    assert.equal(reopened.open(key, vault), true);
+    assert.equal(reopened.get('work', 'apiKey'), 'PMAK-2');
+    assert.equal(reopened.delete('work', 'apiKey'), true);
+    assert.equal(reopened.delete('work', 'apiKey'), false);
+    assert.equal(reopened.get('work', 'apiKey'), null);
+    assert.equal(reopened.get('default', 'apiKey'), 'PMAK-1');
+  });
+
+  it('rejects files that are not a vault', () => {
+    const vaultPath = EncryptedFileBackend.getVaultPath();
+    const content = fs.readFileSync(vaultPath, 'utf8');
+    fs.writeFileSync(vaultPath, JSON.stringify({ version: 2 }));
+    try {
+      assert.throws(() => EncryptedFileBackend.readVault(), /is not a flowman-cli credential vault/);
+    } finally {
+      fs.writeFileSync(vaultPath, content);
+    }
+  });
+
+  it('stays locked without a terminal when no agent holds the key', async () => {
+    const backend = new EncryptedFileBackend();
+
+    assert.equal(await backend.unlock({ interactive: false }), false);
+    assert.equal(backend.get('default', 'apiKey'), null);
+  });
+
+  it('unlocks with the key held by the credential agent until it is stopped', async () => {
+    assert.equal(await CredentialAgent.getKey(), null);
+
+    CredentialAgent.start(key);
+    const agentKey = await waitFor(() => CredentialAgent.getKey());
+    assert.ok(agentKey?.equals(key));
+    assert.equal(fs.statSync(CredentialAgent.getSocketPath()).mode & 0o777, 0o600);
+
+    const backend = new EncryptedFileBackend();
+    assert.equal(await backend.unlock({ interactive: false }), true);
+    assert.equal(backend.get('default', 'apiKey'), 'PMAK-1');
+
+    assert.equal(await CredentialAgent.stop(), true);
+    assert.equal(await waitFor(async () => !fs.existsSync(CredentialAgent.getSocketPath())), true);
+    assert.equal(await CredentialAgent.getKey(), null);
+  });
+
+  it('stops an agent holding the key of a replaced vault', async () => {
+    CredentialAgent.start(Buffer.alloc(32));
+    assert.ok(await waitFor(() => CredentialAgent.getKey()));
+
+    const backend = new EncryptedFileBackend();
+    assert.equal(await backend.unlock({ interactive: false }), false);
+    assert.equal(await waitFor(async () => !fs.existsSync(CredentialAgent.getSocketPath())), true);
+  });
+});
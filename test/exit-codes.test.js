@@ -0,0 +1,56 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ExitCodes from '../src/utils/exit-codes.js';
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '../bin/flowman.js');
+
+describe('exit codes', () => {
+  let tmpDir;
+
+  /**
+   * Run the CLI without a terminal or stored settings
+   * @param {Array<string>} args - Arguments
+   * @param {Object} env - Additional environment variables
+   * @returns {Object} spawnSync result
+   */
+  const flowman = (args, env = {}) => {
+    const childEnv = { ...process.env, HOME: tmpDir, FLOWMAN_CONFIG_DIR: path.join(tmpDir, 'config'), FLOWMAN_CACHE_DIR: path.join(tmpDir, 'cache'), ...env };
+    for (const name of ['POSTMAN_API_KEY', 'POSTMAN_WORKSPACE_ID', 'POSTMAN_GIT_REPO_PATH']) {
+      if (!(name in env)) {
+        delete childEnv[name];
+      }
+    }
+    return spawnSync(process.execPath, [BIN, ...args], { env: childEnv, encoding: 'utf8', timeout: 30000 });
+  };
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-exit-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('exits with USAGE for an unknown command', () => {
+    const result = flowman(['frobnicate']);
+
+    assert.equal(result.status, ExitCodes.USAGE);
+    assert.match(result.stderr + result.stdout, /Unknown command: frobnicate/);
+  });
+
+  it('exits with NOT_AUTHENTICATED when sync runs without an API key', () => {
+    assert.equal(flowman(['sync', '--non-interactive']).status, ExitCodes.NOT_AUTHENTICATED);
+  });
+
+  it('exits with USAGE when sync runs without a workspace', () => {
+    const result = flowman(['sync', '--non-interactive'], { POSTMAN_API_KEY: 'PMAK-test' });
+
+    assert.equal(result.status, ExitCodes.USAGE);
+    assert.match(result.stderr + result.stdout, /No workspace selected/);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MockServer from '../src/lib/mock-server.js';
+
+const collection = {
+  info: { name: 'Shop API' },
+  variable: [{ key: 'baseUrl', value: 'https://shop.example.com/v1' }],
+  item: [
+    {
+      name: 'Products',
+      item: [
+        {
+          name: 'List products',
+          request: { method: 'GET', url: '{{baseUrl}}/products?page=1' },
+          response: [
+            {
+              name: 'First page',
+              code: 200,
+              header: [{ key: 'Content-Type', value: 'application/json' }, { key: 'Content-Length', value: '999' }],
+              body: '{"page":1}'
+            },
+            {
+              name: 'Second page',
+              originalRequest: { method: 'GET', url: '{{baseUrl}}/products?page=2' },
+              code: 200,
+              _postman_previewlanguage: 'json',
+              body: '{"page":2}'
+            }
+          ]
+        },
+        {
+          name: 'Get product',
+          request: { method: 'GET', url: '{{baseUrl}}/products/:id' },
+          response: [
+            { name: 'Not found', code: 404, body: '{"error":"missing"}', _postman_previewlanguage: 'json' },
+            { name: 'Found', code: 200, header: [{ key: 'X-Shop', value: '{{baseUrl}}' }], body: '{"id":7}', _postman_previewlanguage: 'json' }
+          ]
+        },
+        {
+          name: 'Best sellers',
+          request: { method: 'GET', url: '{{baseUrl}}/products/best-sellers' },
+          response: [{ name: 'Best sellers', code: 200, body: '[1,2]' }]
+        },
+        { name: 'Delete product', request: { method: 'DELETE', url: '{{baseUrl}}/products/:id' } }
+      ]
+    }
+  ]
+};
+
+describe('MockServer', () => {
+  let tmpDir;
+  let logFile;
+  let mock;
+  let baseUrl;
+  const entries = [];
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-mock-'));
+    logFile = path.join(tmpDir, 'mock.log');
+    mock = new MockServer(collection, { logFile, onRequest: entry => entries.push(entry) });
+    baseUrl = await mock.start(0, '127.0.0.1');
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lists a route per example and per request without examples', () => {
+    assert.deepEqual(mock.listRoutes().map(route => `${route.method} ${route.path} ${route.example} ${route.status}`), [
+      'GET /v1/products?page=1 First page 200',
+      'GET /v1/products?page=2 Second page 200',
+      'GET /v1/products/:id Not found 404',
+      'GET /v1/products/:id Found 200',
+      'GET /v1/products/best-sellers Best sellers 200',
+      'DELETE /v1/products/:id null null'
+    ]);
+  });
+
+  it('answers with the example whose query matches best', async () => {
+    const first = await fetch(`${baseUrl}/v1/products?page=1`);
+    const second = await fetch(`${baseUrl}/v1/products?page=2`);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.deepEqual(await first.json(), { page: 1 });
+    assert.deepEqual(await second.json(), { page: 2 });
+  });
+
+  it('prefers literal path segments and successful examples', async () => {
+    const bestSellers = await fetch(`${baseUrl}/v1/products/best-sellers`);
+    const product = await fetch(`${baseUrl}/v1/products/7`);
+
+    assert.equal(await bestSellers.text(), '[1,2]');
+    assert.equal(product.status, 200);
+    assert.equal(product.headers.get('x-shop'), 'https://shop.example.com/v1');
+    assert.deepEqual(await product.json(), { id: 7 });
+  });
+
+  it('picks an example by name or status code header', async () => {
+    const byCode = await fetch(`${baseUrl}/v1/products/7`, { headers: { [MockServer.RESPONSE_CODE_HEADER]: '404' } });
+    const byName = await fetch(`${baseUrl}/v1/products/7`, { headers: { [MockServer.RESPONSE_NAME_HEADER]: 'not FOUND' } });
+
+    assert.equal(byCode.status, 404);
+    assert.deepEqual(await byCode.json(), { error: 'missing' });
+    assert.equal(byName.status, 404);
+  });
+
+  it('explains requests without a matching example with a 404', async () => {
+    const unknown = await fetch(`${baseUrl}/v1/orders`);
+    const noExample = await fetch(`${baseUrl}/v1/products/7`, { method: 'DELETE' });
+    const noCode = await fetch(`${baseUrl}/v1/products/7`, { headers: { [MockServer.RESPONSE_CODE_HEADER]: '500' } });
+
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error, 'No example of Shop API matches GET /v1/orders');
+    assert.equal((await noExample.json()).error, 'Products/Delete product has no saved example');
+    assert.match((await noCode.json()).error, /\(status 500\)$/);
+  });
+
+  it('answers CORS preflights and HEAD requests', async () => {
+    const preflight = await fetch(`${baseUrl}/v1/orders`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'http://localhost:5173', 'Access-Control-Request-Method': 'POST' }
+    });
+    const head = await fetch(`${baseUrl}/v1/products/best-sellers`, { method: 'HEAD' });
+
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+    assert.equal(head.status, 200);
+    assert.equal(await head.text(), '');
+  });
+
+  it('logs every request as a JSON line', () => {
+    const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(lines.length, mock.requestCount);
+    assert.deepEqual(lines, entries);
+    assert.ok(lines.some(line => line.url === '/v1/products/7' && line.status === 200 && line.request === 'Products/Get product' && line.example === 'Found'));
+    assert.ok(lines.some(line => line.url === '/v1/orders' && line.status === 404 && line.error));
+  });
+
+  it('delays responses by the configured latency', async () => {
+    const slow = new MockServer(collection, { latency: { min: 150, max: 200 } });
+    const slowUrl = await slow.start(0, '127.0.0.1');
+    try {
+      const startedAt = Date.now();
+      const response = await fetch(`${slowUrl}/v1/products/best-sellers`);
+      await response.text();
+
+      assert.ok(Date.now() - startedAt >= 145);
+    } finally {
+      await slow.stop();
+    }
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OAuthClient from '../src/lib/oauth-client.js';
+import ExitCodes from '../src/utils/exit-codes.js';
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '../bin/flowman.js');
+
+describe('OAuthClient', () => {
+  let tmpDir;
+  let tokenServer;
+  let tokenUrl;
+  const tokenRequests = [];
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-oauth-'));
+    process.env.FLOWMAN_CONFIG_DIR = tmpDir;
+
+    tokenServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        tokenRequests.push(params);
+        res.writeHead(params.code === 'denied' ? 400 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(params.code === 'denied'
+          ? { error: 'invalid_grant', error_description: 'Code expired' }
+          : { access_token: `access-${tokenRequests.length}`, token_type: 'Bearer', expires_in: 3600, ...(params.grant_type === 'authorization_code' ? { refresh_token: 'refresh-1' } : {}) }));
+      });
+    });
+    await new Promise(resolve => tokenServer.listen(0, '127.0.0.1', resolve));
+    tokenUrl = `http://127.0.0.1:${tokenServer.address().port}/token`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => tokenServer.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    tokenRequests.length = 0;
+    process.env.FLOWMAN_OAUTH_AUTHORIZE_URL = 'https://sso.example.com/authorize';
+    process.env.FLOWMAN_OAUTH_TOKEN_URL = tokenUrl;
+    process.env.FLOWMAN_OAUTH_CLIENT_ID = 'flowman-test';
+  });
+
+  /**
+   * Follow the redirect of the authorization server
+   * @param {string} authorizeUrl - URL given to onAuthorizeUrl
+   * @param {Object} params - Query parameters of the redirect, the state of the request by default
+   * @returns {Promise<Object>} { status, body } of the callback page
+   */
+  const redirect = async (authorizeUrl, params) => {
+    const url = new URL(authorizeUrl);
+    const callback = new URL(url.searchParams.get('redirect_uri'));
+    callback.search = new URLSearchParams({ state: url.searchParams.get('state'), ...params }).toString();
+    const response = await fetch(callback);
+    return { status: response.status, body: await response.text() };
+  };
+
+  it('creates an S256 PKCE challenge for a random verifier', () => {
+    const { verifier, challenge } = OAuthClient.createPkce();
+
+    assert.match(verifier, /^[\w-]{43}$/);
+    assert.equal(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+    assert.notEqual(OAuthClient.createPkce().verifier, verifier);
+  });
+
+  it('needs an identity provider to be configured', () => {
+    delete process.env.FLOWMAN_OAUTH_AUTHORIZE_URL;
+    delete process.env.FLOWMAN_OAUTH_CLIENT_ID;
+
+    assert.throws(() => OAuthClient.getConfig(), error =>
+      error.exitCode === ExitCodes.USAGE && /FLOWMAN_OAUTH_AUTHORIZE_URL, FLOWMAN_OAUTH_CLIENT_ID/.test(error.message));
+  });
+
+  it('exchanges the code with the PKCE verifier after the redirect', async () => {
+    let authorizeUrl;
+
+    const token = await OAuthClient.authorize({
+      onAuthorizeUrl: async (url) => {
+        authorizeUrl = new URL(url);
+        const page = await redirect(url, { code: 'code-1' });
+        assert.equal(page.status, 200);
+        assert.match(page.body, /Login complete/);
+      }
+    });
+
+    assert.equal(authorizeUrl.origin + authorizeUrl.pathname, 'https://sso.example.com/authorize');
+    assert.equal(authorizeUrl.searchParams.get('client_id'), 'flowman-test');
+    assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(authorizeUrl.searchParams.get('scope'), 'offline_access');
+
+    const [request] = tokenRequests;
+    assert.equal(request.grant_type, 'authorization_code');
+    assert.equal(request.code, 'code-1');
+    assert.equal(request.client_id, 'flowman-test');
+    assert.equal(request.redirect_uri, authorizeUrl.searchParams.get('redirect_uri'));
+    assert.equal(crypto.createHash('sha256').update(request.code_verifier).digest('base64url'), authorizeUrl.searchParams.get('code_challenge'));
+
+    assert.equal(token.accessToken, 'access-1');
+    assert.equal(token.refreshToken, 'refresh-1');
+    assert.equal(token.tokenUrl, tokenUrl);
+    assert.ok(new Date(token.expiresAt) > new Date());
+  });
+
+  it('answers a redirect with the wrong state with 400 and keeps waiting', async () => {
+    const token = await OAuthClient.authorize({
+      onAuthorizeUrl: async (url) => {
+        const forged = await redirect(url, { state: 'forged', code: 'evil' });
+        assert.equal(forged.status, 400);
+        assert.match(forged.body, /did not match this login attempt/);
+
+        const page = await redirect(url, { code: 'code-2' });
+        assert.equal(page.status, 200);
+      }
+    });
+
+    assert.deepEqual(tokenRequests.map(request => request.code), ['code-2']);
+    assert.equal(token.accessToken, 'access-1');
+  });
+
+  it('fails when the user denies access or the code is rejected', async () => {
+    await assert.rejects(OAuthClient.authorize({
+      onAuthorizeUrl: (url) => redirect(url, { error: 'access_denied', error_description: 'User said no' })
+    }), /Authorization failed: User said no/);
+
+    await assert.rejects(OAuthClient.authorize({
+      onAuthorizeUrl: (url) => redirect(url, { code: 'denied' })
+    }), /Token request failed: Code expired/);
+  });
+
+  it('gives up when no redirect arrives in time', async () => {
+    await assert.rejects(OAuthClient.authorize({ timeout: 50 }), /No authorization received within 1s/);
+  });
+
+  it('refreshes with the token endpoint the token came from and keeps the refresh token', async () => {
+    delete process.env.FLOWMAN_OAUTH_TOKEN_URL;
+
+    const refreshed = await OAuthClient.refresh({ accessToken: 'old', refreshToken: 'refresh-1', tokenUrl, clientId: 'flowman-test' });
+
+    assert.deepEqual(tokenRequests, [{ grant_type: 'refresh_token', refresh_token: 'refresh-1', client_id: 'flowman-test' }]);
+    assert.equal(refreshed.accessToken, 'access-1');
+    assert.equal(refreshed.refreshToken, 'refresh-1');
+    await assert.rejects(OAuthClient.refresh({ accessToken: 'old' }), /no refresh token/);
+  });
+
+  it('refuses login --browser without an identity provider', () => {
+    const env = { ...process.env, HOME: tmpDir, FLOWMAN_CONFIG_DIR: tmpDir };
+    for (const name of Object.values(OAuthClient.ENV)) {
+      delete env[name];
+    }
+
+    const result = spawnSync(process.execPath, [BIN, 'login', '--browser'], { env, encoding: 'utf8', timeout: 30000 });
+
+    assert.equal(result.status, ExitCodes.USAGE);
+    assert.match(result.stderr + result.stdout, /FLOWMAN_OAUTH_AUTHORIZE_URL/);
+  });
+});
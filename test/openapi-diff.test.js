@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenApiDiff from '../src/lib/openapi-diff.js';
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Users API', version: '1.0.0' },
+  servers: [{ url: 'https://api.example.com/v1' }],
+  components: {
+    parameters: {
+      UserId: { name: 'userId', in: 'path', required: true, schema: { type: 'string' } }
+    }
+  },
+  paths: {
+    '/users': {
+      get: {
+        summary: 'List users',
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer' } },
+          { name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } }
+        ]
+      },
+      post: { operationId: 'createUser' }
+    },
+    '/users/{userId}': {
+      parameters: [{ $ref: '#/components/parameters/UserId' }],
+      get: { summary: 'Get a user' },
+      delete: { summary: 'Delete a user' }
+    },
+    '/users/me': {
+      get: { summary: 'Current user' }
+    }
+  }
+};
+
+/**
+ * Build a collection from requests
+ * @param {Array<Object>} requests - { name, method, url, header }
+ * @returns {Object} Postman v2.1 collection
+ */
+function collectionOf(requests) {
+  return {
+    info: { name: 'Users API' },
+    item: [{ name: 'Users', item: requests.map(({ name, ...request }) => ({ name, request })) }]
+  };
+}
+
+describe('OpenApiDiff', () => {
+  it('finds no drift when every operation has a matching request', () => {
+    const collection = collectionOf([
+      { name: 'List users', method: 'GET', url: '{{baseUrl}}/users?page=1', header: [{ key: 'X-Tenant', value: 'acme' }] },
+      { name: 'Create user', method: 'POST', url: '{{baseUrl}}/users' },
+      { name: 'Get user', method: 'GET', url: '{{baseUrl}}/users/:userId' },
+      { name: 'Delete user', method: 'DELETE', url: '{{baseUrl}}/users/{{userId}}' },
+      { name: 'Me', method: 'GET', url: '{{baseUrl}}/users/me' }
+    ]);
+
+    const result = OpenApiDiff.diff(spec, collection);
+
+    assert.deepEqual(result, { missing: [], extra: [], mismatches: [] });
+    assert.equal(OpenApiDiff.hasDrift(result), false);
+  });
+
+  it('lists operations without a request and requests without an operation', () => {
+    const collection = collectionOf([
+      { name: 'Create user', method: 'POST', url: '{{baseUrl}}/users' },
+      { name: 'Update user', method: 'PATCH', url: '{{baseUrl}}/users/:userId' },
+      { name: 'Health', method: 'GET', url: 'https://api.example.com/v1/health' }
+    ]);
+
+    const result = OpenApiDiff.diff(spec, collection);
+
+    assert.deepEqual(result.missing, [
+      { method: 'GET', path: '/users', name: 'List users' },
+      { method: 'GET', path: '/users/{userId}', name: 'Get a user' },
+      { method: 'DELETE', path: '/users/{userId}', name: 'Delete a user' },
+      { method: 'GET', path: '/users/me', name: 'Current user' }
+    ]);
+    assert.deepEqual(result.extra, [
+      { method: 'PATCH', path: '/users/:userId', name: 'Users/Update user' },
+      { method: 'GET', path: '/v1/health', name: 'Users/Health' }
+    ]);
+    assert.equal(OpenApiDiff.hasDrift(result), true);
+  });
+
+  it('matches requests that include the server path', () => {
+    const collection = collectionOf([{ name: 'Create user', method: 'POST', url: 'https://api.example.com/v1/users' }]);
+
+    const result = OpenApiDiff.diff(spec, collection);
+
+    assert.deepEqual(result.extra, []);
+    assert.ok(!result.missing.some(operation => operation.method === 'POST'));
+  });
+
+  it('prefers literal path segments over parameters', () => {
+    const collection = collectionOf([{ name: 'Me', method: 'GET', url: '{{baseUrl}}/users/me' }]);
+
+    const result = OpenApiDiff.diff(spec, collection);
+
+    assert.ok(result.missing.some(operation => operation.path === '/users/{userId}' && operation.method === 'GET'));
+    assert.ok(!result.missing.some(operation => operation.path === '/users/me'));
+  });
+
+  it('reports parameters that differ from the spec', () => {
+    const collection = collectionOf([
+      { name: 'List users', method: 'GET', url: '{{baseUrl}}/users?page=1&sort=name' },
+      { name: 'Get user', method: 'GET', url: '{{baseUrl}}/users/:id' }
+    ]);
+
+    const result = OpenApiDiff.diff(spec, collection);
+
+    assert.deepEqual(result.mismatches, [
+      {
+        method: 'GET',
+        path: '/users',
+        name: 'Users/List users',
+        issues: ['query parameter sort is not in the spec', 'missing required header X-Tenant']
+      },
+      {
+        method: 'GET',
+        path: '/users/{userId}',
+        name: 'Users/Get user',
+        issues: ['path parameter {userId} is named :id']
+      }
+    ]);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import PostmanClient from '../src/lib/postman-client.js';
+import { ApiError, AuthError, NotFoundError, RateLimitError } from '../src/lib/api-errors.js';
+
+describe('PostmanClient', () => {
+  let tmpDir;
+  let server;
+  let handler;
+  const received = [];
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-client-'));
+    process.env.FLOWMAN_CONFIG_DIR = path.join(tmpDir, 'config');
+    process.env.FLOWMAN_CACHE_DIR = path.join(tmpDir, 'cache');
+
+    server = http.createServer((req, res) => {
+      received.push({ method: req.method, url: req.url, headers: req.headers });
+      const { status = 200, headers = {}, body = {} } = handler(req, received.length);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.FLOWMAN_API_URL = `http://127.0.0.1:${server.address().port}`;
+    PostmanClient.RETRY_BASE_DELAY = 5;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    PostmanClient.rateLimitResetAt = 0;
+  });
+
+  it('sends API keys as X-API-Key and other credentials as bearer tokens', async () => {
+    handler = () => ({ body: { user: { id: 1 } } });
+
+    await PostmanClient.request('PMAK-test', { url: '/me' });
+    await PostmanClient.request('oauth-token', { url: '/me' });
+
+    assert.equal(received[0].headers['x-api-key'], 'PMAK-test');
+    assert.equal(received[1].headers.authorization, 'Bearer oauth-token');
+  });
+
+  it('retries server errors of idempotent requests until they succeed', async () => {
+    handler = (req, count) => (count < 3 ? { status: 503 } : { body: { ok: true } });
+
+    assert.deepEqual(await PostmanClient.request('PMAK-test', { url: '/workspaces' }), { ok: true });
+    assert.equal(received.length, 3);
+  });
+
+  it('gives up after MAX_RETRIES retries', async () => {
+    handler = () => ({ status: 502, body: { error: { message: 'Bad gateway' } } });
+
+    await assert.rejects(PostmanClient.request('PMAK-test', { url: '/workspaces', action: 'get workspaces' }), error =>
+      error instanceof ApiError && error.status === 502 && error.message === 'Failed to get workspaces: Bad gateway');
+    assert.equal(received.length, PostmanClient.MAX_RETRIES + 1);
+  });
+
+  it('does not send a failed POST again', async () => {
+    handler = () => ({ status: 500 });
+
+    await assert.rejects(PostmanClient.request('PMAK-test', { method: 'post', url: '/collections', data: {} }), ApiError);
+    assert.equal(received.length, 1);
+  });
+
+  it('throws typed errors for rejected credentials and missing resources', async () => {
+    handler = (req) => (req.url === '/me' ? { status: 401 } : { status: 404, body: { error: { name: 'instanceNotFoundError' } } });
+
+    await assert.rejects(PostmanClient.request('PMAK-test', { url: '/me' }), AuthError);
+    await assert.rejects(PostmanClient.request('PMAK-test', { url: '/collections/x' }), NotFoundError);
+    assert.equal(received.length, 2);
+  });
+
+  it('waits as long as Retry-After says when rate limited', async () => {
+    handler = (req, count) => (count === 1 ? { status: 429, headers: { 'Retry-After': '0.1' } } : { body: { ok: true } });
+    const startedAt = Date.now();
+
+    assert.deepEqual(await PostmanClient.request('PMAK-test', { url: '/me' }), { ok: true });
+    // Timers may fire a millisecond early by the clock
+    assert.ok(Date.now() - startedAt >= 95);
+    assert.equal(received.length, 2);
+  });
+
+  it('fails right away when the rate limit resets too late', async () => {
+    handler = () => ({ status: 429, headers: { 'Retry-After': '3600' } });
+
+    await assert.rejects(PostmanClient.request('PMAK-test', { url: '/me' }), error =>
+      error instanceof RateLimitError && error.retryAfter === 3600 * 1000 && /Try again in 3600s/.test(error.message));
+    assert.equal(received.length, 1);
+  });
+
+  it('holds the next request until a used up rate limit resets', async () => {
+    handler = () => ({ headers: { 'RateLimit-Remaining': '0', 'RateLimit-Reset': '0.1' }, body: {} });
+    await PostmanClient.request('PMAK-test', { url: '/me' });
+    const resetAt = PostmanClient.rateLimitResetAt;
+    assert.ok(resetAt > Date.now());
+
+    handler = () => ({ body: {} });
+    await PostmanClient.request('PMAK-test', { url: '/me' });
+
+    assert.ok(Date.now() >= resetAt - 5);
+  });
+
+  it('follows pagination cursors and stops at a repeated cursor', async () => {
+    const pages = { '': { items: [1, 2], next: 'a' }, a: { items: [3], next: 'b' }, b: { items: [4], next: 'a' } };
+    handler = (req) => {
+      const page = pages[new URL(req.url, 'http://localhost').searchParams.get('cursor') || ''];
+      return { body: { collections: page.items, meta: { nextCursor: page.next } } };
+    };
+
+    const items = await PostmanClient.requestAll('PMAK-test', { url: '/collections', key: 'collections', params: { workspace: 'w1' } });
+
+    assert.deepEqual(items, [1, 2, 3, 4]);
+    assert.deepEqual(received.map(request => request.url), ['/collections?workspace=w1', '/collections?workspace=w1&cursor=a', '/collections?workspace=w1&cursor=b']);
+  });
+
+  it('reads retry delays from seconds, dates and reset timestamps', () => {
+    assert.equal(PostmanClient.getRetryAfter({ 'retry-after': '2' }), 2000);
+    const date = PostmanClient.getRetryAfter({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+    assert.ok(date > 8000 && date <= 10000);
+    assert.equal(PostmanClient.getRetryAfter({ 'x-ratelimit-reset': '5' }), 5000);
+    const timestamp = PostmanClient.getRetryAfter({ 'ratelimit-reset': String(Math.floor(Date.now() / 1000) + 30) });
+    assert.ok(timestamp > 28000 && timestamp <= 30000);
+    assert.equal(PostmanClient.getRetryAfter({}), null);
+  });
+
+  it('backs off exponentially with jitter up to the maximum delay', () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const delay = PostmanClient.getBackoffDelay(attempt);
+      const full = PostmanClient.RETRY_BASE_DELAY * 2 ** attempt;
+      assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}`);
+    }
+    assert.ok(PostmanClient.getBackoffDelay(100) <= PostmanClient.MAX_RETRY_DELAY);
+  });
+});
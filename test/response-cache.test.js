@@ -0,0 +1,132 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import ResponseCache from '../src/lib/response-cache.js';
+import PostmanClient from '../src/lib/postman-client.js';
+
+describe('ResponseCache', () => {
+  let tmpDir;
+  let server;
+  const received = [];
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-cache-'));
+    process.env.FLOWMAN_CONFIG_DIR = path.join(tmpDir, 'config');
+    process.env.FLOWMAN_CACHE_DIR = path.join(tmpDir, 'cache');
+
+    server = http.createServer((req, res) => {
+      received.push(`${req.method} ${req.url}`);
+      const bodies = {
+        '/collections': { collections: [{ id: 'c1', name: 'Users API' }] },
+        '/environments': { environments: [{ id: 'e1', name: 'Staging' }] },
+        '/environments/e1': { environment: { id: 'e1', name: 'Staging', values: [{ key: 'token', value: 'sup3r-s3cret', type: 'secret' }] } },
+        '/workspaces/w1/global-variables': { values: [{ key: 'apiKey', value: 'gl0bal-s3cret', type: 'secret' }] }
+      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(bodies[req.url.split('?')[0]] || {}));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.FLOWMAN_API_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    ResponseCache.clear();
+  });
+
+  /**
+   * Cache an entry for a request
+   * @param {string} scope - Scope
+   * @param {string} url - Request path
+   * @returns {string} Key
+   */
+  const store = (scope, url) => {
+    const key = ResponseCache.getKey(scope, url);
+    ResponseCache.write(key, { scope, url, etag: null, data: { url } });
+    return key;
+  };
+
+  it('keeps entries per credential and resource', () => {
+    const scope = ResponseCache.getScope('https://api.getpostman.com', 'PMAK-1');
+    const key = store(scope, '/collections/c1');
+
+    assert.equal(path.dirname(key), path.join(scope, 'collections'));
+    assert.equal(ResponseCache.getResource('/workspaces?type=team'), 'workspaces');
+    assert.deepEqual(ResponseCache.read(key).data, { url: '/collections/c1' });
+    assert.notEqual(ResponseCache.getKey(scope, '/collections', { workspace: 'w1' }), ResponseCache.getKey(scope, '/collections', { workspace: 'w2' }));
+    assert.notEqual(ResponseCache.getScope('https://api.getpostman.com', 'PMAK-2'), scope);
+  });
+
+  it('uses entries for the time of their endpoint', () => {
+    const entry = { storedAt: Date.now() - 10 * 1000 };
+
+    assert.equal(ResponseCache.isFresh(entry, 'collections'), true);
+    assert.equal(ResponseCache.isFresh(entry, 'collection'), false);
+    assert.equal(ResponseCache.isFresh(entry, 'collections', { collections: 5000 }), false);
+  });
+
+  it('drops the changed resource and the workspace details without reading any entry', () => {
+    const scope = ResponseCache.getScope('https://api.getpostman.com', 'PMAK-1');
+    const other = ResponseCache.getScope('https://api.getpostman.com', 'PMAK-2');
+    const keys = {
+      collection: store(scope, '/collections/c1'),
+      collections: store(scope, '/collections'),
+      workspace: store(scope, '/workspaces/w1'),
+      environments: store(scope, '/environments'),
+      me: store(scope, '/me'),
+      otherCollections: store(other, '/collections')
+    };
+    const readFileSync = mock.method(fs, 'readFileSync');
+
+    ResponseCache.invalidate(scope, '/collections/c1');
+
+    assert.equal(readFileSync.mock.callCount(), 0);
+    readFileSync.mock.restore();
+    const kept = Object.keys(keys).filter(name => ResponseCache.read(keys[name]) !== null);
+    assert.deepEqual(kept, ['environments', 'me', 'otherCollections']);
+  });
+
+  it('counts and removes every entry on clear', () => {
+    store('a', '/me');
+    store('b', '/collections');
+
+    assert.equal(ResponseCache.clear(), 2);
+    assert.equal(ResponseCache.clear(), 0);
+  });
+
+  it('never writes environments or global variables to disk', async () => {
+    await PostmanClient.getEnvironment('PMAK-test', 'e1');
+    const environment = await PostmanClient.getEnvironment('PMAK-test', 'e1');
+    await PostmanClient.getGlobals('PMAK-test', 'w1');
+
+    assert.equal(environment.values[0].value, 'sup3r-s3cret');
+    assert.deepEqual(received, ['GET /environments/e1', 'GET /environments/e1', 'GET /workspaces/w1/global-variables']);
+    for (const file of ResponseCache.listEntries()) {
+      assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /s3cret/);
+    }
+  });
+
+  it('keeps cached lists of other resources when an environment changes', async () => {
+    await PostmanClient.getCollections('PMAK-test', 'w1');
+    await PostmanClient.getEnvironments('PMAK-test', 'w1');
+
+    await PostmanClient.updateEnvironment('PMAK-test', 'e1', { name: 'Staging' });
+    await PostmanClient.getCollections('PMAK-test', 'w1');
+    await PostmanClient.getEnvironments('PMAK-test', 'w1');
+
+    assert.deepEqual(received, [
+      'GET /collections?workspace=w1',
+      'GET /environments?workspace=w1',
+      'PUT /environments/e1',
+      'GET /environments?workspace=w1'
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RunReporter from '../src/lib/run-reporter.js';
+
+const summary = {
+  collection: 'Users API',
+  startedAt: '2024-05-01T10:00:00.000Z',
+  finishedAt: '2024-05-01T10:00:01.500Z',
+  duration: 1500,
+  aborted: false,
+  stats: { iterations: 1, requests: 2, failed: 1 },
+  results: [
+    {
+      name: 'Login',
+      path: 'Auth/Login',
+      iteration: 0,
+      request: {
+        method: 'POST',
+        url: 'https://api.example.com/login',
+        headers: { Authorization: 'Bearer abc123', 'X-Api-Key': 'PMAK-secret', 'Content-Type': 'application/json', Cookie: 'sid=s3cr3t' },
+        body: '{"user":"ada"}'
+      },
+      response: { code: 200, status: 'OK', headers: { 'Set-Cookie': 'sid=n3w', 'Content-Type': 'application/json' }, body: '{"ok":true}', responseTime: 120 },
+      tests: [{ name: 'status is 200', passed: true, skipped: false, error: null }],
+      scriptErrors: []
+    },
+    {
+      name: 'Get <user>',
+      path: 'Users/Get <user>',
+      iteration: 0,
+      request: { method: 'GET', url: 'https://api.example.com/users/1', headers: { 'X-Auth-Token': 't0k3n' } },
+      response: { code: 404, status: 'Not Found', headers: {}, body: 'missing', responseTime: 30 },
+      tests: [{ name: 'found & named', passed: false, skipped: false, error: 'expected 404 to equal 200' }],
+      scriptErrors: ['ReferenceError: x is not defined']
+    }
+  ]
+};
+
+const SECRETS = ['abc123', 'PMAK-secret', 's3cr3t', 'n3w', 't0k3n'];
+
+describe('RunReporter', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-reports-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('normalizes a run summary into a report', () => {
+    const report = RunReporter.normalize(summary, 'local');
+
+    assert.equal(report.name, 'Users API');
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.stats, { iterations: 1, requests: 2, failed: 1, skipped: 0, tests: 2, failedTests: 1 });
+    assert.deepEqual(report.executions.map(execution => execution.path), ['Auth/Login', 'Users/Get <user>']);
+    assert.deepEqual(RunReporter.summarize(report), { name: 'Users API', source: 'local', passed: false, duration: 1500, stats: report.stats });
+  });
+
+  it('masks headers that carry credentials', () => {
+    const report = RunReporter.normalize(summary, 'local');
+    const [login, get] = report.executions;
+
+    assert.deepEqual(login.request.headers, { Authorization: '********', 'X-Api-Key': '********', 'Content-Type': 'application/json', Cookie: '********' });
+    assert.deepEqual(login.response.headers, { 'Set-Cookie': '********', 'Content-Type': 'application/json' });
+    assert.deepEqual(get.request.headers, { 'X-Auth-Token': '********' });
+    assert.equal(summary.results[0].request.headers.Authorization, 'Bearer abc123');
+  });
+
+  it('writes no credentials into any report', () => {
+    const files = RunReporter.write(['json', 'junit', 'html'], RunReporter.normalize(summary, 'local'), tmpDir);
+
+    assert.deepEqual(files.map(file => path.basename(file)), ['users-api.json', 'users-api.xml', 'users-api.html']);
+    for (const file of files) {
+      const content = fs.readFileSync(file, 'utf8');
+      for (const secret of SECRETS) {
+        assert.ok(!content.includes(secret), `${path.basename(file)} contains ${secret}`);
+      }
+    }
+  });
+
+  it('renders JUnit testcases for assertions and errors', () => {
+    const xml = RunReporter.reporters.get('junit').render(RunReporter.normalize(summary, 'local'));
+
+    assert.match(xml, /<testsuites name="Users API" tests="3" failures="1" errors="1" time="1.500">/);
+    assert.match(xml, /<testsuite name="Users\/Get &lt;user&gt;" tests="2" failures="1" errors="1"/);
+    assert.match(xml, /<testcase name="found &amp; named"[^>]*>\n\s*<failure type="AssertionFailure" message="expected 404 to equal 200">/);
+    assert.match(xml, /<error type="Error" message="ReferenceError: x is not defined">/);
+  });
+
+  it('renders an HTML page with escaped names and the outcome of every request', () => {
+    const html = RunReporter.reporters.get('html').render(RunReporter.normalize(summary, 'local'));
+
+    assert.match(html, /<title>Users API - Flowman report<\/title>/);
+    assert.match(html, /<details class="passed"><summary><span class="path">Auth\/Login<\/span>/);
+    assert.match(html, /<details class="failed"><summary><span class="path">Users\/Get &lt;user&gt;<\/span>/);
+    assert.match(html, /Authorization: \*{8}/);
+    assert.ok(!html.includes('<user>'));
+  });
+
+  it('rejects unknown reporter names', () => {
+    assert.deepEqual(RunReporter.parseNames('junit, html'), ['junit', 'html']);
+    assert.throws(() => RunReporter.parseNames('junit,pdf'), /Unknown reporter "pdf"/);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ScriptSandbox from '../src/lib/script-sandbox.js';
+import VariableScope from '../src/lib/variable-scope.js';
+import ScriptResponse from '../src/lib/script-response.js';
+
+/**
+ * Run a script with a fresh scope
+ * @param {string} code - Script source
+ * @param {Object} options - Options passed to ScriptSandbox.execute
+ * @returns {Promise<Object>} Execution outcome with the scope
+ */
+async function run(code, options = {}) {
+  const scope = options.scope || new VariableScope({ environment: [{ key: 'host', value: 'example.com' }] });
+  const outcome = await ScriptSandbox.execute(code, { eventName: 'test', scope, timeout: 200, ...options });
+  return { ...outcome, scope };
+}
+
+describe('ScriptSandbox', () => {
+  it('records passing and failing tests', async () => {
+    const { tests, error } = await run([
+      'pm.test("passes", () => pm.expect(1).to.equal(1));',
+      'pm.test("fails", () => pm.expect(1).to.equal(2));',
+      'pm.test.skip("skipped");'
+    ].join('\n'));
+
+    assert.equal(error, null);
+    assert.deepEqual(tests.map(test => [test.name, test.passed, test.skipped]), [
+      ['passes', true, false],
+      ['fails', false, false],
+      ['skipped', true, true]
+    ]);
+    assert.match(tests[1].error, /expected 1 to equal 2/);
+  });
+
+  it('reads and writes variables through pm', async () => {
+    const { scope, error } = await run([
+      'pm.environment.set("url", "https://" + pm.environment.get("host"));',
+      'pm.collectionVariables.set("page", 2);',
+      'pm.variables.set("local", pm.variables.replaceIn("{{host}}/x"));'
+    ].join('\n'));
+
+    assert.equal(error, null);
+    assert.equal(scope.get('url'), 'https://example.com');
+    assert.equal(scope.get('page'), 2);
+    assert.equal(scope.get('local'), 'example.com/x');
+  });
+
+  it('runs assertions on the response', async () => {
+    const response = new ScriptResponse({ code: 201, status: 'Created', headers: { 'content-type': 'application/json' }, body: '{"id":7}', responseTime: 12 });
+
+    const { tests } = await run('pm.test("created", () => { pm.response.to.have.status(201); pm.expect(pm.response.json().id).to.equal(7); });', { response });
+
+    assert.equal(tests[0].passed, true, tests[0].error);
+  });
+
+  it('waits for asynchronous tests and timers', async () => {
+    const { tests, scope, error } = await run([
+      'pm.test("async", async () => { await new Promise(resolve => setTimeout(resolve, 10)); });',
+      'pm.test("callback", (done) => setTimeout(() => done(), 10));',
+      'setTimeout(() => pm.environment.set("later", true), 20);'
+    ].join('\n'));
+
+    assert.equal(error, null);
+    assert.deepEqual(tests.map(test => test.passed), [true, true]);
+    assert.equal(scope.get('later'), true);
+  });
+
+  it('keeps scripts away from Node modules', async () => {
+    const { error } = await run('require("fs");');
+
+    assert.match(error, /Module "fs" is not available/);
+  });
+
+  it('stops synchronous code that runs too long', async () => {
+    const { error } = await run('while (true) {}', { timeout: 50 });
+
+    assert.match(error, /timed out/i);
+  });
+
+  it('fails a callback test that never calls done once the time is up', async () => {
+    const startedAt = Date.now();
+
+    const { tests, error } = await run('pm.test("cb", function (done) {});', { timeout: 100 });
+
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.equal(tests[0].passed, false);
+    assert.match(tests[0].error, /did not finish within 100ms/);
+    assert.match(error, /Script did not finish within 100ms, 1 pending callback abandoned/);
+    assert.ok(!('pending' in tests[0]));
+  });
+
+  it('gives up on a script awaiting a promise that never settles', async () => {
+    const { error } = await run('await new Promise(() => {});', { timeout: 100 });
+
+    assert.match(error, /did not finish within 100ms/);
+  });
+
+  it('clears the timers a script leaves behind', async () => {
+    const { scope, error } = await run('setTimeout(() => pm.environment.set("fired", true), 300);', { timeout: 50 });
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.match(error, /did not finish within 50ms/);
+    assert.equal(scope.get('fired'), undefined);
+  });
+});
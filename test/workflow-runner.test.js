@@ -0,0 +1,196 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import WorkflowRunner from '../src/lib/workflow-runner.js';
+
+/**
+ * Build a collection of GET requests
+ * @param {string} name - Collection name
+ * @param {Object} requests - URL per request name
+ * @returns {Object} Postman v2.1 collection
+ */
+function collectionOf(name, requests) {
+  return {
+    info: { name },
+    item: [{ name: 'Users', item: Object.entries(requests).map(([requestName, url]) => ({ name: requestName, request: { method: 'GET', url } })) }]
+  };
+}
+
+describe('WorkflowRunner', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      received.push(req.url);
+      if (req.url === '/login') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'X-Request-Id': 'req-7' });
+        res.end(JSON.stringify({ token: 'abc123', user: { id: 42 } }));
+        return;
+      }
+      const status = req.url.startsWith('/missing') ? 404 : 200;
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(`session=s-99; path=${req.url}`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Validate and run a workflow against the test server
+   * @param {Object} workflow - Workflow definition without collections
+   * @returns {Promise<Object>} Run summary
+   */
+  const runWorkflow = (workflow) => {
+    const collections = new Map([
+      ['auth', collectionOf('Auth', { Login: `${baseUrl}/login` })],
+      ['users', collectionOf('Users', {
+        Get: `${baseUrl}/users/{{userId}}?token={{token}}`,
+        Missing: `${baseUrl}/missing`,
+        Audit: `${baseUrl}/audit/{{requestId}}`
+      })]
+    ]);
+    const definition = { collections: { auth: 'auth.json', users: 'users.json' }, ...workflow };
+    WorkflowRunner.validate(definition);
+    return new WorkflowRunner(definition, { collections, timeout: 5000 }).run();
+  };
+
+  it('rejects workflows without collections or steps', () => {
+    assert.throws(() => WorkflowRunner.validate({ steps: [{ request: 'a' }] }), /at least one collection/);
+    assert.throws(() => WorkflowRunner.validate({ collections: { a: 'a.json' }, steps: [] }), /steps must be a non-empty list/);
+    assert.throws(() => WorkflowRunner.validate({ collections: { a: 'a.json' }, steps: [{ request: 'x', steps: [{ request: 'y' }] }] }), /steps\[0\] must have exactly one of/);
+    assert.throws(() => WorkflowRunner.validate({ collections: { a: 'a.json' }, steps: [{ request: 'x', if: true }] }), /steps\[0\]\.if must be an expression string/);
+    assert.throws(() => WorkflowRunner.validate({ collections: { a: 'a.json' }, steps: [{ request: 'x', extract: { id: { regex: '(' } } }] }), /steps\[0\]\.extract\.id/);
+  });
+
+  it('loads a workflow file from its directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowman-workflow-'));
+    try {
+      fs.writeFileSync(path.join(dir, WorkflowRunner.DEFAULT_FILE), 'name: Smoke\ncollections:\n  api: api.json\nsteps:\n  - request: Users/List\n');
+
+      const workflow = WorkflowRunner.load(dir);
+
+      assert.equal(workflow.name, 'Smoke');
+      assert.equal(workflow.baseDir, dir);
+      assert.throws(() => WorkflowRunner.load(path.join(dir, 'missing.yaml')), /Unable to read workflow/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('resolves request references to a collection alias and item path', () => {
+    assert.deepEqual(WorkflowRunner.parseRequestRef({ request: 'auth/Users/Login' }, ['auth', 'users']), { alias: 'auth', itemPath: 'Users/Login' });
+    assert.deepEqual(WorkflowRunner.parseRequestRef({ collection: 'users', request: 'Users/Get' }, ['auth', 'users']), { alias: 'users', itemPath: 'Users/Get' });
+    assert.deepEqual(WorkflowRunner.parseRequestRef({ request: 'Users/Get' }, ['api']), { alias: 'api', itemPath: 'Users/Get' });
+    assert.throws(() => WorkflowRunner.parseRequestRef({ request: 'Users/Get' }, ['auth', 'users']), /must start with a collection alias/);
+    assert.throws(() => WorkflowRunner.parseRequestRef({ collection: 'other', request: 'Get' }, ['auth', 'users']), /unknown collection "other"/);
+  });
+
+  it('passes extracted values to later steps across collections', async () => {
+    received.length = 0;
+
+    const summary = await runWorkflow({
+      steps: [
+        {
+          request: 'auth/Users/Login',
+          extract: { token: '$.token', userId: { jsonpath: '$.user.id' }, requestId: { header: 'x-request-id' } }
+        },
+        { request: 'users/Users/Get', extract: { session: { regex: 'session=([\\w-]+)' } } },
+        { name: 'Audit', request: 'users/Users/Audit', if: 'session === "s-99" && response.code === 200' }
+      ]
+    });
+
+    assert.equal(summary.passed, true, JSON.stringify(summary.steps));
+    assert.deepEqual(received, ['/login', '/users/42?token=abc123', '/audit/req-7']);
+    assert.deepEqual(summary.stats, { steps: 3, failed: 0, skipped: 0, requests: 3 });
+  });
+
+  it('skips steps whose condition is false', async () => {
+    received.length = 0;
+
+    const summary = await runWorkflow({
+      variables: { admin: false },
+      steps: [
+        { request: 'auth/Users/Login', if: 'admin' },
+        { request: 'auth/Users/Login', if: 'vars.admin === false' }
+      ]
+    });
+
+    assert.equal(summary.passed, true);
+    assert.deepEqual(summary.steps.map(step => step.status), ['skipped', 'passed']);
+    assert.deepEqual(received, ['/login']);
+  });
+
+  it('fails a step when an extraction does not match and stops there', async () => {
+    received.length = 0;
+
+    const summary = await runWorkflow({
+      steps: [
+        { request: 'auth/Users/Login', extract: { missing: '$.nothing' } },
+        { request: 'users/Users/Get' }
+      ]
+    });
+
+    assert.equal(summary.passed, false);
+    assert.deepEqual(summary.steps.map(step => step.status), ['failed']);
+    assert.match(summary.steps[0].error, /Cannot extract "missing"/);
+    assert.deepEqual(received, ['/login']);
+  });
+
+  it('continues past a failed step marked continueOnError', async () => {
+    received.length = 0;
+
+    const summary = await runWorkflow({
+      steps: [
+        { request: 'users/Users/Missing', extract: { id: '$.id' }, continueOnError: true },
+        { request: 'auth/Users/Login' }
+      ]
+    });
+
+    assert.equal(summary.passed, false);
+    assert.deepEqual(summary.steps.map(step => step.status), ['failed', 'passed']);
+    assert.match(summary.steps[0].error, /not JSON/);
+  });
+
+  it('repeats a step until its condition holds', async () => {
+    received.length = 0;
+
+    const summary = await runWorkflow({
+      steps: [
+        { request: 'auth/Users/Login', until: 'attempt === 3' },
+        { request: 'auth/Users/Login', until: 'false', repeat: 2 }
+      ]
+    });
+
+    assert.equal(summary.passed, false);
+    assert.deepEqual(summary.steps.map(step => [step.status, step.attempts]), [['passed', 3], ['failed', 2]]);
+    assert.match(summary.steps[1].error, /Condition "false" not met after 2 attempts/);
+    assert.equal(received.length, 5);
+  });
+
+  it('retries a failing branch and fails the parallel step', async () => {
+    received.length = 0;
+
+    const summary = await runWorkflow({
+      steps: [
+        { parallel: [{ request: 'auth/Users/Login' }, { request: 'users/Users/Missing', extract: { id: '$.id' }, retry: 1 }] },
+        { request: 'auth/Users/Login' }
+      ]
+    });
+
+    assert.equal(summary.passed, false);
+    assert.equal(summary.stats.steps, 3);
+    assert.equal(summary.steps.at(-1).name, 'Parallel steps');
+    assert.match(summary.steps.at(-1).error, /1 of 2 parallel branches failed/);
+    assert.equal(received.filter(url => url === '/missing').length, 2);
+    assert.equal(received.filter(url => url === '/login').length, 1);
+  });
+});